@@ -2,31 +2,103 @@
  * Main application initialization
  */
 
-import { setupEventListeners, switchView, initializeDarkMode } from './ui/handlers.js';
+import { setupEventListeners, switchView, initializeDarkMode, handleRemoteChange, unlockAtStartup, requireAppUnlock, handleReminderDue, navigateToTodayFromHighlights } from './ui/handlers.js';
 import { renderAll } from './ui/views.js';
 import { registerServiceWorker, setupInstallPrompt } from './pwa/serviceWorker.js';
+import { runMigrations } from './data/migrations.js';
+import { checkStoredEntries, getQuarantine } from './data/recovery.js';
+import { takeDailySnapshot } from './data/snapshots.js';
+import { purgeExpiredTrash } from './data/storage.js';
+import { getSetting } from './data/settings.js';
+import { showNotification } from './services/notificationService.js';
+import { startSync } from './services/syncService.js';
+import { startReminders } from './services/reminderService.js';
 
 /**
  * Initializes the application
+ * @returns {Promise<void>}
  */
-function initializeApp() {
+async function initializeApp() {
     // Initialize dark mode first (before rendering)
     initializeDarkMode();
     
     // Set up event listeners
     setupEventListeners();
     
+    // Nothing from the journal is shown until the app lock PIN is entered
+    await requireAppUnlock();
+    
+    // An encrypted journal cannot be read or migrated until it is unlocked
+    try {
+        await unlockAtStartup();
+    } catch (error) {
+        console.error('Error unlocking journal:', error);
+        showNotification('Could not open your journal', 'error');
+        return;
+    }
+    
+    // Bring stored data up to the current schema before anything reads it
+    if (!await runMigrations()) {
+        showNotification('Could not update your saved entries', 'error');
+    }
+    
+    // Set aside malformed records so they can be recovered instead of breaking rendering
+    let needsRecovery = false;
+    try {
+        await checkStoredEntries();
+        needsRecovery = (await getQuarantine()).length > 0;
+    } catch (error) {
+        console.error('Error checking saved entries:', error);
+    }
+    
+    // Take today's snapshot, and again whenever the app comes back after midnight
+    takeDailySnapshot().catch(error => {
+        console.error('Error taking daily snapshot:', error);
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            takeDailySnapshot().catch(error => {
+                console.error('Error taking daily snapshot:', error);
+            });
+        }
+    });
+    
+    // Keep this tab in step with changes made in other tabs and windows
+    startSync(handleRemoteChange);
+    
+    // Remove deleted entries that have been in the trash past the retention period
+    try {
+        await purgeExpiredTrash(getSetting('trashRetentionDays'));
+    } catch (error) {
+        console.error('Error purging trash:', error);
+    }
+    
     // Render initial UI
-    renderAll();
+    await renderAll();
     
-    // Show highlights view on page load (with small delay to ensure DOM is ready)
+    // Show highlights view on page load (with small delay to ensure DOM is ready),
+    // the recovery screen if some saved data could not be read, or the Today view
+    // when the app was opened from a reminder notification
+    const openToday = new URLSearchParams(window.location.search).get('view') === 'today';
+    if (openToday) {
+        history.replaceState(null, '', window.location.pathname);
+    }
     setTimeout(() => {
-        switchView('highlights');
+        if (needsRecovery) {
+            switchView('recovery');
+        } else if (openToday) {
+            navigateToTodayFromHighlights();
+        } else {
+            switchView('highlights');
+        }
     }, 100);
     
     // Register service worker for PWA
     registerServiceWorker();
     setupInstallPrompt();
+    
+    // Daily reminders, through the service worker where the browser allows it
+    startReminders({ onDue: handleReminderDue, onOpenToday: navigateToTodayFromHighlights });
 }
 
 // Initialize app when DOM is ready
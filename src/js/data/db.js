@@ -0,0 +1,209 @@
+/**
+ * IndexedDB connection and low-level helpers
+ */
+
+import { DEFAULT_JOURNAL_ID } from './journals.js';
+
+const DB_NAME = 'gratitudeJournal';
+const DB_VERSION = 6;
+
+export const ENTRIES_STORE = 'entries';
+export const META_STORE = 'meta';
+export const TRASH_STORE = 'trash';
+export const SNAPSHOTS_STORE = 'snapshots';
+export const MOODS_STORE = 'moods';
+export const ATTACHMENTS_STORE = 'attachments';
+
+let dbPromise = null;
+
+/**
+ * Creates or upgrades object stores for the given version change
+ * Each block runs once, when upgrading past its version.
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version the database is upgrading from
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ */
+function upgradeDatabase(db, oldVersion, transaction) {
+    if (oldVersion < 1) {
+        const entriesStore = db.createObjectStore(ENTRIES_STORE, { keyPath: 'id' });
+        entriesStore.createIndex('date', 'date');
+        db.createObjectStore(META_STORE);
+    }
+    if (oldVersion < 2) {
+        const trashStore = db.createObjectStore(TRASH_STORE, { keyPath: 'id' });
+        trashStore.createIndex('deletedAt', 'deletedAt');
+    }
+    if (oldVersion < 3) {
+        const snapshotsStore = db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+        snapshotsStore.createIndex('takenAt', 'takenAt');
+    }
+    if (oldVersion < 4) {
+        // Everything stored so far belongs to the first journal; the id is a
+        // readable field, so even sealed records can be updated in place
+        [ENTRIES_STORE, TRASH_STORE, SNAPSHOTS_STORE].forEach(storeName => {
+            const store = transaction.objectStore(storeName);
+            store.createIndex('journalId', 'journalId');
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (!cursor.value.journalId) {
+                        cursor.update({ ...cursor.value, journalId: DEFAULT_JOURNAL_ID });
+                    }
+                    cursor.continue();
+                }
+            };
+        });
+        transaction.objectStore(ENTRIES_STORE).createIndex('journalDate', ['journalId', 'date']);
+    }
+    if (oldVersion < 5) {
+        // One mood rating per journal and day
+        const moodsStore = db.createObjectStore(MOODS_STORE, { keyPath: ['journalId', 'date'] });
+        moodsStore.createIndex('journalId', 'journalId');
+    }
+    if (oldVersion < 6) {
+        // Photos of a day, or of one entry when entryId is set
+        const attachmentsStore = db.createObjectStore(ATTACHMENTS_STORE, { keyPath: 'id' });
+        attachmentsStore.createIndex('journalId', 'journalId');
+        attachmentsStore.createIndex('journalDate', ['journalId', 'date']);
+        attachmentsStore.createIndex('entryId', 'entryId');
+    }
+}
+
+/**
+ * Opens the journal database, creating or upgrading it as needed
+ * The connection is shared, so repeated calls return the same promise.
+ * @returns {Promise<IDBDatabase>} Promise resolving to the open database
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+            
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            
+            request.onupgradeneeded = (event) => {
+                upgradeDatabase(request.result, event.oldVersion, request.transaction);
+            };
+            
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version of the app (e.g. in another tab) upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+        
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Deletes the whole journal database
+ * Other tabs are asked to close their connections first (see onversionchange).
+ * @returns {Promise<void>}
+ */
+export async function deleteDatabase() {
+    if (dbPromise) {
+        const db = await dbPromise.catch(() => null);
+        if (db) {
+            db.close();
+        }
+        dbPromise = null;
+    }
+    await requestToPromise(indexedDB.deleteDatabase(DB_NAME));
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wrap
+ * @returns {Promise<*>} Promise resolving to the request result
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs work inside a transaction and resolves once it has committed
+ * The work callback must queue its requests synchronously. If it returns an
+ * IDBRequest, the promise resolves to that request's result; otherwise to the
+ * returned value (which may be filled in by request callbacks before commit).
+ * @param {string|Array<string>} storeNames - Object store name(s) to include
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBTransaction): *} work - Callback that queues requests on the transaction
+ * @returns {Promise<*>} Promise resolving when the transaction completes
+ */
+export async function runTransaction(storeNames, mode, work) {
+    const db = await openDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        let result;
+        
+        transaction.oncomplete = () => {
+            resolve(result instanceof IDBRequest ? result.result : result);
+        };
+        transaction.onerror = () => {
+            reject(transaction.error);
+        };
+        transaction.onabort = () => {
+            reject(transaction.error || new Error('Transaction aborted'));
+        };
+        
+        try {
+            result = work(transaction);
+        } catch (error) {
+            transaction.abort();
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Reads a value from the meta store
+ * @param {string} key - Meta key
+ * @returns {Promise<*>} Promise resolving to the stored value, or undefined
+ */
+export function getMetaValue(key) {
+    return runTransaction(META_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(META_STORE).get(key);
+    });
+}
+
+/**
+ * Writes a value to the meta store
+ * @param {string} key - Meta key
+ * @param {*} value - Value to store (must be structured-cloneable)
+ * @returns {Promise<void>}
+ */
+export function setMetaValue(key, value) {
+    return runTransaction(META_STORE, 'readwrite', (transaction) => {
+        transaction.objectStore(META_STORE).put(value, key);
+    });
+}
+
+/**
+ * Removes a value from the meta store
+ * @param {string} key - Meta key
+ * @returns {Promise<void>}
+ */
+export function deleteMetaValue(key) {
+    return runTransaction(META_STORE, 'readwrite', (transaction) => {
+        transaction.objectStore(META_STORE).delete(key);
+    });
+}
@@ -0,0 +1,109 @@
+/**
+ * Drafts of the Today and Calendar forms
+ * What has been typed but not yet added is kept for each journal and date, so
+ * it survives the app being closed or the phone locking. Drafts hold entry
+ * text, so they are kept in the meta store and sealed like entries.
+ */
+
+import { getMetaValue, setMetaValue } from './db.js';
+import { sealValue, openValue } from './encryption.js';
+import { getActiveJournalId } from './journals.js';
+
+const DRAFTS_KEY = 'drafts';
+
+// Saves run one after another, so a quick succession of them cannot lose one
+let pendingWrite = Promise.resolve();
+
+/**
+ * A form's unsaved text
+ * @typedef {Object} Draft
+ * @property {Array<string>} items - Text of each field, in order (the three fields first, then any added ones)
+ * @property {string} updatedAt - ISO timestamp of the last change
+ */
+
+/**
+ * Reads the drafts of every journal
+ * @returns {Promise<Object<string, Object<string, Draft>>>} Promise resolving to drafts by journal id, then by date
+ */
+async function getAllDrafts() {
+    return (await openValue(await getMetaValue(DRAFTS_KEY))) || {};
+}
+
+/**
+ * Changes the stored drafts, after any change still being written
+ * @param {function(Object<string, Object<string, Draft>>): void} change - Changes the drafts in place
+ * @returns {Promise<void>}
+ */
+function updateDrafts(change) {
+    const write = pendingWrite.then(async () => {
+        const drafts = await getAllDrafts();
+        change(drafts);
+        await setMetaValue(DRAFTS_KEY, await sealValue(drafts));
+    });
+    // A failed write must not stop the ones after it
+    pendingWrite = write.catch(() => {});
+    return write;
+}
+
+/**
+ * Gets the draft of a date
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<Array<string>|null>} Promise resolving to the text of each field, or null if there is no draft
+ */
+export async function getDraft(dateKey, journalId = getActiveJournalId()) {
+    await pendingWrite;
+    const draft = ((await getAllDrafts())[journalId] || {})[dateKey];
+    return draft && Array.isArray(draft.items) ? draft.items.map(item => String(item)) : null;
+}
+
+/**
+ * Saves the draft of a date; one with nothing written in it is removed
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {Array<string>} items - Text of each field, in order
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<boolean>} Promise resolving to true if a draft was kept
+ */
+export async function saveDraft(dateKey, items, journalId = getActiveJournalId()) {
+    // Empty fields at the end are not worth restoring; ones in between keep the others in place
+    const kept = items.map(item => String(item));
+    while (kept.length > 0 && !kept[kept.length - 1].trim()) {
+        kept.pop();
+    }
+    
+    await updateDrafts(drafts => {
+        const journalDrafts = drafts[journalId] || {};
+        if (kept.length > 0) {
+            journalDrafts[dateKey] = { items: kept, updatedAt: new Date().toISOString() };
+        } else {
+            delete journalDrafts[dateKey];
+        }
+        if (Object.keys(journalDrafts).length > 0) {
+            drafts[journalId] = journalDrafts;
+        } else {
+            delete drafts[journalId];
+        }
+    });
+    return kept.length > 0;
+}
+
+/**
+ * Removes the draft of a date, e.g. once its entries are added
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<void>}
+ */
+export async function discardDraft(dateKey, journalId = getActiveJournalId()) {
+    await saveDraft(dateKey, [], journalId);
+}
+
+/**
+ * Removes every draft of a journal, e.g. when the journal is deleted
+ * @param {string} journalId - Id of the journal
+ * @returns {Promise<void>}
+ */
+export async function deleteJournalDrafts(journalId) {
+    await updateDrafts(drafts => {
+        delete drafts[journalId];
+    });
+}
@@ -0,0 +1,487 @@
+/**
+ * Optional encryption at rest for the journal
+ * A random data key encrypts every entry record, trashed entry, snapshot, mood,
+ * photo and quarantined blob. The data key itself is stored wrapped (encrypted)
+ * with a key derived from the user's passphrase, so changing the passphrase only
+ * re-wraps the data key. Ids, journal ids, dates and the entry a photo belongs
+ * to stay readable, because IndexedDB indexes them.
+ */
+
+import { runTransaction, getMetaValue, setMetaValue, ENTRIES_STORE, TRASH_STORE, SNAPSHOTS_STORE, MOODS_STORE, ATTACHMENTS_STORE, META_STORE } from './db.js';
+import { PBKDF2_ITERATIONS, generateSalt, generateKeyBytes, deriveKey, importKey, encryptBytes, decryptBytes, encryptJson, toBase64 } from '../utils/cryptoUtils.js';
+
+const ENCRYPTION_KEY = 'encryption';
+
+// Meta values that hold entry text or people's names, so they are sealed along with the entries (see recovery.js, people.js and drafts.js)
+const SEALED_META_KEYS = ['quarantine', 'people', 'drafts'];
+
+// Stores whose records hold entry text, moods or photos, so rewriteJournal re-seals them
+const SEALED_STORES = [ENTRIES_STORE, TRASH_STORE, SNAPSHOTS_STORE, MOODS_STORE, ATTACHMENTS_STORE];
+
+// Times the re-encryption is retried when another tab writes in between
+const MAX_REWRITE_ATTEMPTS = 5;
+
+// Record fields left readable, because stores and indexes are keyed on them
+const CLEAR_FIELDS = ['id', 'journalId', 'date', 'deletedAt', 'entryId'];
+
+// Decrypted JSON by IV; bounded so a long session of edits cannot grow it forever
+const MAX_OPENED_PAYLOADS = 10000;
+const openedPayloads = new Map();
+
+let encryptionEnabled = false;
+let dataKey = null;
+
+/**
+ * Stored encryption settings
+ * @typedef {Object} EncryptionConfig
+ * @property {number} version - Layout version of this object
+ * @property {string} kdf - Key derivation function used for the passphrase
+ * @property {Uint8Array} salt - Salt for the key derivation
+ * @property {number} iterations - Key derivation iterations
+ * @property {import('../utils/cryptoUtils.js').EncryptedPayload} wrappedKey - Data key encrypted with the passphrase key
+ */
+
+/**
+ * Reads whether encryption is turned on, e.g. at startup before asking for the passphrase
+ * @returns {Promise<boolean>} Promise resolving to true if the journal is encrypted
+ */
+export async function loadEncryptionState() {
+    encryptionEnabled = Boolean(await getMetaValue(ENCRYPTION_KEY));
+    return encryptionEnabled;
+}
+
+/**
+ * Checks whether encryption is turned on
+ * @returns {boolean} True if the journal is encrypted
+ */
+export function isEncryptionEnabled() {
+    return encryptionEnabled;
+}
+
+/**
+ * Checks whether the journal is encrypted and still waiting for its passphrase
+ * @returns {boolean} True if entries cannot be read or written yet
+ */
+export function isJournalLocked() {
+    return encryptionEnabled && !dataKey;
+}
+
+/**
+ * Recovers the raw data key with a passphrase
+ * @param {EncryptionConfig} config - Stored encryption settings
+ * @param {string} passphrase - Passphrase to try
+ * @returns {Promise<Uint8Array|null>} Promise resolving to the key bytes, or null if the passphrase is wrong
+ */
+async function unwrapDataKey(config, passphrase) {
+    try {
+        const passphraseKey = await deriveKey(passphrase, config.salt, config.iterations);
+        return new Uint8Array(await decryptBytes(passphraseKey, config.wrappedKey));
+    } catch (error) {
+        // AES-GCM rejects a wrong key outright, so this means the passphrase is wrong
+        return null;
+    }
+}
+
+/**
+ * Wraps the raw data key with a new passphrase
+ * @param {Uint8Array} keyBytes - Raw data key
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<EncryptionConfig>} Promise resolving to the settings to store
+ */
+async function wrapDataKey(keyBytes, passphrase) {
+    const salt = generateSalt();
+    const passphraseKey = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    return {
+        version: 1,
+        kdf: 'PBKDF2-SHA-256',
+        salt,
+        iterations: PBKDF2_ITERATIONS,
+        wrappedKey: await encryptBytes(passphraseKey, keyBytes)
+    };
+}
+
+/**
+ * Unlocks the journal for this session
+ * @param {string} passphrase - Passphrase typed by the user
+ * @returns {Promise<boolean>} Promise resolving to true if unlocked, false if the passphrase is wrong
+ */
+export async function unlockJournal(passphrase) {
+    const config = await getMetaValue(ENCRYPTION_KEY);
+    if (!config) {
+        encryptionEnabled = false;
+        return true;
+    }
+    
+    const keyBytes = await unwrapDataKey(config, passphrase);
+    if (!keyBytes) {
+        return false;
+    }
+    dataKey = await importKey(keyBytes);
+    encryptionEnabled = true;
+    return true;
+}
+
+/**
+ * Checks a passphrase without changing anything, e.g. before a sensitive change
+ * @param {string} passphrase - Passphrase to check
+ * @returns {Promise<boolean>} Promise resolving to true if it is the journal's passphrase
+ */
+export async function verifyPassphrase(passphrase) {
+    const config = await getMetaValue(ENCRYPTION_KEY);
+    return Boolean(config) && (await unwrapDataKey(config, passphrase)) !== null;
+}
+
+/**
+ * Checks whether a stored value is sealed
+ * @param {*} value - Stored value
+ * @returns {boolean} True if the value holds an encrypted payload
+ */
+function isSealed(value) {
+    return Boolean(value) && typeof value === 'object' && Boolean(value.sealed) && ArrayBuffer.isView(value.sealed.iv);
+}
+
+/**
+ * Gets the key to seal new data with
+ * @returns {CryptoKey|null} Data key, or null if encryption is off
+ * @throws {Error} If the journal is encrypted but locked, so nothing is ever written in plaintext
+ */
+function getSealingKey() {
+    if (isJournalLocked()) {
+        throw new Error('The journal is locked');
+    }
+    return dataKey;
+}
+
+/**
+ * Seals a value with a key
+ * @param {CryptoKey|null} key - Data key, or null to leave the value as it is
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<*>} Promise resolving to the sealed value
+ */
+async function sealValueWith(key, value) {
+    return key ? { sealed: await encryptJson(key, value) } : value;
+}
+
+/**
+ * Opens a value sealed with a key
+ * @param {CryptoKey|null} key - Data key
+ * @param {*} value - Stored value, sealed or not
+ * @returns {Promise<*>} Promise resolving to the plain value
+ * @throws {Error} If the value is sealed and the key is missing or wrong
+ */
+async function openValueWith(key, value) {
+    if (!isSealed(value)) {
+        return value;
+    }
+    if (!key) {
+        throw new Error('The journal is locked');
+    }
+    
+    const cacheKey = toBase64(value.sealed.iv);
+    let json = openedPayloads.get(cacheKey);
+    if (json === undefined) {
+        json = new TextDecoder().decode(await decryptBytes(key, value.sealed));
+        if (openedPayloads.size >= MAX_OPENED_PAYLOADS) {
+            openedPayloads.clear();
+        }
+        openedPayloads.set(cacheKey, json);
+    }
+    // Parsed afresh each time, so callers can change what they get back
+    return JSON.parse(json);
+}
+
+/**
+ * Seals an entry record with a key, leaving the indexed fields readable
+ * @param {CryptoKey|null} key - Data key, or null to leave the record as it is
+ * @param {Object} record - Plain entry record
+ * @returns {Promise<Object>} Promise resolving to the record to store
+ */
+async function sealRecordWith(key, record) {
+    if (!key) {
+        return record;
+    }
+    const clear = {};
+    const payload = {};
+    Object.entries(record).forEach(([field, value]) => {
+        if (CLEAR_FIELDS.includes(field)) {
+            clear[field] = value;
+        } else {
+            payload[field] = value;
+        }
+    });
+    return { ...clear, ...(await sealValueWith(key, payload)) };
+}
+
+/**
+ * Opens an entry record sealed with a key
+ * @param {CryptoKey|null} key - Data key
+ * @param {Object} stored - Stored record, sealed or not
+ * @returns {Promise<Object>} Promise resolving to the plain record
+ */
+async function openRecordWith(key, stored) {
+    if (!isSealed(stored)) {
+        return stored;
+    }
+    const clear = { ...stored };
+    delete clear.sealed;
+    return { ...clear, ...(await openValueWith(key, stored)) };
+}
+
+/**
+ * Seals a file's contents with a key
+ * @param {CryptoKey|null} key - Data key, or null to leave the file as it is
+ * @param {Blob} blob - File contents
+ * @returns {Promise<*>} Promise resolving to the value to store
+ */
+async function sealBlobWith(key, blob) {
+    return key ? { sealed: await encryptBytes(key, await blob.arrayBuffer()), type: blob.type } : blob;
+}
+
+/**
+ * Opens a file's contents sealed with a key
+ * Files are not cached like JSON payloads, as they can be large.
+ * @param {CryptoKey|null} key - Data key
+ * @param {*} value - Stored value, sealed or not
+ * @returns {Promise<Blob>} Promise resolving to the file contents
+ * @throws {Error} If the value is sealed and the key is missing or wrong
+ */
+async function openBlobWith(key, value) {
+    if (!isSealed(value)) {
+        return value;
+    }
+    if (!key) {
+        throw new Error('The journal is locked');
+    }
+    return new Blob([await decryptBytes(key, value.sealed)], { type: value.type });
+}
+
+/**
+ * Seals an entry record for storage (unchanged while encryption is off)
+ * @param {Object} record - Plain entry record
+ * @returns {Promise<Object>} Promise resolving to the record to store
+ */
+export function sealRecord(record) {
+    return sealRecordWith(getSealingKey(), record);
+}
+
+/**
+ * Opens a stored entry record (plain records are returned as they are)
+ * @param {Object} stored - Stored record
+ * @returns {Promise<Object>} Promise resolving to the plain record
+ */
+export function openRecord(stored) {
+    return openRecordWith(dataKey, stored);
+}
+
+/**
+ * Seals any other value that holds entry text (unchanged while encryption is off)
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<*>} Promise resolving to the value to store
+ */
+export function sealValue(value) {
+    return sealValueWith(getSealingKey(), value);
+}
+
+/**
+ * Opens a value stored with sealValue (plain values are returned as they are)
+ * @param {*} value - Stored value
+ * @returns {Promise<*>} Promise resolving to the plain value
+ */
+export function openValue(value) {
+    return openValueWith(dataKey, value);
+}
+
+/**
+ * Seals a file, e.g. a photo, for storage (unchanged while encryption is off)
+ * @param {Blob} blob - File contents
+ * @returns {Promise<*>} Promise resolving to the value to store
+ */
+export function sealBlob(blob) {
+    return sealBlobWith(getSealingKey(), blob);
+}
+
+/**
+ * Opens a file stored with sealBlob (plain files are returned as they are)
+ * @param {*} value - Stored value
+ * @returns {Promise<Blob>} Promise resolving to the file contents
+ */
+export function openBlob(value) {
+    return openBlobWith(dataKey, value);
+}
+
+/**
+ * Gets a token that changes whenever a stored record is rewritten
+ * Lets a read-decrypt-write sequence notice that another tab changed the record in between.
+ * @param {Object} stored - Stored record
+ * @returns {string} Version token
+ */
+export function getRecordVersion(stored) {
+    // A plain record can change without a new update time (e.g. when starred), so all of it counts
+    return isSealed(stored) ? toBase64(stored.sealed.iv) : JSON.stringify(stored);
+}
+
+/**
+ * Queues reads of everything rewriteJournal re-seals
+ * @param {IDBTransaction} transaction - Transaction over the sealed stores and the meta store
+ * @param {function(Object): void} [onRead] - Called with the result once every read has finished
+ * @returns {Object} Records by store name, and the sealed meta values by key under meta
+ */
+function readSealedData(transaction, onRead) {
+    const result = { meta: {} };
+    let pending = SEALED_STORES.length + SEALED_META_KEYS.length;
+    const finish = () => {
+        pending--;
+        if (pending === 0 && onRead) {
+            onRead(result);
+        }
+    };
+    
+    SEALED_STORES.forEach(storeName => {
+        transaction.objectStore(storeName).getAll().onsuccess = (event) => {
+            result[storeName] = event.target.result;
+            finish();
+        };
+    });
+    SEALED_META_KEYS.forEach(metaKey => {
+        transaction.objectStore(META_STORE).get(metaKey).onsuccess = (event) => {
+            if (event.target.result !== undefined) {
+                result.meta[metaKey] = event.target.result;
+            }
+            finish();
+        };
+    });
+    return result;
+}
+
+/**
+ * Gets a version of everything rewriteJournal re-seals, to tell whether any of it changed
+ * @param {Object} stored - Result of readSealedData
+ * @returns {string} Version that changes whenever a record is added, removed or changed
+ */
+function getSealedDataVersion(stored) {
+    return JSON.stringify({
+        stores: SEALED_STORES.map(storeName => stored[storeName].map(getRecordVersion)),
+        meta: Object.entries(stored.meta).map(([metaKey, value]) => [metaKey, getRecordVersion(value)])
+    });
+}
+
+/**
+ * Re-encrypts every stored copy of entry text, and every mood and photo, from one key to another
+ * Everything is read first, because WebCrypto cannot run inside an IndexedDB
+ * transaction; the rewrite and the new settings are then committed together,
+ * once the write has checked that nothing changed since the read (e.g. in
+ * another tab). If something did, it starts over, so no write is lost or left
+ * sealed with the old key.
+ * @param {CryptoKey|null} fromKey - Current data key (null if stored in plaintext)
+ * @param {CryptoKey|null} toKey - New data key (null to store in plaintext)
+ * @param {EncryptionConfig|null} config - New settings to store (null removes them)
+ * @returns {Promise<void>}
+ * @throws {Error} If the journal keeps changing while re-encrypting
+ */
+async function rewriteJournal(fromKey, toKey, config) {
+    const storeNames = [...SEALED_STORES, META_STORE];
+    const reseal = async (value) => sealValueWith(toKey, await openValueWith(fromKey, value));
+    const resealRecord = async (record) => sealRecordWith(toKey, await openRecordWith(fromKey, record));
+    const resealBlob = async (value) => sealBlobWith(toKey, await openBlobWith(fromKey, value));
+    
+    for (let attempt = 1; attempt <= MAX_REWRITE_ATTEMPTS; attempt++) {
+        const stored = await runTransaction(storeNames, 'readonly', (transaction) => readSealedData(transaction));
+        const version = getSealedDataVersion(stored);
+        
+        const entries = await Promise.all(stored[ENTRIES_STORE].map(resealRecord));
+        const trash = await Promise.all(stored[TRASH_STORE].map(resealRecord));
+        const moods = await Promise.all(stored[MOODS_STORE].map(resealRecord));
+        const attachments = await Promise.all(stored[ATTACHMENTS_STORE].map(async ({ image, thumbnail, ...record }) => ({
+            ...(await resealRecord(record)),
+            image: await resealBlob(image),
+            thumbnail: await resealBlob(thumbnail)
+        })));
+        const snapshots = await Promise.all(stored[SNAPSHOTS_STORE].map(async snapshot => ({ ...snapshot, entries: await reseal(snapshot.entries) })));
+        const meta = {};
+        for (const [metaKey, value] of Object.entries(stored.meta)) {
+            meta[metaKey] = await reseal(value);
+        }
+        
+        const written = await runTransaction(storeNames, 'readwrite', (transaction) => {
+            const outcome = { written: false };
+            readSealedData(transaction, (current) => {
+                if (getSealedDataVersion(current) !== version) {
+                    return;
+                }
+                entries.forEach(record => transaction.objectStore(ENTRIES_STORE).put(record));
+                trash.forEach(record => transaction.objectStore(TRASH_STORE).put(record));
+                moods.forEach(record => transaction.objectStore(MOODS_STORE).put(record));
+                attachments.forEach(record => transaction.objectStore(ATTACHMENTS_STORE).put(record));
+                snapshots.forEach(snapshot => transaction.objectStore(SNAPSHOTS_STORE).put(snapshot));
+                const metaStore = transaction.objectStore(META_STORE);
+                Object.entries(meta).forEach(([metaKey, value]) => metaStore.put(value, metaKey));
+                if (config) {
+                    metaStore.put(config, ENCRYPTION_KEY);
+                } else {
+                    metaStore.delete(ENCRYPTION_KEY);
+                }
+                outcome.written = true;
+            });
+            return outcome;
+        });
+        
+        if (written.written) {
+            return;
+        }
+    }
+    throw new Error('The journal kept changing while re-encrypting');
+}
+
+/**
+ * Turns on encryption and encrypts everything already stored
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If encryption is already on
+ */
+export async function enableEncryption(passphrase) {
+    if (encryptionEnabled) {
+        throw new Error('Encryption is already turned on');
+    }
+    
+    const keyBytes = generateKeyBytes();
+    const config = await wrapDataKey(keyBytes, passphrase);
+    const key = await importKey(keyBytes);
+    await rewriteJournal(null, key, config);
+    dataKey = key;
+    encryptionEnabled = true;
+}
+
+/**
+ * Changes the passphrase; the entries themselves are not re-encrypted
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ * @returns {Promise<boolean>} Promise resolving to true if changed, false if the current passphrase is wrong
+ */
+export async function changePassphrase(currentPassphrase, newPassphrase) {
+    const config = await getMetaValue(ENCRYPTION_KEY);
+    const keyBytes = config ? await unwrapDataKey(config, currentPassphrase) : null;
+    if (!keyBytes) {
+        return false;
+    }
+    await setMetaValue(ENCRYPTION_KEY, await wrapDataKey(keyBytes, newPassphrase));
+    return true;
+}
+
+/**
+ * Turns off encryption and stores everything in plaintext again
+ * @param {string} passphrase - Current passphrase
+ * @returns {Promise<boolean>} Promise resolving to true if turned off, false if the passphrase is wrong
+ */
+export async function disableEncryption(passphrase) {
+    const config = await getMetaValue(ENCRYPTION_KEY);
+    const keyBytes = config ? await unwrapDataKey(config, passphrase) : null;
+    if (!keyBytes) {
+        return false;
+    }
+    
+    await rewriteJournal(await importKey(keyBytes), null, null);
+    dataKey = null;
+    encryptionEnabled = false;
+    openedPayloads.clear();
+    return true;
+}
@@ -0,0 +1,102 @@
+/**
+ * Daily goal
+ * A day is complete once it has at least the goal's number of entries; a day
+ * with fewer is partial, and whether one can be saved that way is up to the
+ * user. Streaks and the calendar only count complete days. An optional weekly
+ * target counts the complete days of each week, Sunday to Saturday. Missed
+ * days can be forgiven by grace days and streak freezes (see streakUtils.js).
+ */
+
+import { getSetting } from './settings.js';
+import { formatDate, getWeekStartDate } from '../utils/dateUtils.js';
+
+// Largest number of entries a day can be asked for
+export const MAX_ITEMS_PER_DAY = 10;
+
+// Most missed days a week can forgive, and most freezes that can be saved up
+export const MAX_GRACE_DAYS_PER_WEEK = 3;
+export const MAX_STREAK_FREEZES = 5;
+
+/**
+ * What makes a day complete
+ * @typedef {Object} DailyGoal
+ * @property {number} itemsPerDay - Entries needed for a day to be complete
+ * @property {number} daysPerWeek - Complete days aimed for each week (0 = no weekly target)
+ * @property {boolean} allowPartialDays - True if a day can be saved with fewer entries than the goal
+ */
+
+/**
+ * Keeps a whole number within bounds
+ * @param {*} value - Value from the settings
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {number} fallback - Value to use if the setting is not a whole number
+ * @returns {number} Number within bounds
+ */
+function clampInteger(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isInteger(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+/**
+ * Gets the daily goal from the settings
+ * @returns {DailyGoal} The goal
+ */
+export function getDailyGoal() {
+    return {
+        itemsPerDay: clampInteger(getSetting('goalItemsPerDay'), 1, MAX_ITEMS_PER_DAY, 3),
+        daysPerWeek: clampInteger(getSetting('goalDaysPerWeek'), 0, 7, 0),
+        allowPartialDays: Boolean(getSetting('allowPartialDays'))
+    };
+}
+
+/**
+ * Gets the rules that forgive missed days from the settings
+ * @returns {import('../utils/streakUtils.js').StreakRules} The rules
+ */
+export function getStreakRules() {
+    return {
+        graceDaysPerWeek: clampInteger(getSetting('streakGraceDaysPerWeek'), 0, MAX_GRACE_DAYS_PER_WEEK, 0),
+        freezeEvery: clampInteger(getSetting('streakFreezeEvery'), 0, 365, 7),
+        maxFreezes: clampInteger(getSetting('streakMaxFreezes'), 0, MAX_STREAK_FREEZES, 2)
+    };
+}
+
+/**
+ * Checks whether a day meets the goal
+ * @param {number} entryCount - Number of entries on the day
+ * @param {DailyGoal} [goal] - Goal to check against (defaults to the one in the settings)
+ * @returns {boolean} True if the day is complete
+ */
+export function isDayComplete(entryCount, goal = getDailyGoal()) {
+    return entryCount >= goal.itemsPerDay;
+}
+
+/**
+ * Works out how many more entries a day needs before new ones can be saved
+ * @param {number} existingCount - Entries the day already has
+ * @param {number} addedCount - Entries about to be added
+ * @param {DailyGoal} [goal] - Goal to check against (defaults to the one in the settings)
+ * @returns {number} Entries still missing, or 0 if the new entries can be saved
+ */
+export function getGoalShortfall(existingCount, addedCount, goal = getDailyGoal()) {
+    if (goal.allowPartialDays) {
+        return 0;
+    }
+    return Math.max(goal.itemsPerDay - existingCount - addedCount, 0);
+}
+
+/**
+ * Counts the complete days in the week containing a date
+ * @param {Array<string>} completeDates - Complete days as YYYY-MM-DD strings
+ * @param {string} dateKey - Any day of the week, in YYYY-MM-DD format
+ * @returns {number} Complete days in that week
+ */
+export function countCompleteDaysInWeek(completeDates, dateKey) {
+    const weekStart = getWeekStartDate(new Date(dateKey + 'T00:00:00'));
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 6);
+    const first = formatDate(weekStart);
+    const last = formatDate(weekEnd);
+    return completeDates.filter(date => date >= first && date <= last).length;
+}
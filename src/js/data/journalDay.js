@@ -0,0 +1,158 @@
+/**
+ * The journal day
+ * "Today" is the journal day, which starts at the hour set in the settings
+ * (dayStartHour) rather than at midnight, so entries written just after
+ * midnight still count toward the day before. The journal day follows the
+ * device's time zone, or a home time zone (timeZoneMode 'home'), so that
+ * traveling does not skip or repeat days.
+ */
+
+import { getSetting } from './settings.js';
+import { formatDate, getJournalTime, getDeviceTimeZone, isValidTimeZone } from '../utils/dateUtils.js';
+
+// Latest hour a new journal day can be set to start at
+export const MAX_DAY_START_HOUR = 6;
+
+/**
+ * Gets the hour the journal day starts at from the settings
+ * @returns {number} Hour from 0 (midnight) to MAX_DAY_START_HOUR
+ */
+export function getDayStartHour() {
+    const hour = Number(getSetting('dayStartHour'));
+    return Number.isInteger(hour) ? Math.min(Math.max(hour, 0), MAX_DAY_START_HOUR) : 0;
+}
+
+/**
+ * Gets the home time zone the journal is anchored to, if there is one
+ * @returns {string|null} Time zone name, or null if the journal follows the device
+ */
+function getHomeTimeZone() {
+    const homeTimeZone = getSetting('homeTimeZone');
+    return getSetting('timeZoneMode') === 'home' && isValidTimeZone(homeTimeZone) ? homeTimeZone : null;
+}
+
+/**
+ * Gets the time zone journal days are counted in
+ * @returns {string} The home time zone, or the device's if the journal follows the device
+ */
+export function getJournalTimeZone() {
+    return getHomeTimeZone() || getDeviceTimeZone();
+}
+
+/**
+ * Gets the current time, on the date of the journal day it belongs to
+ * @returns {Date} Current time, on the journal day's date
+ */
+export function getJournalNow() {
+    return getJournalTime(new Date(), getDayStartHour(), getHomeTimeZone());
+}
+
+/**
+ * Gets the journal day a moment belongs to
+ * @param {Date} date - The moment
+ * @returns {string} Journal day in YYYY-MM-DD format
+ */
+export function getJournalDateOf(date) {
+    return formatDate(getJournalTime(date, getDayStartHour(), getHomeTimeZone()));
+}
+
+/**
+ * Gets today's date as a formatted string
+ * @returns {string} Today's journal day in YYYY-MM-DD format
+ */
+export function getTodayDateString() {
+    return getJournalDateOf(new Date());
+}
+
+/**
+ * Formats a date string for display (Today, Yesterday, or full date)
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @returns {string} Human-readable date string
+ */
+export function formatDateDisplay(dateString) {
+    const date = new Date(dateString + 'T00:00:00');
+    const today = getJournalNow();
+    const yesterday = new Date(today);
+    yesterday.setDate(yesterday.getDate() - 1);
+    
+    if (formatDate(date) === formatDate(today)) {
+        return 'Today';
+    } else if (formatDate(date) === formatDate(yesterday)) {
+        return 'Yesterday';
+    } else {
+        return date.toLocaleDateString('en-US', {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+}
+
+/**
+ * Formats an ISO timestamp for display: "Nov 11, 2025, 9:41 AM"
+ * @param {string} isoString - ISO timestamp
+ * @param {string} [timeZone] - Time zone to show the time in (defaults to the journal's)
+ * @returns {string} Human-readable date and time
+ */
+export function formatTimestamp(isoString, timeZone = getJournalTimeZone()) {
+    return new Date(isoString).toLocaleString('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Gets a date string for a specific time period ago
+ * @param {number} daysAgo - Number of days before today's journal day
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function getDateDaysAgo(daysAgo) {
+    const date = getJournalNow();
+    date.setDate(date.getDate() - daysAgo);
+    return formatDate(date);
+}
+
+/**
+ * Gets a date string for approximately a week ago (7 days)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function getLastWeekDate() {
+    return getDateDaysAgo(7);
+}
+
+/**
+ * Gets a date string for approximately a month ago (30 days)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function getLastMonthDate() {
+    return getDateDaysAgo(30);
+}
+
+/**
+ * Gets a date string for approximately 3 months ago (90 days)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function getThreeMonthsAgoDate() {
+    return getDateDaysAgo(90);
+}
+
+/**
+ * Gets a date string for approximately 6 months ago (180 days)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function getSixMonthsAgoDate() {
+    return getDateDaysAgo(180);
+}
+
+/**
+ * Gets a date string for approximately 1 year ago (365 days)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export function getOneYearAgoDate() {
+    return getDateDaysAgo(365);
+}
@@ -0,0 +1,186 @@
+/**
+ * Named journals kept side by side in one install
+ * Every entry, trashed entry and snapshot carries the id of its journal, and
+ * storage only ever reads the active one. The list of journals is kept in
+ * localStorage next to the settings, so other tabs see changes to it.
+ */
+
+import { generateId } from '../utils/idUtils.js';
+
+const JOURNALS_KEY = 'gratitudeJournals';
+const ACTIVE_JOURNAL_KEY = 'gratitudeActiveJournal';
+
+// Journal that entries written before journals existed belong to
+export const DEFAULT_JOURNAL_ID = 'default';
+
+// Theme colors a journal can use (see the journal colors in styles.css)
+export const JOURNAL_COLORS = ['blue', 'green', 'purple', 'rose', 'amber', 'teal'];
+
+const DEFAULT_JOURNAL = { id: DEFAULT_JOURNAL_ID, name: 'My Journal', color: 'blue' };
+
+const MAX_NAME_LENGTH = 40;
+
+let activeJournalId = null;
+
+/**
+ * A named journal
+ * @typedef {Object} Journal
+ * @property {string} id - Unique identifier
+ * @property {string} name - Name shown in the switcher
+ * @property {string} color - Theme color, one of JOURNAL_COLORS
+ */
+
+/**
+ * Cleans up a journal name
+ * @param {*} name - Name typed by the user or read from a backup
+ * @returns {string} Trimmed name, or an empty string if unusable
+ */
+function normalizeName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+/**
+ * Checks that a value is a known journal color
+ * @param {*} color - Value to check
+ * @returns {string} The color, or the default color if unknown
+ */
+function normalizeColor(color) {
+    return JOURNAL_COLORS.includes(color) ? color : DEFAULT_JOURNAL.color;
+}
+
+/**
+ * Saves the list of journals
+ * @param {Array<Journal>} journals - Journals to save
+ */
+function saveJournals(journals) {
+    localStorage.setItem(JOURNALS_KEY, JSON.stringify(journals));
+}
+
+/**
+ * Lists every journal, in the order they were created
+ * @returns {Array<Journal>} Journals (never empty)
+ */
+export function listJournals() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(JOURNALS_KEY));
+        const journals = Array.isArray(stored)
+            ? stored.filter(journal => journal && typeof journal.id === 'string' && normalizeName(journal.name))
+            : [];
+        return journals.length > 0 ? journals : [{ ...DEFAULT_JOURNAL }];
+    } catch (error) {
+        console.error('Error reading journals:', error);
+        return [{ ...DEFAULT_JOURNAL }];
+    }
+}
+
+/**
+ * Gets a journal by its id
+ * @param {string} journalId - Id of the journal
+ * @returns {Journal|null} Journal, or null if not found
+ */
+export function getJournal(journalId) {
+    return listJournals().find(journal => journal.id === journalId) || null;
+}
+
+/**
+ * Gets the id of the journal being shown
+ * Each tab keeps its own; a new tab opens the journal last chosen in any tab.
+ * @returns {string} Id of the active journal
+ */
+export function getActiveJournalId() {
+    if (!activeJournalId || !getJournal(activeJournalId)) {
+        const stored = localStorage.getItem(ACTIVE_JOURNAL_KEY);
+        activeJournalId = stored && getJournal(stored) ? stored : listJournals()[0].id;
+    }
+    return activeJournalId;
+}
+
+/**
+ * Gets the journal being shown
+ * @returns {Journal} Active journal
+ */
+export function getActiveJournal() {
+    return getJournal(getActiveJournalId());
+}
+
+/**
+ * Makes a journal the active one
+ * Use storage's switchJournal, which also tells cached state to start over.
+ * @param {string} journalId - Id of the journal
+ * @returns {boolean} True if the journal exists
+ */
+export function setActiveJournalId(journalId) {
+    if (!getJournal(journalId)) {
+        return false;
+    }
+    activeJournalId = journalId;
+    localStorage.setItem(ACTIVE_JOURNAL_KEY, journalId);
+    return true;
+}
+
+/**
+ * Creates a journal
+ * @param {string} name - Journal name
+ * @param {string} [color] - Theme color
+ * @param {string} [journalId] - Id to use (e.g. when restoring a backup); a new one by default
+ * @returns {Journal} The new journal
+ * @throws {Error} If the name is empty
+ */
+export function createJournal(name, color, journalId = generateId()) {
+    const journalName = normalizeName(name);
+    if (!journalName) {
+        throw new Error('Journal name is required');
+    }
+    const journal = { id: journalId, name: journalName, color: normalizeColor(color) };
+    saveJournals([...listJournals(), journal]);
+    return journal;
+}
+
+/**
+ * Renames a journal or changes its color
+ * @param {string} journalId - Id of the journal
+ * @param {Object} changes - Changes to apply
+ * @param {string} [changes.name] - New name
+ * @param {string} [changes.color] - New theme color
+ * @returns {Journal|null} Updated journal, or null if not found
+ */
+export function updateJournal(journalId, { name, color }) {
+    let updated = null;
+    const journals = listJournals().map(journal => {
+        if (journal.id !== journalId) {
+            return journal;
+        }
+        updated = {
+            ...journal,
+            name: normalizeName(name) || journal.name,
+            color: color === undefined ? journal.color : normalizeColor(color)
+        };
+        return updated;
+    });
+    if (updated) {
+        saveJournals(journals);
+    }
+    return updated;
+}
+
+/**
+ * Removes a journal from the list; its data is deleted separately (see storage)
+ * @param {string} journalId - Id of the journal
+ * @returns {boolean} True if removed
+ * @throws {Error} If it is the only journal
+ */
+export function removeJournal(journalId) {
+    const journals = listJournals();
+    if (journals.length <= 1) {
+        throw new Error('The last journal cannot be deleted');
+    }
+    const remaining = journals.filter(journal => journal.id !== journalId);
+    if (remaining.length === journals.length) {
+        return false;
+    }
+    saveJournals(remaining);
+    if (activeJournalId === journalId) {
+        activeJournalId = null;
+    }
+    return true;
+}
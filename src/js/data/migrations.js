@@ -0,0 +1,219 @@
+/**
+ * Storage schema versioning and migrations
+ */
+
+import { getAllEntries, saveEntries, getTotalEntryCount, getLegacyRawEntries, clearLegacyEntries, createEntryRecord } from './storage.js';
+import { getMetaValue, setMetaValue } from './db.js';
+import { quarantineData, splitValidEntries } from './recovery.js';
+import { takeSnapshot } from './snapshots.js';
+import { listJournals } from './journals.js';
+
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// localStorage keys used before the journal moved to IndexedDB
+const LEGACY_SCHEMA_VERSION_KEY = 'gratitudeSchemaVersion';
+const LEGACY_BACKUP_KEY = 'gratitudeEntriesBackup';
+
+/**
+ * Ordered list of migration steps
+ * Each step receives the entries object at the previous version and returns it at `version`.
+ * Append new steps to the end; never edit or reorder a step that has shipped.
+ * @type {Array<{version: number, description: string, migrate: function(Object): Object}>}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Convert plain-string entries into entry records',
+        migrate(entries) {
+            const migrated = {};
+            Object.entries(entries).forEach(([date, items]) => {
+                if (!Array.isArray(items)) {
+                    return;
+                }
+                migrated[date] = items.map(item => {
+                    if (typeof item !== 'string') {
+                        return item;
+                    }
+                    // The original write time is unknown, so use the start of the entry's day
+                    const createdAt = new Date(date + 'T00:00:00').toISOString();
+                    return createEntryRecord(item, { createdAt, meta: { migrated: true } });
+                });
+            });
+            return migrated;
+        }
+    },
+    {
+        version: 2,
+        description: 'Store the date on each record and keep same-day entries in order',
+        migrate(entries) {
+            const migrated = {};
+            Object.entries(entries).forEach(([date, items]) => {
+                let previous = null;
+                migrated[date] = items.map(item => {
+                    // Per-entry storage orders a day's entries by creation time, so
+                    // entries that shared a timestamp get 1ms apart in their array order
+                    let createdAt = item.createdAt;
+                    if (previous && createdAt <= previous) {
+                        createdAt = new Date(new Date(previous).getTime() + 1).toISOString();
+                    }
+                    previous = createdAt;
+                    return { ...item, date, createdAt };
+                });
+            });
+            return migrated;
+        }
+    },
+    {
+        version: 3,
+        description: 'Give each record an edit history',
+        migrate(entries) {
+            const migrated = {};
+            Object.entries(entries).forEach(([date, items]) => {
+                migrated[date] = items.map(item => ({ ...item, revisions: item.revisions || [] }));
+            });
+            return migrated;
+        }
+    },
+    {
+        version: 4,
+        description: 'Give each record a list of explicit tags',
+        migrate(entries) {
+            const migrated = {};
+            Object.entries(entries).forEach(([date, items]) => {
+                migrated[date] = items.map(item => ({ ...item, tags: item.tags || [] }));
+            });
+            return migrated;
+        }
+    }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Gets the schema version of the stored data
+ * @returns {Promise<number>} Promise resolving to the stored schema version (0 if unmarked)
+ */
+export async function getSchemaVersion() {
+    const version = await getMetaValue(SCHEMA_VERSION_KEY);
+    return typeof version === 'number' ? version : 0;
+}
+
+/**
+ * Saves the schema version marker
+ * @param {number} version - Schema version to store
+ * @returns {Promise<void>}
+ */
+function setSchemaVersion(version) {
+    return setMetaValue(SCHEMA_VERSION_KEY, version);
+}
+
+/**
+ * Applies every migration step newer than the given version
+ * @param {Object} entries - Entries object at `fromVersion`
+ * @param {number} fromVersion - Schema version of the entries
+ * @returns {Object} Entries object at the current schema version
+ */
+function applyMigrations(entries, fromVersion) {
+    return MIGRATIONS
+        .filter(step => step.version > fromVersion)
+        .reduce((migrated, step) => {
+            console.log(`Migrating storage to v${step.version}: ${step.description}`);
+            return step.migrate(migrated);
+        }, entries);
+}
+
+/**
+ * Moves the journal from the legacy localStorage blob into IndexedDB
+ * The blob is only removed after IndexedDB has committed, so it stays the
+ * fallback if anything here throws. A blob that cannot be parsed, and any
+ * part of it with the wrong shape, is quarantined for the recovery screen
+ * rather than dropped.
+ * @param {string} raw - Raw JSON string from localStorage
+ * @returns {Promise<boolean>} True if the move succeeded
+ */
+async function moveLegacyEntries(raw) {
+    try {
+        const legacyVersion = parseInt(localStorage.getItem(LEGACY_SCHEMA_VERSION_KEY), 10) || 0;
+        
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            console.error('Saved entries could not be parsed, quarantining them:', error);
+            await quarantineData('legacy', raw, 'Saved entries could not be read');
+            parsed = {};
+        }
+        
+        const { valid, invalid } = splitValidEntries(parsed);
+        if (invalid) {
+            await quarantineData('legacy', JSON.stringify(invalid), 'Some saved entries had an unexpected format');
+        }
+        
+        // Replaces the localStorage backup that is removed below
+        await takeSnapshot('migration', valid);
+        
+        const entries = applyMigrations(valid, legacyVersion);
+        
+        await saveEntries(entries);
+        await setSchemaVersion(CURRENT_SCHEMA_VERSION);
+        
+        clearLegacyEntries();
+        localStorage.removeItem(LEGACY_SCHEMA_VERSION_KEY);
+        localStorage.removeItem(LEGACY_BACKUP_KEY);
+        return true;
+    } catch (error) {
+        console.error('Error moving entries from localStorage to IndexedDB:', error);
+        return false;
+    }
+}
+
+/**
+ * Runs all pending migrations, once, at startup, over every journal
+ * A backup is taken first; if any step throws, the backup is restored.
+ * @returns {Promise<boolean>} True if the data is at the current version, false if migrating failed
+ */
+export async function runMigrations() {
+    const legacyRaw = getLegacyRawEntries();
+    if (legacyRaw !== null) {
+        return moveLegacyEntries(legacyRaw);
+    }
+    
+    const fromVersion = await getSchemaVersion();
+    if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+        return true;
+    }
+    
+    const backups = [];
+    try {
+        for (const journal of listJournals()) {
+            if (await getTotalEntryCount(journal.id) === 0) {
+                continue;
+            }
+            const backup = {
+                journalId: journal.id,
+                entries: await getAllEntries(journal.id)
+            };
+            // Kept as a snapshot, so the pre-migration journal can still be restored later
+            await takeSnapshot('migration', backup.entries, journal.id);
+            backups.push(backup);
+        }
+    } catch (error) {
+        console.error('Error backing up before migration:', error);
+        return false;
+    }
+    
+    try {
+        for (const backup of backups) {
+            await saveEntries(applyMigrations(backup.entries, fromVersion), backup.journalId);
+        }
+        await setSchemaVersion(CURRENT_SCHEMA_VERSION);
+        return true;
+    } catch (error) {
+        console.error('Error migrating storage, restoring backup:', error);
+        for (const backup of backups) {
+            await saveEntries(backup.entries, backup.journalId);
+        }
+        await setSchemaVersion(fromVersion);
+        return false;
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * People index: the names and aliases of people mentioned in each journal
+ * Who is mentioned is always read from the entries themselves; only the
+ * choices the user makes are stored here: which names were merged into which
+ * person, and any name picked to show for a person. The index is kept in the
+ * meta store and sealed like entries, since it holds people's names.
+ */
+
+import { getMetaValue, setMetaValue } from './db.js';
+import { sealValue, openValue } from './encryption.js';
+import { getActiveJournalId } from './journals.js';
+import { normalizePersonKey, resolvePersonKey } from '../utils/mentionUtils.js';
+
+const PEOPLE_KEY = 'people';
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * A journal's people index
+ * @typedef {Object} PeopleIndex
+ * @property {Object<string, string>} aliases - Merged person keys mapped to the key they were merged into
+ * @property {Object<string, string>} names - Names chosen for people, by person key
+ */
+
+/**
+ * Reads the people index of every journal
+ * @returns {Promise<Object<string, PeopleIndex>>} Promise resolving to indexes by journal id
+ */
+async function getAllIndexes() {
+    return (await openValue(await getMetaValue(PEOPLE_KEY))) || {};
+}
+
+/**
+ * Saves the people index of one journal
+ * @param {string} journalId - Id of the journal
+ * @param {PeopleIndex|null} index - Index to save, or null to remove it
+ * @returns {Promise<void>}
+ */
+async function saveIndex(journalId, index) {
+    const indexes = await getAllIndexes();
+    if (index) {
+        indexes[journalId] = index;
+    } else {
+        delete indexes[journalId];
+    }
+    await setMetaValue(PEOPLE_KEY, await sealValue(indexes));
+}
+
+/**
+ * Gets the people index of a journal
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<PeopleIndex>} Promise resolving to the index (empty if nothing was merged or named)
+ */
+export async function getPeopleIndex(journalId = getActiveJournalId()) {
+    const index = (await getAllIndexes())[journalId] || {};
+    return { aliases: { ...index.aliases }, names: { ...index.names } };
+}
+
+/**
+ * Merges one person into another, e.g. "@Mother" into "@Mom"
+ * Names already merged into the first person follow it.
+ * @param {string} fromKey - Key of the person to merge away
+ * @param {string} intoKey - Key of the person to keep
+ * @returns {Promise<PeopleIndex>} Promise resolving to the updated index
+ * @throws {Error} If the keys are the same person
+ */
+export async function mergePeople(fromKey, intoKey) {
+    const journalId = getActiveJournalId();
+    const index = await getPeopleIndex(journalId);
+    const from = resolvePersonKey(normalizePersonKey(fromKey), index.aliases);
+    const into = resolvePersonKey(normalizePersonKey(intoKey), index.aliases);
+    if (!from || !into || from === into) {
+        throw new Error('Pick two different people to merge');
+    }
+    
+    index.aliases[from] = into;
+    Object.keys(index.aliases).forEach(key => {
+        if (index.aliases[key] === from) {
+            index.aliases[key] = into;
+        }
+    });
+    if (!index.names[into] && index.names[from]) {
+        index.names[into] = index.names[from];
+    }
+    delete index.names[from];
+    await saveIndex(journalId, index);
+    return index;
+}
+
+/**
+ * Separates a merged name from the person it was merged into
+ * @param {string} key - Key of the merged name
+ * @returns {Promise<PeopleIndex>} Promise resolving to the updated index
+ */
+export async function unmergePerson(key) {
+    const journalId = getActiveJournalId();
+    const index = await getPeopleIndex(journalId);
+    delete index.aliases[normalizePersonKey(key)];
+    await saveIndex(journalId, index);
+    return index;
+}
+
+/**
+ * Chooses the name shown for a person
+ * @param {string} key - Person key
+ * @param {string} name - Name to show; empty to go back to the name as written in entries
+ * @returns {Promise<PeopleIndex>} Promise resolving to the updated index
+ */
+export async function renamePerson(key, name) {
+    const journalId = getActiveJournalId();
+    const index = await getPeopleIndex(journalId);
+    const personKey = resolvePersonKey(normalizePersonKey(key), index.aliases);
+    const personName = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (personName) {
+        index.names[personKey] = personName;
+    } else {
+        delete index.names[personKey];
+    }
+    await saveIndex(journalId, index);
+    return index;
+}
+
+/**
+ * Adds imported aliases and names to a journal's index, keeping choices already made
+ * @param {PeopleIndex} importedIndex - Index read from a backup
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<void>}
+ */
+export async function mergePeopleIndex(importedIndex, journalId = getActiveJournalId()) {
+    const index = await getPeopleIndex(journalId);
+    let changed = false;
+    Object.entries(importedIndex.aliases || {}).forEach(([from, into]) => {
+        const fromKey = normalizePersonKey(from);
+        const intoKey = normalizePersonKey(into);
+        // Skip an alias that would make a loop with the ones already here
+        if (fromKey && intoKey && !index.aliases[fromKey] && resolvePersonKey(intoKey, index.aliases) !== fromKey) {
+            index.aliases[fromKey] = intoKey;
+            changed = true;
+        }
+    });
+    Object.entries(importedIndex.names || {}).forEach(([key, name]) => {
+        const personKey = normalizePersonKey(key);
+        if (personKey && !index.names[personKey] && typeof name === 'string' && name.trim()) {
+            index.names[personKey] = name.trim().slice(0, MAX_NAME_LENGTH);
+            changed = true;
+        }
+    });
+    if (changed) {
+        await saveIndex(journalId, index);
+    }
+}
+
+/**
+ * Removes a journal's people index, e.g. when the journal is deleted
+ * @param {string} journalId - Id of the journal
+ * @returns {Promise<void>}
+ */
+export function deletePeopleIndex(journalId) {
+    return saveIndex(journalId, null);
+}
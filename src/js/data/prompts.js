@@ -0,0 +1,246 @@
+/**
+ * Daily gratitude prompts
+ * A library of prompts ships with the app, grouped by theme, and users can add
+ * their own. Each day gets one prompt, picked from the themes left on in a
+ * fixed order for that date, so it stays the same all day and on every device;
+ * skipping moves on through that order. Custom prompts and today's skips are
+ * kept in localStorage next to the settings.
+ */
+
+import { getSetting } from './settings.js';
+import { generateId } from '../utils/idUtils.js';
+import { shuffleForDate } from '../utils/promptUtils.js';
+
+const CUSTOM_PROMPTS_KEY = 'gratitudePrompts';
+const PROMPT_SKIP_KEY = 'gratitudePromptSkip';
+
+// Theme that prompts added by the user belong to
+export const CUSTOM_THEME_ID = 'custom';
+
+const MAX_PROMPT_LENGTH = 140;
+
+/**
+ * A prompt shown above the Today form
+ * @typedef {Object} Prompt
+ * @property {string} id - Stable identifier, saved with the entries written for it
+ * @property {string} text - The question asked
+ * @property {string} theme - Id of the theme the prompt belongs to
+ */
+
+/**
+ * Themes of the bundled prompts; ids must never change, since entries keep them
+ * @type {Array<{id: string, name: string, prompts: Array<{id: string, text: string}>}>}
+ */
+export const PROMPT_THEMES = [
+    {
+        id: 'people',
+        name: 'People',
+        prompts: [
+            { id: 'people-1', text: 'Who made your day a little easier recently?' },
+            { id: 'people-2', text: 'Which friend are you glad you met, and why?' },
+            { id: 'people-3', text: 'What did someone teach you that you still use?' },
+            { id: 'people-4', text: 'Who would you like to thank but haven\'t yet?' },
+            { id: 'people-5', text: 'What small kindness from a stranger do you remember?' },
+            { id: 'people-6', text: 'Who makes you laugh the most?' }
+        ]
+    },
+    {
+        id: 'small-joys',
+        name: 'Small joys',
+        prompts: [
+            { id: 'small-joys-1', text: 'What was the best thing you ate today?' },
+            { id: 'small-joys-2', text: 'What sound, smell or taste made you smile lately?' },
+            { id: 'small-joys-3', text: 'What everyday object would you miss if it were gone?' },
+            { id: 'small-joys-4', text: 'What went better than expected today?' },
+            { id: 'small-joys-5', text: 'What made you stop and notice for a moment?' },
+            { id: 'small-joys-6', text: 'What song or book has been good company recently?' }
+        ]
+    },
+    {
+        id: 'body',
+        name: 'Body and health',
+        prompts: [
+            { id: 'body-1', text: 'What can your body do today that you are thankful for?' },
+            { id: 'body-2', text: 'When did you feel rested or at ease recently?' },
+            { id: 'body-3', text: 'Which of your senses gave you something lovely today?' },
+            { id: 'body-4', text: 'What habit is quietly taking care of you?' },
+            { id: 'body-5', text: 'Who or what helped you feel better the last time you were unwell?' }
+        ]
+    },
+    {
+        id: 'nature',
+        name: 'Nature and places',
+        prompts: [
+            { id: 'nature-1', text: 'What did you notice outside today?' },
+            { id: 'nature-2', text: 'Which place makes you feel at home?' },
+            { id: 'nature-3', text: 'What about this season are you enjoying?' },
+            { id: 'nature-4', text: 'What view would you like to see again?' },
+            { id: 'nature-5', text: 'What animal, plant or tree are you glad exists?' }
+        ]
+    },
+    {
+        id: 'growth',
+        name: 'Growth and challenges',
+        prompts: [
+            { id: 'growth-1', text: 'What difficulty taught you something worth knowing?' },
+            { id: 'growth-2', text: 'What are you better at now than a year ago?' },
+            { id: 'growth-3', text: 'What mistake turned out well in the end?' },
+            { id: 'growth-4', text: 'Which choice from your past self are you thankful for?' },
+            { id: 'growth-5', text: 'What problem is less of a problem than it used to be?' }
+        ]
+    },
+    {
+        id: 'work',
+        name: 'Work and learning',
+        prompts: [
+            { id: 'work-1', text: 'What part of your work or study did you enjoy today?' },
+            { id: 'work-2', text: 'Who helped you get something done recently?' },
+            { id: 'work-3', text: 'What did you learn this week?' },
+            { id: 'work-4', text: 'What tool or skill makes your days easier?' },
+            { id: 'work-5', text: 'What are you looking forward to working on?' }
+        ]
+    },
+    {
+        id: 'home',
+        name: 'Home and comfort',
+        prompts: [
+            { id: 'home-1', text: 'What is your favorite corner of your home, and why?' },
+            { id: 'home-2', text: 'What comfort do you usually take for granted?' },
+            { id: 'home-3', text: 'What tradition or ritual do you treasure?' },
+            { id: 'home-4', text: 'What is something you own that has a good story?' },
+            { id: 'home-5', text: 'What made this evening or morning cozy?' }
+        ]
+    },
+    {
+        id: 'memories',
+        name: 'Memories',
+        prompts: [
+            { id: 'memories-1', text: 'What childhood memory still makes you smile?' },
+            { id: 'memories-2', text: 'What trip or outing are you glad you took?' },
+            { id: 'memories-3', text: 'What was a turning point you are thankful for?' },
+            { id: 'memories-4', text: 'What moment from last month would you happily relive?' },
+            { id: 'memories-5', text: 'What gift, big or small, meant a lot to you?' }
+        ]
+    }
+];
+
+/**
+ * Lists the prompts the user has added
+ * @returns {Array<Prompt>} Custom prompts, oldest first
+ */
+export function listCustomPrompts() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_PROMPTS_KEY));
+        return Array.isArray(stored)
+            ? stored
+                .filter(prompt => prompt && typeof prompt.id === 'string' && typeof prompt.text === 'string' && prompt.text.trim())
+                .map(({ id, text }) => ({ id, text, theme: CUSTOM_THEME_ID }))
+            : [];
+    } catch (error) {
+        console.error('Error reading prompts:', error);
+        return [];
+    }
+}
+
+/**
+ * Saves the prompts the user has added
+ * @param {Array<Prompt>} prompts - Custom prompts to save
+ */
+function saveCustomPrompts(prompts) {
+    localStorage.setItem(CUSTOM_PROMPTS_KEY, JSON.stringify(prompts.map(({ id, text }) => ({ id, text }))));
+}
+
+/**
+ * Adds a prompt of the user's own
+ * @param {string} text - The question to ask
+ * @returns {Prompt} The new prompt
+ * @throws {Error} If the text is empty or the same prompt already exists
+ */
+export function addCustomPrompt(text) {
+    const promptText = String(text || '').trim().replace(/\s+/g, ' ').slice(0, MAX_PROMPT_LENGTH);
+    if (!promptText) {
+        throw new Error('Please write a prompt');
+    }
+    const prompts = listCustomPrompts();
+    if (listPrompts({ includeDisabled: true }).some(prompt => prompt.text.toLowerCase() === promptText.toLowerCase())) {
+        throw new Error('That prompt is already in the list');
+    }
+    
+    const prompt = { id: `${CUSTOM_THEME_ID}-${generateId()}`, text: promptText, theme: CUSTOM_THEME_ID };
+    saveCustomPrompts([...prompts, prompt]);
+    return prompt;
+}
+
+/**
+ * Removes a prompt the user added
+ * Entries written for it keep its text, so Insights can still show it.
+ * @param {string} promptId - Id of the prompt
+ */
+export function removeCustomPrompt(promptId) {
+    saveCustomPrompts(listCustomPrompts().filter(prompt => prompt.id !== promptId));
+}
+
+/**
+ * Lists the prompts that can be picked, bundled ones first
+ * @param {Object} [options] - What to list
+ * @param {boolean} [options.includeDisabled=false] - Also list prompts of themes turned off in settings
+ * @returns {Array<Prompt>} Prompts in a fixed order
+ */
+export function listPrompts({ includeDisabled = false } = {}) {
+    const disabledThemes = includeDisabled ? [] : getSetting('disabledPromptThemes');
+    const bundled = PROMPT_THEMES
+        .filter(theme => !disabledThemes.includes(theme.id))
+        .flatMap(theme => theme.prompts.map(prompt => ({ ...prompt, theme: theme.id })));
+    return disabledThemes.includes(CUSTOM_THEME_ID) ? bundled : [...bundled, ...listCustomPrompts()];
+}
+
+/**
+ * Gets the name of a prompt theme
+ * @param {string} themeId - Id of the theme
+ * @returns {string} Theme name
+ */
+export function getPromptThemeName(themeId) {
+    const theme = PROMPT_THEMES.find(candidate => candidate.id === themeId);
+    return theme ? theme.name : 'Your prompts';
+}
+
+/**
+ * Reads how many times the prompt of a date has been skipped
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @returns {number} Number of skips (only the latest date is remembered)
+ */
+function getSkipCount(dateKey) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROMPT_SKIP_KEY));
+        return stored && stored.date === dateKey && Number.isInteger(stored.count) ? stored.count : 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Gets the prompt for a date
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @returns {Prompt|null} The prompt, or null if prompts are off or every theme is
+ */
+export function getDailyPrompt(dateKey) {
+    if (!getSetting('dailyPrompts')) {
+        return null;
+    }
+    const prompts = listPrompts();
+    if (prompts.length === 0) {
+        return null;
+    }
+    const order = shuffleForDate(prompts, dateKey);
+    return order[getSkipCount(dateKey) % order.length];
+}
+
+/**
+ * Skips to the next prompt for a date
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @returns {Prompt|null} The prompt now shown
+ */
+export function skipDailyPrompt(dateKey) {
+    localStorage.setItem(PROMPT_SKIP_KEY, JSON.stringify({ date: dateKey, count: getSkipCount(dateKey) + 1 }));
+    return getDailyPrompt(dateKey);
+}
@@ -0,0 +1,295 @@
+/**
+ * Corrupted-data detection and recovery
+ * Data that fails to parse or fails structural checks is copied aside into a
+ * quarantine instead of being dropped, so nothing is overwritten before the
+ * user has chosen what to do with it.
+ */
+
+import { mergeEntries, deleteEntries, createEntryRecord } from './storage.js';
+import { runTransaction, getMetaValue, setMetaValue, deleteMetaValue, ENTRIES_STORE } from './db.js';
+import { sealValue, openValue, openRecord } from './encryption.js';
+import { normalizeTag } from '../utils/tagUtils.js';
+import { toBase64 } from '../utils/cryptoUtils.js';
+
+const QUARANTINE_KEY = 'quarantine';
+
+/**
+ * Data set aside because it could not be read safely
+ * @typedef {Object} QuarantinedData
+ * @property {string} source - 'legacy' for the old localStorage blob, 'records' for stored entry records
+ * @property {string} raw - The data exactly as found (JSON text for records, with bytes as base64)
+ * @property {string} reason - Why the data was set aside
+ * @property {string} quarantinedAt - ISO timestamp of when it was set aside
+ */
+
+/**
+ * Checks that a date key is a real calendar date in YYYY-MM-DD format
+ * @param {*} date - Value to check
+ * @returns {boolean} True if the date key is valid
+ */
+export function isValidDateKey(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
+    }
+    // Reject dates like 2025-02-30 that Date would silently roll over
+    const [year, month, day] = date.split('-').map(Number);
+    const parsed = new Date(year, month - 1, day);
+    return parsed.getFullYear() === year && parsed.getMonth() === month - 1 && parsed.getDate() === day;
+}
+
+/**
+ * Checks that a value is an ISO timestamp string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value parses as a date
+ */
+function isTimestamp(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Checks that a stored record has the current entry record shape
+ * @param {*} record - Stored value
+ * @returns {boolean} True if the record is well formed
+ */
+export function isValidRecord(record) {
+    return Boolean(record)
+        && typeof record === 'object'
+        && typeof record.id === 'string' && /^[\w-]+$/.test(record.id)
+        && typeof record.journalId === 'string'
+        && isValidDateKey(record.date)
+        && typeof record.text === 'string' && record.text.trim() !== ''
+        && isTimestamp(record.createdAt)
+        && isTimestamp(record.updatedAt)
+        && Boolean(record.meta) && typeof record.meta === 'object'
+        && Array.isArray(record.revisions)
+        && Array.isArray(record.tags)
+        && (record.starred === undefined || typeof record.starred === 'boolean');
+}
+
+/**
+ * Rebuilds an entry record from a plain string or a possibly incomplete record
+ * Works for data from any schema version and from backups; missing fields get safe defaults.
+ * @param {*} item - Stored or imported entry (string or object)
+ * @param {string} date - Date string in YYYY-MM-DD format the entry belongs to
+ * @returns {Object|null} Entry record, or null if there is no usable text
+ */
+export function repairRecord(item, date) {
+    if (!isValidDateKey(date)) {
+        return null;
+    }
+    
+    // The original write time is unknown, so fall back to the start of the entry's day
+    const dayStart = new Date(date + 'T00:00:00').toISOString();
+    
+    if (typeof item === 'string') {
+        return item.trim() ? createEntryRecord(item, { date, createdAt: dayStart, meta: { migrated: true } }) : null;
+    }
+    if (!item || typeof item !== 'object' || typeof item.text !== 'string' || !item.text.trim()) {
+        return null;
+    }
+    
+    const createdAt = isTimestamp(item.createdAt) ? item.createdAt : dayStart;
+    return createEntryRecord(item.text, {
+        // Only keep ids that are safe to use in DOM attributes
+        id: typeof item.id === 'string' && /^[\w-]+$/.test(item.id) ? item.id : undefined,
+        journalId: typeof item.journalId === 'string' ? item.journalId : undefined,
+        date,
+        createdAt,
+        updatedAt: isTimestamp(item.updatedAt) ? item.updatedAt : createdAt,
+        meta: item.meta && typeof item.meta === 'object' && !Array.isArray(item.meta) ? item.meta : {},
+        revisions: Array.isArray(item.revisions)
+            ? item.revisions.filter(revision => revision && typeof revision.text === 'string')
+            : [],
+        tags: Array.isArray(item.tags) ? item.tags.map(normalizeTag).filter(Boolean) : [],
+        starred: item.starred === true
+    });
+}
+
+/**
+ * Splits a parsed legacy entries object into the parts that have a usable shape and the rest
+ * @param {*} entries - Parsed entries object (date keys, arrays of strings or records)
+ * @returns {{valid: Object, invalid: Object|null}} Usable entries, and everything else (null if nothing)
+ */
+export function splitValidEntries(entries) {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+        return { valid: {}, invalid: { entries } };
+    }
+    
+    const valid = {};
+    const invalid = {};
+    Object.entries(entries).forEach(([date, items]) => {
+        if (!isValidDateKey(date) || !Array.isArray(items)) {
+            invalid[date] = items;
+            return;
+        }
+        const usable = items.filter(item => typeof item === 'string'
+            || (item && typeof item === 'object' && typeof item.text === 'string'));
+        if (usable.length > 0) {
+            valid[date] = usable;
+        }
+        if (usable.length < items.length) {
+            invalid[date] = items.filter(item => !usable.includes(item));
+        }
+    });
+    
+    return { valid, invalid: Object.keys(invalid).length > 0 ? invalid : null };
+}
+
+/**
+ * Gets all quarantined data
+ * @returns {Promise<Array<QuarantinedData>>} Promise resolving to quarantined data, oldest first
+ */
+export async function getQuarantine() {
+    const quarantine = await openValue(await getMetaValue(QUARANTINE_KEY));
+    return Array.isArray(quarantine) ? quarantine : [];
+}
+
+/**
+ * Copies data aside into the quarantine
+ * @param {string} source - 'legacy' or 'records'
+ * @param {string} raw - Data exactly as found
+ * @param {string} reason - Why the data is being set aside
+ * @returns {Promise<void>}
+ */
+export async function quarantineData(source, raw, reason) {
+    const quarantine = await getQuarantine();
+    // A migration retried after a failure would otherwise set the same data aside twice
+    if (quarantine.some(data => data.source === source && data.raw === raw)) {
+        return;
+    }
+    quarantine.push({ source, raw, reason, quarantinedAt: new Date().toISOString() });
+    await setMetaValue(QUARANTINE_KEY, await sealValue(quarantine));
+}
+
+/**
+ * Deletes all quarantined data
+ * @returns {Promise<void>}
+ */
+export function clearQuarantine() {
+    return deleteMetaValue(QUARANTINE_KEY);
+}
+
+/**
+ * Turns records into JSON text for the quarantine
+ * Sealed records keep their encrypted data as bytes, which JSON.stringify would
+ * turn into empty objects, so bytes are written as base64 strings instead.
+ * @param {Array<*>} records - Records as stored
+ * @returns {string} JSON text
+ */
+function serializeRecords(records) {
+    return JSON.stringify(records, (key, value) => (value instanceof ArrayBuffer || ArrayBuffer.isView(value) ? toBase64(value) : value));
+}
+
+/**
+ * Checks every stored record and quarantines the ones that are malformed
+ * Bad records are copied aside before they are removed, so rendering never trips over them.
+ * @returns {Promise<number>} Promise resolving to the number of records quarantined
+ */
+export async function checkStoredEntries() {
+    const stored = await runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ENTRIES_STORE).getAll();
+    });
+    const records = await Promise.all(stored.map(record => openRecord(record).catch(error => {
+        // Encrypted data that fails to decrypt with the right key has been damaged
+        console.error('Error decrypting saved entry:', error);
+        return record;
+    })));
+    const invalid = records.filter(record => !isValidRecord(record));
+    if (invalid.length === 0) {
+        return 0;
+    }
+    
+    await quarantineData('records', serializeRecords(invalid), `${invalid.length} saved ${invalid.length === 1 ? 'entry was' : 'entries were'} malformed`);
+    await deleteEntries(invalid.filter(record => record && record.id !== undefined).map(record => record.id));
+    return invalid.length;
+}
+
+/**
+ * Recovers what it can from a legacy blob that is not valid JSON
+ * Each day's array is parsed on its own; if that fails too, its quoted strings are kept.
+ * @param {string} raw - Raw blob
+ * @returns {Object} Entries object with whatever could be read
+ */
+function salvageBrokenJson(raw) {
+    const entries = {};
+    const dayPattern = /"(\d{4}-\d{2}-\d{2})"\s*:\s*\[/g;
+    let match;
+    while ((match = dayPattern.exec(raw)) !== null) {
+        const date = match[1];
+        const start = match.index + match[0].length - 1;
+        const nextDay = raw.slice(start).search(/"\d{4}-\d{2}-\d{2}"\s*:\s*\[/);
+        const segment = nextDay === -1 ? raw.slice(start) : raw.slice(start, start + nextDay);
+        
+        // Trim back to the last "]" so trailing commas and braces don't break the parse
+        const end = segment.lastIndexOf(']');
+        let items = null;
+        try {
+            items = end === -1 ? null : JSON.parse(segment.slice(0, end + 1));
+        } catch (error) {
+            items = null;
+        }
+        if (!Array.isArray(items)) {
+            items = (segment.match(/"(?:[^"\\]|\\.)*"/g) || [])
+                .map(text => {
+                    try {
+                        return JSON.parse(text);
+                    } catch (error) {
+                        return null;
+                    }
+                })
+                .filter(text => typeof text === 'string' && !/^\d{4}-\d{2}-\d{2}$/.test(text));
+        }
+        entries[date] = [...(entries[date] || []), ...items];
+    }
+    return entries;
+}
+
+/**
+ * Reads every usable entry out of quarantined data
+ * @param {QuarantinedData} data - Quarantined data
+ * @returns {Object<string, Array<Object>>} Entries object with repaired entry records
+ */
+function salvageData(data) {
+    let parsed;
+    try {
+        parsed = JSON.parse(data.raw);
+    } catch (error) {
+        parsed = data.source === 'legacy' ? salvageBrokenJson(data.raw) : [];
+    }
+    
+    const entries = {};
+    const add = (item, date) => {
+        const record = repairRecord(item, date);
+        if (record) {
+            entries[date] = [...(entries[date] || []), record];
+        }
+    };
+    
+    if (Array.isArray(parsed)) {
+        // Quarantined records carry their own dates
+        parsed.forEach(item => add(item, item && item.date));
+    } else if (parsed && typeof parsed === 'object') {
+        Object.entries(parsed).forEach(([date, items]) => {
+            if (Array.isArray(items)) {
+                items.forEach(item => add(item, date));
+            }
+        });
+    }
+    return entries;
+}
+
+/**
+ * Salvages every usable entry from the quarantine into the journal
+ * The quarantine is kept, so the raw data can still be downloaded afterwards.
+ * @returns {Promise<Array<Object>>} Promise resolving to the records that were added
+ */
+export async function salvageQuarantine() {
+    const quarantine = await getQuarantine();
+    const salvaged = {};
+    quarantine.forEach(data => {
+        Object.entries(salvageData(data)).forEach(([date, records]) => {
+            salvaged[date] = [...(salvaged[date] || []), ...records];
+        });
+    });
+    return mergeEntries(salvaged);
+}
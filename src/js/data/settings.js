@@ -0,0 +1,78 @@
+/**
+ * User settings management
+ */
+
+const SETTINGS_KEY = 'gratitudeSettings';
+
+const DEFAULT_SETTINGS = {
+    // Days a deleted entry stays in the trash before it is purged (0 = keep forever)
+    trashRetentionDays: 30,
+    // Automatic snapshots kept: the newest of each of the last N days and the last N weeks
+    snapshotDailyCount: 7,
+    snapshotWeeklyCount: 4,
+    // Minutes without input before the app lock engages (0 = only when the app is left)
+    appLockIdleMinutes: 5,
+    // Pick the Random Memory from days with a starred entry, when there are any
+    randomHighlightFavorites: false,
+    // Tint calendar days with the mood rated for them
+    calendarMoodColors: true,
+    // Show a prompt above the Today form, picked from every theme not listed here
+    dailyPrompts: true,
+    disabledPromptThemes: [],
+    // Daily goal: entries that make a day complete, complete days aimed for each
+    // week (0 = no target), and whether a day can be saved with fewer entries
+    goalItemsPerDay: 3,
+    goalDaysPerWeek: 0,
+    allowPartialDays: false,
+    // Streak protection: missed days forgiven in each week, complete days in a
+    // streak that earn a freeze (0 = never), and most freezes that can be saved up
+    streakGraceDaysPerWeek: 0,
+    streakFreezeEvery: 7,
+    streakMaxFreezes: 2,
+    // Hour a new journal day starts at, so late-night entries count toward the day before
+    dayStartHour: 0,
+    // Count journal days on the device's clock ('device'), or in a home time zone
+    // ('home') so traveling never skips or repeats a day
+    timeZoneMode: 'device',
+    homeTimeZone: '',
+    // Daily reminder: whether it is on, the time (HH:MM on the device's clock),
+    // the weekdays (0 = Sunday), and whether to skip it once something is written
+    reminderEnabled: false,
+    reminderTime: '20:00',
+    reminderDays: [0, 1, 2, 3, 4, 5, 6],
+    reminderOnlyIfNotJournaled: true
+};
+
+/**
+ * Retrieves all settings, filling in defaults for anything not saved
+ * @returns {Object} Settings object
+ */
+export function getSettings() {
+    try {
+        const stored = localStorage.getItem(SETTINGS_KEY);
+        return { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+        console.error('Error reading settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Gets a single setting
+ * @param {string} key - Setting name
+ * @returns {*} Setting value
+ */
+export function getSetting(key) {
+    return getSettings()[key];
+}
+
+/**
+ * Saves changes to one or more settings
+ * @param {Object} changes - Settings to change
+ * @returns {Object} Updated settings object
+ */
+export function updateSettings(changes) {
+    const settings = { ...getSettings(), ...changes };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+}
@@ -0,0 +1,237 @@
+/**
+ * Automatic point-in-time snapshots of a whole journal
+ * Snapshots live in their own object store and are taken daily and before
+ * imports and other bulk changes. Each journal has its own, and older ones are
+ * pruned by a retention policy that keeps the newest snapshot of each recent
+ * day and each recent week.
+ */
+
+import { getAllEntries, saveEntries } from './storage.js';
+import { runTransaction, SNAPSHOTS_STORE, ENTRIES_STORE, TRASH_STORE } from './db.js';
+import { repairRecord } from './recovery.js';
+import { sealValue, openValue } from './encryption.js';
+import { getSetting } from './settings.js';
+import { getActiveJournalId } from './journals.js';
+import { getTodayDateString, getJournalDateOf } from './journalDay.js';
+import { generateId } from '../utils/idUtils.js';
+import { formatDate, getWeekStartDate } from '../utils/dateUtils.js';
+
+// The newest few are always kept, so back-to-back bulk changes can each be rolled back
+const KEEP_RECENT_SNAPSHOTS = 3;
+
+/**
+ * Summary of a stored snapshot (the entries themselves are left out)
+ * @typedef {Object} SnapshotSummary
+ * @property {string} id - Unique identifier
+ * @property {string} journalId - Id of the journal the snapshot is of
+ * @property {string} takenAt - ISO timestamp of when the snapshot was taken
+ * @property {string} reason - 'daily', 'manual', 'import', 'salvage', 'restore' or 'migration'
+ * @property {number} entryCount - Number of entries in the snapshot
+ */
+
+/**
+ * Counts the entries in an entries object
+ * @param {Object<string, Array>} entries - Entries object
+ * @returns {number} Number of entries
+ */
+function countEntries(entries) {
+    return Object.values(entries).reduce((count, items) => count + (Array.isArray(items) ? items.length : 0), 0);
+}
+
+/**
+ * Strips the entries from a stored snapshot
+ * @param {Object} snapshot - Stored snapshot
+ * @returns {SnapshotSummary} Snapshot summary
+ */
+function summarize({ id, journalId, takenAt, reason, entryCount }) {
+    return { id, journalId, takenAt, reason, entryCount };
+}
+
+/**
+ * Reads every stored snapshot of a journal, newest first
+ * @param {string} journalId - Id of the journal
+ * @returns {Promise<Array<Object>>} Promise resolving to the stored snapshots
+ */
+async function getStoredSnapshots(journalId) {
+    const snapshots = await runTransaction(SNAPSHOTS_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(SNAPSHOTS_STORE).index('journalId').getAll(journalId);
+    });
+    return snapshots.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+}
+
+/**
+ * Lists all snapshots of a journal
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<Array<SnapshotSummary>>} Promise resolving to snapshot summaries, newest first
+ */
+export async function listSnapshots(journalId = getActiveJournalId()) {
+    return (await getStoredSnapshots(journalId)).map(summarize);
+}
+
+/**
+ * Gets a snapshot with its entries
+ * Snapshots taken before a migration hold older record shapes, so every entry is rebuilt.
+ * @param {string} snapshotId - Id of the snapshot
+ * @returns {Promise<Object|null>} Promise resolving to the snapshot summary plus an `entries` object, or null if not found
+ */
+export async function getSnapshot(snapshotId) {
+    const snapshot = await runTransaction(SNAPSHOTS_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(SNAPSHOTS_STORE).get(snapshotId);
+    });
+    if (!snapshot) {
+        return null;
+    }
+    
+    const entries = {};
+    Object.entries(await openValue(snapshot.entries) || {}).forEach(([date, items]) => {
+        if (!Array.isArray(items)) {
+            return;
+        }
+        const records = items.map(item => repairRecord(item, date)).filter(Boolean);
+        if (records.length > 0) {
+            entries[date] = records;
+        }
+    });
+    return { ...summarize(snapshot), entries };
+}
+
+/**
+ * Takes a snapshot of a whole journal, then prunes its old snapshots
+ * @param {string} reason - Why the snapshot is taken (see SnapshotSummary)
+ * @param {Object<string, Array>} [entries] - Entries to store (defaults to the journal's current entries)
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<SnapshotSummary|null>} Promise resolving to the new snapshot, or null if the journal is empty
+ */
+export async function takeSnapshot(reason, entries, journalId = getActiveJournalId()) {
+    const snapshotEntries = entries || await getAllEntries(journalId);
+    const entryCount = countEntries(snapshotEntries);
+    if (entryCount === 0) {
+        return null;
+    }
+    
+    const snapshot = {
+        id: generateId(),
+        journalId,
+        takenAt: new Date().toISOString(),
+        reason,
+        entryCount,
+        entries: await sealValue(snapshotEntries)
+    };
+    await runTransaction(SNAPSHOTS_STORE, 'readwrite', (transaction) => {
+        transaction.objectStore(SNAPSHOTS_STORE).put(snapshot);
+    });
+    await pruneSnapshots(journalId);
+    return summarize(snapshot);
+}
+
+/**
+ * Takes the active journal's daily snapshot, unless one has already been taken today
+ * Days are journal days, like everywhere else.
+ * @returns {Promise<SnapshotSummary|null>} Promise resolving to the new snapshot, or null if none was needed
+ */
+export async function takeDailySnapshot() {
+    const today = getTodayDateString();
+    const snapshots = await listSnapshots();
+    if (snapshots.some(snapshot => getJournalDateOf(new Date(snapshot.takenAt)) === today)) {
+        return null;
+    }
+    return takeSnapshot('daily');
+}
+
+/**
+ * Deletes a journal's snapshots that fall outside the retention policy
+ * Kept: the newest few, plus the newest snapshot of each of the last
+ * `snapshotDailyCount` days and each of the last `snapshotWeeklyCount` weeks that have one.
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<number>} Promise resolving to the number of snapshots deleted
+ */
+export async function pruneSnapshots(journalId = getActiveJournalId()) {
+    const snapshots = await listSnapshots(journalId);
+    const keep = new Set(snapshots.slice(0, KEEP_RECENT_SNAPSHOTS).map(snapshot => snapshot.id));
+    
+    /**
+     * Keeps the newest snapshot of each of the most recent `count` periods
+     * @param {number} count - Number of periods to keep
+     * @param {function(Date): string} getPeriod - Maps a time to its period key
+     */
+    const keepNewestPerPeriod = (count, getPeriod) => {
+        const periods = new Set();
+        snapshots.forEach(snapshot => {
+            const period = getPeriod(new Date(snapshot.takenAt));
+            if (!periods.has(period) && periods.size < count) {
+                periods.add(period);
+                keep.add(snapshot.id);
+            }
+        });
+    };
+    // Periods are journal days and their weeks, the same days takeDailySnapshot counts
+    keepNewestPerPeriod(getSetting('snapshotDailyCount'), date => getJournalDateOf(date));
+    keepNewestPerPeriod(getSetting('snapshotWeeklyCount'), date => formatDate(getWeekStartDate(new Date(getJournalDateOf(date) + 'T00:00:00'))));
+    
+    const expired = snapshots.filter(snapshot => !keep.has(snapshot.id)).map(snapshot => snapshot.id);
+    if (expired.length === 0) {
+        return 0;
+    }
+    await runTransaction(SNAPSHOTS_STORE, 'readwrite', (transaction) => {
+        const store = transaction.objectStore(SNAPSHOTS_STORE);
+        expired.forEach(snapshotId => store.delete(snapshotId));
+    });
+    return expired.length;
+}
+
+/**
+ * Lists the entries that are now outside a journal: in another journal or in the trash
+ * @param {string} journalId - Id of the journal
+ * @returns {Promise<Set<string>>} Promise resolving to the ids of those entries
+ */
+async function getIdsOutsideJournal(journalId) {
+    const ids = await runTransaction([ENTRIES_STORE, TRASH_STORE], 'readonly', (transaction) => {
+        const result = [];
+        transaction.objectStore(ENTRIES_STORE).index('journalId').openKeyCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                if (cursor.key !== journalId) {
+                    result.push(cursor.primaryKey);
+                }
+                cursor.continue();
+            }
+        };
+        transaction.objectStore(TRASH_STORE).getAllKeys().onsuccess = (event) => {
+            result.push(...event.target.result);
+        };
+        return result;
+    });
+    return new Set(ids);
+}
+
+/**
+ * Replaces a journal with one of its snapshots
+ * The current journal is snapshotted first, so the restore can itself be rolled back.
+ * Entries moved to another journal or deleted since the snapshot are left where
+ * they are; writing them back would silently take them from there.
+ * @param {string} snapshotId - Id of the snapshot to restore
+ * @returns {Promise<Object|null>} Promise resolving to the restored snapshot's summary plus
+ *     `restoredCount` and `skippedCount` (the entries left out), or null if not found
+ */
+export async function restoreSnapshot(snapshotId) {
+    const snapshot = await getSnapshot(snapshotId);
+    if (!snapshot) {
+        return null;
+    }
+    
+    await takeSnapshot('restore', undefined, snapshot.journalId);
+    const outside = await getIdsOutsideJournal(snapshot.journalId);
+    const entries = {};
+    let restoredCount = 0;
+    let skippedCount = 0;
+    Object.entries(snapshot.entries).forEach(([date, records]) => {
+        const kept = records.filter(record => !outside.has(record.id));
+        restoredCount += kept.length;
+        skippedCount += records.length - kept.length;
+        if (kept.length > 0) {
+            entries[date] = kept;
+        }
+    });
+    await saveEntries(entries, snapshot.journalId);
+    return { ...summarize(snapshot), restoredCount, skippedCount };
+}
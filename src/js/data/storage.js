@@ -1,35 +1,246 @@
 /**
- * LocalStorage data management
+ * IndexedDB data management
+ * Entries, moods and photos are stored one record each. Reads only see the
+ * active journal; with encryption on, records are sealed on every write.
  */
 
-import { formatDate } from '../utils/dateUtils.js';
+import { getDeviceTimeZone } from '../utils/dateUtils.js';
+import { getTodayDateString } from './journalDay.js';
+import { generateId } from '../utils/idUtils.js';
+import { removeHashtags, countTags } from '../utils/tagUtils.js';
+import { runTransaction, ENTRIES_STORE, TRASH_STORE, SNAPSHOTS_STORE, MOODS_STORE, ATTACHMENTS_STORE } from './db.js';
+import { sealRecord, openRecord, sealBlob, openBlob, getRecordVersion } from './encryption.js';
+import { getActiveJournalId, setActiveJournalId } from './journals.js';
+import { isValidMood } from '../utils/moodUtils.js';
+import { removeMentions, countPeople } from '../utils/mentionUtils.js';
+import { getPeopleIndex } from './people.js';
+import { getDailyGoal, isDayComplete, getStreakRules } from './goals.js';
+import { summarizeStreaks } from '../utils/streakUtils.js';
 
-const STORAGE_KEY = 'gratitudeEntries';
+// Entries were kept as a single JSON blob in localStorage before IndexedDB
+const LEGACY_STORAGE_KEY = 'gratitudeEntries';
+
+// Times a read-decrypt-write sequence is retried when another tab writes in between
+const MAX_WRITE_ATTEMPTS = 5;
+
+const changeListeners = new Set();
 
 /**
- * Retrieves all entries from localStorage
- * @returns {Object} Object with date keys and array of entries
+ * A single gratitude entry
+ * @typedef {Object} EntryRecord
+ * @property {string} id - Stable unique identifier
+ * @property {string} journalId - Id of the journal the entry belongs to
+ * @property {string} date - Date string in YYYY-MM-DD format the entry belongs to
+ * @property {string} text - Gratitude entry text
+ * @property {string} createdAt - ISO timestamp of when the entry was written
+ * @property {string} updatedAt - ISO timestamp of the last change
+ * @property {Object} meta - Additional metadata about the entry
+ *     (e.g. prompt: the daily prompt the entry answers, as { id, text };
+ *     timeZone: the device's time zone when the entry was written)
+ * @property {Array<EntryRevision>} revisions - Earlier versions of the text, oldest first
+ * @property {Array<string>} tags - Tags added explicitly (hashtags are read from the text)
+ * @property {boolean} [starred] - True if the entry is a favorite (records from before favorites have no flag)
  */
-export function getAllEntries() {
-    try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        return stored ? JSON.parse(stored) : {};
-    } catch (error) {
-        console.error('Error reading from localStorage:', error);
-        return {};
+
+/**
+ * A previous version of an entry's text
+ * @typedef {Object} EntryRevision
+ * @property {string} text - Text of the entry at that version
+ * @property {string} updatedAt - ISO timestamp of when that version was written
+ */
+
+/**
+ * An entry that has been moved to the trash
+ * @typedef {EntryRecord & {deletedAt: string}} TrashedEntryRecord
+ */
+
+/**
+ * A committed change to the journal's entries
+ * @typedef {Object} EntryChange
+ * @property {Array<EntryRecord>} put - Records that were added or replaced
+ * @property {Array<string>} removed - Ids of records that were removed
+ * @property {boolean} reset - True if every entry was replaced, so any cached copy is stale
+ * @property {boolean} trash - True if the trash changed
+ * @property {boolean} moods - True if a day's mood changed
+ * @property {boolean} attachments - True if a photo was added or removed
+ * @property {boolean} remote - True if the change was made in another tab
+ * @property {boolean} journal - True if another journal was opened in this tab (not shared with other tabs)
+ */
+
+/**
+ * Subscribes to changes to the journal's entries
+ * Listeners are called after each write has committed, e.g. to keep an in-memory index current,
+ * and for changes other tabs report through applyRemoteEntryChange.
+ * @param {function(EntryChange): void} listener - Called with each change
+ * @returns {function(): void} Function that unsubscribes the listener
+ */
+export function subscribeToEntryChanges(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+/**
+ * Tells every subscriber about a committed change
+ * @param {Partial<EntryChange>} change - Change to report
+ */
+function notifyEntryChange({ put = [], removed = [], reset = false, trash = false, moods = false, attachments = false, remote = false, journal = false }) {
+    if (!reset && !trash && !moods && !attachments && put.length === 0 && removed.length === 0) {
+        return;
+    }
+    changeListeners.forEach(listener => {
+        try {
+            listener({ put, removed, reset, trash, moods, attachments, remote, journal });
+        } catch (error) {
+            // A failing listener must not break the write that triggered it
+            console.error('Error in entry change listener:', error);
+        }
+    });
+}
+
+/**
+ * Reports a change made in another tab to this tab's subscribers
+ * The data is already in IndexedDB; this only lets in-memory state catch up.
+ * @param {Partial<EntryChange>} change - Change received from the other tab
+ */
+export function applyRemoteEntryChange(change) {
+    notifyEntryChange({ ...change, remote: true });
+}
+
+/**
+ * Creates a new entry record
+ * @param {string} text - Gratitude entry text
+ * @param {Object} [fields] - Optional record fields to keep (id, journalId, date, createdAt, updatedAt, meta, revisions, tags, starred)
+ * @returns {EntryRecord} New entry record (storage fills in the journal when it is written)
+ */
+export function createEntryRecord(text, fields = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: fields.id || generateId(),
+        journalId: fields.journalId,
+        date: fields.date,
+        text: String(text).trim(),
+        createdAt: fields.createdAt || now,
+        updatedAt: fields.updatedAt || fields.createdAt || now,
+        meta: { ...(fields.meta || {}) },
+        revisions: (fields.revisions || []).map(revision => ({ ...revision })),
+        tags: [...(fields.tags || [])],
+        starred: fields.starred === true
+    };
+}
+
+/**
+ * Sorts entry records in the order they were written
+ * @param {Array<EntryRecord>} records - Records to sort in place
+ * @returns {Array<EntryRecord>} The sorted records
+ */
+function sortByCreation(records) {
+    return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Opens another journal in this tab
+ * Every subscriber is told to start over, since cached entries belong to the previous journal.
+ * @param {string} journalId - Id of the journal to open
+ * @returns {boolean} True if the journal exists
+ */
+export function switchJournal(journalId) {
+    if (!setActiveJournalId(journalId)) {
+        return false;
     }
+    notifyEntryChange({ reset: true, trash: true, journal: true });
+    return true;
+}
+
+/**
+ * Gets the key range of one journal in the journal-and-date index
+ * @param {string} journalId - Id of the journal
+ * @returns {IDBKeyRange} Range covering every date of the journal
+ */
+function journalDateRange(journalId) {
+    return IDBKeyRange.bound([journalId], [journalId, []]);
+}
+
+/**
+ * Opens a list of stored records
+ * @param {Array<Object>} stored - Records as stored (sealed or plain)
+ * @returns {Promise<Array<EntryRecord>>} Promise resolving to plain records
+ */
+function openRecords(stored) {
+    return Promise.all(stored.map(openRecord));
+}
+
+/**
+ * Groups a flat list of records into an object keyed by date
+ * @param {Array<EntryRecord>} records - Records to group
+ * @returns {Object<string, Array<EntryRecord>>} Object with date keys and array of entry records
+ */
+function groupByDate(records) {
+    const grouped = {};
+    sortByCreation(records).forEach(record => {
+        if (!grouped[record.date]) {
+            grouped[record.date] = [];
+        }
+        grouped[record.date].push(record);
+    });
+    return grouped;
+}
+
+/**
+ * Reads the legacy localStorage blob exactly as saved, without any shape checks
+ * Used by the migration runner to move old data into IndexedDB.
+ * @returns {string|null} Raw JSON string, or null if nothing is stored
+ */
+export function getLegacyRawEntries() {
+    return localStorage.getItem(LEGACY_STORAGE_KEY);
+}
+
+/**
+ * Removes the legacy localStorage blob once it has been moved to IndexedDB
+ */
+export function clearLegacyEntries() {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
 }
 
 /**
- * Saves entries to localStorage
- * @param {Object} entries - Entries object to save
+ * Retrieves all entries of a journal
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<Object<string, Array<EntryRecord>>>} Promise resolving to an object with date keys and array of entry records
+ */
+export async function getAllEntries(journalId = getActiveJournalId()) {
+    const records = await runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ENTRIES_STORE).index('journalId').getAll(journalId);
+    });
+    return groupByDate(await openRecords(records));
+}
+
+/**
+ * Replaces every stored entry of a journal with the given entries object
+ * Runs in a single transaction, so either all entries are written or none are.
+ * @param {Object<string, Array<EntryRecord>>} entries - Entries object to save
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<void>}
  * @throws {Error} If save fails
  */
-export function saveEntries(entries) {
+export async function saveEntries(entries, journalId = getActiveJournalId()) {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        const records = await Promise.all(Object.entries(entries)
+            .flatMap(([date, items]) => items.map(item => sealRecord({ ...item, journalId, date }))));
+        await runTransaction(ENTRIES_STORE, 'readwrite', (transaction) => {
+            const store = transaction.objectStore(ENTRIES_STORE);
+            const request = store.index('journalId').openKeyCursor(journalId);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                    return;
+                }
+                records.forEach(record => store.put(record));
+            };
+        });
+        notifyEntryChange({ reset: true });
     } catch (error) {
-        console.error('Error saving to localStorage:', error);
+        console.error('Error saving to IndexedDB:', error);
         throw new Error('Failed to save entries to storage');
     }
 }
@@ -37,205 +248,894 @@ export function saveEntries(entries) {
 /**
  * Gets entries for a specific date
  * @param {string} dateKey - Date string in YYYY-MM-DD format
- * @returns {Array<string>} Array of gratitude entries for that date
+ * @returns {Promise<Array<EntryRecord>>} Promise resolving to the entry records for that date
+ */
+export async function getEntriesByDate(dateKey) {
+    const records = await runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ENTRIES_STORE).index('journalDate').getAll([getActiveJournalId(), dateKey]);
+    });
+    return sortByCreation(await openRecords(records));
+}
+
+/**
+ * Checks whether anything was written on a date, in any journal
+ * Dates stay readable when entries are sealed, so this works while the journal is locked.
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @returns {Promise<boolean>} Promise resolving to true if the date has an entry
+ */
+export async function hasEntriesOnDate(dateKey) {
+    const count = await runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ENTRIES_STORE).index('date').count(dateKey);
+    });
+    return count > 0;
+}
+
+/**
+ * Gets a single entry by its id
+ * @param {string} entryId - Id of the entry
+ * @returns {Promise<EntryRecord|null>} Promise resolving to the entry record, or null if not found
+ */
+export async function getEntryById(entryId) {
+    const record = await runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ENTRIES_STORE).get(entryId);
+    });
+    return record ? openRecord(record) : null;
+}
+
+/**
+ * Gets every date that has at least one entry
+ * @returns {Promise<Array<string>>} Promise resolving to date strings, sorted ascending
  */
-export function getEntriesByDate(dateKey) {
-    const entries = getAllEntries();
-    return entries[dateKey] || [];
+export function getDatesWithEntries() {
+    const range = journalDateRange(getActiveJournalId());
+    return runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+        const dates = [];
+        const request = transaction.objectStore(ENTRIES_STORE).index('journalDate').openKeyCursor(range, 'nextunique');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                dates.push(cursor.key[1]);
+                cursor.continue();
+            }
+        };
+        return dates;
+    });
 }
 
 /**
  * Adds a gratitude entry for a specific date
+ * The device's time zone is kept in its meta, so it is known where the entry was written.
  * @param {string} dateKey - Date string in YYYY-MM-DD format
  * @param {string} item - Gratitude entry text
- * @returns {boolean} True if successful, false otherwise
+ * @param {Object} [meta] - Metadata to keep with the entry, e.g. the prompt it answers
+ * @returns {Promise<EntryRecord|null>} Promise resolving to the created entry record, or null if the text is empty
  */
-export function addEntry(dateKey, item) {
+export async function addEntry(dateKey, item, meta = {}) {
     if (!item || !item.trim()) {
-        return false;
+        return null;
     }
     
-    const entries = getAllEntries();
-    
-    if (!entries[dateKey]) {
-        entries[dateKey] = [];
-    }
-    
-    entries[dateKey].push(item.trim());
-    saveEntries(entries);
-    return true;
+    const record = createEntryRecord(item, { journalId: getActiveJournalId(), date: dateKey, meta: { timeZone: getDeviceTimeZone(), ...meta } });
+    const stored = await sealRecord(record);
+    await runTransaction(ENTRIES_STORE, 'readwrite', (transaction) => {
+        transaction.objectStore(ENTRIES_STORE).add(stored);
+    });
+    notifyEntryChange({ put: [record] });
+    return record;
 }
 
 /**
- * Merges imported entries with existing entries
- * @param {Object} importedEntries - Entries to merge
- * @returns {Object} Merged entries object
+ * Merges imported entries into a journal
+ * Entries are matched by id first, then by text on the same date, to avoid
+ * duplicates. Only the new records are written; one whose id is taken in
+ * another journal gets a new id, so copying entries never moves them. Stored
+ * records can only be compared once opened, which cannot happen inside a
+ * transaction, so the write checks that no entry was added or removed since
+ * the read (e.g. by another tab) and starts over if one was.
+ * @param {Object<string, Array<EntryRecord>>} importedEntries - Entries to merge
+ * @param {string} [journalId] - Id of the journal to merge into (defaults to the active one)
+ * @param {Map<string, string>} [idMap] - Filled in with the id each imported entry ended up under,
+ *     by its imported id, where the two differ (a new id, or the entry it duplicates)
+ * @returns {Promise<Array<EntryRecord>>} Promise resolving to the records that were added
+ * @throws {Error} If the journal keeps changing while merging
  */
-export function mergeEntries(importedEntries) {
-    const existingEntries = getAllEntries();
-    const mergedEntries = { ...existingEntries };
-    
-    Object.entries(importedEntries).forEach(([date, items]) => {
-        if (mergedEntries[date]) {
+export async function mergeEntries(importedEntries, journalId = getActiveJournalId(), idMap = new Map()) {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        idMap.clear();
+        const stored = await runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+            const store = transaction.objectStore(ENTRIES_STORE);
+            const result = {};
+            store.getAllKeys().onsuccess = (event) => {
+                result.allIds = event.target.result;
+            };
+            store.index('journalId').getAll(journalId).onsuccess = (event) => {
+                result.records = event.target.result;
+            };
+            return result;
+        });
+        const existingRecords = await openRecords(stored.records);
+        const existingEntries = groupByDate([...existingRecords]);
+        const readIds = new Set(existingRecords.map(item => item.id));
+        const existingIds = new Set(readIds);
+        const takenIds = new Set(stored.allIds);
+        const newRecords = [];
+        
+        Object.entries(importedEntries).forEach(([date, items]) => {
+            const dayTexts = new Map((existingEntries[date] || []).map(item => [item.text, item.id]));
+            
             // Merge items, avoiding duplicates
             items.forEach(item => {
-                if (!mergedEntries[date].includes(item)) {
-                    mergedEntries[date].push(item);
+                if (existingIds.has(item.id)) {
+                    return;
+                }
+                if (dayTexts.has(item.text)) {
+                    idMap.set(item.id, dayTexts.get(item.text));
+                    return;
                 }
+                const id = takenIds.has(item.id) ? generateId() : item.id;
+                newRecords.push({ ...item, id, journalId, date });
+                if (id !== item.id) {
+                    idMap.set(item.id, id);
+                }
+                existingIds.add(item.id);
+                takenIds.add(id);
+                dayTexts.set(item.text, id);
             });
-        } else {
-            mergedEntries[date] = items;
+        });
+        
+        const storedRecords = await Promise.all(newRecords.map(sealRecord));
+        const written = await runTransaction(ENTRIES_STORE, 'readwrite', (transaction) => {
+            const store = transaction.objectStore(ENTRIES_STORE);
+            const outcome = { written: false };
+            const request = store.index('journalId').getAllKeys(journalId);
+            request.onsuccess = () => {
+                const keys = request.result;
+                if (keys.length !== readIds.size || !keys.every(key => readIds.has(key))) {
+                    return;
+                }
+                storedRecords.forEach(record => store.put(record));
+                outcome.written = true;
+            };
+            return outcome;
+        });
+        
+        if (written.written) {
+            notifyEntryChange({ put: newRecords });
+            return newRecords;
         }
+    }
+    throw new Error('Entries kept changing while merging');
+}
+
+/**
+ * Gets total count of all entries in a journal
+ * @param {string|null} [journalId] - Id of the journal (defaults to the active one; null counts every journal)
+ * @returns {Promise<number>} Promise resolving to the total number of entries
+ */
+export function getTotalEntryCount(journalId = getActiveJournalId()) {
+    return runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+        const store = transaction.objectStore(ENTRIES_STORE);
+        return journalId === null ? store.count() : store.index('journalId').count(journalId);
     });
-    
-    return mergedEntries;
 }
 
 /**
- * Gets total count of all entries
- * @returns {number} Total number of entries
+ * Changes a stored entry with a read-modify-write that survives concurrent writes
+ * The record is opened outside the write transaction, so the write checks that
+ * it has not changed since (e.g. in another tab) and starts over if it has.
+ * @param {string} entryId - Id of the entry to change
+ * @param {function(EntryRecord): boolean} modify - Changes the opened record in place; returns false if nothing changed
+ * @returns {Promise<EntryRecord|null>} Promise resolving to the record as stored, or null if not found
+ * @throws {Error} If the entry keeps changing while writing
  */
-export function getTotalEntryCount() {
-    const entries = getAllEntries();
-    return Object.values(entries).reduce((sum, items) => sum + items.length, 0);
+async function modifyEntry(entryId, modify) {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const stored = await runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+            return transaction.objectStore(ENTRIES_STORE).get(entryId);
+        });
+        if (!stored) {
+            return null;
+        }
+        
+        const version = getRecordVersion(stored);
+        const entry = await openRecord(stored);
+        if (!modify(entry)) {
+            return entry;
+        }
+        
+        const updated = await sealRecord(entry);
+        const written = await runTransaction(ENTRIES_STORE, 'readwrite', (transaction) => {
+            const store = transaction.objectStore(ENTRIES_STORE);
+            const outcome = { written: false };
+            const request = store.get(entryId);
+            request.onsuccess = () => {
+                if (!request.result || getRecordVersion(request.result) !== version) {
+                    return;
+                }
+                store.put(updated);
+                outcome.written = true;
+            };
+            return outcome;
+        });
+        
+        if (written.written) {
+            notifyEntryChange({ put: [entry] });
+            return entry;
+        }
+    }
+    throw new Error('Entry kept changing while writing');
 }
 
 /**
  * Updates a specific gratitude entry
- * @param {string} dateKey - Date string in YYYY-MM-DD format
- * @param {number} index - Index of the entry in the array
+ * The previous text is kept in the record's revisions, so no wording is ever lost.
+ * @param {string} entryId - Id of the entry to update
  * @param {string} newText - New text for the entry
- * @returns {boolean} True if successful, false otherwise
+ * @param {Array<string>} [tags] - New explicit tags (normalized); the current tags are kept if omitted
+ * @returns {Promise<EntryRecord|null>} Promise resolving to the updated record, or null if not updated
+ * @throws {Error} If the entry keeps changing while updating
  */
-export function updateEntry(dateKey, index, newText) {
+export function updateEntry(entryId, newText, tags) {
     if (!newText || !newText.trim()) {
-        return false;
-    }
-    
-    const entries = getAllEntries();
-    
-    if (!entries[dateKey] || !Array.isArray(entries[dateKey])) {
-        return false;
+        return Promise.resolve(null);
     }
     
-    if (index < 0 || index >= entries[dateKey].length) {
-        return false;
-    }
-    
-    entries[dateKey][index] = newText.trim();
-    saveEntries(entries);
-    return true;
+    const text = newText.trim();
+    return modifyEntry(entryId, (entry) => {
+        const textChanged = text !== entry.text;
+        const tagsChanged = tags !== undefined && tags.join(' ') !== (entry.tags || []).join(' ');
+        if (!textChanged && !tagsChanged) {
+            return false;
+        }
+        if (textChanged) {
+            entry.revisions = [...(entry.revisions || []), { text: entry.text, updatedAt: entry.updatedAt }];
+            entry.text = text;
+        }
+        if (tagsChanged) {
+            entry.tags = [...tags];
+        }
+        entry.updatedAt = new Date().toISOString();
+        return true;
+    });
 }
 
 /**
- * Calculates the current streak of consecutive days with entries
- * @returns {number} Number of consecutive days with entries
+ * Stars or unstars an entry
+ * Starring is not an edit, so the text history and update time are left alone.
+ * @param {string} entryId - Id of the entry
+ * @param {boolean} starred - True to make the entry a favorite
+ * @returns {Promise<EntryRecord|null>} Promise resolving to the updated record, or null if not found
+ * @throws {Error} If the entry keeps changing while updating
  */
-export function calculateStreak() {
-    const entries = getAllEntries();
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    let streak = 0;
-    let currentDate = new Date(today);
-    
-    // Check if today has entries
-    const todayString = formatDate(currentDate);
-    if (entries[todayString] && entries[todayString].length > 0) {
-        streak = 1;
-        currentDate.setDate(currentDate.getDate() - 1);
-    } else {
-        // If today has no entries, check yesterday
-        currentDate.setDate(currentDate.getDate() - 1);
+export function setEntryStarred(entryId, starred) {
+    return modifyEntry(entryId, (entry) => {
+        if (Boolean(entry.starred) === starred) {
+            return false;
+        }
+        entry.starred = starred;
+        return true;
+    });
+}
+
+/**
+ * Writes entry records as-is, replacing any stored record with the same id
+ * Used to replay or reverse changes (e.g. undo/redo). Records stay in their own journal.
+ * @param {Array<EntryRecord>} records - Records to write
+ * @returns {Promise<void>}
+ */
+export async function putEntries(records) {
+    const storedRecords = await Promise.all(records.map(record => sealRecord({ journalId: getActiveJournalId(), ...record })));
+    await runTransaction(ENTRIES_STORE, 'readwrite', (transaction) => {
+        const store = transaction.objectStore(ENTRIES_STORE);
+        storedRecords.forEach(record => store.put(record));
+    });
+    notifyEntryChange({ put: records });
+}
+
+/**
+ * Removes entry records without moving them to the trash
+ * Used to reverse an add; user-facing deletes go through moveEntryToTrash.
+ * @param {Array<string>} entryIds - Ids of the entries to remove
+ * @returns {Promise<void>}
+ */
+export async function deleteEntries(entryIds) {
+    await runTransaction(ENTRIES_STORE, 'readwrite', (transaction) => {
+        const store = transaction.objectStore(ENTRIES_STORE);
+        entryIds.forEach(entryId => store.delete(entryId));
+    });
+    notifyEntryChange({ removed: entryIds });
+}
+
+/**
+ * Moves entries to another journal, along with their photos
+ * Only the readable journal id changes, so this works the same on encrypted records.
+ * @param {Array<string>} entryIds - Ids of the entries to move
+ * @param {string} journalId - Id of the journal to move them to
+ * @returns {Promise<Array<EntryRecord>>} Promise resolving to the moved records
+ */
+export async function moveEntriesToJournal(entryIds, journalId) {
+    const moved = await runTransaction([ENTRIES_STORE, ATTACHMENTS_STORE], 'readwrite', (transaction) => {
+        const store = transaction.objectStore(ENTRIES_STORE);
+        const attachmentsStore = transaction.objectStore(ATTACHMENTS_STORE);
+        const records = [];
+        entryIds.forEach(entryId => {
+            const request = store.get(entryId);
+            request.onsuccess = () => {
+                if (request.result && request.result.journalId !== journalId) {
+                    const record = { ...request.result, journalId };
+                    store.put(record);
+                    records.push(record);
+                }
+            };
+            attachmentsStore.index('entryId').openCursor(entryId).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.update({ ...cursor.value, journalId });
+                    cursor.continue();
+                }
+            };
+        });
+        return records;
+    });
+    const records = await openRecords(moved);
+    notifyEntryChange({ put: records, attachments: true });
+    return records;
+}
+
+/**
+ * Deletes every entry, trashed entry, snapshot, mood and photo of a journal
+ * @param {string} journalId - Id of the journal
+ * @returns {Promise<void>}
+ */
+export async function deleteJournalData(journalId) {
+    const storeNames = [ENTRIES_STORE, TRASH_STORE, SNAPSHOTS_STORE, MOODS_STORE, ATTACHMENTS_STORE];
+    await runTransaction(storeNames, 'readwrite', (transaction) => {
+        storeNames.forEach(storeName => {
+            const store = transaction.objectStore(storeName);
+            const request = store.index('journalId').openKeyCursor(journalId);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    });
+    notifyEntryChange({ reset: true, trash: true, moods: true, attachments: true });
+}
+
+/**
+ * A day's mood rating
+ * @typedef {Object} MoodRecord
+ * @property {string} journalId - Id of the journal the mood belongs to
+ * @property {string} date - Date string in YYYY-MM-DD format
+ * @property {number} mood - Rating from 1 (awful) to 5 (great)
+ * @property {string} updatedAt - ISO timestamp of when the rating was set
+ */
+
+/**
+ * Gets every day's mood in a journal
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<Object<string, number>>} Promise resolving to ratings by date
+ */
+export async function getMoods(journalId = getActiveJournalId()) {
+    const stored = await runTransaction(MOODS_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(MOODS_STORE).index('journalId').getAll(journalId);
+    });
+    const moods = {};
+    (await openRecords(stored)).forEach(record => {
+        moods[record.date] = record.mood;
+    });
+    return moods;
+}
+
+/**
+ * Gets the mood of a day in the active journal
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @returns {Promise<number|null>} Promise resolving to the rating, or null if none was set
+ */
+export async function getMood(dateKey) {
+    const stored = await runTransaction(MOODS_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(MOODS_STORE).get([getActiveJournalId(), dateKey]);
+    });
+    return stored ? (await openRecord(stored)).mood : null;
+}
+
+/**
+ * Sets or clears the mood of a day
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {number|null} mood - Rating from 1 to 5, or null to clear it
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<void>}
+ * @throws {Error} If the rating is not on the scale
+ */
+export async function setMood(dateKey, mood, journalId = getActiveJournalId()) {
+    if (mood !== null && !isValidMood(mood)) {
+        throw new Error('Mood must be a whole number from 1 to 5');
     }
-    
-    // Count backwards through consecutive days with entries
-    while (true) {
-        const dateString = formatDate(currentDate);
-        if (entries[dateString] && entries[dateString].length > 0) {
-            streak++;
-            currentDate.setDate(currentDate.getDate() - 1);
+    const record = mood === null ? null : await sealRecord({ journalId, date: dateKey, mood, updatedAt: new Date().toISOString() });
+    await runTransaction(MOODS_STORE, 'readwrite', (transaction) => {
+        const store = transaction.objectStore(MOODS_STORE);
+        if (record) {
+            store.put(record);
         } else {
-            break;
+            store.delete([journalId, dateKey]);
         }
+    });
+    notifyEntryChange({ moods: true });
+}
+
+/**
+ * Adds imported moods to a journal, keeping any mood already set for a day
+ * @param {Object<string, number>} importedMoods - Ratings by date
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<number>} Promise resolving to the number of moods added
+ */
+export async function mergeMoods(importedMoods, journalId = getActiveJournalId()) {
+    const existing = await getMoods(journalId);
+    const records = await Promise.all(Object.entries(importedMoods)
+        .filter(([date, mood]) => existing[date] === undefined && isValidMood(mood))
+        .map(([date, mood]) => sealRecord({ journalId, date, mood, updatedAt: new Date().toISOString() })));
+    if (records.length === 0) {
+        return 0;
     }
-    
-    return streak;
+    await runTransaction(MOODS_STORE, 'readwrite', (transaction) => {
+        const store = transaction.objectStore(MOODS_STORE);
+        // add() rather than put(), so a mood set meanwhile (e.g. in another tab) is kept
+        records.forEach(record => {
+            store.add(record).onerror = (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+            };
+        });
+    });
+    notifyEntryChange({ moods: true });
+    return records.length;
 }
 
 /**
- * Gets the number of unique days that have entries
- * @returns {number} Number of days with entries
+ * A photo attached to a day, or to one entry of that day
+ * @typedef {Object} AttachmentRecord
+ * @property {string} id - Unique identifier
+ * @property {string} journalId - Id of the journal the photo belongs to
+ * @property {string} date - Date string in YYYY-MM-DD format
+ * @property {string} [entryId] - Id of the entry the photo belongs to (none for a photo of the whole day)
+ * @property {string} type - MIME type of the image
+ * @property {number} width - Width of the image in pixels
+ * @property {number} height - Height of the image in pixels
+ * @property {string} createdAt - ISO timestamp of when the photo was attached
+ * @property {Blob} thumbnail - Small copy of the image for lists
+ * @property {Blob} [image] - The image itself (only read when asked for, as it can be large)
  */
-export function getDaysWithEntriesCount() {
-    const entries = getAllEntries();
-    return Object.keys(entries).filter(date => {
-        const dayEntries = entries[date];
-        return dayEntries && Array.isArray(dayEntries) && dayEntries.length > 0;
-    }).length;
+
+/**
+ * Seals a photo for storage; the image files are sealed separately from the other fields
+ * @param {AttachmentRecord} attachment - Plain photo record
+ * @returns {Promise<Object>} Promise resolving to the record to store
+ */
+async function sealAttachment({ image, thumbnail, ...fields }) {
+    return { ...(await sealRecord(fields)), image: await sealBlob(image), thumbnail: await sealBlob(thumbnail) };
 }
 
 /**
- * Calculates the longest consecutive streak of days with entries in all history
- * @returns {number} Longest streak of consecutive days with entries
+ * Opens a stored photo
+ * @param {Object} stored - Stored record
+ * @param {boolean} [withImage=false] - True to open the full image too, not just the thumbnail
+ * @returns {Promise<AttachmentRecord>} Promise resolving to the plain record
  */
-export function calculateLongestStreak() {
-    const entries = getAllEntries();
-    
-    // Get all dates that have entries, sorted chronologically
-    const datesWithEntries = Object.keys(entries)
-        .filter(date => {
-            const dayEntries = entries[date];
-            return dayEntries && Array.isArray(dayEntries) && dayEntries.length > 0;
-        })
-        .sort((a, b) => a.localeCompare(b)); // Sort ascending (oldest first)
-    
-    if (datesWithEntries.length === 0) {
-        return 0;
+async function openAttachment({ image, thumbnail, ...fields }, withImage = false) {
+    const attachment = { ...(await openRecord(fields)), thumbnail: await openBlob(thumbnail) };
+    if (withImage) {
+        attachment.image = await openBlob(image);
     }
-    
-    if (datesWithEntries.length === 1) {
-        return 1;
+    return attachment;
+}
+
+/**
+ * Opens stored photos, oldest first
+ * @param {Array<Object>} stored - Stored records
+ * @param {boolean} [withImages=false] - True to open the full images too
+ * @returns {Promise<Array<AttachmentRecord>>} Promise resolving to the plain records
+ */
+async function openAttachments(stored, withImages = false) {
+    const attachments = await Promise.all(stored.map(record => openAttachment(record, withImages)));
+    return attachments.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Queues deletion of the photos of an entry that is gone for good
+ * @param {IDBTransaction} transaction - Transaction that includes the attachments store
+ * @param {string} entryId - Id of the entry
+ */
+function deleteEntryAttachments(transaction, entryId) {
+    const store = transaction.objectStore(ATTACHMENTS_STORE);
+    store.index('entryId').openKeyCursor(entryId).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        }
+    };
+}
+
+/**
+ * Gets the photos of a day in the active journal, without the full images
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @returns {Promise<Array<AttachmentRecord>>} Promise resolving to the day's photos, oldest first
+ */
+export async function getAttachmentsByDate(dateKey) {
+    const stored = await runTransaction(ATTACHMENTS_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ATTACHMENTS_STORE).index('journalDate').getAll([getActiveJournalId(), dateKey]);
+    });
+    return openAttachments(stored);
+}
+
+/**
+ * Gets every photo in a journal
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @param {Object} [options]
+ * @param {boolean} [options.withImages=false] - True to read the full images too (e.g. for a backup)
+ * @returns {Promise<Array<AttachmentRecord>>} Promise resolving to the photos, oldest first
+ */
+export async function getAllAttachments(journalId = getActiveJournalId(), { withImages = false } = {}) {
+    const stored = await runTransaction(ATTACHMENTS_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ATTACHMENTS_STORE).index('journalId').getAll(journalId);
+    });
+    return openAttachments(stored, withImages);
+}
+
+/**
+ * Gets the full image of a photo
+ * @param {string} attachmentId - Id of the photo
+ * @returns {Promise<Blob|null>} Promise resolving to the image, or null if not found
+ */
+export async function getAttachmentImage(attachmentId) {
+    const stored = await runTransaction(ATTACHMENTS_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ATTACHMENTS_STORE).get(attachmentId);
+    });
+    return stored ? openBlob(stored.image) : null;
+}
+
+/**
+ * Attaches photos to a day, or to one entry of that day
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {Array<{image: Blob, thumbnail: Blob, width: number, height: number}>} images - Prepared images (see imageUtils)
+ * @param {string|null} [entryId=null] - Id of the entry, or null for the whole day
+ * @returns {Promise<Array<AttachmentRecord>>} Promise resolving to the new photos
+ */
+export async function addAttachments(dateKey, images, entryId = null) {
+    const journalId = getActiveJournalId();
+    const createdAt = new Date().toISOString();
+    const attachments = images.map(({ image, thumbnail, width, height }) => ({
+        id: generateId(),
+        journalId,
+        date: dateKey,
+        ...(entryId ? { entryId } : {}),
+        type: image.type,
+        width,
+        height,
+        createdAt,
+        thumbnail,
+        image
+    }));
+    await putAttachments(attachments);
+    return attachments;
+}
+
+/**
+ * Writes photo records as they are, e.g. to undo a removal
+ * @param {Array<AttachmentRecord>} attachments - Photos to write, with their full images
+ * @returns {Promise<void>}
+ */
+export async function putAttachments(attachments) {
+    const records = await Promise.all(attachments.map(sealAttachment));
+    await runTransaction(ATTACHMENTS_STORE, 'readwrite', (transaction) => {
+        const store = transaction.objectStore(ATTACHMENTS_STORE);
+        records.forEach(record => store.put(record));
+    });
+    notifyEntryChange({ attachments: true });
+}
+
+/**
+ * Removes a photo
+ * @param {string} attachmentId - Id of the photo
+ * @returns {Promise<AttachmentRecord|null>} Promise resolving to the removed photo with its full image, or null if not found
+ */
+export async function deleteAttachment(attachmentId) {
+    const stored = await runTransaction(ATTACHMENTS_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ATTACHMENTS_STORE).get(attachmentId);
+    });
+    if (!stored) {
+        return null;
+    }
+    const attachment = await openAttachment(stored, true);
+    await runTransaction(ATTACHMENTS_STORE, 'readwrite', (transaction) => {
+        transaction.objectStore(ATTACHMENTS_STORE).delete(attachmentId);
+    });
+    notifyEntryChange({ attachments: true });
+    return attachment;
+}
+
+/**
+ * Adds imported photos to a journal, skipping any already there
+ * Photos are matched by id first, then by day, entry and attach time, so
+ * importing the same backup twice keeps one copy. One whose id is taken in
+ * another journal gets a new id, so copying photos never moves them.
+ * @param {Array<AttachmentRecord>} importedAttachments - Photos with their full images
+ * @param {string} [journalId] - Id of the journal (defaults to the active one)
+ * @returns {Promise<{added: number, skipped: number}>} Promise resolving to the number of photos added,
+ *     and of those skipped as already in the journal
+ */
+export async function mergeAttachments(importedAttachments, journalId = getActiveJournalId()) {
+    if (importedAttachments.length === 0) {
+        return { added: 0, skipped: 0 };
     }
+    const allIds = await runTransaction(ATTACHMENTS_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(ATTACHMENTS_STORE).getAllKeys();
+    });
+    const existing = await getAllAttachments(journalId);
+    const existingIds = new Set(existing.map(attachment => attachment.id));
+    const photoKey = (attachment) => [attachment.date, attachment.entryId || '', attachment.createdAt].join('|');
+    const existingKeys = new Set(existing.map(photoKey));
+    const takenIds = new Set(allIds);
+    const newAttachments = [];
     
-    let longestStreak = 1;
-    let currentStreak = 1;
+    importedAttachments.forEach(attachment => {
+        if (existingIds.has(attachment.id) || existingKeys.has(photoKey(attachment))) {
+            return;
+        }
+        const id = takenIds.has(attachment.id) ? generateId() : attachment.id;
+        newAttachments.push({ ...attachment, id, journalId });
+        existingIds.add(attachment.id);
+        existingKeys.add(photoKey(attachment));
+        takenIds.add(id);
+    });
     
-    // Iterate through sorted dates and find consecutive sequences
-    for (let i = 1; i < datesWithEntries.length; i++) {
-        const prevDate = new Date(datesWithEntries[i - 1] + 'T00:00:00');
-        const currentDate = new Date(datesWithEntries[i] + 'T00:00:00');
-        
-        // Calculate difference in days
-        const daysDiff = Math.floor((currentDate - prevDate) / (1000 * 60 * 60 * 24));
-        
-        if (daysDiff === 1) {
-            // Consecutive day
-            currentStreak++;
-            longestStreak = Math.max(longestStreak, currentStreak);
-        } else {
-            // Not consecutive, reset current streak
-            currentStreak = 1;
+    const records = await Promise.all(newAttachments.map(sealAttachment));
+    const outcome = await runTransaction(ATTACHMENTS_STORE, 'readwrite', (transaction) => {
+        const store = transaction.objectStore(ATTACHMENTS_STORE);
+        const result = { added: 0 };
+        // add() rather than put(), so a photo added meanwhile (e.g. in another tab) is kept
+        records.forEach(record => {
+            const request = store.add(record);
+            request.onsuccess = () => {
+                result.added++;
+            };
+            request.onerror = (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+            };
+        });
+        return result;
+    });
+    if (outcome.added > 0) {
+        notifyEntryChange({ attachments: true });
+    }
+    return { added: outcome.added, skipped: importedAttachments.length - outcome.added };
+}
+
+/**
+ * Moves an entry to the trash
+ * Trashed entries live in their own store, so streaks and insights never see them.
+ * A sealed record is moved as it is; only its readable deletion time is added.
+ * @param {string} entryId - Id of the entry to delete
+ * @returns {Promise<TrashedEntryRecord|null>} Promise resolving to the trashed record, or null if not found
+ */
+export function moveEntryToTrash(entryId) {
+    return runTransaction([ENTRIES_STORE, TRASH_STORE], 'readwrite', (transaction) => {
+        const outcome = { record: null };
+        const entriesStore = transaction.objectStore(ENTRIES_STORE);
+        const request = entriesStore.get(entryId);
+        request.onsuccess = () => {
+            const entry = request.result;
+            if (!entry) {
+                return;
+            }
+            const trashed = { ...entry, deletedAt: new Date().toISOString() };
+            entriesStore.delete(entryId);
+            transaction.objectStore(TRASH_STORE).put(trashed);
+            outcome.record = trashed;
+        };
+        return outcome;
+    }).then(outcome => {
+        if (!outcome.record) {
+            return null;
+        }
+        notifyEntryChange({ removed: [entryId], trash: true });
+        return openRecord(outcome.record);
+    });
+}
+
+/**
+ * Restores an entry from the trash back into the journal
+ * @param {string} entryId - Id of the trashed entry
+ * @returns {Promise<EntryRecord|null>} Promise resolving to the restored record, or null if not found
+ */
+export function restoreEntryFromTrash(entryId) {
+    return runTransaction([ENTRIES_STORE, TRASH_STORE], 'readwrite', (transaction) => {
+        const outcome = { record: null };
+        const trashStore = transaction.objectStore(TRASH_STORE);
+        const request = trashStore.get(entryId);
+        request.onsuccess = () => {
+            if (!request.result) {
+                return;
+            }
+            const { deletedAt, ...entry } = request.result;
+            trashStore.delete(entryId);
+            transaction.objectStore(ENTRIES_STORE).put(entry);
+            outcome.record = entry;
+        };
+        return outcome;
+    }).then(async outcome => {
+        if (!outcome.record) {
+            return null;
         }
+        const record = await openRecord(outcome.record);
+        notifyEntryChange({ put: [record], trash: true });
+        return record;
+    });
+}
+
+/**
+ * Gets all entries in the trash
+ * @returns {Promise<Array<TrashedEntryRecord>>} Promise resolving to trashed records, most recently deleted first
+ */
+export async function getTrashedEntries() {
+    const records = await runTransaction(TRASH_STORE, 'readonly', (transaction) => {
+        return transaction.objectStore(TRASH_STORE).index('journalId').getAll(getActiveJournalId());
+    });
+    return (await openRecords(records)).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Permanently deletes an entry from the trash, along with its photos
+ * @param {string} entryId - Id of the trashed entry
+ * @returns {Promise<void>}
+ */
+export async function purgeTrashedEntry(entryId) {
+    await runTransaction([TRASH_STORE, ATTACHMENTS_STORE], 'readwrite', (transaction) => {
+        transaction.objectStore(TRASH_STORE).delete(entryId);
+        deleteEntryAttachments(transaction, entryId);
+    });
+    notifyEntryChange({ trash: true, attachments: true });
+}
+
+/**
+ * Permanently deletes every entry in the active journal's trash, along with their photos
+ * @returns {Promise<void>}
+ */
+export async function emptyTrash() {
+    const journalId = getActiveJournalId();
+    await runTransaction([TRASH_STORE, ATTACHMENTS_STORE], 'readwrite', (transaction) => {
+        const store = transaction.objectStore(TRASH_STORE);
+        const request = store.index('journalId').openKeyCursor(journalId);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                deleteEntryAttachments(transaction, cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    });
+    notifyEntryChange({ trash: true, attachments: true });
+}
+
+/**
+ * Permanently deletes trashed entries older than the retention period, in every journal
+ * @param {number} retentionDays - Days to keep trashed entries (0 keeps them forever)
+ * @returns {Promise<number>} Promise resolving to the number of entries purged
+ */
+export function purgeExpiredTrash(retentionDays) {
+    if (!retentionDays || retentionDays <= 0) {
+        return Promise.resolve(0);
     }
     
-    return longestStreak;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    return runTransaction([TRASH_STORE, ATTACHMENTS_STORE], 'readwrite', (transaction) => {
+        const outcome = { purged: 0 };
+        const range = IDBKeyRange.upperBound(cutoff, true);
+        const request = transaction.objectStore(TRASH_STORE).index('deletedAt').openCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                deleteEntryAttachments(transaction, cursor.primaryKey);
+                cursor.delete();
+                outcome.purged++;
+                cursor.continue();
+            }
+        };
+        return outcome;
+    }).then(outcome => {
+        if (outcome.purged > 0) {
+            notifyEntryChange({ trash: true, attachments: true });
+        }
+        return outcome.purged;
+    });
+}
+
+/**
+ * Works out the streaks, with missed days forgiven by grace days and freezes
+ * @returns {Promise<import('../utils/streakUtils.js').StreakSummary>} Promise resolving to the streak summary
+ */
+export async function getStreakSummary() {
+    return summarizeStreaks(await getCompleteDates(), getTodayDateString(), getStreakRules());
+}
+
+/**
+ * Calculates the current streak of complete days
+ * Today does not break the streak until it is over, so it only adds to it once complete.
+ * Missed days covered by a grace day or a freeze keep the streak going without adding to it.
+ * @returns {Promise<number>} Promise resolving to the number of complete days in the streak
+ */
+export async function calculateStreak() {
+    return (await getStreakSummary()).current;
+}
+
+/**
+ * Counts the entries of each day
+ * @returns {Promise<Object<string, number>>} Promise resolving to entry counts by date
+ */
+export function getEntryCountsByDate() {
+    const range = journalDateRange(getActiveJournalId());
+    return runTransaction(ENTRIES_STORE, 'readonly', (transaction) => {
+        const counts = {};
+        const request = transaction.objectStore(ENTRIES_STORE).index('journalDate').openKeyCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                const date = cursor.key[1];
+                counts[date] = (counts[date] || 0) + 1;
+                cursor.continue();
+            }
+        };
+        return counts;
+    });
+}
+
+/**
+ * Gets every date that meets the daily goal
+ * @returns {Promise<Array<string>>} Promise resolving to date strings, sorted ascending
+ */
+export async function getCompleteDates() {
+    const counts = await getEntryCountsByDate();
+    const goal = getDailyGoal();
+    return Object.keys(counts)
+        .filter(date => isDayComplete(counts[date], goal))
+        .sort();
+}
+
+/**
+ * Gets the number of days that meet the daily goal
+ * @returns {Promise<number>} Promise resolving to the number of complete days
+ */
+export async function getCompleteDaysCount() {
+    return (await getCompleteDates()).length;
+}
+
+/**
+ * Calculates the longest streak of complete days ever, with the same forgiven days as the current one
+ * @returns {Promise<number>} Promise resolving to the longest streak
+ */
+export async function calculateLongestStreak() {
+    return (await getStreakSummary()).longest;
 }
 
 /**
  * Gets the most frequent gratitude entries
  * @param {number} limit - Maximum number of entries to return (default: 5)
- * @returns {Array<{text: string, count: number}>} Array of entries with counts, sorted by frequency
+ * @returns {Promise<Array<{text: string, count: number}>>} Promise resolving to entries with counts, sorted by frequency
  */
-export function getMostFrequentEntries(limit = 5) {
-    const entries = getAllEntries();
+export async function getMostFrequentEntries(limit = 5) {
+    const entries = await getAllEntries();
     const entryCounts = {};
     
     // Count all entries (case-insensitive, trimmed)
     Object.values(entries).forEach(dayEntries => {
         if (Array.isArray(dayEntries)) {
             dayEntries.forEach(entry => {
-                const normalized = entry.trim().toLowerCase();
+                const normalized = entry.text.trim().toLowerCase();
                 if (normalized) {
                     entryCounts[normalized] = (entryCounts[normalized] || 0) + 1;
                 }
@@ -253,12 +1153,14 @@ export function getMostFrequentEntries(limit = 5) {
 }
 
 /**
- * Gets the most frequent words across all entries
- * @param {number} limit - Maximum number of words to return (default: 10)
- * @returns {Array<{word: string, count: number}>} Array of words with counts, sorted by frequency
+ * Gets the most frequent words, tags and mentioned people across all entries
+ * Hashtags are counted as tags only and @mentions as people only, never as plain words.
+ * @param {number} limit - Maximum number of words, of tags and of people to return (default: 10)
+ * @returns {Promise<{words: Array<{word: string, count: number}>, tags: Array<{tag: string, count: number}>, people: Array<import('../utils/mentionUtils.js').Person>}>}
+ *     Promise resolving to words, tags and people with counts, sorted by frequency
  */
-export function getMostFrequentWords(limit = 10) {
-    const entries = getAllEntries();
+export async function getMostFrequentWords(limit = 10) {
+    const entries = await getAllEntries();
     const wordCounts = {};
     
     // Common stop words to filter out
@@ -280,7 +1182,7 @@ export function getMostFrequentWords(limit = 10) {
         if (Array.isArray(dayEntries)) {
             dayEntries.forEach(entry => {
                 // Split into words, remove punctuation, convert to lowercase
-                const words = entry
+                const words = removeMentions(removeHashtags(entry.text))
                     .toLowerCase()
                     .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
                     .split(/\s+/) // Split on whitespace
@@ -301,6 +1203,11 @@ export function getMostFrequentWords(limit = 10) {
         .sort((a, b) => b.count - a.count)
         .slice(0, limit);
     
-    return sortedWords;
+    const sortedTags = countTags(Object.values(entries).flat()).slice(0, limit);
+    
+    // People are counted on their own, with their aliases merged
+    const sortedPeople = countPeople(Object.values(entries).flat(), await getPeopleIndex()).slice(0, limit);
+    
+    return { words: sortedWords, tags: sortedTags, people: sortedPeople };
 }
 
@@ -9,7 +9,7 @@ const SERVICE_WORKER_PATH = '/sw.js';
  */
 export function registerServiceWorker() {
     if ('serviceWorker' in navigator) {
-        window.addEventListener('load', () => {
+        const register = () => {
             navigator.serviceWorker.register(SERVICE_WORKER_PATH)
                 .then((registration) => {
                     console.log('Service Worker registered:', registration);
@@ -17,7 +17,14 @@ export function registerServiceWorker() {
                 .catch((error) => {
                     console.log('Service Worker registration failed:', error);
                 });
-        });
+        };
+        
+        // App startup is async, so the page may have finished loading already
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register);
+        }
     }
 }
 
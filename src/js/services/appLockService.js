@@ -0,0 +1,159 @@
+/**
+ * App lock: a PIN or password screen in front of the journal
+ * This is a privacy screen for shared devices, separate from encryption: the
+ * entries themselves are not encrypted by it. Only a salted hash of the PIN is
+ * kept, and repeated wrong guesses are slowed down with a growing lockout.
+ *
+ * Forgotten PIN: the only way past the lock is resetAppLock(), which erases
+ * every entry on this device along with the lock. A journal backed up
+ * beforehand (Backup or Export in settings) can be imported again afterwards.
+ */
+
+import { deriveBits, bytesEqual, generateSalt, toBase64, fromBase64 } from '../utils/cryptoUtils.js';
+import { deleteDatabase } from '../data/db.js';
+import { clearHistory } from './undoService.js';
+
+const APP_LOCK_KEY = 'gratitudeAppLock';
+
+// Far fewer than for encryption keys, so unlocking stays instant on older tablets
+const PIN_HASH_ITERATIONS = 100000;
+
+// Wrong guesses allowed before the lockout starts, and how it grows
+const FREE_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+// localStorage keys erased with the journal on reset (settings and theme are kept)
+const ERASED_STORAGE_KEYS = [APP_LOCK_KEY, 'gratitudeSync', 'gratitudeJournals', 'gratitudeActiveJournal'];
+
+/**
+ * Stored app lock settings
+ * @typedef {Object} AppLockConfig
+ * @property {string} salt - Base64 salt for the PIN hash
+ * @property {string} hash - Base64 PIN hash
+ * @property {boolean} numeric - True if the PIN is digits only, so a number pad can be shown
+ * @property {number} failedAttempts - Wrong guesses since the last success
+ * @property {number} lockedUntil - Time (ms) before which no guess is accepted
+ */
+
+/**
+ * Result of checking a PIN
+ * @typedef {Object} PinCheck
+ * @property {boolean} ok - True if the PIN was right
+ * @property {number} retryInMs - Wait before the next guess is accepted (0 if none)
+ */
+
+/**
+ * Reads the stored app lock settings
+ * @returns {AppLockConfig|null} Settings, or null if no lock is set up
+ */
+function getConfig() {
+    try {
+        const stored = localStorage.getItem(APP_LOCK_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.error('Error reading app lock:', error);
+        return null;
+    }
+}
+
+/**
+ * Saves the app lock settings
+ * @param {AppLockConfig} config - Settings to save
+ */
+function saveConfig(config) {
+    localStorage.setItem(APP_LOCK_KEY, JSON.stringify(config));
+}
+
+/**
+ * Checks whether an app lock is set up
+ * @returns {boolean} True if the app should lock
+ */
+export function isAppLockEnabled() {
+    return getConfig() !== null;
+}
+
+/**
+ * Checks whether the PIN is digits only
+ * @returns {boolean} True if a number pad suits the PIN
+ */
+export function isPinNumeric() {
+    const config = getConfig();
+    return Boolean(config && config.numeric);
+}
+
+/**
+ * Gets how long until the next guess is accepted
+ * @returns {number} Milliseconds to wait (0 if a guess can be made now)
+ */
+export function getLockoutRemaining() {
+    const config = getConfig();
+    return config ? Math.max(0, (config.lockedUntil || 0) - Date.now()) : 0;
+}
+
+/**
+ * Sets up the app lock, or changes its PIN
+ * @param {string} pin - New PIN or password
+ * @returns {Promise<void>}
+ */
+export async function setAppLock(pin) {
+    const salt = generateSalt();
+    const hash = await deriveBits(pin, salt, PIN_HASH_ITERATIONS);
+    saveConfig({
+        salt: toBase64(salt),
+        hash: toBase64(hash),
+        numeric: /^\d+$/.test(pin),
+        failedAttempts: 0,
+        lockedUntil: 0
+    });
+}
+
+/**
+ * Removes the app lock
+ */
+export function removeAppLock() {
+    localStorage.removeItem(APP_LOCK_KEY);
+}
+
+/**
+ * Checks a PIN, counting wrong guesses towards the lockout
+ * The lockout is stored, so reloading the page does not reset it.
+ * @param {string} pin - PIN typed by the user
+ * @returns {Promise<PinCheck>} Promise resolving to the result
+ */
+export async function checkAppLockPin(pin) {
+    const config = getConfig();
+    if (!config) {
+        return { ok: true, retryInMs: 0 };
+    }
+    
+    const retryInMs = getLockoutRemaining();
+    if (retryInMs > 0) {
+        return { ok: false, retryInMs };
+    }
+    
+    const hash = await deriveBits(pin, fromBase64(config.salt), PIN_HASH_ITERATIONS);
+    if (bytesEqual(hash, fromBase64(config.hash))) {
+        saveConfig({ ...config, failedAttempts: 0, lockedUntil: 0 });
+        return { ok: true, retryInMs: 0 };
+    }
+    
+    // Each wrong guess past the free ones doubles the wait
+    const failedAttempts = (config.failedAttempts || 0) + 1;
+    const extraAttempts = failedAttempts - FREE_ATTEMPTS;
+    const lockoutMs = extraAttempts >= 0 ? Math.min(BASE_LOCKOUT_MS * 2 ** extraAttempts, MAX_LOCKOUT_MS) : 0;
+    saveConfig({ ...config, failedAttempts, lockedUntil: lockoutMs ? Date.now() + lockoutMs : 0 });
+    return { ok: false, retryInMs: lockoutMs };
+}
+
+/**
+ * Erases the journal on this device and removes the app lock
+ * This is the reset path for a forgotten PIN; it cannot be undone.
+ * @returns {Promise<void>}
+ */
+export async function resetAppLock() {
+    await deleteDatabase();
+    ERASED_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+    // Undoing a change would otherwise write erased entries back
+    clearHistory();
+}
@@ -0,0 +1,374 @@
+/**
+ * JSON backup export/import service
+ * Unlike CSV, a backup keeps every field of each record, including edit history,
+ * along with each day's mood, every photo and the merged names of mentioned people.
+ * A backup holds either one journal or every journal, and can be encrypted
+ * with its own passphrase, independent of the journal's.
+ */
+
+import { formatDate } from '../utils/dateUtils.js';
+import { downloadFile, readFileAsText } from '../utils/fileUtils.js';
+import { getAllEntries, mergeEntries, getMoods, mergeMoods, getAllAttachments, mergeAttachments } from '../data/storage.js';
+import { listJournals, getJournal, createJournal, getActiveJournalId } from '../data/journals.js';
+import { takeSnapshot } from '../data/snapshots.js';
+import { getPeopleIndex, mergePeopleIndex } from '../data/people.js';
+import { repairRecord, isValidDateKey } from '../data/recovery.js';
+import { isValidMood } from '../utils/moodUtils.js';
+import { IMAGE_TYPE } from '../utils/imageUtils.js';
+import { CURRENT_SCHEMA_VERSION } from '../data/migrations.js';
+import { PBKDF2_ITERATIONS, generateSalt, deriveKey, encryptJson, decryptJson, toBase64, fromBase64 } from '../utils/cryptoUtils.js';
+
+// Identifies our backup files and their layout (version 2 added journals, version 3 photos)
+const BACKUP_FORMAT = 'gratitude-journal-backup';
+const BACKUP_FORMAT_VERSION = 3;
+
+/**
+ * One journal read from a backup
+ * @typedef {Object} BackupPart
+ * @property {{id: string, name: string, color: string}|null} journal - Journal the entries came from
+ *     (null for a single-journal or older backup, whose entries go into the active journal)
+ * @property {Object<string, Array<Object>>} entries - Entries object with entry records
+ * @property {Object<string, number>} moods - Mood ratings by date (empty for backups made before moods)
+ * @property {Array<import('../data/storage.js').AttachmentRecord>} attachments - Photos with their full images
+ *     (empty for backups made before photos)
+ * @property {import('../data/people.js').PeopleIndex} people - Merged and renamed people
+ *     (empty for backups made before mentions)
+ */
+
+/**
+ * Reads a journal's photos for a backup, with the images as base64
+ * @param {string} journalId - Id of the journal
+ * @returns {Promise<Array<Object>>} Promise resolving to the photos as they are written to the file
+ */
+async function getBackupAttachments(journalId) {
+    const attachments = await getAllAttachments(journalId, { withImages: true });
+    return Promise.all(attachments.map(async ({ id, date, entryId, type, width, height, createdAt, image, thumbnail }) => ({
+        id,
+        date,
+        ...(entryId ? { entryId } : {}),
+        type,
+        width,
+        height,
+        createdAt,
+        image: toBase64(await image.arrayBuffer()),
+        thumbnail: toBase64(await thumbnail.arrayBuffer())
+    })));
+}
+
+/**
+ * Builds a backup object of one journal or of every journal
+ * @param {Object} [options] - What to back up
+ * @param {string} [options.journalId] - Back up only this journal; every journal if omitted
+ * @returns {Promise<Object>} Promise resolving to the backup object
+ */
+export async function createBackup({ journalId } = {}) {
+    const backup = {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString()
+    };
+    if (journalId) {
+        const { id, name, color } = getJournal(journalId);
+        return {
+            ...backup,
+            journal: { id, name, color },
+            entries: await getAllEntries(journalId),
+            moods: await getMoods(journalId),
+            attachments: await getBackupAttachments(journalId),
+            people: await getPeopleIndex(journalId)
+        };
+    }
+    
+    const journals = [];
+    for (const { id, name, color } of listJournals()) {
+        journals.push({
+            id,
+            name,
+            color,
+            entries: await getAllEntries(id),
+            moods: await getMoods(id),
+            attachments: await getBackupAttachments(id),
+            people: await getPeopleIndex(id)
+        });
+    }
+    return { ...backup, journals };
+}
+
+/**
+ * Encrypts a backup object with a passphrase
+ * @param {Object} backup - Backup object
+ * @param {string} passphrase - Passphrase for the backup file
+ * @returns {Promise<Object>} Promise resolving to the encrypted backup object
+ */
+async function encryptBackup(backup, passphrase) {
+    const salt = generateSalt();
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const { iv, data } = await encryptJson(key, backup);
+    return {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        encrypted: {
+            kdf: 'PBKDF2-SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: toBase64(salt),
+            iv: toBase64(iv),
+            data: toBase64(data)
+        }
+    };
+}
+
+/**
+ * Exports a JSON backup and triggers download
+ * @param {Object} [options] - Export options
+ * @param {string} [options.journalId] - Back up only this journal; every journal if omitted
+ * @param {string} [options.passphrase] - Encrypt the file with this passphrase
+ * @returns {Promise<void>}
+ */
+export async function exportToJSON({ journalId, passphrase } = {}) {
+    const backup = await createBackup({ journalId });
+    // Single-journal files are named after the journal, so several can sit side by side
+    const slug = backup.journal ? backup.journal.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : '';
+    const baseName = ['gratitude-backup', slug, formatDate(new Date())].filter(Boolean).join('-');
+    if (passphrase) {
+        const encrypted = await encryptBackup(backup, passphrase);
+        downloadFile(JSON.stringify(encrypted, null, 2), `${baseName}-encrypted.json`, 'application/json');
+        return;
+    }
+    downloadFile(JSON.stringify(backup, null, 2), `${baseName}.json`, 'application/json');
+}
+
+/**
+ * Checks whether file content is an encrypted backup
+ * @param {string} jsonContent - JSON file content
+ * @returns {boolean} True if the backup must be decrypted before parsing
+ */
+export function isEncryptedBackup(jsonContent) {
+    try {
+        const backup = JSON.parse(jsonContent);
+        return Boolean(backup) && backup.format === BACKUP_FORMAT && Boolean(backup.encrypted);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Decrypts an encrypted backup
+ * @param {string} jsonContent - Encrypted backup file content
+ * @param {string} passphrase - Passphrase the backup was encrypted with
+ * @returns {Promise<string>} Promise resolving to the plain backup JSON, ready for parseBackup
+ * @throws {Error} If the passphrase is wrong or the file is damaged
+ */
+export async function decryptBackup(jsonContent, passphrase) {
+    const { encrypted } = JSON.parse(jsonContent);
+    try {
+        const key = await deriveKey(passphrase, fromBase64(encrypted.salt), encrypted.iterations);
+        const backup = await decryptJson(key, { iv: fromBase64(encrypted.iv), data: fromBase64(encrypted.data) });
+        return JSON.stringify(backup);
+    } catch (error) {
+        throw new Error('Incorrect passphrase, or the backup file is damaged');
+    }
+}
+
+/**
+ * Rebuilds the entries of one journal in a backup
+ * Records are rebuilt field by field, so unknown or malformed data is dropped.
+ * @param {*} backupEntries - Entries object as found in the file
+ * @returns {Object<string, Array<Object>>} Entries object with entry records
+ */
+function parseBackupEntries(backupEntries) {
+    const entries = {};
+    if (!backupEntries || typeof backupEntries !== 'object') {
+        return entries;
+    }
+    Object.entries(backupEntries).forEach(([date, items]) => {
+        if (!Array.isArray(items)) {
+            return;
+        }
+        const records = items.map(item => repairRecord(item, date)).filter(Boolean);
+        if (records.length > 0) {
+            entries[date] = records;
+        }
+    });
+    return entries;
+}
+
+/**
+ * Reads the moods of one journal in a backup, dropping anything that is not a rating of a valid date
+ * @param {*} backupMoods - Moods object as found in the file
+ * @returns {Object<string, number>} Ratings by date
+ */
+function parseBackupMoods(backupMoods) {
+    const moods = {};
+    if (backupMoods && typeof backupMoods === 'object') {
+        Object.entries(backupMoods).forEach(([date, mood]) => {
+            if (isValidDateKey(date) && isValidMood(mood)) {
+                moods[date] = mood;
+            }
+        });
+    }
+    return moods;
+}
+
+/**
+ * Reads the photos of one journal in a backup, dropping any that are incomplete or not images
+ * @param {*} backupAttachments - Photos as found in the file
+ * @returns {Array<import('../data/storage.js').AttachmentRecord>} Photos with their images as blobs
+ */
+function parseBackupAttachments(backupAttachments) {
+    if (!Array.isArray(backupAttachments)) {
+        return [];
+    }
+    const attachments = [];
+    backupAttachments.forEach(item => {
+        if (!item || typeof item.id !== 'string' || !/^[\w-]+$/.test(item.id) || !isValidDateKey(item.date)
+            || typeof item.type !== 'string' || !item.type.startsWith('image/')
+            || typeof item.image !== 'string' || typeof item.thumbnail !== 'string') {
+            return;
+        }
+        try {
+            attachments.push({
+                id: item.id,
+                date: item.date,
+                ...(typeof item.entryId === 'string' && item.entryId ? { entryId: item.entryId } : {}),
+                type: item.type,
+                width: Number(item.width) || 0,
+                height: Number(item.height) || 0,
+                createdAt: typeof item.createdAt === 'string' ? item.createdAt : new Date().toISOString(),
+                image: new Blob([fromBase64(item.image)], { type: item.type }),
+                thumbnail: new Blob([fromBase64(item.thumbnail)], { type: IMAGE_TYPE })
+            });
+        } catch (error) {
+            // Damaged base64; the other photos can still be restored
+            console.error('Skipping unreadable photo in backup:', error);
+        }
+    });
+    return attachments;
+}
+
+/**
+ * Reads the people index of one journal in a backup, keeping only names written as text
+ * @param {*} backupPeople - People index as found in the file
+ * @returns {import('../data/people.js').PeopleIndex} Merged and renamed people
+ */
+function parseBackupPeople(backupPeople) {
+    const readTextMap = (map) => {
+        const result = {};
+        if (map && typeof map === 'object') {
+            Object.entries(map).forEach(([key, value]) => {
+                if (typeof value === 'string') {
+                    result[key] = value;
+                }
+            });
+        }
+        return result;
+    };
+    return {
+        aliases: readTextMap(backupPeople && backupPeople.aliases),
+        names: readTextMap(backupPeople && backupPeople.names)
+    };
+}
+
+/**
+ * Parses a JSON backup into its journals
+ * @param {string} jsonContent - JSON file content
+ * @returns {Array<BackupPart>} Journals in the backup, each with its entries
+ * @throws {Error} If the content is not a journal backup
+ */
+export function parseBackup(jsonContent) {
+    let backup;
+    try {
+        backup = JSON.parse(jsonContent);
+    } catch (error) {
+        throw new Error('Backup file is not valid JSON');
+    }
+    
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error('File is not a gratitude journal backup');
+    }
+    if (Array.isArray(backup.journals)) {
+        return backup.journals
+            .filter(journal => journal && typeof journal.id === 'string' && /^[\w-]+$/.test(journal.id))
+            .map(journal => ({
+                journal: { id: journal.id, name: journal.name, color: journal.color },
+                entries: parseBackupEntries(journal.entries),
+                moods: parseBackupMoods(journal.moods),
+                attachments: parseBackupAttachments(journal.attachments),
+                people: parseBackupPeople(journal.people)
+            }));
+    }
+    if (typeof backup.entries !== 'object' || !backup.entries) {
+        throw new Error('File is not a gratitude journal backup');
+    }
+    return [{
+        journal: null,
+        entries: parseBackupEntries(backup.entries),
+        moods: parseBackupMoods(backup.moods),
+        attachments: parseBackupAttachments(backup.attachments),
+        people: parseBackupPeople(backup.people)
+    }];
+}
+
+/**
+ * Imports entries from a JSON backup file
+ * A single-journal backup is merged into the active journal. Every journal the
+ * backup writes to is snapshotted first, so the import can be rolled back.
+ * @param {File} file - JSON backup file to import
+ * @param {function(function(string): Promise<string>): Promise<string|null>} [unlockBackup] - Called for an
+ *     encrypted backup with a decrypt function; resolves to the decrypted content, or null if the user cancels
+ * @returns {Promise<{records: Array<Object>, skippedPhotos: number}>} Promise resolving to the entry records
+ *     that were added, and the number of photos skipped as already in their journal
+ */
+export async function importFromJSON(file, unlockBackup) {
+    let jsonContent = await readFileAsText(file);
+    if (isEncryptedBackup(jsonContent)) {
+        if (!unlockBackup) {
+            throw new Error('This backup is encrypted');
+        }
+        const encryptedContent = jsonContent;
+        jsonContent = await unlockBackup(passphrase => decryptBackup(encryptedContent, passphrase));
+        if (jsonContent === null) {
+            throw new Error('Import cancelled');
+        }
+    }
+    const parts = parseBackup(jsonContent).filter(part => {
+        return Object.keys(part.entries).length > 0 || Object.keys(part.moods).length > 0 || part.attachments.length > 0;
+    });
+    
+    if (parts.length === 0) {
+        throw new Error('No valid entries found in backup file');
+    }
+    
+    // A failed snapshot is logged but does not block the import itself
+    const journalIds = new Set(parts.map(({ journal }) => journal ? journal.id : getActiveJournalId()));
+    for (const journalId of journalIds) {
+        if (getJournal(journalId)) {
+            await takeSnapshot('import', undefined, journalId).catch(error => console.error('Error taking snapshot:', error));
+        }
+    }
+    
+    try {
+        // Merge with existing entries (only new entries and photos are written, and
+        // moods and people's names only where none is set); journals from a full
+        // backup go back to the journal they came from, recreating it if needed
+        const records = [];
+        let skippedPhotos = 0;
+        for (const { journal, entries, moods, attachments, people } of parts) {
+            let journalId;
+            if (journal) {
+                journalId = getJournal(journal.id) ? journal.id : createJournal(journal.name || 'Imported journal', journal.color, journal.id).id;
+            }
+            const idMap = new Map();
+            records.push(...await mergeEntries(entries, journalId, idMap));
+            await mergeMoods(moods, journalId);
+            // Photos follow their entry to the id it was merged under
+            const remapped = attachments.map(attachment => idMap.has(attachment.entryId) ? { ...attachment, entryId: idMap.get(attachment.entryId) } : attachment);
+            skippedPhotos += (await mergeAttachments(remapped, journalId)).skipped;
+            await mergePeopleIndex(people, journalId);
+        }
+        return { records, skippedPhotos };
+    } catch (error) {
+        console.error('Error importing backup:', error);
+        throw new Error('Error importing backup file');
+    }
+}
@@ -3,22 +3,37 @@
  */
 
 import { formatDate } from '../utils/dateUtils.js';
-import { getAllEntries, mergeEntries, saveEntries } from '../data/storage.js';
+import { downloadFile, readFileAsText } from '../utils/fileUtils.js';
+import { getEntryTags, getExplicitOnlyTags, parseTagInput } from '../utils/tagUtils.js';
+import { getAllEntries, mergeEntries } from '../data/storage.js';
+import { repairRecord } from '../data/recovery.js';
 
 /**
  * Exports all entries to CSV format and triggers download
+ * Edit history is left out unless asked for; JSON backups always include it.
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.includeRevisions=false] - Add a column with each entry's earlier versions as JSON
+ * @returns {Promise<void>}
  */
-export function exportToCSV() {
-    const entries = getAllEntries();
+export async function exportToCSV({ includeRevisions = false } = {}) {
+    const entries = await getAllEntries();
     const rows = [];
     
     // Header
-    rows.push(['Date', 'Gratitude Entry']);
+    const header = ['Date', 'Gratitude Entry', 'ID', 'Created At', 'Updated At', 'Tags', 'Starred'];
+    if (includeRevisions) {
+        header.push('Revisions');
+    }
+    rows.push(header);
     
     // Data rows
     Object.entries(entries).forEach(([date, items]) => {
         items.forEach(item => {
-            rows.push([date, item]);
+            const row = [date, item.text, item.id, item.createdAt, item.updatedAt, getEntryTags(item).join(' '), item.starred ? 'yes' : ''];
+            if (includeRevisions) {
+                row.push(JSON.stringify(item.revisions || []));
+            }
+            rows.push(row);
         });
     });
     
@@ -34,27 +49,26 @@ export function exportToCSV() {
         }).join(',');
     }).join('\n');
     
-    // Create download
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `gratitude-entries-${formatDate(new Date())}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadFile(csvContent, `gratitude-entries-${formatDate(new Date())}.csv`, 'text/csv;charset=utf-8;');
 }
 
 /**
  * Parses CSV content and returns entries object
+ * The ID, timestamp, tags, starred and revisions columns are optional so older exports still import.
  * @param {string} csvContent - CSV file content
- * @returns {Object} Parsed entries object
+ * @returns {Object<string, Array<Object>>} Parsed entries object with entry records
  */
 export function parseCSV(csvContent) {
     const entries = {};
     const lines = csvContent.split('\n');
     
+    // Optional columns are found by their header, so their order may change between versions
+    const header = parseCSVLine(lines[0] || '').map(field => field.trim().toLowerCase());
+    const column = (row, name) => {
+        const index = header.indexOf(name);
+        return index === -1 || index >= row.length ? '' : row[index].trim();
+    };
+    
     // Skip header row
     for (let i = 1; i < lines.length; i++) {
         const line = lines[i].trim();
@@ -65,15 +79,26 @@ export function parseCSV(csvContent) {
         if (row.length >= 2) {
             const date = row[0].trim();
             const item = row[1].trim();
+            const id = column(row, 'id');
+            const createdAt = column(row, 'created at');
+            const updatedAt = column(row, 'updated at');
             
-            if (date && item) {
-                // Validate date format (YYYY-MM-DD)
-                if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-                    if (!entries[date]) {
-                        entries[date] = [];
-                    }
-                    entries[date].push(item);
+            // Rows are rebuilt the way backups are, so a bad date is skipped and a bad timestamp replaced
+            const record = item && repairRecord({
+                text: item,
+                id,
+                createdAt,
+                updatedAt,
+                revisions: parseRevisions(column(row, 'revisions')),
+                // The column lists hashtags too; only the rest need storing
+                tags: getExplicitOnlyTags({ text: item, tags: parseTagInput(column(row, 'tags')) }),
+                starred: /^(yes|true|1)$/i.test(column(row, 'starred'))
+            }, date);
+            if (record) {
+                if (!entries[date]) {
+                    entries[date] = [];
                 }
+                entries[date].push(record);
             }
         }
     }
@@ -81,6 +106,25 @@ export function parseCSV(csvContent) {
     return entries;
 }
 
+/**
+ * Parses the optional revisions column
+ * @param {string} [value] - JSON array of earlier versions, as written by exportToCSV
+ * @returns {Array<Object>} Valid revisions, or an empty array if the column is missing or malformed
+ */
+function parseRevisions(value) {
+    if (!value) {
+        return [];
+    }
+    try {
+        const revisions = JSON.parse(value);
+        return Array.isArray(revisions)
+            ? revisions.filter(revision => revision && typeof revision.text === 'string')
+            : [];
+    } catch (error) {
+        return [];
+    }
+}
+
 /**
  * Parses a single CSV line handling quoted fields
  * @param {string} line - CSV line to parse
@@ -120,43 +164,21 @@ function parseCSVLine(line) {
 /**
  * Imports entries from a CSV file
  * @param {File} file - CSV file to import
- * @returns {Promise<number>} Promise resolving to count of imported entries
+ * @returns {Promise<Array<Object>>} Promise resolving to the entry records that were added
  */
-export function importFromCSV(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            try {
-                const csvContent = e.target.result;
-                const importedEntries = parseCSV(csvContent);
-                
-                if (Object.keys(importedEntries).length === 0) {
-                    reject(new Error('No valid entries found in CSV file'));
-                    return;
-                }
-                
-                // Merge with existing entries
-                const mergedEntries = mergeEntries(importedEntries);
-                saveEntries(mergedEntries);
-                
-                const importedCount = Object.values(importedEntries).reduce(
-                    (sum, items) => sum + items.length, 
-                    0
-                );
-                
-                resolve(importedCount);
-            } catch (error) {
-                console.error('Error importing CSV:', error);
-                reject(new Error('Error importing CSV file'));
-            }
-        };
-        
-        reader.onerror = () => {
-            reject(new Error('Error reading file'));
-        };
-        
-        reader.readAsText(file);
-    });
+export async function importFromCSV(file) {
+    const csvContent = await readFileAsText(file);
+    const importedEntries = parseCSV(csvContent);
+    
+    if (Object.keys(importedEntries).length === 0) {
+        throw new Error('No valid entries found in CSV file');
+    }
+    
+    try {
+        // Merge with existing entries (only new entries are written)
+        return await mergeEntries(importedEntries);
+    } catch (error) {
+        console.error('Error importing CSV:', error);
+        throw new Error('Error importing CSV file');
+    }
 }
-
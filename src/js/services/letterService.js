@@ -0,0 +1,104 @@
+/**
+ * Thank-you letter service
+ * Gathers every entry that mentions a person into a letter to them: a
+ * standalone HTML page that can be printed, saved as a PDF or sent on.
+ */
+
+import { formatDate } from '../utils/dateUtils.js';
+import { downloadFile } from '../utils/fileUtils.js';
+import { escapeHtml } from '../utils/htmlUtils.js';
+import { countPeople, getEntryPeople, formatMentions } from '../utils/mentionUtils.js';
+import { getAllEntries } from '../data/storage.js';
+import { getPeopleIndex } from '../data/people.js';
+
+// Kept inline so the letter looks the same wherever the file is opened
+const LETTER_STYLES = `
+    body { font-family: Georgia, 'Times New Roman', serif; color: #2d2a26; background: #fdfbf7; margin: 0; }
+    main { max-width: 40rem; margin: 0 auto; padding: 3rem 1.5rem; line-height: 1.6; }
+    h1 { font-weight: normal; font-size: 2rem; margin: 0 0 1.5rem; }
+    h2 { font-size: 0.85rem; letter-spacing: 0.05em; text-transform: uppercase; color: #8a7f72; margin: 2rem 0 0.5rem; }
+    ul { margin: 0; padding-left: 1.25rem; }
+    li { margin-bottom: 0.35rem; }
+    .closing { margin-top: 3rem; }
+    @media print {
+        body { background: none; }
+        main { padding: 0; }
+        section { break-inside: avoid; }
+    }
+`;
+
+/**
+ * Formats a date for the letter, always in full (never "Today")
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @returns {string} Date such as "Sunday, March 3, 2024"
+ */
+function formatLetterDate(dateString) {
+    return new Date(dateString + 'T00:00:00').toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Builds a thank-you letter from the entries that mention a person
+ * Entries are listed oldest first, grouped by day, with @ marks written as plain names.
+ * @param {string} name - Name of the person the letter is to
+ * @param {Array<Object>} entries - Entry records mentioning the person
+ * @returns {string} Complete HTML document
+ */
+export function buildThankYouLetter(name, entries) {
+    const grouped = {};
+    entries.forEach(entry => {
+        if (!grouped[entry.date]) {
+            grouped[entry.date] = [];
+        }
+        grouped[entry.date].push(entry);
+    });
+    const dates = Object.keys(grouped).sort();
+    const title = `Thank you, ${escapeHtml(name)}`;
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>${LETTER_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>Dear ${escapeHtml(name)},</h1>
+<p>These are the moments I wrote down in my gratitude journal because of you${dates.length > 1 ? `, from ${formatLetterDate(dates[0])} to ${formatLetterDate(dates[dates.length - 1])}` : ''}.</p>
+${dates.map(date => `<section>
+<h2>${formatLetterDate(date)}</h2>
+<ul>
+${grouped[date].map(entry => `<li>${escapeHtml(formatMentions(entry.text))}</li>`).join('\n')}
+</ul>
+</section>`).join('\n')}
+<p class="closing">Thank you for all of it.</p>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Exports a thank-you letter to a person and triggers download
+ * @param {string} personKey - Key of the person, after merging aliases
+ * @returns {Promise<void>}
+ * @throws {Error} If no entry mentions the person
+ */
+export async function exportThankYouLetter(personKey) {
+    const [entriesByDate, index] = await Promise.all([getAllEntries(), getPeopleIndex()]);
+    const entries = Object.values(entriesByDate).flat();
+    const person = countPeople(entries, index).find(candidate => candidate.key === personKey);
+    if (!person) {
+        throw new Error('No entries mention this person');
+    }
+    
+    const mentioning = entries.filter(entry => getEntryPeople(entry, index.aliases).includes(personKey));
+    const slug = person.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'someone';
+    downloadFile(buildThankYouLetter(person.name, mentioning), `thank-you-${slug}-${formatDate(new Date())}.html`, 'text/html;charset=utf-8;');
+}
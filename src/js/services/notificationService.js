@@ -3,13 +3,19 @@
  */
 
 const NOTIFICATION_DURATION = 2000;
+const ACTION_NOTIFICATION_DURATION = 5000;
+
+let hideTimer = null;
 
 /**
  * Shows a notification to the user
  * @param {string} message - Message to display
  * @param {string} type - Notification type ('success' or 'error')
+ * @param {Object} [action] - Optional button shown in the notification
+ * @param {string} action.label - Button label (e.g. 'Undo')
+ * @param {Function} action.onClick - Called when the button is clicked
  */
-export function showNotification(message, type = 'success') {
+export function showNotification(message, type = 'success', action = null) {
     const notification = document.getElementById('notification');
     if (!notification) {
         console.warn('Notification element not found');
@@ -18,10 +24,35 @@ export function showNotification(message, type = 'success') {
     
     notification.textContent = message;
     notification.className = `notification ${type}`;
+    
+    if (action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'notification-action';
+        actionBtn.textContent = action.label;
+        actionBtn.addEventListener('click', () => {
+            hideNotification();
+            action.onClick();
+        });
+        notification.appendChild(actionBtn);
+    }
+    
     notification.classList.add('show');
     
-    setTimeout(() => {
+    // A newer notification replaces the old one, so restart the timer
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(() => {
         notification.classList.remove('show');
-    }, NOTIFICATION_DURATION);
+    }, action ? ACTION_NOTIFICATION_DURATION : NOTIFICATION_DURATION);
 }
 
+/**
+ * Hides the notification immediately
+ */
+export function hideNotification() {
+    const notification = document.getElementById('notification');
+    clearTimeout(hideTimer);
+    if (notification) {
+        notification.classList.remove('show');
+    }
+}
@@ -0,0 +1,425 @@
+/**
+ * Daily reminders
+ * The reminder time is read on the device's clock, and each reminder belongs to
+ * the journal day it falls in: that day's weekday decides whether it is shown,
+ * and that day's entries whether it is skipped.
+ * The reminder is shown as a system notification when the browser allows it,
+ * through the service worker: scheduled ahead with Notification Triggers where
+ * they exist, and checked by periodic background sync where that exists.
+ * While the app is open a timer checks too, and shows the reminder inside the
+ * app when notifications are not allowed. Permission is only asked for when the
+ * user turns reminders on. The schedule is copied to the meta store, where the
+ * service worker can read it (see sw.js); it holds no entry text.
+ */
+
+import { getMetaValue, setMetaValue } from '../data/db.js';
+import { getSetting } from '../data/settings.js';
+import { hasEntriesOnDate, subscribeToEntryChanges } from '../data/storage.js';
+import { getTodayDateString, getJournalDateOf, getDayStartHour, getJournalTimeZone } from '../data/journalDay.js';
+
+// Must match REMINDER_KEY and REMINDER_TAG in sw.js
+const REMINDER_KEY = 'reminder';
+const REMINDER_TAG = 'gratitude-reminder';
+
+const REMINDER_TITLE = 'Time for gratitude';
+const REMINDER_BODY = 'What are you grateful for today?';
+
+// Reminders scheduled ahead with Notification Triggers
+const SCHEDULED_DAYS = 7;
+
+// Long timers drift while the device sleeps, so the in-app timer checks again at least this often
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000;
+
+// Shortest interval asked for between periodic background syncs (browsers may wait longer)
+const PERIODIC_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+let reminderTimer = null;
+let onReminderDue = null;
+let pendingSync = Promise.resolve();
+
+// What the reminders were last brought in line with, so an unchanged schedule is not rescheduled
+let syncedState = null;
+
+/**
+ * When the daily reminder is shown
+ * @typedef {Object} ReminderSchedule
+ * @property {boolean} enabled - True if reminders are on
+ * @property {number} hour - Hour of the reminder on the device's clock
+ * @property {number} minute - Minute of the reminder
+ * @property {Array<number>} days - Weekdays to remind on (0 = Sunday)
+ * @property {boolean} onlyIfNotJournaled - True to skip the reminder once something is written that day
+ */
+
+/**
+ * How reminders can reach the user in this browser
+ * @typedef {Object} ReminderSupport
+ * @property {boolean} notifications - True if the browser can show notifications
+ * @property {string} permission - Notification permission ('granted', 'denied', 'default' or 'unsupported')
+ * @property {boolean} triggers - True if notifications can be scheduled ahead (Notification Triggers)
+ * @property {boolean} periodicSync - True if the service worker can check in the background
+ */
+
+/**
+ * Gets the reminder schedule from the settings
+ * @returns {ReminderSchedule} The schedule
+ */
+export function getReminderSchedule() {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(getSetting('reminderTime')));
+    const hour = match ? Math.min(Number(match[1]), 23) : 20;
+    const minute = match ? Math.min(Number(match[2]), 59) : 0;
+    const days = getSetting('reminderDays');
+    return {
+        enabled: Boolean(getSetting('reminderEnabled')),
+        hour,
+        minute,
+        days: Array.isArray(days) ? days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6) : [],
+        onlyIfNotJournaled: Boolean(getSetting('reminderOnlyIfNotJournaled'))
+    };
+}
+
+/**
+ * Checks how reminders can reach the user in this browser
+ * @returns {ReminderSupport} What is available
+ */
+export function getReminderSupport() {
+    const notifications = typeof Notification !== 'undefined' && 'serviceWorker' in navigator;
+    return {
+        notifications,
+        permission: notifications ? Notification.permission : 'unsupported',
+        triggers: notifications && 'TimestampTrigger' in self && 'showTrigger' in Notification.prototype,
+        periodicSync: typeof ServiceWorkerRegistration !== 'undefined' && 'periodicSync' in ServiceWorkerRegistration.prototype
+    };
+}
+
+/**
+ * Asks for permission to show notifications, if it has not been given or refused yet
+ * Only called when the user turns reminders on, so the browser never asks out of the blue.
+ * @returns {Promise<string>} Promise resolving to the permission ('granted', 'denied', 'default' or 'unsupported')
+ */
+export async function requestReminderPermission() {
+    const support = getReminderSupport();
+    if (!support.notifications || support.permission !== 'default') {
+        return support.permission;
+    }
+    try {
+        return await Notification.requestPermission();
+    } catch (error) {
+        console.error('Error asking for notification permission:', error);
+        return Notification.permission;
+    }
+}
+
+/**
+ * Gets the reminder of a day on the device's clock, if there is one
+ * @param {ReminderSchedule} schedule - The schedule
+ * @param {Date} day - Any time on the day
+ * @returns {Date|null} Time of the reminder, or null if the journal day it falls in is not a reminder day
+ */
+function getReminderOn(schedule, day) {
+    const reminder = new Date(day.getFullYear(), day.getMonth(), day.getDate(), schedule.hour, schedule.minute);
+    const journalDay = new Date(getJournalDateOf(reminder) + 'T00:00:00');
+    return schedule.days.includes(journalDay.getDay()) ? reminder : null;
+}
+
+/**
+ * Lists the next reminder times
+ * @param {ReminderSchedule} schedule - The schedule
+ * @param {Date} from - Time to start from (reminders at or before it are left out)
+ * @param {number} dayCount - Number of days to look ahead, starting with the day of from
+ * @returns {Array<Date>} Reminder times, soonest first
+ */
+export function getUpcomingReminders(schedule, from, dayCount) {
+    const reminders = [];
+    if (!schedule.enabled) {
+        return reminders;
+    }
+    for (let offset = 0; offset < dayCount; offset++) {
+        const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+        const reminder = getReminderOn(schedule, day);
+        if (reminder && reminder > from) {
+            reminders.push(reminder);
+        }
+    }
+    return reminders;
+}
+
+/**
+ * Gets the tag of a journal day's reminder notification
+ * Every way of showing a reminder uses the same tag for a day, so it is never shown twice.
+ * @param {string} reminderDate - Journal day of the reminder, in YYYY-MM-DD format
+ * @returns {string} Notification tag
+ */
+function getReminderTag(reminderDate) {
+    return `${REMINDER_TAG}-${reminderDate}`;
+}
+
+/**
+ * Gets the service worker registration, if there is one
+ * @returns {Promise<ServiceWorkerRegistration|null>} Promise resolving to the registration
+ */
+async function getRegistration() {
+    if (!('serviceWorker' in navigator)) {
+        return null;
+    }
+    try {
+        return (await navigator.serviceWorker.getRegistration()) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Reads the reminder state shared with the service worker
+ * @returns {Promise<Object>} Promise resolving to the stored state (empty if there is none)
+ */
+async function getReminderState() {
+    return (await getMetaValue(REMINDER_KEY)) || {};
+}
+
+/**
+ * Remembers that a day's reminder has been shown, so no other tab or the service worker shows it again
+ * @param {string} reminderDate - Journal day of the reminder, in YYYY-MM-DD format
+ * @returns {Promise<void>}
+ */
+async function markReminderShown(reminderDate) {
+    await setMetaValue(REMINDER_KEY, { ...(await getReminderState()), lastShownDate: reminderDate });
+}
+
+/**
+ * Checks whether a reminder should be skipped because something was written already
+ * @param {ReminderSchedule} schedule - The schedule
+ * @param {string} reminderDate - Journal day of the reminder, in YYYY-MM-DD format
+ * @returns {Promise<boolean>} Promise resolving to true if the day has an entry and that skips the reminder
+ */
+async function isReminderSkipped(schedule, reminderDate) {
+    return schedule.onlyIfNotJournaled && await hasEntriesOnDate(reminderDate);
+}
+
+/**
+ * Cancels every reminder notification scheduled ahead or still showing
+ * @param {ServiceWorkerRegistration} registration - Service worker registration
+ * @returns {Promise<void>}
+ */
+async function cancelScheduledReminders(registration) {
+    const notifications = await registration.getNotifications({ includeTriggered: true });
+    notifications
+        .filter(notification => notification.tag && notification.tag.startsWith(REMINDER_TAG))
+        .forEach(notification => notification.close());
+}
+
+/**
+ * Cancels a day's reminder notification, whether it is scheduled ahead or showing
+ * @param {string} reminderDate - Journal day of the reminder, in YYYY-MM-DD format
+ * @returns {Promise<void>}
+ */
+async function cancelReminder(reminderDate) {
+    const registration = getReminderSupport().triggers ? await getRegistration() : null;
+    if (!registration) {
+        return;
+    }
+    const notifications = await registration.getNotifications({ tag: getReminderTag(reminderDate), includeTriggered: true });
+    notifications.forEach(notification => notification.close());
+}
+
+/**
+ * Schedules the coming week's reminders with Notification Triggers
+ * Today's reminder is left out once it is skipped, since a scheduled notification cannot check.
+ * @param {ServiceWorkerRegistration} registration - Service worker registration
+ * @param {ReminderSchedule} schedule - The schedule
+ * @param {string} today - Today's journal day, in YYYY-MM-DD format
+ * @param {boolean} skipToday - True if today's reminder is skipped
+ * @returns {Promise<void>}
+ */
+async function scheduleReminders(registration, schedule, today, skipToday) {
+    const reminders = getUpcomingReminders(schedule, new Date(), SCHEDULED_DAYS)
+        .filter(reminder => !(skipToday && getJournalDateOf(reminder) === today));
+    await Promise.all(reminders.map(reminder => registration.showNotification(REMINDER_TITLE, {
+        body: REMINDER_BODY,
+        tag: getReminderTag(getJournalDateOf(reminder)),
+        icon: '/images/banner.svg',
+        data: { view: 'today' },
+        // Notification Triggers are experimental, so the constructor is only read off self
+        showTrigger: new self.TimestampTrigger(reminder.getTime())
+    })));
+}
+
+/**
+ * Registers or removes the periodic background sync that lets the service worker check for reminders
+ * @param {ServiceWorkerRegistration} registration - Service worker registration
+ * @param {boolean} enabled - True to register it
+ * @returns {Promise<void>}
+ */
+async function updatePeriodicSync(registration, enabled) {
+    try {
+        if (enabled) {
+            await registration.periodicSync.register(REMINDER_TAG, { minInterval: PERIODIC_SYNC_INTERVAL_MS });
+        } else {
+            await registration.periodicSync.unregister(REMINDER_TAG);
+        }
+    } catch (error) {
+        // Periodic sync needs the app to be installed; the in-app timer still works without it
+        console.log('Periodic background sync unavailable:', error);
+    }
+}
+
+/**
+ * Brings the reminders in line with the settings: the schedule the service worker
+ * reads, the notifications scheduled ahead, the periodic sync and the in-app timer
+ * Only the timer is reset unless the schedule, the journal day, or whether today
+ * has entries changed since the last time. Calls made while one is running wait
+ * for it, so they never undo each other.
+ * @returns {Promise<boolean>} Promise resolving to false if the reminders could not be updated
+ */
+export function syncReminders() {
+    const sync = pendingSync.then(async () => {
+        const schedule = getReminderSchedule();
+        const support = getReminderSupport();
+        const today = getTodayDateString();
+        const skipToday = schedule.enabled && await isReminderSkipped(schedule, today);
+        // The service worker works out the journal day the same way as journalDay.js
+        const timeZone = getJournalTimeZone();
+        const dayStartHour = getDayStartHour();
+        const state = JSON.stringify({ schedule, permission: support.permission, timeZone, dayStartHour, today, skipToday });
+        
+        if (state !== syncedState) {
+            await setMetaValue(REMINDER_KEY, { ...(await getReminderState()), ...schedule, timeZone, dayStartHour });
+            const registration = support.permission === 'granted' ? await getRegistration() : null;
+            if (registration) {
+                if (support.triggers) {
+                    await cancelScheduledReminders(registration);
+                    if (schedule.enabled) {
+                        await scheduleReminders(registration, schedule, today, skipToday);
+                    }
+                }
+                if (support.periodicSync) {
+                    await updatePeriodicSync(registration, schedule.enabled);
+                }
+            }
+            syncedState = state;
+        }
+        scheduleReminderTimer();
+    });
+    pendingSync = sync.then(() => true, error => {
+        console.error('Error updating reminders:', error);
+        return false;
+    });
+    return pendingSync;
+}
+
+/**
+ * Gets the reminder of the current journal day, once its time has come
+ * Before the day start hour, or with a home time zone, that reminder can be on
+ * the device's day before, so both days are looked at.
+ * @param {ReminderSchedule} schedule - The schedule
+ * @param {Date} now - Current time
+ * @returns {Date|null} Time of the reminder, or null if there is none yet
+ */
+function getDueReminder(schedule, now) {
+    const today = getJournalDateOf(now);
+    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    return [getReminderOn(schedule, now), getReminderOn(schedule, yesterday)]
+        .find(reminder => reminder && reminder <= now && getJournalDateOf(reminder) === today) || null;
+}
+
+/**
+ * Shows today's reminder if it is due and has not been shown yet
+ * Inside the app while it is on screen, and as a notification while it is in the background.
+ * @param {boolean} catchUp - True when the app has just been opened or brought back,
+ *     to show a reminder missed in the meantime; not needed if notifications were scheduled ahead
+ * @returns {Promise<void>}
+ */
+async function checkReminderDue(catchUp) {
+    const schedule = getReminderSchedule();
+    const reminder = schedule.enabled ? getDueReminder(schedule, new Date()) : null;
+    if (!reminder) {
+        return;
+    }
+    
+    const support = getReminderSupport();
+    if (catchUp && support.triggers && support.permission === 'granted') {
+        return;
+    }
+    const reminderDate = getJournalDateOf(reminder);
+    if ((await getReminderState()).lastShownDate === reminderDate || await isReminderSkipped(schedule, reminderDate)) {
+        return;
+    }
+    
+    await markReminderShown(reminderDate);
+    const registration = document.visibilityState === 'hidden' && support.permission === 'granted' ? await getRegistration() : null;
+    if (registration) {
+        await registration.showNotification(REMINDER_TITLE, {
+            body: REMINDER_BODY,
+            tag: getReminderTag(reminderDate),
+            icon: '/images/banner.svg',
+            data: { view: 'today' }
+        });
+    } else if (onReminderDue) {
+        onReminderDue();
+        // A notification scheduled ahead would show the same reminder a second time
+        await cancelReminder(reminderDate);
+    }
+}
+
+/**
+ * Sets the in-app timer for the next reminder
+ */
+function scheduleReminderTimer() {
+    clearTimeout(reminderTimer);
+    reminderTimer = null;
+    const [next] = getUpcomingReminders(getReminderSchedule(), new Date(), SCHEDULED_DAYS + 1);
+    if (!next) {
+        return;
+    }
+    reminderTimer = setTimeout(() => {
+        checkReminderDue(false)
+            .catch(error => {
+                console.error('Error showing reminder:', error);
+            })
+            .finally(scheduleReminderTimer);
+    }, Math.min(next.getTime() - Date.now(), MAX_TIMER_DELAY_MS));
+}
+
+/**
+ * Starts the reminders for this tab
+ * @param {Object} handlers - What to do when a reminder needs the app
+ * @param {function(): void} handlers.onDue - Shows a reminder inside the app
+ * @param {function(): void} handlers.onOpenToday - Opens the Today view, e.g. when a reminder notification is clicked
+ */
+export function startReminders({ onDue, onOpenToday }) {
+    onReminderDue = onDue;
+    
+    // A click on a reminder notification while the app is already open
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'open-today') {
+                onOpenToday();
+            }
+        });
+    }
+    
+    // Writing something today can make today's reminder unnecessary (and deleting it necessary again)
+    subscribeToEntryChanges(change => {
+        if (change.journal) {
+            return;
+        }
+        const today = getTodayDateString();
+        if (change.reset || change.removed.length > 0 || change.put.some(record => record.date === today)) {
+            syncReminders();
+        }
+    });
+    
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            scheduleReminderTimer();
+            checkReminderDue(true).catch(error => {
+                console.error('Error showing reminder:', error);
+            });
+        }
+    });
+    
+    syncReminders()
+        .then(() => checkReminderDue(true))
+        .catch(error => {
+            console.error('Error showing reminder:', error);
+        });
+}
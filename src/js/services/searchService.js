@@ -0,0 +1,226 @@
+/**
+ * Full-text search over journal entries
+ * Entries are indexed in memory once, then kept current from storage change
+ * notifications, so searching never rescans the database.
+ */
+
+import { getAllEntries, subscribeToEntryChanges } from '../data/storage.js';
+import { getActiveJournalId } from '../data/journals.js';
+
+/**
+ * An indexed entry
+ * @typedef {Object} IndexedEntry
+ * @property {Object} record - Entry record
+ * @property {string} folded - Case- and diacritic-folded text
+ * @property {Array<number>} offsets - Index in the original text of each folded character
+ */
+
+/**
+ * A parsed search query
+ * @typedef {Object} SearchQuery
+ * @property {Array<string>} include - Folded terms and phrases that must all appear
+ * @property {Array<string>} exclude - Folded terms and phrases that must not appear
+ */
+
+/**
+ * A matching entry
+ * @typedef {Object} SearchResult
+ * @property {Object} record - Entry record
+ * @property {Array<[number, number]>} ranges - Matched [start, end) ranges in the record's text
+ */
+
+let index = null;
+let indexPromise = null;
+
+// Bumped whenever the index is dropped, so a build that was already running is discarded
+let indexGeneration = 0;
+
+/**
+ * Folds a single character for matching: lowercase, without accents
+ * @param {string} char - Character (one code point)
+ * @returns {string} Folded character(s), possibly empty
+ */
+function foldChar(char) {
+    return char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Folds text for matching, remembering where each folded character came from
+ * @param {string} text - Text to fold
+ * @returns {{folded: string, offsets: Array<number>}} Folded text and original offsets
+ */
+function foldText(text) {
+    let folded = '';
+    const offsets = [];
+    let position = 0;
+    for (const char of text) {
+        const foldedChar = foldChar(char);
+        for (let i = 0; i < foldedChar.length; i++) {
+            offsets.push(position);
+        }
+        folded += foldedChar;
+        position += char.length;
+    }
+    // The end offset lets a match that runs to the last character map back cleanly
+    offsets.push(position);
+    return { folded, offsets };
+}
+
+/**
+ * Builds the index entry for a record
+ * @param {Object} record - Entry record
+ * @returns {IndexedEntry} Indexed entry
+ */
+function indexRecord(record) {
+    return { record, ...foldText(record.text) };
+}
+
+/**
+ * Applies a committed storage change to the index
+ * @param {Object} change - Change reported by storage
+ */
+function applyChange(change) {
+    if (change.reset) {
+        index = null;
+        indexPromise = null;
+        indexGeneration++;
+        return;
+    }
+    if (!index) {
+        // A build in progress may have read the data before this change
+        if (indexPromise) {
+            indexPromise = null;
+            indexGeneration++;
+        }
+        return;
+    }
+    change.removed.forEach(entryId => index.delete(entryId));
+    // Only the active journal is indexed; an entry moved to another journal leaves the index
+    const journalId = getActiveJournalId();
+    change.put.forEach(record => {
+        if (record.journalId === journalId) {
+            index.set(record.id, indexRecord(record));
+        } else {
+            index.delete(record.id);
+        }
+    });
+}
+
+subscribeToEntryChanges(applyChange);
+
+/**
+ * Gets the search index, building it on first use
+ * @returns {Promise<Map<string, IndexedEntry>>} Promise resolving to the index keyed by entry id
+ */
+async function getIndex() {
+    if (index) {
+        return index;
+    }
+    if (!indexPromise) {
+        const generation = indexGeneration;
+        indexPromise = getAllEntries().then(entries => {
+            const built = new Map();
+            Object.values(entries).flat().forEach(record => {
+                built.set(record.id, indexRecord(record));
+            });
+            if (generation === indexGeneration) {
+                index = built;
+            }
+            return built;
+        });
+    }
+    return indexPromise;
+}
+
+/**
+ * Parses a search query
+ * Words must all match; "quoted phrases" match as a whole; a leading "-" excludes a word or phrase.
+ * @param {string} query - Query typed by the user (e.g. `hike "with friends" -rain`)
+ * @returns {SearchQuery} Parsed query
+ */
+export function parseSearchQuery(query) {
+    const parsed = { include: [], exclude: [] };
+    const pattern = /(-?)(?:"([^"]*)"?|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(String(query || ''))) !== null) {
+        const [, negated, phrase, word] = match;
+        const term = foldText((phrase !== undefined ? phrase : word).trim()).folded;
+        if (!term) {
+            continue;
+        }
+        (negated ? parsed.exclude : parsed.include).push(term);
+    }
+    return parsed;
+}
+
+/**
+ * Checks whether a parsed query has anything to search for
+ * @param {SearchQuery} query - Parsed query
+ * @returns {boolean} True if the query has no terms
+ */
+export function isEmptySearchQuery(query) {
+    return query.include.length === 0 && query.exclude.length === 0;
+}
+
+/**
+ * Finds every occurrence of a term in an indexed entry
+ * @param {IndexedEntry} indexed - Indexed entry
+ * @param {string} term - Folded term
+ * @returns {Array<[number, number]>} Matched ranges in the original text
+ */
+function findRanges(indexed, term) {
+    const ranges = [];
+    let from = indexed.folded.indexOf(term);
+    while (from !== -1) {
+        const to = from + term.length;
+        ranges.push([indexed.offsets[from], indexed.offsets[to]]);
+        from = indexed.folded.indexOf(term, to);
+    }
+    return ranges;
+}
+
+/**
+ * Sorts ranges and merges any that overlap or touch
+ * @param {Array<[number, number]>} ranges - Ranges to merge
+ * @returns {Array<[number, number]>} Merged ranges in order
+ */
+function mergeRanges(ranges) {
+    const merged = [];
+    [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Searches all entries
+ * @param {SearchQuery} query - Parsed query
+ * @returns {Promise<Array<SearchResult>>} Promise resolving to matching entries, newest first
+ */
+export async function searchEntries(query) {
+    const entries = await getIndex();
+    const results = [];
+    
+    entries.forEach(indexed => {
+        if (query.exclude.some(term => indexed.folded.includes(term))) {
+            return;
+        }
+        const ranges = [];
+        for (const term of query.include) {
+            const termRanges = findRanges(indexed, term);
+            if (termRanges.length === 0) {
+                return;
+            }
+            ranges.push(...termRanges);
+        }
+        results.push({ record: indexed.record, ranges: mergeRanges(ranges) });
+    });
+    
+    return results.sort((a, b) => b.record.date.localeCompare(a.record.date)
+        || a.record.createdAt.localeCompare(b.record.createdAt));
+}
@@ -0,0 +1,129 @@
+/**
+ * Live synchronization between tabs and windows of the app
+ * Every tab reads and writes the same IndexedDB database, so only the news of
+ * a change needs sharing: each committed write is announced to the other tabs,
+ * which then refresh their in-memory state and re-render.
+ */
+
+import { subscribeToEntryChanges, applyRemoteEntryChange } from '../data/storage.js';
+import { generateId } from '../utils/idUtils.js';
+
+const CHANNEL_NAME = 'gratitudeJournalSync';
+
+// Fallback for browsers without BroadcastChannel: other tabs get a `storage` event for this key
+const SYNC_STORAGE_KEY = 'gratitudeSync';
+
+// localStorage keys whose changes other tabs should pick up
+const WATCHED_STORAGE_KEYS = ['gratitudeSettings', 'theme', 'gratitudeJournals', 'gratitudePrompts', 'gratitudePromptSkip'];
+
+let channel = null;
+let started = false;
+
+/**
+ * A change reported by another tab
+ * @typedef {Object} RemoteChange
+ * @property {string} scope - 'entries' for journal data, 'settings' for a watched localStorage key,
+ *     'encryption' when encryption was turned on or off, 'erased' when the journal was erased
+ * @property {Object} [change] - Entry change ('entries')
+ * @property {string} [key] - localStorage key that changed ('settings')
+ */
+
+/**
+ * Sends a message to the other tabs
+ * @param {Object} message - Message with a `type`
+ * @param {Object} [fallbackMessage] - Smaller message to send through localStorage instead
+ */
+function sendMessage(message, fallbackMessage = message) {
+    try {
+        if (channel) {
+            channel.postMessage(message);
+            return;
+        }
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({
+            ...fallbackMessage,
+            // Makes every message unique, so repeating the same change still fires an event
+            nonce: generateId()
+        }));
+    } catch (error) {
+        // Other tabs will catch up on their next render; the write itself succeeded
+        console.error('Error announcing change to other tabs:', error);
+    }
+}
+
+/**
+ * Announces a local entry change to the other tabs
+ * @param {Object} change - Entry change reported by storage
+ */
+function broadcastChange(change) {
+    // localStorage messages must stay small, so just tell other tabs to reload everything
+    sendMessage({ type: 'entries', change }, { type: 'entries', change: { reset: true, trash: change.trash } });
+}
+
+/**
+ * Tells the other tabs that encryption was turned on or off
+ * They cannot read or write the journal the same way any more, so they start over.
+ */
+export function announceEncryptionChange() {
+    sendMessage({ type: 'encryption' });
+}
+
+/**
+ * Tells the other tabs that the journal on this device was erased
+ * Their in-memory state describes data that no longer exists, so they start over.
+ */
+export function announceDataErased() {
+    sendMessage({ type: 'erased' });
+}
+
+/**
+ * Starts listening for changes made in other tabs and announcing changes made in this one
+ * @param {function(RemoteChange): void} onRemoteChange - Called after another tab changes data or settings
+ */
+export function startSync(onRemoteChange) {
+    if (started) {
+        return;
+    }
+    started = true;
+    
+    /**
+     * Handles a message from another tab
+     * @param {Object} message - Message sent by broadcastChange
+     */
+    const receive = (message) => {
+        if (message && (message.type === 'encryption' || message.type === 'erased')) {
+            onRemoteChange({ scope: message.type });
+            return;
+        }
+        if (!message || message.type !== 'entries' || !message.change) {
+            return;
+        }
+        applyRemoteEntryChange(message.change);
+        onRemoteChange({ scope: 'entries', change: message.change });
+    };
+    
+    subscribeToEntryChanges(change => {
+        // Changes that came from another tab have already been announced, and
+        // opening another journal changes nothing stored
+        if (!change.remote && !change.journal) {
+            broadcastChange(change);
+        }
+    });
+    
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => receive(event.data);
+    }
+    
+    // `storage` events only fire in the other tabs, never in the one that wrote
+    window.addEventListener('storage', (event) => {
+        if (event.key === SYNC_STORAGE_KEY && event.newValue) {
+            try {
+                receive(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Error reading change from another tab:', error);
+            }
+        } else if (WATCHED_STORAGE_KEYS.includes(event.key)) {
+            onRemoteChange({ scope: 'settings', key: event.key });
+        }
+    });
+}
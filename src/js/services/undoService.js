@@ -0,0 +1,213 @@
+/**
+ * Undo/redo history for journal changes
+ */
+
+import { putEntries, deleteEntries, moveEntryToTrash, restoreEntryFromTrash, moveEntriesToJournal, setMood } from '../data/storage.js';
+import { isEncryptionEnabled } from '../data/encryption.js';
+
+// Kept in sessionStorage so the history survives a reload but not a new session.
+// Changes hold entry text, so while encryption is on the history stays in memory.
+const HISTORY_KEY = 'gratitudeUndoHistory';
+const MAX_HISTORY = 50;
+
+// Longest the saved history may get (in characters); the oldest changes are dropped to fit
+const MAX_HISTORY_LENGTH = 1024 * 1024;
+
+// History of this page, kept while encryption is on or sessionStorage cannot hold it, and whether saving it failed
+let memoryHistory = null;
+let historySaveFailed = false;
+
+/**
+ * A recorded change, with enough data to reverse and replay it
+ * @typedef {Object} ChangeCommand
+ * @property {string} type - 'add', 'update', 'trash', 'restore', 'move' or 'mood'
+ * @property {string} label - Short description shown to the user (e.g. "Add 3 entries")
+ * @property {Array<Object>} [records] - Added records ('add')
+ * @property {Object} [before] - Record before the change ('update')
+ * @property {Object} [after] - Record after the change ('update')
+ * @property {string} [entryId] - Id of the affected entry ('trash', 'restore')
+ * @property {Array<string>} [entryIds] - Ids of the moved entries ('move')
+ * @property {string} [fromJournalId] - Journal the entries were moved from ('move')
+ * @property {string} [toJournalId] - Journal the entries were moved to ('move')
+ * @property {string} [journalId] - Journal of the day whose mood changed ('mood')
+ * @property {string} [date] - Day whose mood changed ('mood')
+ * @property {number|null} [fromMood] - Mood before the change, null if none ('mood')
+ * @property {number|null} [toMood] - Mood after the change, null if cleared ('mood')
+ */
+
+/**
+ * How to reverse and replay each type of change
+ */
+const COMMAND_HANDLERS = {
+    add: {
+        undo: (command) => deleteEntries(command.records.map(record => record.id)),
+        redo: (command) => putEntries(command.records)
+    },
+    update: {
+        undo: (command) => putEntries([command.before]),
+        redo: (command) => putEntries([command.after])
+    },
+    trash: {
+        undo: (command) => restoreEntryFromTrash(command.entryId),
+        redo: (command) => moveEntryToTrash(command.entryId)
+    },
+    restore: {
+        undo: (command) => moveEntryToTrash(command.entryId),
+        redo: (command) => restoreEntryFromTrash(command.entryId)
+    },
+    move: {
+        undo: (command) => moveEntriesToJournal(command.entryIds, command.fromJournalId),
+        redo: (command) => moveEntriesToJournal(command.entryIds, command.toJournalId)
+    },
+    mood: {
+        undo: (command) => setMood(command.date, command.fromMood, command.journalId),
+        redo: (command) => setMood(command.date, command.toMood, command.journalId)
+    }
+};
+
+/**
+ * Loads the undo and redo stacks for this session
+ * @returns {{undo: Array<ChangeCommand>, redo: Array<ChangeCommand>}} History stacks
+ */
+function loadHistory() {
+    try {
+        const stored = memoryHistory !== null ? memoryHistory : sessionStorage.getItem(HISTORY_KEY);
+        return stored ? JSON.parse(stored) : { undo: [], redo: [] };
+    } catch (error) {
+        console.error('Error reading undo history:', error);
+        return { undo: [], redo: [] };
+    }
+}
+
+/**
+ * Removes the undo history from sessionStorage
+ */
+function removeStoredHistory() {
+    try {
+        sessionStorage.removeItem(HISTORY_KEY);
+    } catch (error) {
+        console.error('Error removing undo history:', error);
+    }
+}
+
+/**
+ * Saves the undo and redo stacks for this session
+ * Changes hold whole entry records, so the oldest are dropped once the history
+ * gets too long. While encryption is on, or if sessionStorage cannot hold it,
+ * the history is kept in memory until the page is reloaded.
+ * @param {{undo: Array<ChangeCommand>, redo: Array<ChangeCommand>}} history - History stacks (trimmed in place)
+ */
+function saveHistory(history) {
+    let serialized = JSON.stringify(history);
+    while (serialized.length > MAX_HISTORY_LENGTH && history.undo.length + history.redo.length > 1) {
+        // The oldest change to undo goes first, then the furthest one to redo
+        if (history.undo.length > 0) {
+            history.undo.shift();
+        } else {
+            history.redo.shift();
+        }
+        serialized = JSON.stringify(history);
+    }
+    
+    if (isEncryptionEnabled()) {
+        memoryHistory = serialized;
+        historySaveFailed = false;
+        removeStoredHistory();
+        return;
+    }
+    
+    try {
+        sessionStorage.setItem(HISTORY_KEY, serialized);
+        memoryHistory = null;
+        historySaveFailed = false;
+    } catch (error) {
+        // Undo is a convenience; failing to persist it must not block the change itself
+        console.error('Error saving undo history:', error);
+        memoryHistory = serialized;
+        historySaveFailed = true;
+        removeStoredHistory();
+    }
+}
+
+/**
+ * Forgets every change that could be undone or redone, e.g. once the journal is erased
+ */
+export function clearHistory() {
+    memoryHistory = null;
+    historySaveFailed = false;
+    removeStoredHistory();
+}
+
+/**
+ * Checks whether the undo history could not be saved for the session
+ * Undo still works until the page is reloaded.
+ * @returns {boolean} True if the last save failed
+ */
+export function isHistoryUnsaved() {
+    return historySaveFailed;
+}
+
+/**
+ * Records a change so it can be undone
+ * Recording a new change clears anything that could have been redone.
+ * @param {ChangeCommand} command - Change to record
+ */
+export function recordChange(command) {
+    const history = loadHistory();
+    history.undo.push(command);
+    if (history.undo.length > MAX_HISTORY) {
+        history.undo.shift();
+    }
+    history.redo = [];
+    saveHistory(history);
+}
+
+/**
+ * Checks whether there is a change to undo
+ * @returns {boolean} True if undo is available
+ */
+export function canUndo() {
+    return loadHistory().undo.length > 0;
+}
+
+/**
+ * Checks whether there is a change to redo
+ * @returns {boolean} True if redo is available
+ */
+export function canRedo() {
+    return loadHistory().redo.length > 0;
+}
+
+/**
+ * Reverses the most recent change
+ * @returns {Promise<ChangeCommand|null>} Promise resolving to the undone change, or null if there was none
+ */
+export async function undo() {
+    const history = loadHistory();
+    const command = history.undo.pop();
+    if (!command) {
+        return null;
+    }
+    
+    await COMMAND_HANDLERS[command.type].undo(command);
+    history.redo.push(command);
+    saveHistory(history);
+    return command;
+}
+
+/**
+ * Replays the most recently undone change
+ * @returns {Promise<ChangeCommand|null>} Promise resolving to the redone change, or null if there was none
+ */
+export async function redo() {
+    const history = loadHistory();
+    const command = history.redo.pop();
+    if (!command) {
+        return null;
+    }
+    
+    await COMMAND_HANDLERS[command.type].redo(command);
+    history.undo.push(command);
+    saveHistory(history);
+    return command;
+}
@@ -2,20 +2,40 @@
  * Event handlers for UI interactions
  */
 
-import { addEntry, updateEntry } from '../data/storage.js';
-import { formatDate, getTodayDateString, getPreviousDay, getNextDay, getPreviousMonth, getNextMonth, getPreviousYear, getNextYear } from '../utils/dateUtils.js';
+import { addEntry, updateEntry, setEntryStarred, moveEntryToTrash, restoreEntryFromTrash, purgeTrashedEntry, emptyTrash, purgeExpiredTrash, switchJournal, moveEntriesToJournal, deleteEntries, deleteJournalData, getMood, setMood, getAttachmentsByDate, getAttachmentImage, addAttachments, deleteAttachment } from '../data/storage.js';
+import { getSetting, updateSettings } from '../data/settings.js';
+import { listJournals, getJournal, getActiveJournalId, createJournal, updateJournal, removeJournal } from '../data/journals.js';
+import { recordChange, undo, redo, isHistoryUnsaved, clearHistory } from '../services/undoService.js';
+import { formatDate, getPreviousDay, getNextDay, getPreviousMonth, getNextMonth, getPreviousYear, getNextYear } from '../utils/dateUtils.js';
+import { getTodayDateString, getJournalNow } from '../data/journalDay.js';
 import { showNotification } from '../services/notificationService.js';
 import { exportToCSV } from '../services/csvService.js';
 import { importFromCSV } from '../services/csvService.js';
-import { getAllEntries, getTotalEntryCount, getEntriesByDate } from '../data/storage.js';
-import { renderAll, renderCalendarEntries, renderAllEntries, renderTodayEntries, renderPastEntries, renderHistoricalHighlights, renderInsights, renderCalendarGrid, renderMonthYearPicker } from './views.js';
-import { escapeHtml } from '../utils/htmlUtils.js';
+import { exportToJSON, importFromJSON } from '../services/backupService.js';
+import { getQuarantine, clearQuarantine, salvageQuarantine } from '../data/recovery.js';
+import { listSnapshots, getSnapshot, takeSnapshot, takeDailySnapshot, pruneSnapshots, restoreSnapshot } from '../data/snapshots.js';
+import { loadEncryptionState, unlockJournal, verifyPassphrase, enableEncryption, changePassphrase, disableEncryption } from '../data/encryption.js';
+import { announceEncryptionChange, announceDataErased } from '../services/syncService.js';
+import { isAppLockEnabled, isPinNumeric, setAppLock, removeAppLock, checkAppLockPin, getLockoutRemaining, resetAppLock } from '../services/appLockService.js';
+import { downloadFile } from '../utils/fileUtils.js';
+import { getAllEntries, getEntriesByDate, getTotalEntryCount, getEntryById } from '../data/storage.js';
+import { renderAll, renderCalendarEntries, renderAllEntries, renderTodayEntries, renderPastEntries, renderHistoricalHighlights, renderInsights, renderCalendarGrid, renderMonthYearPicker, renderTrash, renderEntryHistory, renderSearchResults, renderRecovery, renderSnapshots, renderSnapshotPreview, renderEncryption, renderAppLock, renderJournalSwitcher, renderJournals, renderPeople, renderPersonTimeline, renderDailyPrompt, renderPrompts, renderGoal, renderReminders, renderMoveEntryTargets, getEntryActionsHtml, getEntryContentHtml, isStarred, releaseThumbnailUrl } from './views.js';
+import { parseTagInput, getExplicitOnlyTags } from '../utils/tagUtils.js';
+import { getMoodOption } from '../utils/moodUtils.js';
+import { prepareImage } from '../utils/imageUtils.js';
+import { normalizePersonKey, resolvePersonKey } from '../utils/mentionUtils.js';
+import { getPeopleIndex, mergePeople, unmergePerson, renamePerson, deletePeopleIndex } from '../data/people.js';
+import { getDraft, saveDraft, discardDraft, deleteJournalDrafts } from '../data/drafts.js';
+import { requestReminderPermission, syncReminders } from '../services/reminderService.js';
+import { exportThankYouLetter } from '../services/letterService.js';
+import { getDailyPrompt, skipDailyPrompt, addCustomPrompt, removeCustomPrompt } from '../data/prompts.js';
+import { getDailyGoal, getGoalShortfall } from '../data/goals.js';
 
 /**
- * Updates the numbering of all additional fields
+ * Updates the numbering of the additional fields of a form
+ * @param {HTMLElement} container - Container of the additional fields
  */
-function updateAdditionalFieldNumbers() {
-    const container = document.getElementById('additionalGratitudeFields');
+function updateAdditionalFieldNumbers(container) {
     if (!container) return;
     
     const additionalFields = container.querySelectorAll('.gratitude-field');
@@ -36,15 +56,24 @@ function updateAdditionalFieldNumbers() {
 export function removeAdditionalGratitudeField(fieldElement) {
     if (!fieldElement) return;
     
+    const container = fieldElement.parentElement;
+    const formKey = getDraftFormKey(fieldElement);
     fieldElement.remove();
-    updateAdditionalFieldNumbers();
+    updateAdditionalFieldNumbers(container);
+    if (formKey) {
+        scheduleDraftSave(formKey);
+    }
 }
 
 /**
  * Adds a new gratitude input field dynamically
+ * @param {string} [containerId='additionalGratitudeFields'] - Id of the container of the form's additional fields
+ * @param {Object} [options] - How to add the field
+ * @param {string} [options.value=''] - Text to fill the field with, e.g. from a draft
+ * @param {boolean} [options.focus=true] - Whether to move the focus to the field
  */
-export function addAnotherGratitudeField() {
-    const container = document.getElementById('additionalGratitudeFields');
+export function addAnotherGratitudeField(containerId = 'additionalGratitudeFields', { value = '', focus = true } = {}) {
+    const container = document.getElementById(containerId);
     if (!container) return;
     
     // Count existing fields (3 base + any additional)
@@ -83,19 +112,272 @@ export function addAnotherGratitudeField() {
         });
     }
     
-    // Focus on the new input
+    // Fill in and focus on the new input
     const newInput = fieldDiv.querySelector('.gratitude-input');
     if (newInput) {
-        setTimeout(() => newInput.focus(), 100);
+        newInput.value = value;
+        if (focus) {
+            setTimeout(() => newInput.focus(), 100);
+        }
+    }
+}
+
+/**
+ * Finds which draft form an element is in
+ * @param {HTMLElement} element - Element inside a form
+ * @returns {string|null} Key of the form in DRAFT_FORMS, or null if it has no draft
+ */
+function getDraftFormKey(element) {
+    const form = element.closest('form');
+    return form ? Object.keys(DRAFT_FORMS).find(formKey => DRAFT_FORMS[formKey].formId === form.id) || null : null;
+}
+
+/**
+ * Reads the text of every field of a form, including the added ones
+ * @param {string} formKey - Key of the form in DRAFT_FORMS
+ * @returns {Array<string>} Text of each field, in order
+ */
+function readDraftItems(formKey) {
+    const { inputIds, containerId } = DRAFT_FORMS[formKey];
+    const inputs = [
+        ...inputIds.map(inputId => document.getElementById(inputId)),
+        ...document.querySelectorAll(`#${containerId} .additional-gratitude-input`)
+    ];
+    return inputs.map(input => (input ? input.value : ''));
+}
+
+/**
+ * Fills a form with the text of a draft, adding a field for each one beyond the first three
+ * @param {string} formKey - Key of the form in DRAFT_FORMS
+ * @param {Array<string>} items - Text of each field, in order (empty to clear the form)
+ */
+function fillDraftForm(formKey, items) {
+    const { inputIds, containerId } = DRAFT_FORMS[formKey];
+    inputIds.forEach((inputId, index) => {
+        const input = document.getElementById(inputId);
+        if (input) {
+            input.value = items[index] || '';
+        }
+    });
+    const container = document.getElementById(containerId);
+    if (container) {
+        container.innerHTML = '';
+    }
+    items.slice(inputIds.length).forEach(item => {
+        addAnotherGratitudeField(containerId, { value: item, focus: false });
+    });
+}
+
+/**
+ * Shows or hides a form's discard draft button
+ * @param {string} formKey - Key of the form in DRAFT_FORMS
+ * @param {boolean} visible - True if the form has a saved draft
+ */
+function setDiscardDraftVisible(formKey, visible) {
+    const discardBtn = document.getElementById(DRAFT_FORMS[formKey].discardBtnId);
+    if (discardBtn) {
+        discardBtn.hidden = !visible;
+    }
+}
+
+/**
+ * Gets the journal and date a form's draft belongs to
+ * @param {string} formKey - Key of the form in DRAFT_FORMS
+ * @returns {{journalId: string, dateKey: string}} Where the draft is saved
+ */
+function getDraftTarget(formKey) {
+    return draftTargets[formKey] || { journalId: getActiveJournalId(), dateKey: DRAFT_FORMS[formKey].getDate() };
+}
+
+/**
+ * Saves a form's draft once typing pauses
+ * @param {string} formKey - Key of the form in DRAFT_FORMS
+ */
+function scheduleDraftSave(formKey) {
+    clearTimeout(draftSaveTimers[formKey]);
+    draftSaveTimers[formKey] = setTimeout(() => {
+        saveFormDraft(formKey);
+    }, DRAFT_SAVE_DELAY_MS);
+}
+
+/**
+ * Saves a form's draft now
+ * @param {string} formKey - Key of the form in DRAFT_FORMS
+ * @returns {Promise<void>}
+ */
+async function saveFormDraft(formKey) {
+    clearTimeout(draftSaveTimers[formKey]);
+    draftSaveTimers[formKey] = null;
+    const { journalId, dateKey } = getDraftTarget(formKey);
+    try {
+        setDiscardDraftVisible(formKey, await saveDraft(dateKey, readDraftItems(formKey), journalId));
+    } catch (error) {
+        console.error('Error saving draft:', error);
+    }
+}
+
+/**
+ * Saves every draft still waiting for a pause in typing, e.g. before the app is hidden
+ * @returns {Promise<void>}
+ */
+async function flushDrafts() {
+    await Promise.all(Object.keys(DRAFT_FORMS)
+        .filter(formKey => draftSaveTimers[formKey])
+        .map(formKey => saveFormDraft(formKey)));
+}
+
+/**
+ * Shows the draft of the form's journal and date, unless the form already shows it
+ * Whatever the form held for another date or journal is saved first.
+ * @param {string} formKey - Key of the form in DRAFT_FORMS
+ * @returns {Promise<void>}
+ */
+async function showDraft(formKey) {
+    const target = { journalId: getActiveJournalId(), dateKey: DRAFT_FORMS[formKey].getDate() };
+    const shown = draftTargets[formKey];
+    if (shown && shown.journalId === target.journalId && shown.dateKey === target.dateKey) return;
+    
+    if (draftSaveTimers[formKey]) {
+        await saveFormDraft(formKey);
+    }
+    draftTargets[formKey] = target;
+    try {
+        const items = await getDraft(target.dateKey, target.journalId);
+        fillDraftForm(formKey, items || []);
+        setDiscardDraftVisible(formKey, Boolean(items));
+    } catch (error) {
+        console.error('Error loading draft:', error);
+    }
+}
+
+/**
+ * Removes a form's draft once its entries are added
+ * @param {string} formKey - Key of the form in DRAFT_FORMS
+ * @returns {Promise<void>}
+ */
+async function clearSubmittedDraft(formKey) {
+    clearTimeout(draftSaveTimers[formKey]);
+    draftSaveTimers[formKey] = null;
+    const { journalId, dateKey } = getDraftTarget(formKey);
+    setDiscardDraftVisible(formKey, false);
+    try {
+        await discardDraft(dateKey, journalId);
+    } catch (error) {
+        console.error('Error removing draft:', error);
+    }
+}
+
+/**
+ * Handles discarding a form's draft, emptying the form
+ * @param {string} formKey - Key of the form in DRAFT_FORMS
+ * @returns {Promise<void>}
+ */
+export async function handleDiscardDraft(formKey) {
+    if (!confirm('Discard this draft? What you wrote will be lost.')) return;
+    
+    clearTimeout(draftSaveTimers[formKey]);
+    draftSaveTimers[formKey] = null;
+    const { journalId, dateKey } = getDraftTarget(formKey);
+    fillDraftForm(formKey, []);
+    setDiscardDraftVisible(formKey, false);
+    try {
+        await discardDraft(dateKey, journalId);
+        showNotification('Draft discarded', 'success');
+    } catch (error) {
+        console.error('Discard draft error:', error);
+        showNotification('Error discarding draft', 'error');
+    }
+}
+
+/**
+ * Checks that adding entries to a day keeps to the daily goal, telling the user what is missing if not
+ * Without partial days, a day can only be saved once it has enough entries to be complete.
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {number} addedCount - Number of entries about to be added
+ * @returns {Promise<boolean>} Promise resolving to true if the entries can be saved
+ */
+async function checkDailyGoal(dateKey, addedCount) {
+    const goal = getDailyGoal();
+    const existingCount = (await getEntriesByDate(dateKey)).length;
+    const shortfall = getGoalShortfall(existingCount, addedCount, goal);
+    if (shortfall === 0) {
+        return true;
+    }
+    
+    showNotification(existingCount === 0
+        ? `Please enter at least ${goal.itemsPerDay} ${goal.itemsPerDay > 1 ? 'things' : 'thing'} you're grateful for`
+        : `Please add ${shortfall} more to reach ${goal.itemsPerDay} for the day`, 'error');
+    return false;
+}
+
+/**
+ * Runs a form's submission unless one of it is already running
+ * The submit button is disabled meanwhile, so a double click or a second
+ * Enter cannot save the same entries twice.
+ * @param {HTMLFormElement} form - Submitted form
+ * @param {function(): Promise<void>} submit - Saves what was typed
+ * @returns {Promise<void>}
+ */
+async function submitOnce(form, submit) {
+    if (submittingForms.has(form)) {
+        return;
     }
+    submittingForms.add(form);
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        await submit();
+    } finally {
+        submittingForms.delete(form);
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+/**
+ * Adds each item as a separate entry, in order
+ * If one cannot be saved, the ones added before it are removed again, so the
+ * form can be submitted again without duplicating anything.
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {Array<string>} items - Text of each entry
+ * @param {Object} [meta={}] - Extra details stored with each entry
+ * @returns {Promise<Array<import('../data/storage.js').EntryRecord>>} Promise resolving to the added records
+ * @throws {Error} If an entry could not be saved
+ */
+async function addFormEntries(dateKey, items, meta = {}) {
+    const addedRecords = [];
+    try {
+        for (const item of items) {
+            const record = await addEntry(dateKey, item, meta);
+            if (record) {
+                addedRecords.push(record);
+            }
+        }
+    } catch (error) {
+        if (addedRecords.length > 0) {
+            await deleteEntries(addedRecords.map(record => record.id)).catch(rollbackError => {
+                console.error('Error removing partly added entries:', rollbackError);
+            });
+        }
+        throw error;
+    }
+    return addedRecords;
 }
 
 /**
  * Handles form submission for adding a gratitude entry
  * @param {Event} e - Form submit event
+ * @returns {Promise<void>}
  */
-export function handleFormSubmit(e) {
+export async function handleFormSubmit(e) {
     e.preventDefault();
+    await submitOnce(e.currentTarget, addTodayFormEntries);
+}
+
+/**
+ * Adds the entries typed into the Today form
+ * @returns {Promise<void>}
+ */
+async function addTodayFormEntries() {
     const input1 = document.getElementById('gratitudeInput1');
     const input2 = document.getElementById('gratitudeInput2');
     const input3 = document.getElementById('gratitudeInput3');
@@ -110,7 +392,7 @@ export function handleFormSubmit(e) {
     ];
     
     // Add dynamically created inputs
-    const additionalInputs = document.querySelectorAll('.additional-gratitude-input');
+    const additionalInputs = document.querySelectorAll('#additionalGratitudeFields .additional-gratitude-input');
     additionalInputs.forEach(input => {
         const value = input.value.trim();
         if (value) {
@@ -121,28 +403,33 @@ export function handleFormSubmit(e) {
     // Filter out empty items
     const nonEmptyItems = items.filter(item => item.length > 0);
     
-    // Require at least 3 gratitude entries (the base 3 fields)
     if (nonEmptyItems.length === 0) {
         showNotification('Please enter something you\'re grateful for', 'error');
         return;
     }
     
-    if (nonEmptyItems.length < 3) {
-        showNotification('Please enter at least 3 things you\'re grateful for', 'error');
+    const today = getTodayDateString();
+    if (!await checkDailyGoal(today, nonEmptyItems.length)) {
         return;
     }
     
-    const today = formatDate(new Date());
-    let successCount = 0;
+    // Entries remember the prompt shown with them, so Insights can compare prompts
+    const prompt = getDailyPrompt(today);
+    const meta = prompt ? { prompt: { id: prompt.id, text: prompt.text } } : {};
     
-    // Add each item as a separate entry
-    nonEmptyItems.forEach(item => {
-        if (addEntry(today, item)) {
-            successCount++;
-        }
-    });
+    let addedRecords;
+    try {
+        addedRecords = await addFormEntries(today, nonEmptyItems, meta);
+    } catch (error) {
+        console.error('Error adding entries:', error);
+        showNotification('Error adding entries', 'error');
+        return;
+    }
     
+    const successCount = addedRecords.length;
     if (successCount > 0) {
+        recordChange({ type: 'add', label: describeCount(successCount, 'entry', 'entries', 'Add'), records: addedRecords });
+        
         // Clear all inputs
         input1.value = '';
         if (input2) input2.value = '';
@@ -156,8 +443,9 @@ export function handleFormSubmit(e) {
         if (container) {
             container.innerHTML = '';
         }
+        await clearSubmittedDraft('today');
         
-        renderAll();
+        await renderAll();
         // Refresh highlights if we're on that view
         if (currentView === 'highlights') {
             renderHistoricalHighlights();
@@ -165,7 +453,7 @@ export function handleFormSubmit(e) {
         const message = successCount === 1 
             ? 'Gratitude entry added!' 
             : `${successCount} gratitude entries added!`;
-        showNotification(message, 'success');
+        showChangeNotification(message);
         
         // Navigate back to highlights after successful submission
         if (currentView === 'today') {
@@ -181,20 +469,31 @@ export function handleFormSubmit(e) {
 /**
  * Handles calendar form submission for adding a gratitude entry to a specific date
  * @param {Event} e - Form submit event
+ * @returns {Promise<void>}
  */
-export function handleCalendarFormSubmit(e) {
+export async function handleCalendarFormSubmit(e) {
     e.preventDefault();
+    await submitOnce(e.currentTarget, addCalendarFormEntries);
+}
+
+/**
+ * Adds the entries typed into the Calendar form, to the selected date
+ * @returns {Promise<void>}
+ */
+async function addCalendarFormEntries() {
     const input1 = document.getElementById('calendarGratitudeInput1');
     const input2 = document.getElementById('calendarGratitudeInput2');
     const input3 = document.getElementById('calendarGratitudeInput3');
     
     if (!input1) return;
     
-    // Collect all non-empty inputs
+    // Collect all non-empty inputs, including dynamically added ones
+    const additionalInputs = document.querySelectorAll('#calendarAdditionalGratitudeFields .additional-gratitude-input');
     const items = [
         input1.value.trim(),
         input2?.value.trim() || '',
-        input3?.value.trim() || ''
+        input3?.value.trim() || '',
+        ...Array.from(additionalInputs, input => input.value.trim())
     ].filter(item => item.length > 0);
     
     if (items.length === 0) {
@@ -204,23 +503,35 @@ export function handleCalendarFormSubmit(e) {
     
     // Use the current calendar date instead of today
     const selectedDate = currentCalendarDate;
-    let successCount = 0;
+    if (!await checkDailyGoal(selectedDate, items.length)) {
+        return;
+    }
     
-    // Add each item as a separate entry
-    items.forEach(item => {
-        if (addEntry(selectedDate, item)) {
-            successCount++;
-        }
-    });
+    let addedRecords;
+    try {
+        addedRecords = await addFormEntries(selectedDate, items);
+    } catch (error) {
+        console.error('Error adding entries:', error);
+        showNotification('Error adding entries', 'error');
+        return;
+    }
     
+    const successCount = addedRecords.length;
     if (successCount > 0) {
-        // Clear all inputs
+        recordChange({ type: 'add', label: describeCount(successCount, 'entry', 'entries', 'Add'), records: addedRecords });
+        
+        // Clear all inputs and remove the additional ones
         input1.value = '';
         if (input2) input2.value = '';
         if (input3) input3.value = '';
+        const additionalFields = document.getElementById('calendarAdditionalGratitudeFields');
+        if (additionalFields) {
+            additionalFields.innerHTML = '';
+        }
+        await clearSubmittedDraft('calendar');
         // Update the calendar view to show the new entries
-        updateCalendarView(selectedDate);
-        renderAll();
+        await updateCalendarView(selectedDate);
+        await renderAll();
         // Refresh highlights if we're on that view
         if (currentView === 'highlights') {
             renderHistoricalHighlights();
@@ -228,7 +539,7 @@ export function handleCalendarFormSubmit(e) {
         const message = successCount === 1 
             ? 'Gratitude entry added!' 
             : `${successCount} gratitude entries added!`;
-        showNotification(message, 'success');
+        showChangeNotification(message);
     } else {
         showNotification('Error adding entries', 'error');
     }
@@ -236,9 +547,10 @@ export function handleCalendarFormSubmit(e) {
 
 /**
  * Handles export button click
+ * @returns {Promise<void>}
  */
-export function handleExport() {
-    const entryCount = getTotalEntryCount();
+export async function handleExport() {
+    const entryCount = await getTotalEntryCount();
     
     if (entryCount === 0) {
         showNotification('No entries to export', 'error');
@@ -246,7 +558,7 @@ export function handleExport() {
     }
     
     try {
-        exportToCSV();
+        await exportToCSV();
         showNotification('Data exported successfully!', 'success');
     } catch (error) {
         console.error('Export error:', error);
@@ -254,8 +566,32 @@ export function handleExport() {
     }
 }
 
+/**
+ * Handles exporting a full JSON backup, including edit history
+ * @param {string} [journalId] - Back up only this journal; every journal if omitted
+ * @returns {Promise<void>}
+ */
+export async function handleBackup(journalId) {
+    const entryCount = await getTotalEntryCount(journalId || null);
+    
+    if (entryCount === 0) {
+        showNotification('No entries to back up', 'error');
+        return;
+    }
+    
+    try {
+        await exportToJSON({ journalId });
+        showNotification('Backup downloaded successfully!', 'success');
+    } catch (error) {
+        console.error('Backup error:', error);
+        showNotification('Error creating backup', 'error');
+    }
+}
+
 /**
  * Handles import file selection
+ * JSON files are treated as backups; anything else is read as CSV. Only a CSV
+ * import can be undone, as a backup brings more than entries.
  * @param {Event} event - File input change event
  */
 export async function handleImport(event) {
@@ -265,12 +601,30 @@ export async function handleImport(event) {
     }
     
     try {
-        const importedCount = await importFromCSV(file);
-        renderAll();
-        showNotification(`Imported ${importedCount} entries successfully!`, 'success');
+        const isBackup = file.name.toLowerCase().endsWith('.json');
+        let importedRecords;
+        let skippedPhotos = 0;
+        if (isBackup) {
+            // A backup snapshots every journal it writes to itself
+            ({ records: importedRecords, skippedPhotos } = await importFromJSON(file, unlockBackup));
+        } else {
+            await snapshotBeforeChange('import');
+            importedRecords = await importFromCSV(file);
+        }
+        await renderAll();
+        const skipped = skippedPhotos > 0 ? ` ${describeCount(skippedPhotos, 'photo', 'photos', 'Skipped')} already in the journal.` : '';
+        if (importedRecords.length > 0 && isBackup) {
+            // A backup also brings moods, photos and people's names, which undoing the entries would leave behind
+            showNotification(`Imported ${importedRecords.length} entries successfully!${skipped}`, 'success');
+        } else if (importedRecords.length > 0) {
+            recordChange({ type: 'add', label: describeCount(importedRecords.length, 'entry', 'entries', 'Import'), records: importedRecords });
+            showChangeNotification(`Imported ${importedRecords.length} entries successfully!`);
+        } else {
+            showNotification(skipped ? `No new entries to import.${skipped}` : 'No new entries to import', 'success');
+        }
     } catch (error) {
         console.error('Import error:', error);
-        showNotification(error.message || 'Error importing CSV file', 'error');
+        showNotification(error.message || 'Error importing file', 'error');
     } finally {
         // Reset file input
         event.target.value = '';
@@ -314,14 +668,89 @@ export function closeSettingsMenu() {
 
 // Calendar state
 let currentCalendarDate = getTodayDateString();
-let currentCalendarMonth = new Date(); // Current month being displayed in calendar grid
+let currentCalendarMonth = getJournalNow(); // Current month being displayed in calendar grid
 
 // All entries state
 let currentSortMode = 'date';
+let currentTagFilters = [];
+let currentSearchQuery = '';
+let favoritesOnly = false;
+let searchDebounceTimer = null;
+
+// Wait for a pause in typing before searching
+const SEARCH_DEBOUNCE_MS = 150;
 
 // Current view state
 let currentView = 'highlights'; // Default to highlights
 
+// Forms whose entries are being saved, so they are not submitted twice
+const submittingForms = new Set();
+
+// Whether an undo or redo is being applied, so a held Ctrl+Z cannot apply the same change twice
+let historyStepRunning = false;
+
+// Entry whose edit history is open, if any
+let historyEntryId = null;
+
+// Id of the snapshot shown in the preview modal, if it is open
+let previewSnapshotId = null;
+
+// Id of the entry being moved to another journal, if the move modal is open
+let moveEntryId = null;
+
+// Person whose timeline is open in the people view, or null for the list of people
+let currentPersonKey = null;
+
+// Day, and optionally entry, that photos picked in the file dialog are added to
+let photoTarget = null;
+
+// Object URL of the full photo shown in the photo viewer, if it is open
+let photoViewerUrl = null;
+
+// Pending passphrase request: its options and the function that settles it
+let passphraseRequest = null;
+
+// Shortest passphrase accepted when one is chosen
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// App lock state: whether the lock screen is up, and who is waiting for it to come down
+let appLocked = false;
+let appUnlockWaiters = [];
+let lastActivityAt = Date.now();
+let appLockIdleTimer = null;
+let appLockCountdownTimer = null;
+
+// Shortest PIN accepted when one is chosen
+const MIN_PIN_LENGTH = 4;
+
+// Changes from other tabs often arrive in bursts (e.g. an import), so re-render once they settle
+const REMOTE_REFRESH_DELAY_MS = 100;
+let remoteRefreshTimer = null;
+let remoteRefreshPending = false;
+
+// Forms whose text is kept as a draft: their fields, discard button, and the date they add entries to
+const DRAFT_FORMS = {
+    today: {
+        formId: 'gratitudeForm',
+        inputIds: ['gratitudeInput1', 'gratitudeInput2', 'gratitudeInput3'],
+        containerId: 'additionalGratitudeFields',
+        discardBtnId: 'discardDraftBtn',
+        getDate: () => getTodayDateString()
+    },
+    calendar: {
+        formId: 'calendarGratitudeForm',
+        inputIds: ['calendarGratitudeInput1', 'calendarGratitudeInput2', 'calendarGratitudeInput3'],
+        containerId: 'calendarAdditionalGratitudeFields',
+        discardBtnId: 'calendarDiscardDraftBtn',
+        getDate: () => currentCalendarDate
+    }
+};
+
+// Journal and date of the draft each form shows, and the saves waiting for a pause in typing
+const draftTargets = { today: null, calendar: null };
+const draftSaveTimers = { today: null, calendar: null };
+const DRAFT_SAVE_DELAY_MS = 500;
+
 /**
  * Opens the calendar view (now a page view, not modal)
  */
@@ -339,16 +768,20 @@ export function openCalendarView() {
 /**
  * Updates the calendar view for a specific date
  * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @returns {Promise<void>}
  */
-export function updateCalendarView(dateString) {
+export async function updateCalendarView(dateString) {
     currentCalendarDate = dateString;
     
     // Update the month view to show the month containing the selected date
     const selectedDate = new Date(dateString + 'T00:00:00');
     currentCalendarMonth = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1);
     
-    renderCalendarEntries(dateString);
-    renderCalendarGrid(currentCalendarMonth, dateString);
+    await Promise.all([
+        renderCalendarEntries(dateString),
+        renderCalendarGrid(currentCalendarMonth, dateString),
+        showDraft('calendar')
+    ]);
 }
 
 /**
@@ -377,11 +810,12 @@ export function navigateToToday() {
 
 /**
  * Switches to a specific view
- * @param {string} viewName - Name of the view to show ('today', 'highlights', 'calendar', 'allEntries', 'insights')
+ * @param {string} viewName - Name of the view to show ('today', 'highlights', 'calendar', 'allEntries', 'insights', 'trash', 'recovery', 'snapshots', 'encryption', 'appLock', 'journals', 'people', 'prompts', 'goal', 'reminders')
+ * @param {string} [calendarDate] - Date to open the calendar on, in YYYY-MM-DD format (defaults to today)
  */
-export function switchView(viewName) {
+export function switchView(viewName, calendarDate = getTodayDateString()) {
     // Hide all views
-    const views = ['todayView', 'highlightsView', 'calendarView', 'allEntriesView', 'insightsView'];
+    const views = ['todayView', 'highlightsView', 'calendarView', 'allEntriesView', 'insightsView', 'trashView', 'recoveryView', 'snapshotsView', 'encryptionView', 'appLockView', 'journalsView', 'peopleView', 'promptsView', 'goalView', 'remindersView'];
     views.forEach(viewId => {
         const view = document.getElementById(viewId);
         if (view) {
@@ -401,18 +835,37 @@ export function switchView(viewName) {
         currentView = viewName;
         
         // Render content for the view
-        if (viewName === 'highlights') {
+        if (viewName === 'today') {
+            showDraft('today');
+        } else if (viewName === 'highlights') {
             renderHistoricalHighlights();
         } else if (viewName === 'calendar') {
-            // Initialize calendar view with today's date
-            const today = getTodayDateString();
-            currentCalendarDate = today;
-            currentCalendarMonth = new Date(); // Set to current month
-            updateCalendarView(today);
+            // Initialize calendar view with the requested date (today by default)
+            updateCalendarView(calendarDate);
         } else if (viewName === 'allEntries') {
-            renderAllEntries(currentSortMode);
+            renderAllEntries(currentSortMode, currentTagFilters, currentSearchQuery, favoritesOnly);
         } else if (viewName === 'insights') {
             renderInsights();
+        } else if (viewName === 'trash') {
+            renderTrash();
+        } else if (viewName === 'recovery') {
+            showRecovery();
+        } else if (viewName === 'snapshots') {
+            renderSnapshots();
+        } else if (viewName === 'encryption') {
+            renderEncryption();
+        } else if (viewName === 'appLock') {
+            renderAppLock();
+        } else if (viewName === 'journals') {
+            renderJournals();
+        } else if (viewName === 'people') {
+            renderPeopleView();
+        } else if (viewName === 'prompts') {
+            renderPrompts();
+        } else if (viewName === 'goal') {
+            renderGoal();
+        } else if (viewName === 'reminders') {
+            renderReminders();
         }
         
         // Set active tab in all views
@@ -590,143 +1043,2194 @@ export function changeSortMode(sortMode) {
     }
     
     // Re-render entries
-    renderAllEntries(sortMode);
+    renderAllEntries(sortMode, currentTagFilters, currentSearchQuery, favoritesOnly);
 }
 
 /**
- * Handles clicking the edit button to start editing an entry
- * @param {string} dateKey - Date string in YYYY-MM-DD format
- * @param {number} index - Index of the entry in the array
+ * Adds or removes a tag from the All Entries tag filter
+ * @param {string} tag - Normalized tag
+ */
+export function toggleTagFilter(tag) {
+    currentTagFilters = currentTagFilters.includes(tag)
+        ? currentTagFilters.filter(filter => filter !== tag)
+        : [...currentTagFilters, tag];
+    renderAllEntries(currentSortMode, currentTagFilters, currentSearchQuery, favoritesOnly);
+}
+
+/**
+ * Clears the All Entries tag filter
+ */
+export function clearTagFilters() {
+    currentTagFilters = [];
+    renderAllEntries(currentSortMode, currentTagFilters, currentSearchQuery, favoritesOnly);
+}
+
+/**
+ * Shows every entry with a tag, switching to the All Entries view if needed
+ * @param {string} tag - Normalized tag
  */
-export function handleEditEntry(dateKey, index) {
-    const entries = getEntriesByDate(dateKey);
-    if (index < 0 || index >= entries.length) {
+export function showEntriesTagged(tag) {
+    if (currentView === 'allEntries') {
+        toggleTagFilter(tag);
         return;
     }
-    
-    const originalText = entries[index];
-    const listItem = document.querySelector(`.gratitude-item[data-date="${dateKey}"][data-index="${index}"]`);
-    if (!listItem) return;
-    
-    // Store original text in case of cancel
-    listItem.setAttribute('data-original-text', originalText);
-    listItem.classList.add('editing');
-    
-    // Escape HTML for input value attribute
-    const escapedText = originalText
-        .replace(/&/g, '&amp;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
-    
-    listItem.innerHTML = `
-        <div class="edit-form-wrapper">
-            <input 
-                type="text" 
-                class="edit-input" 
-                value="${escapedText}" 
-                autofocus
-            >
-            <div class="edit-actions">
-                <button type="button" class="save-edit-btn" aria-label="Save changes">Save</button>
-                <button type="button" class="cancel-edit-btn" aria-label="Cancel editing">Cancel</button>
-            </div>
-        </div>
-    `;
-    
-    const input = listItem.querySelector('.edit-input');
-    if (input) {
-        input.focus();
-        input.select();
-        
-        // Handle Enter key to save
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                handleSaveEdit(dateKey, index);
-            } else if (e.key === 'Escape') {
-                e.preventDefault();
-                handleCancelEdit(dateKey, index);
-            }
-        });
-    }
-    
-    // Set up save and cancel button handlers
-    const saveBtn = listItem.querySelector('.save-edit-btn');
-    const cancelBtn = listItem.querySelector('.cancel-edit-btn');
-    
-    if (saveBtn) {
-        saveBtn.addEventListener('click', () => handleSaveEdit(dateKey, index));
-    }
-    
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', () => handleCancelEdit(dateKey, index));
-    }
+    currentTagFilters = [tag];
+    favoritesOnly = false;
+    switchView('allEntries');
 }
 
 /**
- * Handles saving an edited entry
- * @param {string} dateKey - Date string in YYYY-MM-DD format
- * @param {number} index - Index of the entry in the array
+ * Turns the All Entries favorites-only filter on or off
  */
-export function handleSaveEdit(dateKey, index) {
-    const listItem = document.querySelector(`.gratitude-item[data-date="${dateKey}"][data-index="${index}"]`);
-    if (!listItem) return;
-    
-    const input = listItem.querySelector('.edit-input');
-    if (!input) return;
-    
-    const newText = input.value.trim();
-    
-    if (!newText) {
-        showNotification('Entry cannot be empty', 'error');
+export function toggleFavoritesFilter() {
+    favoritesOnly = !favoritesOnly;
+    renderAllEntries(currentSortMode, currentTagFilters, currentSearchQuery, favoritesOnly);
+}
+
+/**
+ * Shows every starred entry in the All Entries view
+ */
+export function showFavorites() {
+    favoritesOnly = true;
+    currentTagFilters = [];
+    if (currentView === 'allEntries') {
+        renderAllEntries(currentSortMode, currentTagFilters, currentSearchQuery, favoritesOnly);
         return;
     }
-    
-    if (updateEntry(dateKey, index, newText)) {
-        // Determine which view to re-render
-        const today = getTodayDateString();
-        if (dateKey === today) {
-            renderTodayEntries();
-        } else {
-            renderPastEntries();
+    switchView('allEntries');
+}
+
+/**
+ * Handles starring or unstarring an entry
+ * @param {string} entryId - Id of the entry
+ * @returns {Promise<void>}
+ */
+export async function handleToggleStar(entryId) {
+    try {
+        const before = await getEntryById(entryId);
+        if (!before) {
+            showNotification('Entry not found', 'error');
+            return;
         }
-        renderAll(); // Update streak and date display
-        // Refresh highlights if we're on that view
-        if (currentView === 'highlights') {
-            renderHistoricalHighlights();
+        const starred = !isStarred(before);
+        const after = await setEntryStarred(entryId, starred);
+        if (!after) {
+            showNotification('Entry not found', 'error');
+            return;
         }
-        showNotification('Entry updated successfully!', 'success');
-    } else {
-        showNotification('Error updating entry', 'error');
+        recordChange({ type: 'update', label: starred ? 'Star entry' : 'Unstar entry', before, after });
+        await refreshViews();
+        showChangeNotification(starred ? 'Added to favorites' : 'Removed from favorites');
+    } catch (error) {
+        console.error('Star entry error:', error);
+        showNotification('Error updating favorites', 'error');
     }
 }
 
 /**
- * Handles canceling an edit and reverting to original text
- * @param {string} dateKey - Date string in YYYY-MM-DD format
- * @param {number} index - Index of the entry in the array
+ * Handles turning the Random Memory favorites preference on or off
+ * @param {Event} event - Change event from the checkbox
+ * @returns {Promise<void>}
  */
-export function handleCancelEdit(dateKey, index) {
-    const listItem = document.querySelector(`.gratitude-item[data-date="${dateKey}"][data-index="${index}"]`);
-    if (!listItem) return;
-    
-    const originalText = listItem.getAttribute('data-original-text') || '';
-    const entries = getEntriesByDate(dateKey);
-    const currentText = entries[index] || originalText;
+export async function handleRandomFavoritesToggle(event) {
+    updateSettings({ randomHighlightFavorites: event.target.checked });
+    await renderHistoricalHighlights();
+}
+
+/**
+ * Handles picking a day's mood; picking the mood already set clears it
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {number} mood - Rating picked
+ * @returns {Promise<void>}
+ */
+export async function handleSetMood(dateKey, mood) {
+    try {
+        const fromMood = await getMood(dateKey);
+        const toMood = fromMood === mood ? null : mood;
+        await setMood(dateKey, toMood);
+        recordChange({
+            type: 'mood',
+            label: toMood === null ? 'Clear mood' : 'Set mood',
+            journalId: getActiveJournalId(),
+            date: dateKey,
+            fromMood,
+            toMood
+        });
+        await refreshViews();
+        const option = getMoodOption(toMood);
+        showChangeNotification(option ? `Mood set to ${option.label}` : 'Mood cleared');
+    } catch (error) {
+        console.error('Set mood error:', error);
+        showNotification('Error saving mood', 'error');
+    }
+}
+
+/**
+ * Handles turning mood colors in the calendar on or off
+ * @param {Event} event - Change event from the checkbox
+ * @returns {Promise<void>}
+ */
+export async function handleCalendarMoodToggle(event) {
+    updateSettings({ calendarMoodColors: event.target.checked });
+    await renderCalendarGrid(currentCalendarMonth, currentCalendarDate);
+}
+
+/**
+ * Handles skipping today's prompt for the next one
+ */
+export function handleSkipPrompt() {
+    skipDailyPrompt(getTodayDateString());
+    renderDailyPrompt();
+}
+
+/**
+ * Opens the prompts view
+ */
+export function openPromptsView() {
+    switchView('prompts');
+}
+
+/**
+ * Closes the prompts view and returns to highlights
+ */
+export function closePromptsView() {
+    switchView('highlights');
+}
+
+/**
+ * Handles turning the daily prompt on or off
+ * @param {Event} event - Change event from the checkbox
+ */
+export function handleDailyPromptsToggle(event) {
+    updateSettings({ dailyPrompts: event.target.checked });
+    renderDailyPrompt();
+}
+
+/**
+ * Handles turning a prompt theme on or off
+ * @param {string} themeId - Id of the theme
+ * @param {boolean} enabled - True to pick prompts from the theme
+ */
+export function handlePromptThemeToggle(themeId, enabled) {
+    const disabledThemes = getSetting('disabledPromptThemes').filter(id => id !== themeId);
+    updateSettings({ disabledPromptThemes: enabled ? disabledThemes : [...disabledThemes, themeId] });
+    renderDailyPrompt();
+}
+
+/**
+ * Handles adding a prompt of the user's own from the prompts view
+ * @param {Event} e - Form submit event
+ */
+export function handleAddPrompt(e) {
+    e.preventDefault();
+    const input = document.getElementById('newPromptText');
+    if (!input) return;
     
-    // Re-render the item in its normal state
-    listItem.classList.remove('editing');
-    listItem.removeAttribute('data-original-text');
+    try {
+        addCustomPrompt(input.value);
+        input.value = '';
+        renderPrompts();
+        renderDailyPrompt();
+        showNotification('Prompt added', 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Handles removing a prompt the user added
+ * @param {string} promptId - Id of the prompt
+ */
+export function handleRemovePrompt(promptId) {
+    removeCustomPrompt(promptId);
+    renderPrompts();
+    renderDailyPrompt();
+    showNotification('Prompt removed', 'success');
+}
+
+/**
+ * Opens the daily goal view
+ */
+export function openGoalView() {
+    switchView('goal');
+}
+
+/**
+ * Closes the daily goal view and returns to highlights
+ */
+export function closeGoalView() {
+    switchView('highlights');
+}
+
+/**
+ * Handles a change to the daily goal, streak protection or how days are counted, then updates the streak and the calendar
+ * @returns {Promise<void>}
+ */
+export async function handleGoalChange() {
+    const itemsSelect = document.getElementById('goalItemsSelect');
+    const daysSelect = document.getElementById('goalDaysSelect');
+    const partialToggle = document.getElementById('allowPartialDaysToggle');
+    const graceSelect = document.getElementById('streakGraceSelect');
+    const freezeEverySelect = document.getElementById('streakFreezeEverySelect');
+    const maxFreezesSelect = document.getElementById('streakMaxFreezesSelect');
+    const dayStartSelect = document.getElementById('dayStartSelect');
+    const timeZoneModeSelect = document.getElementById('timeZoneModeSelect');
+    const homeTimeZoneSelect = document.getElementById('homeTimeZoneSelect');
+    
+    const changes = {};
+    if (itemsSelect) {
+        changes.goalItemsPerDay = parseInt(itemsSelect.value, 10);
+    }
+    if (daysSelect) {
+        changes.goalDaysPerWeek = parseInt(daysSelect.value, 10);
+    }
+    if (partialToggle) {
+        changes.allowPartialDays = partialToggle.checked;
+    }
+    if (graceSelect) {
+        changes.streakGraceDaysPerWeek = parseInt(graceSelect.value, 10);
+    }
+    if (freezeEverySelect) {
+        changes.streakFreezeEvery = parseInt(freezeEverySelect.value, 10);
+    }
+    if (maxFreezesSelect) {
+        changes.streakMaxFreezes = parseInt(maxFreezesSelect.value, 10);
+    }
+    if (dayStartSelect) {
+        changes.dayStartHour = parseInt(dayStartSelect.value, 10);
+    }
+    if (timeZoneModeSelect) {
+        changes.timeZoneMode = timeZoneModeSelect.value;
+    }
+    if (homeTimeZoneSelect && homeTimeZoneSelect.value) {
+        changes.homeTimeZone = homeTimeZoneSelect.value;
+    }
+    updateSettings(changes);
+    await refreshViews();
+    // The service worker works out the journal day for reminders too
+    syncReminders();
+}
+
+/**
+ * Opens the reminders view
+ */
+export function openRemindersView() {
+    switchView('reminders');
+}
+
+/**
+ * Closes the reminders view and returns to highlights
+ */
+export function closeRemindersView() {
+    switchView('highlights');
+}
+
+/**
+ * Handles a change to the reminder settings
+ * Turning reminders on is the only time permission to show notifications is asked for;
+ * without it, reminders are shown inside the app.
+ * @returns {Promise<void>}
+ */
+export async function handleReminderChange() {
+    const reminderToggle = document.getElementById('reminderToggle');
+    const timeInput = document.getElementById('reminderTimeInput');
+    const onlyIfNeededToggle = document.getElementById('reminderOnlyIfNeededToggle');
+    
+    const changes = {
+        reminderDays: Array.from(document.querySelectorAll('.reminder-day-toggle:checked'), toggle => Number(toggle.dataset.day))
+    };
+    if (reminderToggle) {
+        changes.reminderEnabled = reminderToggle.checked;
+    }
+    if (timeInput && timeInput.value) {
+        changes.reminderTime = timeInput.value;
+    }
+    if (onlyIfNeededToggle) {
+        changes.reminderOnlyIfNotJournaled = onlyIfNeededToggle.checked;
+    }
+    
+    const turnedOn = changes.reminderEnabled && !getSetting('reminderEnabled');
+    updateSettings(changes);
+    if (turnedOn) {
+        await requestReminderPermission();
+    }
+    renderReminders();
+    if (!await syncReminders()) {
+        showNotification('Error updating reminders', 'error');
+    }
+}
+
+/**
+ * Handles the user asking to allow notifications for reminders
+ * @returns {Promise<void>}
+ */
+export async function handleAllowNotifications() {
+    const permission = await requestReminderPermission();
+    renderReminders();
+    if (permission === 'granted') {
+        await syncReminders();
+        showNotification('Reminders will arrive as notifications', 'success');
+    }
+}
+
+/**
+ * Shows a reminder inside the app, with a shortcut to the Today view
+ */
+export function handleReminderDue() {
+    showNotification('Time for gratitude! What are you grateful for today?', 'success', {
+        label: 'Write now',
+        onClick: navigateToTodayFromHighlights
+    });
+}
+
+/**
+ * Opens the file dialog to add photos to a day or to one of its entries
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {string|null} [entryId=null] - Id of the entry, or null for the whole day
+ */
+export function pickPhotos(dateKey, entryId = null) {
+    const input = document.getElementById('photoFileInput');
+    if (!input) return;
+    
+    photoTarget = { dateKey, entryId };
+    input.value = '';
+    input.click();
+}
+
+/**
+ * Handles photos picked in the file dialog: prepares and stores each one
+ * @param {Event} event - Change event from the file input
+ * @returns {Promise<void>}
+ */
+export async function handlePhotoFiles(event) {
+    const files = Array.from(event.target.files || []);
+    const target = photoTarget;
+    photoTarget = null;
+    event.target.value = '';
+    if (!target || files.length === 0) return;
+    
+    // One at a time, so several large photos are never decoded at once
+    const images = [];
+    const failed = [];
+    for (const file of files) {
+        try {
+            images.push(await prepareImage(file));
+        } catch (error) {
+            console.error('Prepare photo error:', error);
+            failed.push(file.name);
+        }
+    }
+    
+    if (images.length > 0) {
+        try {
+            await addAttachments(target.dateKey, images, target.entryId);
+        } catch (error) {
+            console.error('Add photo error:', error);
+            showNotification('Error saving photos', 'error');
+            return;
+        }
+        await refreshViews();
+    }
+    
+    if (failed.length > 0) {
+        showNotification(`Couldn't add ${failed.join(', ')}`, 'error');
+    } else {
+        showNotification(images.length === 1 ? 'Photo added' : `${images.length} photos added`, 'success');
+    }
+}
+
+/**
+ * Opens the photo viewer with a photo at full size
+ * @param {string} attachmentId - Id of the photo
+ * @returns {Promise<void>}
+ */
+export async function openPhotoViewer(attachmentId) {
+    const modal = document.getElementById('photoViewerModal');
+    const image = document.getElementById('photoViewerImage');
+    if (!modal || !image) return;
+    
+    try {
+        const blob = await getAttachmentImage(attachmentId);
+        if (!blob) {
+            showNotification('Photo not found', 'error');
+            return;
+        }
+        closePhotoViewer();
+        photoViewerUrl = URL.createObjectURL(blob);
+        image.src = photoViewerUrl;
+        modal.setAttribute('data-attachment-id', attachmentId);
+        modal.style.display = 'flex';
+    } catch (error) {
+        console.error('Open photo error:', error);
+        showNotification('Error opening photo', 'error');
+    }
+}
+
+/**
+ * Closes the photo viewer and frees the full photo
+ */
+export function closePhotoViewer() {
+    const modal = document.getElementById('photoViewerModal');
+    const image = document.getElementById('photoViewerImage');
+    if (modal) {
+        modal.style.display = 'none';
+        modal.removeAttribute('data-attachment-id');
+    }
+    if (image) {
+        image.removeAttribute('src');
+    }
+    if (photoViewerUrl) {
+        URL.revokeObjectURL(photoViewerUrl);
+        photoViewerUrl = null;
+    }
+}
+
+/**
+ * Handles removing the photo shown in the photo viewer
+ * @returns {Promise<void>}
+ */
+export async function handleRemovePhoto() {
+    const modal = document.getElementById('photoViewerModal');
+    const attachmentId = modal ? modal.getAttribute('data-attachment-id') : null;
+    if (!attachmentId) return;
+    if (!confirm('Remove this photo? This cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        await deleteAttachment(attachmentId);
+        closePhotoViewer();
+        releaseThumbnailUrl(attachmentId);
+        await refreshViews();
+        showNotification('Photo removed', 'success');
+    } catch (error) {
+        console.error('Remove photo error:', error);
+        showNotification('Error removing photo', 'error');
+    }
+}
+
+/**
+ * Handles typing in the All Entries search box
+ * Only the results list is re-rendered, from the in-memory search index.
+ * @param {Event} event - Input event
+ */
+export function handleSearchInput(event) {
+    currentSearchQuery = event.target.value;
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(() => {
+        if (currentSearchQuery.trim()) {
+            renderSearchResults(currentSearchQuery, currentTagFilters, favoritesOnly);
+        } else {
+            renderAllEntries(currentSortMode, currentTagFilters, currentSearchQuery, favoritesOnly);
+        }
+    }, SEARCH_DEBOUNCE_MS);
+}
+
+/**
+ * Clears the All Entries search
+ */
+export function clearSearch() {
+    const searchInput = document.getElementById('allEntriesSearch');
+    if (searchInput) {
+        searchInput.value = '';
+    }
+    clearTimeout(searchDebounceTimer);
+    currentSearchQuery = '';
+    renderAllEntries(currentSortMode, currentTagFilters, currentSearchQuery, favoritesOnly);
+}
+
+/**
+ * Handles clicking the edit button to start editing an entry
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {string} entryId - Id of the entry to edit
+ * @returns {Promise<void>}
+ */
+export async function handleEditEntry(dateKey, entryId) {
+    const entry = await getEntryById(entryId);
+    if (!entry) {
+        return;
+    }
+    
+    const originalText = entry.text;
+    const listItem = document.querySelector(`.gratitude-item[data-date="${dateKey}"][data-id="${entryId}"]`);
+    if (!listItem) return;
+    
+    // Store original text in case of cancel
+    listItem.setAttribute('data-original-text', originalText);
+    listItem.classList.add('editing');
+    
+    // Escape HTML for input value attribute
+    const escapedText = originalText
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    
+    // Hashtags are edited in the text itself; the tags field holds the rest
+    const explicitTags = getExplicitOnlyTags(entry).join(' ');
     
     listItem.innerHTML = `
-        <div class="gratitude-item-content">${escapeHtml(currentText)}</div>
-        <button type="button" class="edit-btn" aria-label="Edit entry">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-            </svg>
-        </button>
+        <div class="edit-form-wrapper">
+            <input 
+                type="text" 
+                class="edit-input" 
+                value="${escapedText}" 
+                autofocus
+            >
+            <input 
+                type="text" 
+                class="edit-tags-input" 
+                value="${explicitTags}" 
+                placeholder="Tags, e.g. family outdoors" 
+                aria-label="Tags"
+            >
+            <div class="edit-actions">
+                <button type="button" class="save-edit-btn" aria-label="Save changes">Save</button>
+                <button type="button" class="cancel-edit-btn" aria-label="Cancel editing">Cancel</button>
+            </div>
+        </div>
     `;
+    
+    const input = listItem.querySelector('.edit-input');
+    const tagsInput = listItem.querySelector('.edit-tags-input');
+    
+    // Handle Enter key to save and Escape to cancel in either field
+    const handleEditKeydown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            handleSaveEdit(dateKey, entryId);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            handleCancelEdit(dateKey, entryId);
+        }
+    };
+    
+    if (input) {
+        input.focus();
+        input.select();
+        input.addEventListener('keydown', handleEditKeydown);
+    }
+    
+    if (tagsInput) {
+        tagsInput.addEventListener('keydown', handleEditKeydown);
+    }
+    
+    // Set up save and cancel button handlers
+    const saveBtn = listItem.querySelector('.save-edit-btn');
+    const cancelBtn = listItem.querySelector('.cancel-edit-btn');
+    
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => handleSaveEdit(dateKey, entryId));
+    }
+    
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => handleCancelEdit(dateKey, entryId));
+    }
+}
+
+/**
+ * Handles saving an edited entry
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {string} entryId - Id of the entry being edited
+ * @returns {Promise<void>}
+ */
+export async function handleSaveEdit(dateKey, entryId) {
+    const listItem = document.querySelector(`.gratitude-item[data-date="${dateKey}"][data-id="${entryId}"]`);
+    if (!listItem) return;
+    
+    const input = listItem.querySelector('.edit-input');
+    if (!input) return;
+    
+    const newText = input.value.trim();
+    
+    if (!newText) {
+        showNotification('Entry cannot be empty', 'error');
+        return;
+    }
+    
+    // Tags that are already hashtags in the text don't need storing
+    const tagsInput = listItem.querySelector('.edit-tags-input');
+    const tags = getExplicitOnlyTags({ text: newText, tags: parseTagInput(tagsInput ? tagsInput.value : '') });
+    
+    const before = await getEntryById(entryId);
+    if (before && before.text === newText && tags.join(' ') === (before.tags || []).join(' ')) {
+        // Nothing changed, so don't add a revision
+        await handleCancelEdit(dateKey, entryId);
+        return;
+    }
+    
+    const after = await updateEntry(entryId, newText, tags);
+    if (after) {
+        recordChange({ type: 'update', label: 'Edit entry', before, after });
+        // Determine which view to re-render
+        const today = getTodayDateString();
+        if (dateKey === today) {
+            await renderTodayEntries();
+        } else {
+            await renderPastEntries();
+        }
+        await renderAll(); // Update streak and date display
+        // Refresh highlights if we're on that view
+        if (currentView === 'highlights') {
+            renderHistoricalHighlights();
+        }
+        showChangeNotification('Entry updated successfully!');
+    } else {
+        showNotification('Error updating entry', 'error');
+    }
+    await flushRemoteRefresh();
+}
+
+/**
+ * Handles canceling an edit and reverting to original text
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {string} entryId - Id of the entry being edited
+ * @returns {Promise<void>}
+ */
+export async function handleCancelEdit(dateKey, entryId) {
+    const listItem = document.querySelector(`.gratitude-item[data-date="${dateKey}"][data-id="${entryId}"]`);
+    if (!listItem) return;
+    
+    const originalText = listItem.getAttribute('data-original-text') || '';
+    const [entry, attachments] = await Promise.all([getEntryById(entryId), getAttachmentsByDate(dateKey)]);
+    
+    // Re-render the item in its normal state
+    listItem.classList.remove('editing');
+    listItem.removeAttribute('data-original-text');
+    
+    listItem.innerHTML = `
+        ${getEntryContentHtml(entry || { text: originalText }, attachments)}
+        ${getEntryActionsHtml({ starred: entry ? isStarred(entry) : undefined })}
+    `;
+    await flushRemoteRefresh();
+}
+
+/**
+ * Re-renders the header and whichever view is currently shown
+ * @returns {Promise<void>}
+ */
+async function refreshViews() {
+    await renderAll();
+    
+    if (currentView === 'today') {
+        await showDraft('today');
+    } else if (currentView === 'highlights') {
+        await renderHistoricalHighlights();
+    } else if (currentView === 'calendar') {
+        await updateCalendarView(currentCalendarDate);
+    } else if (currentView === 'allEntries') {
+        await renderAllEntries(currentSortMode, currentTagFilters, currentSearchQuery, favoritesOnly);
+    } else if (currentView === 'insights') {
+        await renderInsights();
+    } else if (currentView === 'trash') {
+        await renderTrash();
+    } else if (currentView === 'recovery') {
+        await showRecovery();
+    } else if (currentView === 'snapshots') {
+        await renderSnapshots();
+    } else if (currentView === 'encryption') {
+        renderEncryption();
+    } else if (currentView === 'appLock') {
+        renderAppLock();
+    } else if (currentView === 'journals') {
+        await renderJournals();
+    } else if (currentView === 'people') {
+        await renderPeopleView();
+    } else if (currentView === 'prompts') {
+        renderPrompts();
+    } else if (currentView === 'goal') {
+        await renderGoal();
+    } else if (currentView === 'reminders') {
+        renderReminders();
+    }
+    
+    if (historyEntryId) {
+        const entry = await getEntryById(historyEntryId);
+        if (entry) {
+            renderEntryHistory(entry);
+        } else {
+            closeEntryHistory();
+        }
+    }
+}
+
+/**
+ * Handles a change made in another tab or window
+ * Views are re-rendered from storage, except while an entry is being edited here;
+ * then the refresh waits until the edit is saved or cancelled.
+ * @param {Object} remoteChange - Change reported by the sync service
+ * @param {string} remoteChange.scope - 'entries', 'settings', 'encryption' or 'erased'
+ * @param {string} [remoteChange.key] - localStorage key that changed ('settings')
+ */
+export function handleRemoteChange(remoteChange) {
+    if (remoteChange.scope === 'settings' && remoteChange.key === 'theme') {
+        initializeDarkMode();
+        return;
+    }
+    // The journal is stored differently now, or is gone; start over, asking for the passphrase if needed
+    if (remoteChange.scope === 'encryption' || remoteChange.scope === 'erased') {
+        // The undo history survives the reload; it would write erased entries back,
+        // or keep entry text in plaintext once encryption is on
+        clearHistory();
+        window.location.reload();
+        return;
+    }
+    
+    clearTimeout(remoteRefreshTimer);
+    remoteRefreshTimer = setTimeout(() => {
+        if (document.querySelector('.gratitude-item.editing')) {
+            remoteRefreshPending = true;
+            return;
+        }
+        refreshViews().catch(error => {
+            console.error('Error refreshing after a change in another tab:', error);
+        });
+    }, REMOTE_REFRESH_DELAY_MS);
+}
+
+/**
+ * Runs a refresh that was postponed while an entry was being edited
+ * @returns {Promise<void>}
+ */
+async function flushRemoteRefresh() {
+    if (!remoteRefreshPending) {
+        return;
+    }
+    remoteRefreshPending = false;
+    await refreshViews();
+}
+
+/**
+ * Builds a short change label such as "Add 3 entries"
+ * @param {number} count - Number of items changed
+ * @param {string} singular - Noun for one item
+ * @param {string} plural - Noun for several items
+ * @param {string} verb - Leading verb
+ * @returns {string} Change label
+ */
+function describeCount(count, singular, plural, verb) {
+    return `${verb} ${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Shows the success notification of a change, with an "Undo" action
+ * If the undo history could not be saved, the message says so.
+ * @param {string} message - Message to display
+ */
+function showChangeNotification(message) {
+    const warning = isHistoryUnsaved() ? ' (undo history could not be saved and will be lost on reload)' : '';
+    showNotification(message + warning, 'success', { label: 'Undo', onClick: handleUndo });
+}
+
+/**
+ * Runs an undo or redo unless one is already running
+ * The command stays on its stack until it has been applied, so a second
+ * step started meanwhile would apply the same one again; it is dropped instead.
+ * @param {function(): Promise<void>} step - Applies the undo or redo
+ * @returns {Promise<void>}
+ */
+async function runHistoryStep(step) {
+    if (historyStepRunning) {
+        return;
+    }
+    historyStepRunning = true;
+    try {
+        await step();
+    } finally {
+        historyStepRunning = false;
+    }
+}
+
+/**
+ * Handles undoing the most recent change
+ * @returns {Promise<void>}
+ */
+export function handleUndo() {
+    return runHistoryStep(async () => {
+        try {
+            const command = await undo();
+            if (!command) {
+                showNotification('Nothing to undo', 'error');
+                return;
+            }
+            await refreshViews();
+            showNotification(`Undone: ${command.label}`, 'success', { label: 'Redo', onClick: handleRedo });
+        } catch (error) {
+            console.error('Undo error:', error);
+            showNotification('Error undoing change', 'error');
+        }
+    });
+}
+
+/**
+ * Handles redoing the most recently undone change
+ * @returns {Promise<void>}
+ */
+export function handleRedo() {
+    return runHistoryStep(async () => {
+        try {
+            const command = await redo();
+            if (!command) {
+                showNotification('Nothing to redo', 'error');
+                return;
+            }
+            await refreshViews();
+            showChangeNotification(`Redone: ${command.label}`);
+        } catch (error) {
+            console.error('Redo error:', error);
+            showNotification('Error redoing change', 'error');
+        }
+    });
+}
+
+/**
+ * Handles deleting an entry by moving it to the trash
+ * @param {string} entryId - Id of the entry to delete
+ * @returns {Promise<void>}
+ */
+export async function handleDeleteEntry(entryId) {
+    try {
+        const trashed = await moveEntryToTrash(entryId);
+        if (!trashed) {
+            showNotification('Error deleting entry', 'error');
+            return;
+        }
+        recordChange({ type: 'trash', label: 'Delete entry', entryId });
+        await refreshViews();
+        showChangeNotification('Entry moved to trash');
+    } catch (error) {
+        console.error('Delete error:', error);
+        showNotification('Error deleting entry', 'error');
+    }
+}
+
+/**
+ * Handles restoring an entry from the trash
+ * @param {string} entryId - Id of the trashed entry
+ * @returns {Promise<void>}
+ */
+export async function handleRestoreEntry(entryId) {
+    try {
+        const restored = await restoreEntryFromTrash(entryId);
+        if (!restored) {
+            showNotification('Error restoring entry', 'error');
+            return;
+        }
+        recordChange({ type: 'restore', label: 'Restore entry', entryId });
+        await refreshViews();
+        showChangeNotification('Entry restored!');
+    } catch (error) {
+        console.error('Restore error:', error);
+        showNotification('Error restoring entry', 'error');
+    }
+}
+
+/**
+ * Opens the edit history modal for an entry
+ * @param {string} entryId - Id of the entry
+ * @returns {Promise<void>}
+ */
+export async function openEntryHistory(entryId) {
+    const modal = document.getElementById('entryHistoryModal');
+    if (!modal) return;
+    
+    const entry = await getEntryById(entryId);
+    if (!entry) {
+        showNotification('Entry not found', 'error');
+        return;
+    }
+    
+    historyEntryId = entryId;
+    renderEntryHistory(entry);
+    modal.style.display = 'flex';
+}
+
+/**
+ * Closes the edit history modal
+ */
+export function closeEntryHistory() {
+    const modal = document.getElementById('entryHistoryModal');
+    historyEntryId = null;
+    if (!modal) return;
+    
+    modal.style.display = 'none';
+}
+
+/**
+ * Handles restoring an earlier version of an entry
+ * The restore is itself an edit, so the replaced text joins the history.
+ * @param {string} entryId - Id of the entry
+ * @param {number} revisionIndex - Index of the version in the entry's revisions
+ * @returns {Promise<void>}
+ */
+export async function handleRestoreRevision(entryId, revisionIndex) {
+    try {
+        const before = await getEntryById(entryId);
+        const revision = before && before.revisions ? before.revisions[revisionIndex] : null;
+        if (!revision) {
+            showNotification('Version not found', 'error');
+            return;
+        }
+        if (revision.text === before.text) {
+            showNotification('This version matches the current text', 'success');
+            return;
+        }
+        
+        const after = await updateEntry(entryId, revision.text);
+        if (!after) {
+            showNotification('Error restoring version', 'error');
+            return;
+        }
+        recordChange({ type: 'update', label: 'Restore earlier version', before, after });
+        await refreshViews();
+        showChangeNotification('Earlier version restored!');
+    } catch (error) {
+        console.error('Restore version error:', error);
+        showNotification('Error restoring version', 'error');
+    }
+}
+
+/**
+ * Handles permanently deleting an entry from the trash
+ * @param {string} entryId - Id of the trashed entry
+ * @returns {Promise<void>}
+ */
+export async function handlePurgeEntry(entryId) {
+    if (!confirm('Delete this entry forever? This cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        await purgeTrashedEntry(entryId);
+        await renderTrash();
+        showNotification('Entry deleted forever', 'success');
+    } catch (error) {
+        console.error('Purge error:', error);
+        showNotification('Error deleting entry', 'error');
+    }
+}
+
+/**
+ * Handles emptying the whole trash
+ * @returns {Promise<void>}
+ */
+export async function handleEmptyTrash() {
+    if (!confirm('Delete everything in the trash forever? This cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        await emptyTrash();
+        await renderTrash();
+        showNotification('Trash emptied', 'success');
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        showNotification('Error emptying trash', 'error');
+    }
+}
+
+/**
+ * Handles changing how long deleted entries are kept
+ * @param {Event} e - Select change event
+ * @returns {Promise<void>}
+ */
+export async function handleTrashRetentionChange(e) {
+    const retentionDays = parseInt(e.target.value, 10) || 0;
+    updateSettings({ trashRetentionDays: retentionDays });
+    await purgeExpiredTrash(retentionDays);
+    await renderTrash();
+}
+
+/**
+ * Opens the trash view
+ */
+export function openTrashView() {
+    switchView('trash');
+}
+
+/**
+ * Closes the trash view and returns to highlights
+ */
+export function closeTrashView() {
+    switchView('highlights');
+}
+
+/**
+ * Renders the recovery screen from the current quarantine and snapshot
+ * @returns {Promise<void>}
+ */
+async function showRecovery() {
+    const [quarantine, snapshots] = await Promise.all([getQuarantine(), listSnapshots()]);
+    renderRecovery(quarantine, snapshots[0] || null);
+}
+
+/**
+ * Opens the recovery view
+ */
+export function openRecoveryView() {
+    switchView('recovery');
+}
+
+/**
+ * Closes the recovery view and returns to highlights
+ * Quarantined data is kept, so the screen can be reopened from settings.
+ */
+export function closeRecoveryView() {
+    switchView('highlights');
+}
+
+/**
+ * Handles salvaging the readable entries from quarantined data
+ * @returns {Promise<void>}
+ */
+export async function handleSalvage() {
+    try {
+        await snapshotBeforeChange('salvage');
+        const salvagedRecords = await salvageQuarantine();
+        await refreshViews();
+        if (salvagedRecords.length > 0) {
+            recordChange({ type: 'add', label: describeCount(salvagedRecords.length, 'entry', 'entries', 'Salvage'), records: salvagedRecords });
+            showChangeNotification(`Salvaged ${salvagedRecords.length} ${salvagedRecords.length === 1 ? 'entry' : 'entries'}!`);
+        } else {
+            showNotification('No readable entries left to salvage', 'success');
+        }
+    } catch (error) {
+        console.error('Salvage error:', error);
+        showNotification('Error salvaging entries', 'error');
+    }
+}
+
+/**
+ * Handles downloading quarantined data exactly as it was found
+ * @returns {Promise<void>}
+ */
+export async function handleDownloadQuarantine() {
+    try {
+        const quarantine = await getQuarantine();
+        if (quarantine.length === 0) {
+            showNotification('No unreadable data to download', 'error');
+            return;
+        }
+        downloadFile(JSON.stringify(quarantine, null, 2), `gratitude-unreadable-data-${formatDate(new Date())}.json`, 'application/json');
+    } catch (error) {
+        console.error('Download error:', error);
+        showNotification('Error downloading data', 'error');
+    }
+}
+
+/**
+ * Handles discarding quarantined data once the user no longer needs it
+ * @returns {Promise<void>}
+ */
+export async function handleDiscardQuarantine() {
+    if (!confirm('Discard the unreadable data for good? Download it first if you might need it.')) {
+        return;
+    }
+    
+    try {
+        await clearQuarantine();
+        showNotification('Unreadable data discarded', 'success');
+        closeRecoveryView();
+    } catch (error) {
+        console.error('Discard error:', error);
+        showNotification('Error discarding data', 'error');
+    }
+}
+
+/**
+ * Takes a snapshot before a bulk change
+ * A failed snapshot is logged but does not block the change itself.
+ * @param {string} reason - Why the snapshot is taken
+ * @returns {Promise<void>}
+ */
+async function snapshotBeforeChange(reason) {
+    try {
+        await takeSnapshot(reason);
+    } catch (error) {
+        console.error('Error taking snapshot:', error);
+    }
+}
+
+/**
+ * Opens the snapshots view
+ */
+export function openSnapshotsView() {
+    switchView('snapshots');
+}
+
+/**
+ * Closes the snapshots view and returns to highlights
+ */
+export function closeSnapshotsView() {
+    switchView('highlights');
+}
+
+/**
+ * Handles taking a snapshot on request
+ * @returns {Promise<void>}
+ */
+export async function handleTakeSnapshot() {
+    try {
+        if (!await takeSnapshot('manual')) {
+            showNotification('No entries to snapshot', 'error');
+            return;
+        }
+        await renderSnapshots();
+        showNotification('Snapshot taken!', 'success');
+    } catch (error) {
+        console.error('Snapshot error:', error);
+        showNotification('Error taking snapshot', 'error');
+    }
+}
+
+/**
+ * Handles changing how many daily or weekly snapshots are kept
+ * @param {Event} e - Select change event; the select's data-setting names the setting
+ * @returns {Promise<void>}
+ */
+export async function handleSnapshotRetentionChange(e) {
+    const settingKey = e.target.getAttribute('data-setting');
+    updateSettings({ [settingKey]: parseInt(e.target.value, 10) || 0 });
+    await pruneSnapshots();
+    await renderSnapshots();
+}
+
+/**
+ * Opens the preview modal for a snapshot
+ * @param {string} snapshotId - Id of the snapshot
+ * @returns {Promise<void>}
+ */
+export async function openSnapshotPreview(snapshotId) {
+    const modal = document.getElementById('snapshotPreviewModal');
+    if (!modal) return;
+    
+    const snapshot = await getSnapshot(snapshotId);
+    if (!snapshot) {
+        showNotification('Snapshot not found', 'error');
+        return;
+    }
+    
+    previewSnapshotId = snapshotId;
+    renderSnapshotPreview(snapshot);
+    modal.style.display = 'flex';
+}
+
+/**
+ * Closes the snapshot preview modal
+ */
+export function closeSnapshotPreview() {
+    const modal = document.getElementById('snapshotPreviewModal');
+    previewSnapshotId = null;
+    if (!modal) return;
+    
+    modal.style.display = 'none';
+}
+
+/**
+ * Handles restoring the journal to a snapshot
+ * @param {string} snapshotId - Id of the snapshot to restore
+ * @returns {Promise<void>}
+ */
+export async function handleRestoreSnapshot(snapshotId) {
+    if (!confirm('Restore your journal to this snapshot? Your current entries are saved as a new snapshot first.')) {
+        return;
+    }
+    
+    try {
+        const restored = await restoreSnapshot(snapshotId);
+        if (!restored) {
+            showNotification('Snapshot not found', 'error');
+            return;
+        }
+        closeSnapshotPreview();
+        await refreshViews();
+        const { restoredCount } = restored;
+        const skipped = restored.skippedCount > 0 ? ` (${restored.skippedCount} moved or deleted since were left out)` : '';
+        showNotification(`Restored ${restoredCount} ${restoredCount === 1 ? 'entry' : 'entries'} from snapshot${skipped}`, 'success');
+    } catch (error) {
+        console.error('Restore snapshot error:', error);
+        showNotification('Error restoring snapshot', 'error');
+    }
+}
+
+/**
+ * Asks the user for a passphrase in the passphrase modal
+ * @param {Object} options - What to ask for
+ * @param {string} options.title - Modal title
+ * @param {string} options.message - Explanation shown above the field
+ * @param {boolean} [options.confirm=false] - Choosing a new passphrase: ask for it twice and enforce a minimum length
+ * @param {number} [options.minLength] - Minimum length of a new passphrase
+ * @param {string} [options.label='passphrase'] - What is asked for, e.g. 'PIN', used in placeholders and errors
+ * @param {boolean} [options.cancellable=true] - Whether the modal can be closed without a passphrase
+ * @param {string} [options.submitLabel='Continue'] - Submit button text
+ * @param {function(string): Promise<string|null>} [options.validate] - Checks the passphrase; resolves to an error message, or null if accepted
+ * @returns {Promise<string|null>} Promise resolving to the accepted passphrase, or null if cancelled
+ */
+export function requestPassphrase({ title, message, confirm = false, minLength = MIN_PASSPHRASE_LENGTH, label = 'passphrase', cancellable = true, submitLabel = 'Continue', validate }) {
+    const modal = document.getElementById('passphraseModal');
+    if (!modal) {
+        return Promise.resolve(null);
+    }
+    
+    // Only one request at a time; an older one counts as cancelled
+    cancelPassphraseRequest();
+    
+    const titleElement = document.getElementById('passphraseTitle');
+    const messageElement = document.getElementById('passphraseMessage');
+    const input = document.getElementById('passphraseInput');
+    const confirmInput = document.getElementById('passphraseConfirmInput');
+    const closeBtn = document.getElementById('passphraseCloseBtn');
+    const submitBtn = document.getElementById('passphraseSubmitBtn');
+    const error = document.getElementById('passphraseError');
+    
+    if (titleElement) titleElement.textContent = title;
+    if (messageElement) messageElement.textContent = message;
+    if (error) error.textContent = '';
+    const capitalizedLabel = label.charAt(0).toUpperCase() + label.slice(1);
+    if (input) {
+        input.value = '';
+        input.placeholder = capitalizedLabel;
+        input.setAttribute('autocomplete', confirm ? 'new-password' : 'current-password');
+    }
+    if (confirmInput) {
+        confirmInput.value = '';
+        confirmInput.placeholder = `Repeat ${label}`;
+        confirmInput.style.display = confirm ? '' : 'none';
+    }
+    if (closeBtn) closeBtn.style.display = cancellable ? '' : 'none';
+    if (submitBtn) {
+        submitBtn.textContent = submitLabel;
+        submitBtn.disabled = false;
+    }
+    
+    modal.style.display = 'flex';
+    if (input) {
+        setTimeout(() => input.focus(), 100);
+    }
+    
+    return new Promise(resolve => {
+        passphraseRequest = { confirm, minLength, label, cancellable, submitLabel, validate, resolve };
+    });
+}
+
+/**
+ * Closes the passphrase modal and settles the pending request
+ * @param {string|null} passphrase - Accepted passphrase, or null if cancelled
+ */
+function settlePassphraseRequest(passphrase) {
+    const request = passphraseRequest;
+    passphraseRequest = null;
+    
+    const modal = document.getElementById('passphraseModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+    ['passphraseInput', 'passphraseConfirmInput'].forEach(inputId => {
+        const input = document.getElementById(inputId);
+        if (input) {
+            input.value = '';
+        }
+    });
+    
+    if (request) {
+        request.resolve(passphrase);
+    }
+}
+
+/**
+ * Cancels the pending passphrase request, if it can be cancelled
+ */
+export function cancelPassphraseRequest() {
+    if (passphraseRequest && passphraseRequest.cancellable) {
+        settlePassphraseRequest(null);
+    }
+}
+
+/**
+ * Handles submitting the passphrase modal
+ * @param {Event} e - Form submit event
+ * @returns {Promise<void>}
+ */
+export async function handlePassphraseSubmit(e) {
+    e.preventDefault();
+    const request = passphraseRequest;
+    if (!request) return;
+    
+    const input = document.getElementById('passphraseInput');
+    const confirmInput = document.getElementById('passphraseConfirmInput');
+    const submitBtn = document.getElementById('passphraseSubmitBtn');
+    const error = document.getElementById('passphraseError');
+    const showError = (message) => {
+        if (error) error.textContent = message;
+    };
+    
+    const passphrase = input ? input.value : '';
+    if (!passphrase) {
+        showError(`Please enter a ${request.label}`);
+        return;
+    }
+    if (request.confirm) {
+        if (passphrase.length < request.minLength) {
+            showError(`Use at least ${request.minLength} characters`);
+            return;
+        }
+        if (!confirmInput || confirmInput.value !== passphrase) {
+            showError(`The ${request.label}s do not match`);
+            return;
+        }
+    }
+    
+    if (request.validate) {
+        // Key derivation is deliberately slow, so show that something is happening
+        if (submitBtn) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Checking…';
+        }
+        let message;
+        try {
+            message = await request.validate(passphrase);
+        } catch (validateError) {
+            console.error('Passphrase check error:', validateError);
+            message = 'Something went wrong, please try again';
+        }
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.textContent = request.submitLabel;
+        }
+        if (passphraseRequest !== request) {
+            return;
+        }
+        if (message) {
+            showError(message);
+            if (input) input.select();
+            return;
+        }
+    }
+    
+    settlePassphraseRequest(passphrase);
+}
+
+/**
+ * Asks for the passphrase at startup if the journal is encrypted
+ * Resolves only once the journal is unlocked, so nothing reads it before then.
+ * @returns {Promise<void>}
+ */
+export async function unlockAtStartup() {
+    if (!await loadEncryptionState()) {
+        return;
+    }
+    await requestPassphrase({
+        title: 'Unlock your journal',
+        message: 'Your journal is encrypted. Enter your passphrase to open it.',
+        cancellable: false,
+        submitLabel: 'Unlock',
+        validate: async (passphrase) => (await unlockJournal(passphrase)) ? null : 'Incorrect passphrase'
+    });
+}
+
+/**
+ * Asks for the passphrase of an encrypted backup being imported
+ * @param {function(string): Promise<string>} decrypt - Decrypts the backup, throwing if the passphrase is wrong
+ * @returns {Promise<string|null>} Promise resolving to the decrypted backup, or null if cancelled
+ */
+async function unlockBackup(decrypt) {
+    let decrypted = null;
+    const passphrase = await requestPassphrase({
+        title: 'Encrypted backup',
+        message: 'Enter the passphrase this backup was saved with.',
+        submitLabel: 'Import',
+        validate: async (candidate) => {
+            try {
+                decrypted = await decrypt(candidate);
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        }
+    });
+    return passphrase === null ? null : decrypted;
+}
+
+/**
+ * Asks for the journal's current passphrase
+ * @param {string} title - Modal title
+ * @param {string} message - Explanation shown above the field
+ * @returns {Promise<string|null>} Promise resolving to the verified passphrase, or null if cancelled
+ */
+function requestCurrentPassphrase(title, message) {
+    return requestPassphrase({
+        title,
+        message,
+        validate: async (passphrase) => (await verifyPassphrase(passphrase)) ? null : 'Incorrect passphrase'
+    });
+}
+
+/**
+ * Opens the encryption view
+ */
+export function openEncryptionView() {
+    switchView('encryption');
+}
+
+/**
+ * Closes the encryption view and returns to highlights
+ */
+export function closeEncryptionView() {
+    switchView('highlights');
+}
+
+/**
+ * Handles turning on encryption
+ * @returns {Promise<void>}
+ */
+export async function handleEnableEncryption() {
+    const passphrase = await requestPassphrase({
+        title: 'Turn on encryption',
+        message: 'Choose a passphrase. It cannot be recovered: if you forget it, your entries are lost.',
+        confirm: true,
+        submitLabel: 'Encrypt journal'
+    });
+    if (!passphrase) return;
+    
+    try {
+        await enableEncryption(passphrase);
+        // The undo history holds entry text in plaintext; from now on it is kept in memory only
+        clearHistory();
+        announceEncryptionChange();
+        renderEncryption();
+        showNotification('Your journal is now encrypted', 'success');
+    } catch (error) {
+        console.error('Enable encryption error:', error);
+        showNotification('Error turning on encryption', 'error');
+    }
+}
+
+/**
+ * Handles changing the passphrase
+ * @returns {Promise<void>}
+ */
+export async function handleChangePassphrase() {
+    const currentPassphrase = await requestCurrentPassphrase('Change passphrase', 'Enter your current passphrase.');
+    if (!currentPassphrase) return;
+    
+    const newPassphrase = await requestPassphrase({
+        title: 'Change passphrase',
+        message: 'Choose a new passphrase.',
+        confirm: true,
+        submitLabel: 'Change passphrase'
+    });
+    if (!newPassphrase) return;
+    
+    try {
+        if (!await changePassphrase(currentPassphrase, newPassphrase)) {
+            showNotification('Incorrect passphrase', 'error');
+            return;
+        }
+        showNotification('Passphrase changed', 'success');
+    } catch (error) {
+        console.error('Change passphrase error:', error);
+        showNotification('Error changing passphrase', 'error');
+    }
+}
+
+/**
+ * Handles turning off encryption
+ * @returns {Promise<void>}
+ */
+export async function handleDisableEncryption() {
+    const passphrase = await requestCurrentPassphrase('Turn off encryption', 'Enter your passphrase to store your journal unencrypted again.');
+    if (!passphrase) return;
+    
+    try {
+        if (!await disableEncryption(passphrase)) {
+            showNotification('Incorrect passphrase', 'error');
+            return;
+        }
+        announceEncryptionChange();
+        renderEncryption();
+        showNotification('Encryption turned off', 'success');
+    } catch (error) {
+        console.error('Disable encryption error:', error);
+        showNotification('Error turning off encryption', 'error');
+    }
+}
+
+/**
+ * Handles exporting a JSON backup encrypted with its own passphrase
+ * @returns {Promise<void>}
+ */
+export async function handleEncryptedBackup() {
+    const entryCount = await getTotalEntryCount(null);
+    if (entryCount === 0) {
+        showNotification('No entries to back up', 'error');
+        return;
+    }
+    
+    const passphrase = await requestPassphrase({
+        title: 'Encrypted backup',
+        message: 'Choose a passphrase for this backup file of every journal. You will need it to import the file.',
+        confirm: true,
+        submitLabel: 'Download'
+    });
+    if (!passphrase) return;
+    
+    try {
+        await exportToJSON({ passphrase });
+        showNotification('Encrypted backup downloaded!', 'success');
+    } catch (error) {
+        console.error('Encrypted backup error:', error);
+        showNotification('Error creating backup', 'error');
+    }
+}
+
+/**
+ * Opens another journal and re-renders the current view from it
+ * @param {string} journalId - Id of the journal to open
+ * @returns {Promise<void>}
+ */
+export async function handleSwitchJournal(journalId) {
+    closeSettingsMenu();
+    if (journalId === getActiveJournalId()) return;
+    if (!switchJournal(journalId)) {
+        showNotification('That journal no longer exists', 'error');
+        return;
+    }
+    
+    // Undo history stays; its changes remember which journal they belong to
+    clearEntryFilters();
+    currentPersonKey = null;
+    await refreshViews();
+    takeDailySnapshot().catch(error => {
+        console.error('Error taking daily snapshot:', error);
+    });
+    showNotification(`Opened ${getJournal(journalId).name}`, 'success');
+}
+
+/**
+ * Clears the All Entries filters, whose tags and search belong to the journal being left
+ */
+function clearEntryFilters() {
+    currentTagFilters = [];
+    currentSearchQuery = '';
+    favoritesOnly = false;
+    const searchInput = document.getElementById('allEntriesSearch');
+    if (searchInput) {
+        searchInput.value = '';
+    }
+}
+
+/**
+ * Opens the people view on the list of everyone mentioned
+ */
+export function openPeopleView() {
+    currentPersonKey = null;
+    switchView('people');
+}
+
+/**
+ * Closes the people view and returns to highlights
+ */
+export function closePeopleView() {
+    currentPersonKey = null;
+    switchView('highlights');
+}
+
+/**
+ * Opens the timeline of a mentioned person
+ * @param {string} personKey - Key of the person, or of a name merged into them
+ * @returns {Promise<void>}
+ */
+export async function openPerson(personKey) {
+    const { aliases } = await getPeopleIndex();
+    currentPersonKey = resolvePersonKey(normalizePersonKey(personKey), aliases);
+    if (currentView === 'people') {
+        await renderPeopleView();
+    } else {
+        switchView('people');
+    }
+    const peopleView = document.getElementById('peopleView');
+    if (peopleView) {
+        peopleView.scrollIntoView({ block: 'start' });
+    }
+}
+
+/**
+ * Goes back from a person's timeline to the list of people
+ * @returns {Promise<void>}
+ */
+async function showAllPeople() {
+    currentPersonKey = null;
+    await renderPeopleView();
+}
+
+/**
+ * Renders the people view: the open person's timeline, or else everyone mentioned
+ * @returns {Promise<void>}
+ */
+async function renderPeopleView() {
+    const peopleList = document.getElementById('peopleList');
+    const personTimeline = document.getElementById('personTimeline');
+    if (peopleList) {
+        peopleList.style.display = currentPersonKey ? 'none' : 'block';
+    }
+    if (personTimeline) {
+        personTimeline.style.display = currentPersonKey ? 'block' : 'none';
+    }
+    
+    if (currentPersonKey) {
+        await renderPersonTimeline(currentPersonKey);
+    } else {
+        await renderPeople();
+    }
+}
+
+/**
+ * Merges the person picked in the timeline's merge list into the open person
+ * @returns {Promise<void>}
+ */
+export async function handleMergePerson() {
+    const select = document.getElementById('mergePersonSelect');
+    if (!select || !select.value || !currentPersonKey) return;
+    
+    try {
+        await mergePeople(select.value, currentPersonKey);
+        await refreshViews();
+        showNotification('People merged', 'success');
+    } catch (error) {
+        console.error('Merge people error:', error);
+        showNotification(error.message || 'Error merging people', 'error');
+    }
+}
+
+/**
+ * Separates a merged name from the open person
+ * @param {string} aliasKey - Key of the merged name
+ * @returns {Promise<void>}
+ */
+export async function handleUnmergePerson(aliasKey) {
+    try {
+        await unmergePerson(aliasKey);
+        await refreshViews();
+        showNotification(`@${aliasKey} is a separate person again`, 'success');
+    } catch (error) {
+        console.error('Unmerge person error:', error);
+        showNotification('Error separating people', 'error');
+    }
+}
+
+/**
+ * Handles renaming the open person from the timeline
+ * @param {Event} e - Form submit event
+ * @returns {Promise<void>}
+ */
+export async function handleRenamePerson(e) {
+    e.preventDefault();
+    const input = document.getElementById('renamePersonInput');
+    if (!input || !currentPersonKey) return;
+    
+    try {
+        await renamePerson(currentPersonKey, input.value);
+        await refreshViews();
+        showNotification('Name saved', 'success');
+    } catch (error) {
+        console.error('Rename person error:', error);
+        showNotification('Error saving name', 'error');
+    }
+}
+
+/**
+ * Exports a thank-you letter to the open person
+ * @returns {Promise<void>}
+ */
+export async function handleThankYouLetter() {
+    if (!currentPersonKey) return;
+    
+    try {
+        await exportThankYouLetter(currentPersonKey);
+        showNotification('Thank-you letter created', 'success');
+    } catch (error) {
+        console.error('Thank-you letter error:', error);
+        showNotification(error.message || 'Error creating thank-you letter', 'error');
+    }
+}
+
+/**
+ * Opens the journals view
+ */
+export function openJournalsView() {
+    switchView('journals');
+}
+
+/**
+ * Closes the journals view and returns to highlights
+ */
+export function closeJournalsView() {
+    switchView('highlights');
+}
+
+/**
+ * Handles creating a journal from the journals view, then opens it
+ * @param {Event} e - Form submit event
+ * @returns {Promise<void>}
+ */
+export async function handleCreateJournal(e) {
+    e.preventDefault();
+    const nameInput = document.getElementById('newJournalName');
+    const colorSelect = document.getElementById('newJournalColor');
+    const name = nameInput ? nameInput.value.trim() : '';
+    if (!name) {
+        showNotification('Please enter a name for the journal', 'error');
+        return;
+    }
+    
+    try {
+        const journal = createJournal(name, colorSelect ? colorSelect.value : undefined);
+        if (nameInput) nameInput.value = '';
+        await handleSwitchJournal(journal.id);
+    } catch (error) {
+        console.error('Create journal error:', error);
+        showNotification('Error creating journal', 'error');
+    }
+}
+
+/**
+ * Handles renaming a journal or changing its theme color from the journals view
+ * @param {string} journalId - Id of the journal
+ * @param {Object} changes - New name and/or color
+ * @returns {Promise<void>}
+ */
+export async function handleUpdateJournal(journalId, changes) {
+    if (!updateJournal(journalId, changes)) {
+        showNotification('That journal no longer exists', 'error');
+    }
+    renderJournalSwitcher();
+    await renderJournals();
+}
+
+/**
+ * Handles deleting a journal with its entries, trash and snapshots
+ * @param {string} journalId - Id of the journal
+ * @returns {Promise<void>}
+ */
+export async function handleDeleteJournal(journalId) {
+    const journal = getJournal(journalId);
+    if (!journal) return;
+    
+    const entryCount = await getTotalEntryCount(journalId);
+    const confirmed = confirm(`Delete the journal "${journal.name}" and its ${entryCount} ${entryCount === 1 ? 'entry' : 'entries'}?\n\nIts trash, snapshots and photos are deleted too, and this cannot be undone. Back it up first if you may want it later.`);
+    if (!confirmed) return;
+    
+    try {
+        // Leave the journal before it goes, so nothing renders from it in between
+        if (journalId === getActiveJournalId()) {
+            switchJournal(listJournals().find(other => other.id !== journalId).id);
+        }
+        await deleteJournalData(journalId);
+        await deletePeopleIndex(journalId);
+        await deleteJournalDrafts(journalId);
+        removeJournal(journalId);
+        await refreshViews();
+        showNotification(`Deleted ${journal.name}`, 'success');
+    } catch (error) {
+        console.error('Delete journal error:', error);
+        showNotification('Error deleting journal', 'error');
+    }
+}
+
+/**
+ * Opens the modal for moving an entry to another journal
+ * @param {string} entryId - Id of the entry to move
+ */
+export function openMoveEntry(entryId) {
+    const modal = document.getElementById('moveEntryModal');
+    if (!modal) return;
+    
+    moveEntryId = entryId;
+    renderMoveEntryTargets();
+    modal.style.display = 'flex';
+}
+
+/**
+ * Closes the move entry modal
+ */
+export function closeMoveEntry() {
+    moveEntryId = null;
+    const modal = document.getElementById('moveEntryModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * Handles moving the entry chosen in the move modal to another journal
+ * @param {string} journalId - Id of the journal to move it to
+ * @returns {Promise<void>}
+ */
+export async function handleMoveEntry(journalId) {
+    const entryId = moveEntryId;
+    const fromJournalId = getActiveJournalId();
+    const journal = getJournal(journalId);
+    closeMoveEntry();
+    if (!entryId || !journal) return;
+    
+    try {
+        const moved = await moveEntriesToJournal([entryId], journalId);
+        if (moved.length === 0) {
+            showNotification('Entry not found', 'error');
+            return;
+        }
+        recordChange({ type: 'move', label: `Move entry to ${journal.name}`, entryIds: [entryId], fromJournalId, toJournalId: journalId });
+        await refreshViews();
+        showChangeNotification(`Moved to ${journal.name}`);
+    } catch (error) {
+        console.error('Move entry error:', error);
+        showNotification('Error moving entry', 'error');
+    }
+}
+
+/**
+ * Shows the app lock screen, if an app lock is set up
+ * The rest of the app is made inert, so it cannot be reached by keyboard either.
+ */
+export function lockApp() {
+    if (appLocked || !isAppLockEnabled()) {
+        return;
+    }
+    const lockScreen = document.getElementById('appLockScreen');
+    if (!lockScreen) return;
+    
+    appLocked = true;
+    clearTimeout(appLockIdleTimer);
+    closeSettingsMenu();
+    closePhotoViewer();
+    
+    const container = document.querySelector('.container');
+    if (container) {
+        container.inert = true;
+    }
+    
+    const input = document.getElementById('appLockInput');
+    if (input) {
+        const numeric = isPinNumeric();
+        input.value = '';
+        input.placeholder = numeric ? 'PIN' : 'Password';
+        input.setAttribute('inputmode', numeric ? 'numeric' : 'text');
+        input.setAttribute('aria-label', numeric ? 'PIN' : 'Password');
+    }
+    const error = document.getElementById('appLockError');
+    if (error) {
+        error.textContent = '';
+    }
+    
+    lockScreen.style.display = 'flex';
+    showAppLockCountdown();
+    if (input) {
+        setTimeout(() => input.focus(), 100);
+    }
+}
+
+/**
+ * Hides the app lock screen and lets waiting code continue
+ */
+function unlockApp() {
+    appLocked = false;
+    clearInterval(appLockCountdownTimer);
+    
+    const lockScreen = document.getElementById('appLockScreen');
+    if (lockScreen) {
+        lockScreen.style.display = 'none';
+    }
+    const container = document.querySelector('.container');
+    if (container) {
+        container.inert = false;
+    }
+    document.body.classList.remove('app-obscured');
+    
+    const waiters = appUnlockWaiters;
+    appUnlockWaiters = [];
+    waiters.forEach(resolve => resolve());
+    
+    lastActivityAt = Date.now();
+    scheduleIdleLock();
+}
+
+/**
+ * Locks the app if an app lock is set up, and waits until it is unlocked
+ * Used at startup, so nothing is rendered from the journal before the PIN is entered.
+ * @returns {Promise<void>}
+ */
+export function requireAppUnlock() {
+    lockApp();
+    if (!appLocked) {
+        scheduleIdleLock();
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        appUnlockWaiters.push(resolve);
+    });
+}
+
+/**
+ * Shows how long until the next unlock attempt is accepted, counting down each second
+ */
+function showAppLockCountdown() {
+    clearInterval(appLockCountdownTimer);
+    const error = document.getElementById('appLockError');
+    const submitBtn = document.getElementById('appLockSubmitBtn');
+    
+    const update = () => {
+        const remainingMs = getLockoutRemaining();
+        if (submitBtn) {
+            submitBtn.disabled = remainingMs > 0;
+        }
+        if (remainingMs <= 0) {
+            clearInterval(appLockCountdownTimer);
+            if (error && error.dataset.lockout) {
+                error.textContent = '';
+                delete error.dataset.lockout;
+            }
+            return;
+        }
+        if (error) {
+            const seconds = Math.ceil(remainingMs / 1000);
+            const wait = seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds} s`;
+            error.textContent = `Too many attempts. Try again in ${wait}.`;
+            error.dataset.lockout = 'true';
+        }
+    };
+    update();
+    if (getLockoutRemaining() > 0) {
+        appLockCountdownTimer = setInterval(update, 1000);
+    }
+}
+
+/**
+ * Handles submitting the app lock screen
+ * @param {Event} e - Form submit event
+ * @returns {Promise<void>}
+ */
+export async function handleAppLockSubmit(e) {
+    e.preventDefault();
+    if (!appLocked) return;
+    
+    const input = document.getElementById('appLockInput');
+    const submitBtn = document.getElementById('appLockSubmitBtn');
+    const error = document.getElementById('appLockError');
+    const pin = input ? input.value : '';
+    if (!pin) {
+        if (error) error.textContent = isPinNumeric() ? 'Please enter your PIN' : 'Please enter your password';
+        return;
+    }
+    
+    if (submitBtn) submitBtn.disabled = true;
+    let result;
+    try {
+        result = await checkAppLockPin(pin);
+    } catch (checkError) {
+        console.error('App lock check error:', checkError);
+        result = null;
+    }
+    if (submitBtn) submitBtn.disabled = false;
+    
+    if (result && result.ok) {
+        unlockApp();
+        return;
+    }
+    if (input) {
+        input.value = '';
+        input.focus();
+    }
+    if (!result) {
+        if (error) error.textContent = 'Something went wrong, please try again';
+    } else if (result.retryInMs > 0) {
+        showAppLockCountdown();
+    } else if (error) {
+        error.textContent = isPinNumeric() ? 'Incorrect PIN' : 'Incorrect password';
+    }
+}
+
+/**
+ * Handles a forgotten PIN: erases the journal on this device and removes the lock
+ * @returns {Promise<void>}
+ */
+export async function handleAppLockReset() {
+    const confirmed = confirm('Reset the app lock?\n\nThis permanently erases every entry, snapshot and the trash on this device. It cannot be undone.\n\nIf you have a backup file, you can import it afterwards from the settings menu.');
+    if (!confirmed) return;
+    
+    try {
+        await resetAppLock();
+        announceDataErased();
+        window.location.reload();
+    } catch (error) {
+        console.error('App lock reset error:', error);
+        showNotification('Could not erase the journal. Close other tabs of the app and try again.', 'error');
+    }
+}
+
+/**
+ * Locks the app once it has been idle for the configured time
+ * Activity only records a timestamp; the timer checks it when it fires, so
+ * frequent events like scrolling do not keep rescheduling it.
+ */
+function scheduleIdleLock() {
+    clearTimeout(appLockIdleTimer);
+    const idleMinutes = getSetting('appLockIdleMinutes');
+    if (appLocked || !idleMinutes || !isAppLockEnabled()) {
+        return;
+    }
+    
+    const idleMs = idleMinutes * 60 * 1000;
+    const remainingMs = lastActivityAt + idleMs - Date.now();
+    if (remainingMs <= 0) {
+        lockApp();
+        return;
+    }
+    appLockIdleTimer = setTimeout(scheduleIdleLock, remainingMs);
+}
+
+/**
+ * Sets up locking on inactivity and when the app is left, and hiding content in the app switcher
+ */
+function setupAppLockTriggers() {
+    ['pointerdown', 'keydown', 'touchstart', 'scroll', 'wheel'].forEach(eventName => {
+        document.addEventListener(eventName, () => {
+            lastActivityAt = Date.now();
+        }, { capture: true, passive: true });
+    });
+    
+    // Locking as the app is hidden means the lock screen is already up when it comes back
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            lockApp();
+        } else if (!appLocked) {
+            scheduleIdleLock();
+        }
+    });
+    
+    // App switchers take their preview while the window is unfocused but still visible
+    window.addEventListener('blur', () => {
+        if (isAppLockEnabled()) {
+            document.body.classList.add('app-obscured');
+        }
+    });
+    window.addEventListener('focus', () => {
+        document.body.classList.remove('app-obscured');
+    });
+}
+
+/**
+ * Opens the app lock view
+ */
+export function openAppLockView() {
+    switchView('appLock');
+}
+
+/**
+ * Closes the app lock view and returns to highlights
+ */
+export function closeAppLockView() {
+    switchView('highlights');
+}
+
+/**
+ * Asks for the current PIN, counting wrong guesses like the lock screen does
+ * @param {string} title - Modal title
+ * @param {string} message - Explanation shown above the field
+ * @returns {Promise<string|null>} Promise resolving to the verified PIN, or null if cancelled
+ */
+function requestCurrentPin(title, message) {
+    const label = isPinNumeric() ? 'PIN' : 'password';
+    return requestPassphrase({
+        title,
+        message,
+        label,
+        validate: async (pin) => {
+            const result = await checkAppLockPin(pin);
+            if (result.ok) {
+                return null;
+            }
+            return result.retryInMs > 0 ? 'Too many attempts. Please try again later.' : `Incorrect ${label}`;
+        }
+    });
+}
+
+/**
+ * Asks for a new PIN and sets it
+ * @param {string} title - Modal title
+ * @returns {Promise<boolean>} Promise resolving to true if a PIN was set
+ */
+async function chooseAppLockPin(title) {
+    const pin = await requestPassphrase({
+        title,
+        message: `Choose a PIN of at least ${MIN_PIN_LENGTH} digits, or a longer password.`,
+        confirm: true,
+        minLength: MIN_PIN_LENGTH,
+        label: 'PIN',
+        submitLabel: 'Save PIN'
+    });
+    if (!pin) return false;
+    
+    await setAppLock(pin);
+    return true;
+}
+
+/**
+ * Handles setting up the app lock
+ * @returns {Promise<void>}
+ */
+export async function handleSetAppLock() {
+    try {
+        if (!await chooseAppLockPin('Set a PIN')) return;
+        lastActivityAt = Date.now();
+        scheduleIdleLock();
+        renderAppLock();
+        showNotification('App lock turned on', 'success');
+    } catch (error) {
+        console.error('Set app lock error:', error);
+        showNotification('Error turning on app lock', 'error');
+    }
+}
+
+/**
+ * Handles changing the app lock PIN
+ * @returns {Promise<void>}
+ */
+export async function handleChangeAppLock() {
+    const currentPin = await requestCurrentPin('Change PIN', 'Enter your current PIN.');
+    if (!currentPin) return;
+    
+    try {
+        if (!await chooseAppLockPin('Change PIN')) return;
+        renderAppLock();
+        showNotification('PIN changed', 'success');
+    } catch (error) {
+        console.error('Change app lock error:', error);
+        showNotification('Error changing PIN', 'error');
+    }
+}
+
+/**
+ * Handles removing the app lock
+ * @returns {Promise<void>}
+ */
+export async function handleRemoveAppLock() {
+    const currentPin = await requestCurrentPin('Remove PIN', 'Enter your PIN to stop locking the app.');
+    if (!currentPin) return;
+    
+    removeAppLock();
+    clearTimeout(appLockIdleTimer);
+    renderAppLock();
+    showNotification('App lock turned off', 'success');
+}
+
+/**
+ * Handles changing how long the app may be idle before it locks
+ * @param {Event} e - Select change event; the select's data-setting names the setting
+ */
+export function handleAppLockIdleChange(e) {
+    const settingKey = e.target.getAttribute('data-setting');
+    updateSettings({ [settingKey]: parseInt(e.target.value, 10) || 0 });
+    lastActivityAt = Date.now();
+    scheduleIdleLock();
 }
 
 /**
@@ -736,116 +3240,573 @@ function setupSwipeGesture() {
     const calendarModal = document.getElementById('calendarModal');
     if (!calendarModal) return;
     
-    let touchStartX = 0;
-    let touchEndX = 0;
-    const swipeThreshold = 50;
+    let touchStartX = 0;
+    let touchEndX = 0;
+    const swipeThreshold = 50;
+    
+    calendarModal.addEventListener('touchstart', (e) => {
+        touchStartX = e.changedTouches[0].screenX;
+    }, { passive: true });
+    
+    calendarModal.addEventListener('touchend', (e) => {
+        touchEndX = e.changedTouches[0].screenX;
+        handleSwipe();
+    }, { passive: true });
+    
+    function handleSwipe() {
+        const swipeDistance = touchEndX - touchStartX;
+        
+        if (Math.abs(swipeDistance) > swipeThreshold) {
+            if (swipeDistance > 0) {
+                // Swipe right - go to previous day
+                navigateToPreviousDay();
+            } else {
+                // Swipe left - go to next day
+                navigateToNextDay();
+            }
+        }
+    }
+}
+
+/**
+ * Sets up all event listeners
+ */
+export function setupEventListeners() {
+    const gratitudeForm = document.getElementById('gratitudeForm');
+    const calendarGratitudeForm = document.getElementById('calendarGratitudeForm');
+    const settingsBtn = document.getElementById('settingsBtn');
+    const exportBtn = document.getElementById('exportBtn');
+    const importBtn = document.getElementById('importBtn');
+    const importFile = document.getElementById('importFile');
+    const calendarNavBtn = document.getElementById('calendarNavBtn');
+    const calendarModal = document.getElementById('calendarModal');
+    const calendarCloseBtn = document.getElementById('calendarCloseBtn');
+    const calendarDatePicker = document.getElementById('calendarDatePicker');
+    const calendarPrevBtn = document.getElementById('calendarPrevBtn');
+    const calendarNextBtn = document.getElementById('calendarNextBtn');
+    const calendarTodayBtn = document.getElementById('calendarTodayBtn');
+    const highlightsModal = document.getElementById('highlightsModal');
+    const highlightsCloseBtn = document.getElementById('highlightsCloseBtn');
+    const allEntriesNavBtn = document.getElementById('allEntriesNavBtn');
+    const allEntriesModal = document.getElementById('allEntriesModal');
+    const allEntriesCloseBtn = document.getElementById('allEntriesCloseBtn');
+    const sortByDateBtn = document.getElementById('sortByDateBtn');
+    const sortByAlphaBtn = document.getElementById('sortByAlphaBtn');
+    const insightsBtn = document.getElementById('insightsBtn');
+    
+    if (gratitudeForm) {
+        gratitudeForm.addEventListener('submit', handleFormSubmit);
+    }
+    
+    const addAnotherBtn = document.getElementById('addAnotherGratitudeBtn');
+    if (addAnotherBtn) {
+        addAnotherBtn.addEventListener('click', () => addAnotherGratitudeField('additionalGratitudeFields'));
+    }
+    
+    const calendarAddAnotherBtn = document.getElementById('calendarAddAnotherGratitudeBtn');
+    if (calendarAddAnotherBtn) {
+        calendarAddAnotherBtn.addEventListener('click', () => addAnotherGratitudeField('calendarAdditionalGratitudeFields'));
+    }
+    
+    if (calendarGratitudeForm) {
+        calendarGratitudeForm.addEventListener('submit', handleCalendarFormSubmit);
+    }
+    
+    // Keep what is typed in either form as a draft, saved when typing pauses or the app is hidden
+    document.addEventListener('input', (e) => {
+        if (!e.target.classList.contains('gratitude-input')) return;
+        const formKey = getDraftFormKey(e.target);
+        if (formKey) {
+            scheduleDraftSave(formKey);
+        }
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flushDrafts();
+        }
+    });
+    window.addEventListener('pagehide', () => {
+        flushDrafts();
+    });
+    
+    const discardDraftBtn = document.getElementById('discardDraftBtn');
+    if (discardDraftBtn) {
+        discardDraftBtn.addEventListener('click', () => handleDiscardDraft('today'));
+    }
+    
+    const calendarDiscardDraftBtn = document.getElementById('calendarDiscardDraftBtn');
+    if (calendarDiscardDraftBtn) {
+        calendarDiscardDraftBtn.addEventListener('click', () => handleDiscardDraft('calendar'));
+    }
+    
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleSettingsMenu();
+        });
+    }
+    
+    if (exportBtn) {
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            handleExport();
+        });
+    }
+    
+    const backupBtn = document.getElementById('backupBtn');
+    if (backupBtn) {
+        backupBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            handleBackup();
+        });
+    }
+    
+    if (importBtn && importFile) {
+        importBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            importFile.click();
+        });
+    }
+    
+    if (importFile) {
+        importFile.addEventListener('change', handleImport);
+    }
+    
+    const darkModeToggle = document.getElementById('darkModeToggle');
+    if (darkModeToggle) {
+        darkModeToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleDarkMode();
+        });
+    }
+    
+    if (insightsBtn) {
+        insightsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openInsightsView();
+        });
+    }
+    
+    const trashBtn = document.getElementById('trashBtn');
+    if (trashBtn) {
+        trashBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openTrashView();
+        });
+    }
+    
+    const trashCloseBtn = document.getElementById('trashCloseBtn');
+    if (trashCloseBtn) {
+        trashCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeTrashView();
+        });
+    }
+    
+    const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    if (emptyTrashBtn) {
+        emptyTrashBtn.addEventListener('click', handleEmptyTrash);
+    }
+    
+    const trashRetentionSelect = document.getElementById('trashRetentionSelect');
+    if (trashRetentionSelect) {
+        trashRetentionSelect.addEventListener('change', handleTrashRetentionChange);
+    }
+    
+    const encryptionBtn = document.getElementById('encryptionBtn');
+    if (encryptionBtn) {
+        encryptionBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openEncryptionView();
+        });
+    }
+    
+    const encryptionCloseBtn = document.getElementById('encryptionCloseBtn');
+    if (encryptionCloseBtn) {
+        encryptionCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeEncryptionView();
+        });
+    }
+    
+    const encryptionActions = {
+        enableEncryptionBtn: handleEnableEncryption,
+        changePassphraseBtn: handleChangePassphrase,
+        disableEncryptionBtn: handleDisableEncryption,
+        encryptedBackupBtn: handleEncryptedBackup
+    };
+    Object.entries(encryptionActions).forEach(([buttonId, handler]) => {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+    
+    const goalBtn = document.getElementById('goalBtn');
+    if (goalBtn) {
+        goalBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openGoalView();
+        });
+    }
+    
+    const goalCloseBtn = document.getElementById('goalCloseBtn');
+    if (goalCloseBtn) {
+        goalCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeGoalView();
+        });
+    }
+    
+    const remindersBtn = document.getElementById('remindersBtn');
+    if (remindersBtn) {
+        remindersBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openRemindersView();
+        });
+    }
+    
+    const remindersCloseBtn = document.getElementById('remindersCloseBtn');
+    if (remindersCloseBtn) {
+        remindersCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeRemindersView();
+        });
+    }
+    
+    ['reminderToggle', 'reminderTimeInput', 'reminderOnlyIfNeededToggle'].forEach(controlId => {
+        const control = document.getElementById(controlId);
+        if (control) {
+            control.addEventListener('change', handleReminderChange);
+        }
+    });
+    document.querySelectorAll('.reminder-day-toggle').forEach(toggle => {
+        toggle.addEventListener('change', handleReminderChange);
+    });
+    
+    const allowNotificationsBtn = document.getElementById('allowNotificationsBtn');
+    if (allowNotificationsBtn) {
+        allowNotificationsBtn.addEventListener('click', handleAllowNotifications);
+    }
+    
+    ['goalItemsSelect', 'goalDaysSelect', 'allowPartialDaysToggle', 'streakGraceSelect', 'streakFreezeEverySelect', 'streakMaxFreezesSelect', 'dayStartSelect', 'timeZoneModeSelect', 'homeTimeZoneSelect'].forEach(controlId => {
+        const control = document.getElementById(controlId);
+        if (control) {
+            control.addEventListener('change', handleGoalChange);
+        }
+    });
+    
+    const promptsBtn = document.getElementById('promptsBtn');
+    if (promptsBtn) {
+        promptsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openPromptsView();
+        });
+    }
+    
+    const promptsCloseBtn = document.getElementById('promptsCloseBtn');
+    if (promptsCloseBtn) {
+        promptsCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closePromptsView();
+        });
+    }
+    
+    const dailyPromptsToggle = document.getElementById('dailyPromptsToggle');
+    if (dailyPromptsToggle) {
+        dailyPromptsToggle.addEventListener('change', handleDailyPromptsToggle);
+    }
+    
+    const newPromptForm = document.getElementById('newPromptForm');
+    if (newPromptForm) {
+        newPromptForm.addEventListener('submit', handleAddPrompt);
+    }
+    
+    // Prompt themes and custom prompts are re-rendered often, so they are handled by delegation
+    document.addEventListener('change', (e) => {
+        const themeToggle = e.target.closest('.prompt-theme-toggle');
+        if (themeToggle) {
+            handlePromptThemeToggle(themeToggle.getAttribute('data-theme'), themeToggle.checked);
+        }
+    });
+    
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('#skipPromptBtn')) {
+            e.preventDefault();
+            handleSkipPrompt();
+            return;
+        }
+        
+        const removePromptBtn = e.target.closest('.remove-prompt-btn');
+        const promptItem = removePromptBtn ? removePromptBtn.closest('.prompt-item') : null;
+        if (promptItem) {
+            e.preventDefault();
+            handleRemovePrompt(promptItem.getAttribute('data-prompt-id'));
+        }
+    });
+    
+    const peopleBtn = document.getElementById('peopleBtn');
+    if (peopleBtn) {
+        peopleBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openPeopleView();
+        });
+    }
+    
+    const peopleCloseBtn = document.getElementById('peopleCloseBtn');
+    if (peopleCloseBtn) {
+        peopleCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closePeopleView();
+        });
+    }
+    
+    // The timeline is re-rendered often, so its controls are handled by delegation
+    document.addEventListener('submit', (e) => {
+        if (e.target.id === 'renamePersonForm') {
+            handleRenamePerson(e);
+        }
+    });
+    
+    const journalsBtn = document.getElementById('journalsBtn');
+    if (journalsBtn) {
+        journalsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openJournalsView();
+        });
+    }
+    
+    const journalsCloseBtn = document.getElementById('journalsCloseBtn');
+    if (journalsCloseBtn) {
+        journalsCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeJournalsView();
+        });
+    }
+    
+    const newJournalForm = document.getElementById('newJournalForm');
+    if (newJournalForm) {
+        newJournalForm.addEventListener('submit', handleCreateJournal);
+    }
+    
+    const backupAllJournalsBtn = document.getElementById('backupAllJournalsBtn');
+    if (backupAllJournalsBtn) {
+        backupAllJournalsBtn.addEventListener('click', () => handleBackup());
+    }
+    
+    // Event delegation for the journal switcher, the journals list and the move modal
+    document.addEventListener('click', (e) => {
+        const moveTargetBtn = e.target.closest('.move-to-journal-btn');
+        if (moveTargetBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            handleMoveEntry(moveTargetBtn.getAttribute('data-journal-id'));
+            return;
+        }
+        
+        const switchBtn = e.target.closest('.journal-switch-btn');
+        if (switchBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            handleSwitchJournal(switchBtn.getAttribute('data-journal-id'));
+            return;
+        }
+        
+        const moveBtn = e.target.closest('.move-btn');
+        if (moveBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            const listItem = moveBtn.closest('.gratitude-item');
+            const entryId = listItem ? listItem.getAttribute('data-id') : null;
+            if (entryId) {
+                openMoveEntry(entryId);
+            }
+            return;
+        }
+        
+        if (e.target.closest('#moveEntryCloseBtn') || e.target.closest('.move-entry-overlay')) {
+            e.preventDefault();
+            closeMoveEntry();
+            return;
+        }
+        
+        const journalBtn = e.target.closest('.open-journal-btn, .backup-journal-btn, .delete-journal-btn');
+        const journalItem = journalBtn ? journalBtn.closest('.journal-item') : null;
+        const journalId = journalItem ? journalItem.getAttribute('data-journal-id') : null;
+        if (!journalId) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        if (journalBtn.classList.contains('open-journal-btn')) {
+            handleSwitchJournal(journalId);
+        } else if (journalBtn.classList.contains('backup-journal-btn')) {
+            handleBackup(journalId);
+        } else {
+            handleDeleteJournal(journalId);
+        }
+    });
+    
+    // Journal names and colors are saved as soon as they change
+    document.addEventListener('change', (e) => {
+        const field = e.target.closest('.journal-name-input, .journal-item .journal-color-select');
+        const journalItem = field ? field.closest('.journal-item') : null;
+        const journalId = journalItem ? journalItem.getAttribute('data-journal-id') : null;
+        if (!journalId) return;
+        
+        if (field.classList.contains('journal-name-input')) {
+            handleUpdateJournal(journalId, { name: field.value });
+        } else {
+            handleUpdateJournal(journalId, { color: field.value });
+        }
+    });
     
-    calendarModal.addEventListener('touchstart', (e) => {
-        touchStartX = e.changedTouches[0].screenX;
-    }, { passive: true });
+    const appLockBtn = document.getElementById('appLockBtn');
+    if (appLockBtn) {
+        appLockBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openAppLockView();
+        });
+    }
     
-    calendarModal.addEventListener('touchend', (e) => {
-        touchEndX = e.changedTouches[0].screenX;
-        handleSwipe();
-    }, { passive: true });
+    const appLockCloseBtn = document.getElementById('appLockCloseBtn');
+    if (appLockCloseBtn) {
+        appLockCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            closeAppLockView();
+        });
+    }
     
-    function handleSwipe() {
-        const swipeDistance = touchEndX - touchStartX;
-        
-        if (Math.abs(swipeDistance) > swipeThreshold) {
-            if (swipeDistance > 0) {
-                // Swipe right - go to previous day
-                navigateToPreviousDay();
-            } else {
-                // Swipe left - go to next day
-                navigateToNextDay();
-            }
+    const appLockActions = {
+        setAppLockBtn: handleSetAppLock,
+        lockNowBtn: lockApp,
+        changeAppLockBtn: handleChangeAppLock,
+        removeAppLockBtn: handleRemoveAppLock,
+        appLockResetBtn: handleAppLockReset
+    };
+    Object.entries(appLockActions).forEach(([buttonId, handler]) => {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.addEventListener('click', () => handler());
         }
+    });
+    
+    const appLockIdleSelect = document.getElementById('appLockIdleSelect');
+    if (appLockIdleSelect) {
+        appLockIdleSelect.addEventListener('change', handleAppLockIdleChange);
     }
-}
-
-/**
- * Sets up all event listeners
- */
-export function setupEventListeners() {
-    const gratitudeForm = document.getElementById('gratitudeForm');
-    const calendarGratitudeForm = document.getElementById('calendarGratitudeForm');
-    const settingsBtn = document.getElementById('settingsBtn');
-    const exportBtn = document.getElementById('exportBtn');
-    const importBtn = document.getElementById('importBtn');
-    const importFile = document.getElementById('importFile');
-    const calendarNavBtn = document.getElementById('calendarNavBtn');
-    const calendarModal = document.getElementById('calendarModal');
-    const calendarCloseBtn = document.getElementById('calendarCloseBtn');
-    const calendarDatePicker = document.getElementById('calendarDatePicker');
-    const calendarPrevBtn = document.getElementById('calendarPrevBtn');
-    const calendarNextBtn = document.getElementById('calendarNextBtn');
-    const calendarTodayBtn = document.getElementById('calendarTodayBtn');
-    const highlightsModal = document.getElementById('highlightsModal');
-    const highlightsCloseBtn = document.getElementById('highlightsCloseBtn');
-    const allEntriesNavBtn = document.getElementById('allEntriesNavBtn');
-    const allEntriesModal = document.getElementById('allEntriesModal');
-    const allEntriesCloseBtn = document.getElementById('allEntriesCloseBtn');
-    const sortByDateBtn = document.getElementById('sortByDateBtn');
-    const sortByAlphaBtn = document.getElementById('sortByAlphaBtn');
-    const insightsBtn = document.getElementById('insightsBtn');
     
-    if (gratitudeForm) {
-        gratitudeForm.addEventListener('submit', handleFormSubmit);
+    const appLockForm = document.getElementById('appLockForm');
+    if (appLockForm) {
+        appLockForm.addEventListener('submit', handleAppLockSubmit);
     }
     
-    const addAnotherBtn = document.getElementById('addAnotherGratitudeBtn');
-    if (addAnotherBtn) {
-        addAnotherBtn.addEventListener('click', addAnotherGratitudeField);
+    setupAppLockTriggers();
+    
+    const passphraseForm = document.getElementById('passphraseForm');
+    if (passphraseForm) {
+        passphraseForm.addEventListener('submit', handlePassphraseSubmit);
     }
     
-    if (calendarGratitudeForm) {
-        calendarGratitudeForm.addEventListener('submit', handleCalendarFormSubmit);
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('#passphraseCloseBtn') || e.target.closest('.passphrase-overlay')) {
+            e.preventDefault();
+            cancelPassphraseRequest();
+        }
+    });
+    
+    const snapshotsBtn = document.getElementById('snapshotsBtn');
+    if (snapshotsBtn) {
+        snapshotsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeSettingsMenu();
+            openSnapshotsView();
+        });
     }
     
-    if (settingsBtn) {
-        settingsBtn.addEventListener('click', (e) => {
+    const snapshotsCloseBtn = document.getElementById('snapshotsCloseBtn');
+    if (snapshotsCloseBtn) {
+        snapshotsCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
             e.stopPropagation();
-            toggleSettingsMenu();
+            closeSnapshotsView();
         });
     }
     
-    if (exportBtn) {
-        exportBtn.addEventListener('click', (e) => {
+    const takeSnapshotBtn = document.getElementById('takeSnapshotBtn');
+    if (takeSnapshotBtn) {
+        takeSnapshotBtn.addEventListener('click', handleTakeSnapshot);
+    }
+    
+    ['snapshotDailySelect', 'snapshotWeeklySelect'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        if (select) {
+            select.addEventListener('change', handleSnapshotRetentionChange);
+        }
+    });
+    
+    const recoveryBtn = document.getElementById('recoveryBtn');
+    if (recoveryBtn) {
+        recoveryBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             closeSettingsMenu();
-            handleExport();
+            openRecoveryView();
         });
     }
     
-    if (importBtn && importFile) {
-        importBtn.addEventListener('click', (e) => {
+    const recoveryCloseBtn = document.getElementById('recoveryCloseBtn');
+    if (recoveryCloseBtn) {
+        recoveryCloseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
             e.stopPropagation();
-            closeSettingsMenu();
-            importFile.click();
+            closeRecoveryView();
         });
     }
     
-    if (importFile) {
-        importFile.addEventListener('change', handleImport);
+    const salvageBtn = document.getElementById('salvageBtn');
+    if (salvageBtn) {
+        salvageBtn.addEventListener('click', handleSalvage);
     }
     
-    const darkModeToggle = document.getElementById('darkModeToggle');
-    if (darkModeToggle) {
-        darkModeToggle.addEventListener('click', (e) => {
-            e.stopPropagation();
-            toggleDarkMode();
-        });
+    const downloadRawBtn = document.getElementById('downloadRawBtn');
+    if (downloadRawBtn) {
+        downloadRawBtn.addEventListener('click', handleDownloadQuarantine);
     }
     
-    if (insightsBtn) {
-        insightsBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            closeSettingsMenu();
-            openInsightsView();
+    const restoreSnapshotBtn = document.getElementById('restoreSnapshotBtn');
+    if (restoreSnapshotBtn) {
+        restoreSnapshotBtn.addEventListener('click', () => {
+            const snapshotId = restoreSnapshotBtn.getAttribute('data-id');
+            if (snapshotId) {
+                handleRestoreSnapshot(snapshotId);
+            }
         });
     }
     
+    const discardQuarantineBtn = document.getElementById('discardQuarantineBtn');
+    if (discardQuarantineBtn) {
+        discardQuarantineBtn.addEventListener('click', handleDiscardQuarantine);
+    }
+    
     const insightsCloseBtn = document.getElementById('insightsCloseBtn');
     if (insightsCloseBtn) {
         insightsCloseBtn.addEventListener('click', (e) => {
@@ -997,6 +3958,30 @@ export function setupEventListeners() {
         });
     }
     
+    const allEntriesSearch = document.getElementById('allEntriesSearch');
+    if (allEntriesSearch) {
+        allEntriesSearch.addEventListener('input', handleSearchInput);
+        allEntriesSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                clearSearch();
+            }
+        });
+    }
+    
+    // Search result dates open that day in the calendar
+    document.addEventListener('click', (e) => {
+        const dateLink = e.target.closest('.search-date-link');
+        if (dateLink) {
+            e.preventDefault();
+            e.stopPropagation();
+            const dateString = dateLink.getAttribute('data-date');
+            if (dateString) {
+                switchView('calendar', dateString);
+            }
+        }
+    });
+    
     if (sortByDateBtn) {
         sortByDateBtn.addEventListener('click', () => changeSortMode('date'));
     }
@@ -1005,6 +3990,45 @@ export function setupEventListeners() {
         sortByAlphaBtn.addEventListener('click', () => changeSortMode('alpha'));
     }
     
+    const favoritesFilterBtn = document.getElementById('favoritesFilterBtn');
+    if (favoritesFilterBtn) {
+        favoritesFilterBtn.addEventListener('click', toggleFavoritesFilter);
+    }
+    
+    const randomFavoritesToggle = document.getElementById('randomFavoritesToggle');
+    if (randomFavoritesToggle) {
+        randomFavoritesToggle.addEventListener('change', handleRandomFavoritesToggle);
+    }
+    
+    const calendarMoodToggle = document.getElementById('calendarMoodToggle');
+    if (calendarMoodToggle) {
+        calendarMoodToggle.addEventListener('change', handleCalendarMoodToggle);
+    }
+    
+    const photoFileInput = document.getElementById('photoFileInput');
+    if (photoFileInput) {
+        photoFileInput.addEventListener('change', handlePhotoFiles);
+    }
+    
+    const photoViewerCloseBtn = document.getElementById('photoViewerCloseBtn');
+    if (photoViewerCloseBtn) {
+        photoViewerCloseBtn.addEventListener('click', closePhotoViewer);
+    }
+    
+    const photoViewerRemoveBtn = document.getElementById('photoViewerRemoveBtn');
+    if (photoViewerRemoveBtn) {
+        photoViewerRemoveBtn.addEventListener('click', handleRemovePhoto);
+    }
+    
+    // The Favorites card links to every starred entry
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.show-favorites-btn')) {
+            e.preventDefault();
+            e.stopPropagation();
+            showFavorites();
+        }
+    });
+    
     
     // Setup swipe gesture
     setupSwipeGesture();
@@ -1017,10 +4041,43 @@ export function setupEventListeners() {
         }
     });
     
-    // Close dropdown on escape key
+    // Close dropdown, modals and a cancellable passphrase request on escape key
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
+        if (e.key === 'Escape' && !appLocked) {
             closeSettingsMenu();
+            if (historyEntryId) {
+                closeEntryHistory();
+            }
+            if (previewSnapshotId) {
+                closeSnapshotPreview();
+            }
+            if (moveEntryId) {
+                closeMoveEntry();
+            }
+            if (photoViewerUrl) {
+                closePhotoViewer();
+            }
+            cancelPassphraseRequest();
+        }
+    });
+    
+    // Undo/redo shortcuts (Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y; Cmd on macOS)
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || appLocked) return;
+        
+        // Leave text fields to the browser's own undo
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            handleRedo();
         }
     });
     
@@ -1033,12 +4090,199 @@ export function setupEventListeners() {
             const listItem = editBtn.closest('.gratitude-item');
             if (listItem) {
                 const dateKey = listItem.getAttribute('data-date');
-                const index = parseInt(listItem.getAttribute('data-index'), 10);
-                if (dateKey && !isNaN(index)) {
-                    handleEditEntry(dateKey, index);
+                const entryId = listItem.getAttribute('data-id');
+                if (dateKey && entryId) {
+                    handleEditEntry(dateKey, entryId);
                 }
             }
         }
     });
+    
+    // Event delegation for star buttons
+    document.addEventListener('click', (e) => {
+        const starBtn = e.target.closest('.star-btn');
+        if (starBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            const listItem = starBtn.closest('.gratitude-item');
+            const entryId = listItem ? listItem.getAttribute('data-id') : null;
+            if (entryId) {
+                handleToggleStar(entryId);
+            }
+        }
+    });
+    
+    // Event delegation for photos: adding them to a day or an entry, and opening them
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.photo-viewer-overlay')) {
+            e.preventDefault();
+            closePhotoViewer();
+            return;
+        }
+        
+        const thumb = e.target.closest('.attachment-thumb');
+        if (thumb) {
+            e.preventDefault();
+            e.stopPropagation();
+            openPhotoViewer(thumb.getAttribute('data-attachment-id'));
+            return;
+        }
+        
+        const attachBtn = e.target.closest('.attach-btn');
+        if (attachBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            const listItem = attachBtn.closest('.gratitude-item');
+            if (listItem) {
+                pickPhotos(listItem.getAttribute('data-date'), listItem.getAttribute('data-id'));
+            }
+            return;
+        }
+        
+        const addPhotosBtn = e.target.closest('.add-photos-btn');
+        if (addPhotosBtn) {
+            e.preventDefault();
+            const container = addPhotosBtn.closest('[data-date]');
+            if (container) {
+                pickPhotos(container.getAttribute('data-date'));
+            }
+        }
+    });
+    
+    // Event delegation for the mood pickers on Today and in the calendar
+    document.addEventListener('click', (e) => {
+        const moodBtn = e.target.closest('.mood-option');
+        if (moodBtn) {
+            e.preventDefault();
+            const picker = moodBtn.closest('[data-date]');
+            const mood = Number(moodBtn.getAttribute('data-mood'));
+            if (picker) {
+                handleSetMood(picker.getAttribute('data-date'), mood);
+            }
+        }
+    });
+    
+    // Event delegation for tag chips, the tag cloud and the tag filter bar
+    document.addEventListener('click', (e) => {
+        const tagBtn = e.target.closest('.tag-chip, .tag-cloud-item, .tag-filter-item');
+        if (tagBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            const tag = tagBtn.getAttribute('data-tag');
+            if (!tag) return;
+            if (tagBtn.classList.contains('tag-chip')) {
+                showEntriesTagged(tag);
+            } else {
+                toggleTagFilter(tag);
+            }
+        } else if (e.target.closest('.tag-filter-clear')) {
+            e.preventDefault();
+            clearTagFilters();
+        }
+    });
+    
+    // Event delegation for @mentions, the people list and a person's timeline
+    document.addEventListener('click', (e) => {
+        const personBtn = e.target.closest('.mention-chip, .open-person-btn');
+        if (personBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            const personItem = personBtn.closest('[data-person]');
+            if (personItem) {
+                openPerson(personItem.getAttribute('data-person'));
+            }
+            return;
+        }
+        
+        const unmergeBtn = e.target.closest('.unmerge-person-btn');
+        if (unmergeBtn) {
+            e.preventDefault();
+            handleUnmergePerson(unmergeBtn.getAttribute('data-alias'));
+        } else if (e.target.closest('#mergePersonBtn')) {
+            e.preventDefault();
+            handleMergePerson();
+        } else if (e.target.closest('#thankYouLetterBtn')) {
+            e.preventDefault();
+            handleThankYouLetter();
+        } else if (e.target.closest('.people-back-btn')) {
+            e.preventDefault();
+            showAllPeople();
+        }
+    });
+    
+    // Event delegation for edit history buttons and the history modal
+    document.addEventListener('click', (e) => {
+        const historyBtn = e.target.closest('.history-btn');
+        if (historyBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            const listItem = historyBtn.closest('.gratitude-item');
+            const entryId = listItem ? listItem.getAttribute('data-id') : null;
+            if (entryId) {
+                openEntryHistory(entryId);
+            }
+            return;
+        }
+        
+        const restoreRevisionBtn = e.target.closest('.restore-revision-btn');
+        if (restoreRevisionBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            const historyItem = restoreRevisionBtn.closest('.history-item');
+            const entryId = historyItem ? historyItem.getAttribute('data-id') : null;
+            const revisionIndex = historyItem ? parseInt(historyItem.getAttribute('data-revision-index'), 10) : NaN;
+            if (entryId && !isNaN(revisionIndex)) {
+                handleRestoreRevision(entryId, revisionIndex);
+            }
+            return;
+        }
+        
+        if (e.target.closest('#entryHistoryCloseBtn') || e.target.closest('.entry-history-overlay')) {
+            e.preventDefault();
+            closeEntryHistory();
+        }
+    });
+    
+    // Event delegation for snapshot preview and restore buttons
+    document.addEventListener('click', (e) => {
+        const snapshotBtn = e.target.closest('.preview-snapshot-btn, .restore-snapshot-btn');
+        if (snapshotBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            const snapshotId = snapshotBtn.getAttribute('data-id');
+            if (!snapshotId) return;
+            if (snapshotBtn.classList.contains('preview-snapshot-btn')) {
+                openSnapshotPreview(snapshotId);
+            } else {
+                handleRestoreSnapshot(snapshotId);
+            }
+            return;
+        }
+        
+        if (e.target.closest('#snapshotPreviewCloseBtn') || e.target.closest('.snapshot-preview-overlay')) {
+            e.preventDefault();
+            closeSnapshotPreview();
+        }
+    });
+    
+    // Event delegation for delete, restore and purge buttons
+    document.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('.delete-btn, .restore-btn, .purge-btn');
+        if (!actionBtn) return;
+        
+        const listItem = actionBtn.closest('.gratitude-item');
+        const entryId = listItem ? listItem.getAttribute('data-id') : null;
+        if (!entryId) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        if (actionBtn.classList.contains('delete-btn')) {
+            handleDeleteEntry(entryId);
+        } else if (actionBtn.classList.contains('restore-btn')) {
+            handleRestoreEntry(entryId);
+        } else {
+            handlePurgeEntry(entryId);
+        }
+    });
 }
 
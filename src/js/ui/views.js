@@ -2,19 +2,291 @@
  * UI view rendering functions
  */
 
-import { getEntriesByDate, getAllEntries, calculateStreak, getTotalEntryCount, getDaysWithEntriesCount, calculateLongestStreak, getMostFrequentEntries, getMostFrequentWords } from '../data/storage.js';
-import { formatDate, formatDateDisplay, getTodayDateString, formatDateHeader, getLastWeekDate, getLastMonthDate, getThreeMonthsAgoDate, getSixMonthsAgoDate, getOneYearAgoDate, getRandomDateFromEntries, findNearestDateWithEntries, getCalendarGridDates, getPreviousMonth, getNextMonth, getMonthName, getPreviousYear, getNextYear } from '../utils/dateUtils.js';
-import { escapeHtml } from '../utils/htmlUtils.js';
+import { getEntriesByDate, getAllEntries, getEntryCountsByDate, getCompleteDates, getStreakSummary, getTotalEntryCount, getCompleteDaysCount, calculateLongestStreak, getMostFrequentEntries, getMostFrequentWords, getTrashedEntries, getMood, getMoods, getAttachmentsByDate, getAllAttachments } from '../data/storage.js';
+import { getSetting } from '../data/settings.js';
+import { listJournals, getActiveJournal, JOURNAL_COLORS } from '../data/journals.js';
+import { listSnapshots } from '../data/snapshots.js';
+import { isEncryptionEnabled } from '../data/encryption.js';
+import { isAppLockEnabled } from '../services/appLockService.js';
+import { getReminderSchedule, getReminderSupport } from '../services/reminderService.js';
+import { isCryptoSupported } from '../utils/cryptoUtils.js';
+import { getDeviceTimeZone, isValidTimeZone, formatDate, formatDateHeader, getRandomDateFromEntries, findNearestDateWithEntries, getCalendarGridDates, getPreviousMonth, getNextMonth, getMonthName, getPreviousYear, getNextYear } from '../utils/dateUtils.js';
+import { MAX_DAY_START_HOUR, getDayStartHour, getJournalTimeZone, getJournalNow, formatDateDisplay, formatTimestamp, getTodayDateString, getLastWeekDate, getLastMonthDate, getThreeMonthsAgoDate, getSixMonthsAgoDate, getOneYearAgoDate } from '../data/journalDay.js';
+import { escapeHtml, highlightRanges } from '../utils/htmlUtils.js';
+import { parseSearchQuery, isEmptySearchQuery, searchEntries } from '../services/searchService.js';
+import { getEntryTags, getExplicitOnlyTags, countTags } from '../utils/tagUtils.js';
+import { MOOD_SCALE, getMoodOption, getWeeklyMoodAverages, getMonthlyMoodAverages, getWeekdayMoodAverages, getMoodByEntryCount } from '../utils/moodUtils.js';
+import { linkMentions, getEntryPeople, countPeople } from '../utils/mentionUtils.js';
+import { getPeopleIndex } from '../data/people.js';
+import { PROMPT_THEMES, CUSTOM_THEME_ID, listCustomPrompts, getDailyPrompt, getPromptThemeName } from '../data/prompts.js';
+import { getPromptRichness } from '../utils/promptUtils.js';
+import { MAX_ITEMS_PER_DAY, MAX_GRACE_DAYS_PER_WEEK, MAX_STREAK_FREEZES, getDailyGoal, getStreakRules, isDayComplete, countCompleteDaysInWeek } from '../data/goals.js';
+
+/**
+ * Builds the action buttons shown on a gratitude entry row
+ * @param {Object} [options] - Which actions to include
+ * @param {boolean} [options.edit=true] - Include the edit button
+ * @param {boolean} [options.history=true] - Include the edit history button
+ * @param {boolean} [options.remove=true] - Include the delete button
+ * @param {boolean} [options.move] - Include the move-to-journal button (by default, when there is another journal)
+ * @param {boolean} [options.starred] - Include the star toggle, showing this state (no toggle if omitted)
+ * @param {boolean} [options.attach=true] - Include the add photo button
+ * @returns {string} HTML string for the actions
+ */
+export function getEntryActionsHtml({ edit = true, history = true, remove = true, move = listJournals().length > 1, starred, attach = true } = {}) {
+    return `
+        <div class="gratitude-item-actions">
+            ${starred !== undefined ? `
+                <button type="button" class="star-btn${starred ? ' starred' : ''}" aria-label="${starred ? 'Remove from favorites' : 'Add to favorites'}" aria-pressed="${starred}">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="${starred ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+                        <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+                    </svg>
+                </button>
+            ` : ''}
+            ${edit ? `
+                <button type="button" class="edit-btn" aria-label="Edit entry">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                    </svg>
+                </button>
+            ` : ''}
+            ${attach ? `
+                <button type="button" class="attach-btn" aria-label="Add a photo to this entry">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"></path>
+                        <circle cx="12" cy="13" r="4"></circle>
+                    </svg>
+                </button>
+            ` : ''}
+            ${history ? `
+                <button type="button" class="history-btn" aria-label="Show edit history">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="12" cy="12" r="10"></circle>
+                        <polyline points="12 6 12 12 16 14"></polyline>
+                    </svg>
+                </button>
+            ` : ''}
+            ${move ? `
+                <button type="button" class="move-btn" aria-label="Move entry to another journal">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
+                        <polyline points="12 11 15 14 12 17"></polyline>
+                        <line x1="8" y1="14" x2="15" y2="14"></line>
+                    </svg>
+                </button>
+            ` : ''}
+            ${remove ? `
+                <button type="button" class="delete-btn" aria-label="Delete entry">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="3 6 5 6 21 6"></polyline>
+                        <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path>
+                        <path d="M10 11v6"></path>
+                        <path d="M14 11v6"></path>
+                        <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"></path>
+                    </svg>
+                </button>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Builds clickable tag chips
+ * Tags are normalized to letters, digits, "_" and "-", so they are safe in attributes.
+ * @param {Array<string>} tags - Tags to show
+ * @returns {string} HTML string for the chips, or an empty string if there are no tags
+ */
+export function getTagChipsHtml(tags) {
+    if (tags.length === 0) {
+        return '';
+    }
+    return `
+        <div class="entry-tags">
+            ${tags.map(tag => `<button type="button" class="tag-chip" data-tag="${tag}">#${escapeHtml(tag)}</button>`).join('')}
+        </div>
+    `;
+}
+
+// Object URLs of thumbnails by photo id; a photo never changes, so each URL is made once
+const thumbnailUrls = new Map();
+
+/**
+ * Gets a URL that shows a photo's thumbnail
+ * @param {import('../data/storage.js').AttachmentRecord} attachment - Photo
+ * @returns {string} Object URL of the thumbnail
+ */
+function getThumbnailUrl(attachment) {
+    if (!thumbnailUrls.has(attachment.id)) {
+        thumbnailUrls.set(attachment.id, URL.createObjectURL(attachment.thumbnail));
+    }
+    return thumbnailUrls.get(attachment.id);
+}
+
+/**
+ * Frees the thumbnail URL of a photo that was removed
+ * @param {string} attachmentId - Id of the photo
+ */
+export function releaseThumbnailUrl(attachmentId) {
+    const url = thumbnailUrls.get(attachmentId);
+    if (url) {
+        URL.revokeObjectURL(url);
+        thumbnailUrls.delete(attachmentId);
+    }
+}
+
+/**
+ * Groups photos by the day they belong to
+ * @param {Array<import('../data/storage.js').AttachmentRecord>} attachments - Photos
+ * @returns {Object<string, Array<import('../data/storage.js').AttachmentRecord>>} Photos by date
+ */
+function groupAttachmentsByDate(attachments) {
+    const grouped = {};
+    attachments.forEach(attachment => {
+        if (!grouped[attachment.date]) {
+            grouped[attachment.date] = [];
+        }
+        grouped[attachment.date].push(attachment);
+    });
+    return grouped;
+}
+
+/**
+ * Picks the photos of one entry, or of the whole day when no entry is given
+ * @param {Array<import('../data/storage.js').AttachmentRecord>} [attachments] - Photos of the day
+ * @param {string} [entryId] - Id of the entry
+ * @returns {Array<import('../data/storage.js').AttachmentRecord>} Matching photos
+ */
+function getPhotosOf(attachments = [], entryId) {
+    return attachments.filter(attachment => (attachment.entryId || null) === (entryId || null));
+}
+
+/**
+ * Builds a row of photo thumbnails that open the full photo
+ * @param {Array<import('../data/storage.js').AttachmentRecord>} attachments - Photos to show
+ * @returns {string} HTML string for the thumbnails, or an empty string if there are no photos
+ */
+export function getAttachmentThumbsHtml(attachments) {
+    if (attachments.length === 0) {
+        return '';
+    }
+    return `
+        <div class="attachment-thumbs">
+            ${attachments.map(attachment => `
+                <button type="button" class="attachment-thumb" data-attachment-id="${attachment.id}" aria-label="Open photo">
+                    <img src="${getThumbnailUrl(attachment)}" alt="" loading="lazy">
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Escapes an entry's text and turns its @mentions into links to each person
+ * @param {string} text - Entry text
+ * @returns {string} HTML string for the text
+ */
+export function getEntryTextHtml(text) {
+    return linkMentions(escapeHtml(text));
+}
+
+/**
+ * Builds the content of a gratitude entry row: its text, any explicit tags and its photos
+ * Hashtags are already visible in the text, so only the other tags get chips.
+ * @param {Object} entry - Entry record
+ * @param {Array<import('../data/storage.js').AttachmentRecord>} [attachments] - Photos of the entry's day
+ * @returns {string} HTML string for the row content
+ */
+export function getEntryContentHtml(entry, attachments = []) {
+    return `<div class="gratitude-item-content">${getEntryTextHtml(entry.text)}${getTagChipsHtml(getExplicitOnlyTags(entry))}${getAttachmentThumbsHtml(getPhotosOf(attachments, entry.id))}</div>`;
+}
+
+/**
+ * Checks whether an entry is a favorite
+ * @param {Object} entry - Entry record
+ * @returns {boolean} True if the entry is starred
+ */
+export function isStarred(entry) {
+    return entry.starred === true;
+}
+
+/**
+ * Renders the mood picker for a day, showing the mood already set
+ * @param {string} containerId - Id of the picker's container
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @returns {Promise<void>}
+ */
+export async function renderMoodPicker(containerId, dateString) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const mood = await getMood(dateString);
+    container.setAttribute('data-date', dateString);
+    container.innerHTML = `
+        <span class="mood-picker-label">How was ${dateString === getTodayDateString() ? 'today' : 'this day'}?</span>
+        <div class="mood-options" role="group" aria-label="Mood">
+            ${MOOD_SCALE.map(option => `
+                <button type="button" class="mood-option${option.value === mood ? ' selected' : ''}" data-mood="${option.value}" aria-pressed="${option.value === mood}" title="${option.label}" aria-label="${option.label}">${option.emoji}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Renders the photos of a whole day, with a button to add more
+ * @param {string} containerId - Id of the container
+ * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @param {Array<import('../data/storage.js').AttachmentRecord>} attachments - Photos of the day
+ */
+function renderDayAttachments(containerId, dateString, attachments) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.setAttribute('data-date', dateString);
+    container.innerHTML = `
+        ${getAttachmentThumbsHtml(getPhotosOf(attachments))}
+        <button type="button" class="add-photos-btn">📷 Add photos</button>
+    `;
+}
+
+/**
+ * Renders the day's prompt above the Today form, with a button to skip it
+ * Nothing is shown when daily prompts are turned off.
+ */
+export function renderDailyPrompt() {
+    const container = document.getElementById('todayPrompt');
+    if (!container) return;
+    
+    const prompt = getDailyPrompt(getTodayDateString());
+    if (!prompt) {
+        container.removeAttribute('data-prompt-id');
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.setAttribute('data-prompt-id', prompt.id);
+    container.innerHTML = `
+        <div class="daily-prompt-body">
+            <span class="daily-prompt-theme">${escapeHtml(getPromptThemeName(prompt.theme))}</span>
+            <p class="daily-prompt-text">${escapeHtml(prompt.text)}</p>
+        </div>
+        <button type="button" id="skipPromptBtn" class="daily-prompt-skip" aria-label="Show another prompt">Another prompt</button>
+    `;
+}
 
 /**
  * Renders today's gratitude entries
+ * @returns {Promise<void>}
  */
-export function renderTodayEntries() {
+export async function renderTodayEntries() {
     const container = document.getElementById('todayEntries');
     if (!container) return;
     
     const today = getTodayDateString();
-    const entries = getEntriesByDate(today);
+    renderDailyPrompt();
+    await renderMoodPicker('todayMood', today);
+    const [entries, attachments] = await Promise.all([getEntriesByDate(today), getAttachmentsByDate(today)]);
+    renderDayAttachments('todayAttachments', today, attachments);
     
     if (entries.length === 0) {
         container.innerHTML = '';
@@ -23,15 +295,10 @@ export function renderTodayEntries() {
     
     container.innerHTML = `
         <ul class="gratitude-list">
-            ${entries.map((entry, index) => `
-                <li class="gratitude-item" data-date="${today}" data-index="${index}">
-                    <div class="gratitude-item-content">${escapeHtml(entry)}</div>
-                    <button type="button" class="edit-btn" aria-label="Edit entry">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                        </svg>
-                    </button>
+            ${entries.map(entry => `
+                <li class="gratitude-item" data-date="${today}" data-id="${entry.id}">
+                    ${getEntryContentHtml(entry, attachments)}
+                    ${getEntryActionsHtml({ starred: isStarred(entry) })}
                 </li>
             `).join('')}
         </ul>
@@ -40,12 +307,13 @@ export function renderTodayEntries() {
 
 /**
  * Renders past gratitude entries (excluding today)
+ * @returns {Promise<void>}
  */
-export function renderPastEntries() {
+export async function renderPastEntries() {
     const container = document.getElementById('pastEntries');
     if (!container) return;
     
-    const allEntries = getAllEntries();
+    const allEntries = await getAllEntries();
     const today = getTodayDateString();
     
     // Filter out today's entries and sort by date (newest first)
@@ -62,15 +330,10 @@ export function renderPastEntries() {
         <div class="date-group">
             <div class="date-header">${formatDateDisplay(date)}</div>
             <ul class="gratitude-list">
-                ${items.map((item, index) => `
-                    <li class="gratitude-item" data-date="${date}" data-index="${index}">
-                        <div class="gratitude-item-content">${escapeHtml(item)}</div>
-                        <button type="button" class="edit-btn" aria-label="Edit entry">
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-                            </svg>
-                        </button>
+                ${items.map(item => `
+                    <li class="gratitude-item" data-date="${date}" data-id="${item.id}">
+                        ${getEntryContentHtml(item)}
+                        ${getEntryActionsHtml({ starred: isStarred(item) })}
                     </li>
                 `).join('')}
             </ul>
@@ -81,13 +344,16 @@ export function renderPastEntries() {
 /**
  * Renders calendar entries for a specific date
  * @param {string} dateString - Date string in YYYY-MM-DD format
+ * @returns {Promise<void>}
  */
-export function renderCalendarEntries(dateString) {
+export async function renderCalendarEntries(dateString) {
     const container = document.getElementById('calendarEntries');
     const formContainer = document.getElementById('calendarFormContainer');
     if (!container) return;
     
-    const entries = getEntriesByDate(dateString);
+    await renderMoodPicker('calendarMood', dateString);
+    const [entries, attachments] = await Promise.all([getEntriesByDate(dateString), getAttachmentsByDate(dateString)]);
+    renderDayAttachments('calendarAttachments', dateString, attachments);
     
     if (entries.length === 0) {
         // Show form when there are no entries
@@ -100,7 +366,10 @@ export function renderCalendarEntries(dateString) {
         container.innerHTML = `
             <ul class="gratitude-list">
                 ${entries.map(entry => `
-                    <li class="gratitude-item">${escapeHtml(entry)}</li>
+                    <li class="gratitude-item" data-date="${dateString}" data-id="${entry.id}">
+                        ${getEntryContentHtml(entry, attachments)}
+                        ${getEntryActionsHtml({ edit: false, starred: isStarred(entry) })}
+                    </li>
                 `).join('')}
             </ul>
         `;
@@ -125,16 +394,23 @@ export function updateCalendarDateTitle(dateString) {
  * Renders the calendar grid for a specific month
  * @param {Date} monthDate - Date object representing the month to display
  * @param {string} selectedDate - Currently selected date string in YYYY-MM-DD format
+ * @returns {Promise<void>}
  */
-export function renderCalendarGrid(monthDate, selectedDate) {
+export async function renderCalendarGrid(monthDate, selectedDate) {
     const gridContainer = document.getElementById('calendarGrid');
     if (!gridContainer) return;
     
-    const allEntries = getAllEntries();
-    const datesWithEntries = new Set(Object.keys(allEntries).filter(date => {
-        const entries = allEntries[date];
-        return entries && entries.length > 0;
-    }));
+    const [entryCounts, streakSummary] = await Promise.all([getEntryCountsByDate(), getStreakSummary()]);
+    const frozenDates = new Set(streakSummary.frozenDates);
+    const graceDates = new Set(streakSummary.graceDates);
+    const goal = getDailyGoal();
+    const showMoods = Boolean(getSetting('calendarMoodColors'));
+    const moods = showMoods ? await getMoods() : {};
+    
+    const moodToggle = document.getElementById('calendarMoodToggle');
+    if (moodToggle) {
+        moodToggle.checked = showMoods;
+    }
     
     const today = getTodayDateString();
     const gridDates = getCalendarGridDates(monthDate);
@@ -190,8 +466,13 @@ export function renderCalendarGrid(monthDate, selectedDate) {
         const isCurrentMonth = date.getMonth() === currentMonth;
         const isToday = dateString === today;
         const isSelected = dateString === selectedDate;
-        const hasEntries = datesWithEntries.has(dateString);
+        const entryCount = entryCounts[dateString] || 0;
+        const isComplete = isDayComplete(entryCount, goal);
+        const isPartial = entryCount > 0 && !isComplete;
         const isFuture = dateString > today;
+        const isFrozen = frozenDates.has(dateString);
+        const isGrace = graceDates.has(dateString);
+        const mood = getMoodOption(moods[dateString]);
         
         let classes = 'calendar-day';
         if (!isCurrentMonth) {
@@ -203,12 +484,22 @@ export function renderCalendarGrid(monthDate, selectedDate) {
         if (isSelected) {
             classes += ' calendar-day-selected';
         }
-        if (hasEntries) {
+        if (isComplete) {
             classes += ' calendar-day-has-entries';
+        } else if (isPartial) {
+            classes += ' calendar-day-partial';
+        }
+        if (isFrozen) {
+            classes += ' calendar-day-frozen';
+        } else if (isGrace) {
+            classes += ' calendar-day-grace';
         }
         if (isFuture) {
             classes += ' calendar-day-future';
         }
+        if (mood) {
+            classes += ' calendar-day-mood';
+        }
         
         html += `
             <button 
@@ -216,11 +507,13 @@ export function renderCalendarGrid(monthDate, selectedDate) {
                 class="${classes}" 
                 data-date="${dateString}"
                 data-future="${isFuture}"
-                aria-label="${formatDateDisplay(dateString)}"
+                ${mood ? `data-mood="${mood.value}"` : ''}
+                aria-label="${formatDateDisplay(dateString)}${isComplete ? ', goal met' : ''}${isPartial ? `, ${entryCount} of ${goal.itemsPerDay} entries` : ''}${isFrozen ? ', streak freeze used' : ''}${isGrace ? ', grace day' : ''}${mood ? `, mood: ${mood.label}` : ''}"
                 ${isFuture ? 'disabled' : ''}
             >
                 <span class="calendar-day-number">${day}</span>
-                ${hasEntries ? '<span class="calendar-day-indicator"></span>' : ''}
+                ${entryCount > 0 ? `<span class="calendar-day-indicator${isPartial ? ' calendar-day-indicator-partial' : ''}"></span>` : ''}
+                ${isFrozen ? '<span class="calendar-day-freeze-mark" aria-hidden="true">❄</span>' : ''}
             </button>
         `;
     });
@@ -293,51 +586,629 @@ export function renderDateDisplay() {
     const dateDisplay = document.getElementById('dateDisplay');
     if (!dateDisplay) return;
     
-    dateDisplay.textContent = formatDateHeader();
+    dateDisplay.textContent = formatDateHeader(getJournalNow());
+}
+
+// How each journal color is named in pickers
+const JOURNAL_COLOR_LABELS = {
+    blue: 'Blue',
+    green: 'Green',
+    purple: 'Purple',
+    rose: 'Rose',
+    amber: 'Amber',
+    teal: 'Teal'
+};
+
+/**
+ * Builds the options of a journal color picker
+ * @param {string} selected - Color to select
+ * @returns {string} HTML string for the options
+ */
+function getJournalColorOptionsHtml(selected) {
+    return JOURNAL_COLORS.map(color => `
+        <option value="${color}"${color === selected ? ' selected' : ''}>${JOURNAL_COLOR_LABELS[color]}</option>
+    `).join('');
+}
+
+/**
+ * Renders the active journal: its theme color, its name in the header and the switcher in the settings menu
+ * The name is only shown once there is more than one journal.
+ */
+export function renderJournalSwitcher() {
+    const journals = listJournals();
+    const active = getActiveJournal();
+    document.documentElement.setAttribute('data-journal-color', active.color);
+    
+    const journalName = document.getElementById('journalName');
+    if (journalName) {
+        journalName.textContent = active.name;
+        journalName.style.display = journals.length > 1 ? '' : 'none';
+    }
+    
+    const switcher = document.getElementById('journalSwitcher');
+    if (switcher) {
+        switcher.innerHTML = journals.length > 1 ? journals.map(journal => `
+            <button type="button" class="journal-switch-btn${journal.id === active.id ? ' active' : ''}" data-journal-id="${escapeHtml(journal.id)}" aria-pressed="${journal.id === active.id}">
+                <span class="journal-dot" data-color="${journal.color}"></span>
+                <span>${escapeHtml(journal.name)}</span>
+            </button>
+        `).join('') : '';
+    }
+}
+
+/**
+ * Renders the list of journals in the journals view
+ * @returns {Promise<void>}
+ */
+export async function renderJournals() {
+    const container = document.getElementById('journalsList');
+    if (!container) return;
+    
+    const newJournalColor = document.getElementById('newJournalColor');
+    if (newJournalColor && !newJournalColor.options.length) {
+        newJournalColor.innerHTML = getJournalColorOptionsHtml(JOURNAL_COLORS[0]);
+    }
+    
+    const journals = listJournals();
+    const activeId = getActiveJournal().id;
+    const counts = await Promise.all(journals.map(journal => getTotalEntryCount(journal.id)));
+    
+    container.innerHTML = `
+        <ul class="gratitude-list">
+            ${journals.map((journal, index) => `
+                <li class="gratitude-item journal-item" data-journal-id="${escapeHtml(journal.id)}">
+                    <div class="gratitude-item-content">
+                        <div class="journal-item-name">
+                            <span class="journal-dot" data-color="${journal.color}"></span>
+                            <input type="text" class="journal-name-input" value="${escapeHtml(journal.name)}" maxlength="40" aria-label="Journal name">
+                        </div>
+                        <div class="gratitude-item-date">${counts[index]} ${counts[index] === 1 ? 'entry' : 'entries'}${journal.id === activeId ? ' · Open now' : ''}</div>
+                    </div>
+                    <div class="gratitude-item-actions">
+                        <select class="trash-retention-select journal-color-select" aria-label="Theme color">
+                            ${getJournalColorOptionsHtml(journal.color)}
+                        </select>
+                        ${journal.id === activeId ? '' : '<button type="button" class="restore-btn open-journal-btn">Open</button>'}
+                        <button type="button" class="restore-btn backup-journal-btn" aria-label="Back up this journal">Back up</button>
+                        ${journals.length > 1 ? '<button type="button" class="purge-btn delete-journal-btn" aria-label="Delete this journal">Delete</button>' : ''}
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Renders everyone mentioned in the active journal into the people view
+ * @returns {Promise<void>}
+ */
+export async function renderPeople() {
+    const container = document.getElementById('peopleList');
+    if (!container) return;
+    
+    const [entriesByDate, index] = await Promise.all([getAllEntries(), getPeopleIndex()]);
+    const entries = Object.values(entriesByDate).flat();
+    const people = countPeople(entries, index);
+    
+    if (people.length === 0) {
+        container.innerHTML = '<p class="empty-state">No one mentioned yet. Write @Name in an entry to start a timeline for someone.</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <ul class="gratitude-list">
+            ${people.map(person => `
+                <li class="gratitude-item person-item" data-person="${person.key}">
+                    <div class="gratitude-item-content">
+                        <div class="gratitude-item-text">@${escapeHtml(person.name)}</div>
+                        <div class="gratitude-item-date">${person.count} ${person.count === 1 ? 'entry' : 'entries'}${person.aliases.length ? ` · also ${person.aliases.map(alias => `@${alias}`).join(', ')}` : ''}</div>
+                    </div>
+                    <div class="gratitude-item-actions">
+                        <button type="button" class="restore-btn open-person-btn" aria-label="Show entries mentioning ${escapeHtml(person.name)}">Timeline</button>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
 }
 
 /**
- * Renders the streak display in the header
+ * Renders every entry mentioning one person into the people view, newest first
+ * @param {string} personKey - Key of the person, after merging aliases
+ * @returns {Promise<void>}
  */
-export function renderStreak() {
+export async function renderPersonTimeline(personKey) {
+    const container = document.getElementById('personTimeline');
+    if (!container) return;
+    
+    const [entriesByDate, index] = await Promise.all([getAllEntries(), getPeopleIndex()]);
+    const entries = Object.values(entriesByDate).flat();
+    const people = countPeople(entries, index);
+    const person = people.find(candidate => candidate.key === personKey);
+    const backButtonHtml = '<button type="button" class="restore-btn people-back-btn">← All people</button>';
+    
+    if (!person) {
+        container.innerHTML = `
+            ${backButtonHtml}
+            <p class="empty-state">No entries mention this person anymore</p>
+        `;
+        return;
+    }
+    
+    const grouped = {};
+    entries
+        .filter(entry => getEntryPeople(entry, index.aliases).includes(personKey))
+        .forEach(entry => {
+            if (!grouped[entry.date]) {
+                grouped[entry.date] = [];
+            }
+            grouped[entry.date].push(entry);
+        });
+    const dates = Object.keys(grouped).sort((a, b) => b.localeCompare(a));
+    const others = people.filter(candidate => candidate.key !== personKey);
+    
+    container.innerHTML = `
+        ${backButtonHtml}
+        <div class="person-header" data-person="${person.key}">
+            <h3 class="insights-section-title">@${escapeHtml(person.name)}</h3>
+            <p class="person-summary">${person.count} ${person.count === 1 ? 'entry' : 'entries'} since ${formatDateDisplay(dates[dates.length - 1])}</p>
+            <form id="renamePersonForm" class="trash-controls">
+                <input type="text" id="renamePersonInput" class="gratitude-input" value="${escapeHtml(person.name)}" maxlength="60" aria-label="Name to show">
+                <button type="submit" class="take-snapshot-btn">Rename</button>
+            </form>
+            ${others.length ? `
+                <div class="trash-controls">
+                    <select id="mergePersonSelect" class="trash-retention-select" aria-label="Person to merge into this one">
+                        ${others.map(other => `<option value="${other.key}">@${escapeHtml(other.name)}</option>`).join('')}
+                    </select>
+                    <button type="button" id="mergePersonBtn" class="take-snapshot-btn">Merge into @${escapeHtml(person.name)}</button>
+                </div>
+            ` : ''}
+            ${person.aliases.length ? `
+                <ul class="person-aliases">
+                    ${person.aliases.map(alias => `
+                        <li class="person-alias">
+                            <span>Also written as @${alias}</span>
+                            <button type="button" class="restore-btn unmerge-person-btn" data-alias="${alias}">Separate</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <button type="button" id="thankYouLetterBtn" class="recovery-btn">Create thank-you letter</button>
+        </div>
+        ${dates.map(date => `
+            <div class="date-group">
+                <div class="date-header">${formatDateDisplay(date)}</div>
+                <ul class="gratitude-list">
+                    ${grouped[date].map(entry => `
+                        <li class="gratitude-item" data-date="${date}" data-id="${entry.id}">
+                            <div class="gratitude-item-content">
+                                ${getEntryTextHtml(entry.text)}
+                                ${getTagChipsHtml(entry.tags)}
+                            </div>
+                            ${getEntryActionsHtml({ edit: false, attach: false, starred: entry.starred })}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Renders the prompt library by theme into the prompts view
+ * Each theme can be turned off; prompts the user added can be removed.
+ */
+export function renderPrompts() {
+    const container = document.getElementById('promptsList');
+    if (!container) return;
+    
+    const dailyPromptsToggle = document.getElementById('dailyPromptsToggle');
+    if (dailyPromptsToggle) {
+        dailyPromptsToggle.checked = Boolean(getSetting('dailyPrompts'));
+    }
+    
+    const disabledThemes = getSetting('disabledPromptThemes');
+    const themes = [
+        ...PROMPT_THEMES,
+        { id: CUSTOM_THEME_ID, name: getPromptThemeName(CUSTOM_THEME_ID), prompts: listCustomPrompts() }
+    ];
+    
+    container.innerHTML = themes.map(theme => `
+        <div class="date-group prompt-theme">
+            <label class="date-header prompt-theme-header">
+                <input type="checkbox" class="prompt-theme-toggle" data-theme="${theme.id}"${disabledThemes.includes(theme.id) ? '' : ' checked'}>
+                <span>${escapeHtml(theme.name)}</span>
+            </label>
+            ${theme.prompts.length === 0 ? '<p class="empty-state-small">Add a prompt above to ask yourself your own questions</p>' : `
+                <ul class="gratitude-list">
+                    ${theme.prompts.map(prompt => `
+                        <li class="gratitude-item prompt-item" data-prompt-id="${escapeHtml(prompt.id)}">
+                            <div class="gratitude-item-content">${escapeHtml(prompt.text)}</div>
+                            ${theme.id === CUSTOM_THEME_ID ? `
+                                <div class="gratitude-item-actions">
+                                    <button type="button" class="purge-btn remove-prompt-btn" aria-label="Remove prompt">Remove</button>
+                                </div>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        </div>
+    `).join('');
+}
+
+/**
+ * Renders the journals an entry can be moved to into the move modal
+ */
+export function renderMoveEntryTargets() {
+    const container = document.getElementById('moveEntryList');
+    if (!container) return;
+    
+    const activeId = getActiveJournal().id;
+    container.innerHTML = listJournals()
+        .filter(journal => journal.id !== activeId)
+        .map(journal => `
+            <button type="button" class="journal-switch-btn move-to-journal-btn" data-journal-id="${escapeHtml(journal.id)}">
+                <span class="journal-dot" data-color="${journal.color}"></span>
+                <span>${escapeHtml(journal.name)}</span>
+            </button>
+        `).join('');
+}
+
+/**
+ * Renders the streak display in the header, with this week's progress when there is a weekly target
+ * @returns {Promise<void>}
+ */
+export async function renderStreak() {
     const streakDisplay = document.getElementById('streakDisplay');
     if (!streakDisplay) return;
     
-    const streak = calculateStreak();
+    const goal = getDailyGoal();
+    const rules = getStreakRules();
+    const [streakSummary, completeDates] = await Promise.all([getStreakSummary(), getCompleteDates()]);
     const streakCount = streakDisplay.querySelector('.streak-count');
     
     if (streakCount) {
-        streakCount.textContent = streak;
+        streakCount.textContent = streakSummary.current;
+    }
+    
+    const streakWeek = streakDisplay.querySelector('.streak-week');
+    if (streakWeek) {
+        const completeThisWeek = countCompleteDaysInWeek(completeDates, getTodayDateString());
+        streakWeek.textContent = goal.daysPerWeek ? `${completeThisWeek}/${goal.daysPerWeek} this week` : '';
+        streakWeek.classList.toggle('streak-week-met', goal.daysPerWeek > 0 && completeThisWeek >= goal.daysPerWeek);
+    }
+    
+    const freezesEarnable = rules.freezeEvery > 0 && rules.maxFreezes > 0;
+    const streakFreezes = streakDisplay.querySelector('.streak-freezes');
+    if (streakFreezes) {
+        streakFreezes.textContent = freezesEarnable ? `❄ ${streakSummary.freezesLeft}` : '';
+    }
+    streakDisplay.title = `Streak of days with at least ${goal.itemsPerDay} ${goal.itemsPerDay === 1 ? 'entry' : 'entries'}`
+        + (freezesEarnable ? `, ${streakSummary.freezesLeft} of ${rules.maxFreezes} streak ${rules.maxFreezes === 1 ? 'freeze' : 'freezes'} saved up` : '');
+}
+
+/**
+ * Renders the daily goal settings into the goal view
+ * @returns {Promise<void>}
+ */
+export async function renderGoal() {
+    const goal = getDailyGoal();
+    
+    const itemsSelect = document.getElementById('goalItemsSelect');
+    if (itemsSelect) {
+        if (!itemsSelect.options.length) {
+            itemsSelect.innerHTML = Array.from({ length: MAX_ITEMS_PER_DAY }, (_, index) => index + 1)
+                .map(count => `<option value="${count}">${count} ${count === 1 ? 'entry' : 'entries'}</option>`)
+                .join('');
+        }
+        itemsSelect.value = String(goal.itemsPerDay);
+    }
+    
+    const daysSelect = document.getElementById('goalDaysSelect');
+    if (daysSelect) {
+        if (!daysSelect.options.length) {
+            daysSelect.innerHTML = '<option value="0">No weekly target</option>' + Array.from({ length: 7 }, (_, index) => index + 1)
+                .map(count => `<option value="${count}">${count} ${count === 1 ? 'day' : 'days'} a week</option>`)
+                .join('');
+        }
+        daysSelect.value = String(goal.daysPerWeek);
+    }
+    
+    const partialToggle = document.getElementById('allowPartialDaysToggle');
+    if (partialToggle) {
+        partialToggle.checked = goal.allowPartialDays;
+    }
+    
+    const dayStartSelect = document.getElementById('dayStartSelect');
+    if (dayStartSelect) {
+        if (!dayStartSelect.options.length) {
+            dayStartSelect.innerHTML = Array.from({ length: MAX_DAY_START_HOUR + 1 }, (_, hour) => hour)
+                .map(hour => `<option value="${hour}">${hour === 0 ? 'Midnight' : `${hour}:00 AM`}</option>`)
+                .join('');
+        }
+        dayStartSelect.value = String(getDayStartHour());
+    }
+    
+    const timeZoneMode = getSetting('timeZoneMode') === 'home' ? 'home' : 'device';
+    const timeZoneModeSelect = document.getElementById('timeZoneModeSelect');
+    if (timeZoneModeSelect) {
+        timeZoneModeSelect.value = timeZoneMode;
+    }
+    
+    const homeTimeZoneSelect = document.getElementById('homeTimeZoneSelect');
+    if (homeTimeZoneSelect) {
+        const homeTimeZone = isValidTimeZone(getSetting('homeTimeZone')) ? getSetting('homeTimeZone') : getDeviceTimeZone();
+        const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        homeTimeZoneSelect.innerHTML = [...new Set([homeTimeZone, getDeviceTimeZone(), ...timeZones])]
+            .sort()
+            .map(timeZone => `<option value="${escapeHtml(timeZone)}">${escapeHtml(timeZone.replace(/_/g, ' '))}</option>`)
+            .join('');
+        homeTimeZoneSelect.value = homeTimeZone;
+        homeTimeZoneSelect.hidden = timeZoneMode !== 'home';
+    }
+    
+    const rules = getStreakRules();
+    const graceSelect = document.getElementById('streakGraceSelect');
+    if (graceSelect) {
+        if (!graceSelect.options.length) {
+            graceSelect.innerHTML = '<option value="0">No missed days</option>' + Array.from({ length: MAX_GRACE_DAYS_PER_WEEK }, (_, index) => index + 1)
+                .map(count => `<option value="${count}">${count} missed ${count === 1 ? 'day' : 'days'}</option>`)
+                .join('');
+        }
+        graceSelect.value = String(rules.graceDaysPerWeek);
+    }
+    
+    const freezeEverySelect = document.getElementById('streakFreezeEverySelect');
+    if (freezeEverySelect) {
+        freezeEverySelect.value = String(rules.freezeEvery);
+    }
+    
+    const maxFreezesSelect = document.getElementById('streakMaxFreezesSelect');
+    if (maxFreezesSelect) {
+        if (!maxFreezesSelect.options.length) {
+            maxFreezesSelect.innerHTML = Array.from({ length: MAX_STREAK_FREEZES }, (_, index) => index + 1)
+                .map(count => `<option value="${count}">${count} ${count === 1 ? 'freeze' : 'freezes'}</option>`)
+                .join('');
+        }
+        maxFreezesSelect.value = String(Math.max(rules.maxFreezes, 1));
+        maxFreezesSelect.disabled = rules.freezeEvery === 0;
+    }
+    
+    const summary = document.getElementById('goalSummary');
+    if (summary) {
+        const [streakSummary, completeDates] = await Promise.all([getStreakSummary(), getCompleteDates()]);
+        const completeThisWeek = countCompleteDaysInWeek(completeDates, getTodayDateString());
+        summary.innerHTML = `
+            <div class="insights-stats-grid">
+                <div class="insights-stat-card">
+                    <div class="stat-value">${streakSummary.current}</div>
+                    <div class="stat-label">Current Streak</div>
+                </div>
+                <div class="insights-stat-card">
+                    <div class="stat-value">${streakSummary.longest}</div>
+                    <div class="stat-label">Longest Streak</div>
+                </div>
+                <div class="insights-stat-card">
+                    <div class="stat-value">${goal.daysPerWeek ? `${completeThisWeek}/${goal.daysPerWeek}` : completeThisWeek}</div>
+                    <div class="stat-label">Complete This Week</div>
+                </div>
+                <div class="insights-stat-card">
+                    <div class="stat-value">${rules.freezeEvery && rules.maxFreezes ? `❄ ${streakSummary.freezesLeft}` : '–'}</div>
+                    <div class="stat-label">Freezes Saved</div>
+                </div>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Renders the reminder settings, and how reminders can reach the user in this browser
+ */
+export function renderReminders() {
+    const schedule = getReminderSchedule();
+    const support = getReminderSupport();
+    
+    const reminderToggle = document.getElementById('reminderToggle');
+    if (reminderToggle) {
+        reminderToggle.checked = schedule.enabled;
+    }
+    
+    const timeInput = document.getElementById('reminderTimeInput');
+    if (timeInput) {
+        timeInput.value = `${String(schedule.hour).padStart(2, '0')}:${String(schedule.minute).padStart(2, '0')}`;
+        timeInput.disabled = !schedule.enabled;
+    }
+    
+    document.querySelectorAll('.reminder-day-toggle').forEach(toggle => {
+        toggle.checked = schedule.days.includes(Number(toggle.dataset.day));
+        toggle.disabled = !schedule.enabled;
+    });
+    
+    const onlyIfNeededToggle = document.getElementById('reminderOnlyIfNeededToggle');
+    if (onlyIfNeededToggle) {
+        onlyIfNeededToggle.checked = schedule.onlyIfNotJournaled;
+        onlyIfNeededToggle.disabled = !schedule.enabled;
+    }
+    
+    // Asking again is left to the user, and only offered while the browser would still ask
+    const allowBtn = document.getElementById('allowNotificationsBtn');
+    if (allowBtn) {
+        allowBtn.hidden = !schedule.enabled || support.permission !== 'default';
+    }
+    
+    const status = document.getElementById('reminderStatus');
+    if (status) {
+        if (!schedule.enabled) {
+            status.textContent = 'Reminders are off. Turning them on asks your browser for permission to show notifications.';
+        } else if (schedule.days.length === 0) {
+            status.textContent = 'Pick at least one day to be reminded on.';
+        } else if (support.permission === 'unsupported') {
+            status.textContent = 'This browser cannot show notifications, so reminders appear inside the app while it is open.';
+        } else if (support.permission === 'denied') {
+            status.textContent = 'Notifications are blocked in your browser settings, so reminders appear inside the app while it is open. Allow notifications for this app there to be reminded when it is closed.';
+        } else if (support.permission === 'default') {
+            status.textContent = 'Notifications are not allowed yet, so reminders appear inside the app while it is open.';
+        } else if (support.triggers) {
+            status.textContent = 'Reminders are scheduled as notifications, and arrive even while the app is closed. Tap one to start writing.';
+        } else if (support.periodicSync) {
+            status.textContent = 'Reminders arrive as notifications. While the app is closed, your browser decides how often to check, so one may come a little late.';
+        } else {
+            status.textContent = 'Reminders arrive as notifications while the app is open or in the background. Keep it installed and open in the background to be reminded on time.';
+        }
+    }
+}
+
+/**
+ * Renders the tag filter bar and tag cloud of the All Entries view
+ * @param {Array<{tag: string, count: number}>} tagCounts - Every tag with its entry count
+ * @param {Array<string>} tagFilters - Tags currently filtered by
+ */
+function renderTagFilters(tagCounts, tagFilters) {
+    const filterBar = document.getElementById('allEntriesTagFilter');
+    if (filterBar) {
+        filterBar.innerHTML = tagFilters.length === 0 ? '' : `
+            <span class="tag-filter-label">Showing entries tagged</span>
+            ${tagFilters.map(tag => `
+                <button type="button" class="tag-filter-item" data-tag="${tag}" aria-label="Remove filter #${tag}">#${escapeHtml(tag)} ×</button>
+            `).join('')}
+            <button type="button" class="tag-filter-clear">Clear</button>
+        `;
+    }
+    
+    const tagCloud = document.getElementById('allEntriesTagCloud');
+    if (tagCloud) {
+        // Scale each tag into one of five sizes relative to the most used tag
+        const maxCount = tagCounts.length > 0 ? tagCounts[0].count : 1;
+        tagCloud.innerHTML = [...tagCounts]
+            .sort((a, b) => a.tag.localeCompare(b.tag))
+            .map(({ tag, count }) => {
+                const weight = Math.max(1, Math.ceil((count / maxCount) * 5));
+                const active = tagFilters.includes(tag) ? ' active' : '';
+                return `<button type="button" class="tag-cloud-item tag-weight-${weight}${active}" data-tag="${tag}" title="${count} ${count === 1 ? 'entry' : 'entries'}">#${escapeHtml(tag)}</button>`;
+            })
+            .join('');
     }
 }
 
+/**
+ * Renders search results into the All Entries list, grouped by date
+ * Results come from the in-memory search index, so this is cheap enough to run while typing.
+ * @param {string} searchQuery - Query typed by the user
+ * @param {Array<string>} [tagFilters] - Only show entries that have all of these tags
+ * @param {boolean} [favoritesOnly] - Only show starred entries
+ * @returns {Promise<void>}
+ */
+export async function renderSearchResults(searchQuery, tagFilters = [], favoritesOnly = false) {
+    const container = document.getElementById('allEntriesList');
+    if (!container) return;
+    
+    const results = (await searchEntries(parseSearchQuery(searchQuery)))
+        .filter(({ record }) => tagFilters.every(tag => getEntryTags(record).includes(tag)))
+        .filter(({ record }) => !favoritesOnly || isStarred(record));
+    const photosByDate = groupAttachmentsByDate(await getAllAttachments());
+    
+    if (results.length === 0) {
+        container.innerHTML = '<p class="empty-state">No entries match your search</p>';
+        return;
+    }
+    
+    // Results are sorted newest first, so groups come out in date order
+    const grouped = new Map();
+    results.forEach(result => {
+        if (!grouped.has(result.record.date)) {
+            grouped.set(result.record.date, []);
+        }
+        grouped.get(result.record.date).push(result);
+    });
+    
+    container.innerHTML = `
+        <p class="search-summary">${results.length} ${results.length === 1 ? 'entry' : 'entries'} found</p>
+        ${[...grouped].map(([date, items]) => `
+            <div class="date-group">
+                <button type="button" class="date-header search-date-link" data-date="${date}" aria-label="Open ${formatDateDisplay(date)} in the calendar">${formatDateDisplay(date)}</button>
+                <ul class="gratitude-list">
+                    ${items.map(({ record, ranges }) => `
+                        <li class="gratitude-item" data-date="${date}" data-id="${record.id}">
+                            <div class="gratitude-item-content">
+                                ${highlightRanges(record.text, ranges)}
+                                ${getTagChipsHtml(getEntryTags(record))}
+                                ${getAttachmentThumbsHtml(getPhotosOf(photosByDate[date], record.id))}
+                            </div>
+                            ${getEntryActionsHtml({ edit: false, starred: isStarred(record) })}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('')}
+    `;
+}
+
 /**
  * Renders all entries with sorting
  * @param {string} sortBy - 'date' or 'alpha'
+ * @param {Array<string>} [tagFilters] - Only show entries that have all of these tags
+ * @param {string} [searchQuery] - Only show entries matching this search
+ * @param {boolean} [favoritesOnly] - Only show starred entries
+ * @returns {Promise<void>}
  */
-export function renderAllEntries(sortBy = 'date') {
+export async function renderAllEntries(sortBy = 'date', tagFilters = [], searchQuery = '', favoritesOnly = false) {
     const container = document.getElementById('allEntriesList');
     if (!container) return;
     
-    const allEntries = getAllEntries();
+    const favoritesFilterBtn = document.getElementById('favoritesFilterBtn');
+    if (favoritesFilterBtn) {
+        favoritesFilterBtn.classList.toggle('active', favoritesOnly);
+        favoritesFilterBtn.setAttribute('aria-pressed', String(favoritesOnly));
+    }
+    
+    const [allEntries, attachments] = await Promise.all([getAllEntries(), getAllAttachments()]);
+    const photosByDate = groupAttachmentsByDate(attachments);
+    const records = Object.values(allEntries).flat();
+    renderTagFilters(countTags(records), tagFilters);
     
-    if (Object.keys(allEntries).length === 0) {
+    if (records.length === 0) {
         container.innerHTML = '<p class="empty-state">No entries yet. Start adding your gratitude entries!</p>';
         return;
     }
     
+    if (!isEmptySearchQuery(parseSearchQuery(searchQuery))) {
+        await renderSearchResults(searchQuery, tagFilters, favoritesOnly);
+        return;
+    }
+    
     let entriesList = [];
     
     // Flatten all entries into a list with date information
     Object.entries(allEntries).forEach(([date, items]) => {
         items.forEach(item => {
             entriesList.push({
+                id: item.id,
                 date: date,
-                text: item
+                text: item.text,
+                tags: getEntryTags(item),
+                starred: isStarred(item)
             });
         });
     });
     
+    if (favoritesOnly) {
+        entriesList = entriesList.filter(entry => entry.starred);
+        if (entriesList.length === 0) {
+            container.innerHTML = '<p class="empty-state">No favorites yet. Star an entry to keep it here.</p>';
+            return;
+        }
+    }
+    
+    if (tagFilters.length > 0) {
+        entriesList = entriesList.filter(entry => tagFilters.every(tag => entry.tags.includes(tag)));
+        if (entriesList.length === 0) {
+            container.innerHTML = `<p class="empty-state">No ${favoritesOnly ? 'favorites' : 'entries'} have all of these tags</p>`;
+            return;
+        }
+    }
+    
     // Sort entries
     if (sortBy === 'alpha') {
         entriesList.sort((a, b) => a.text.localeCompare(b.text));
@@ -357,7 +1228,7 @@ export function renderAllEntries(sortBy = 'date') {
             if (!grouped[entry.date]) {
                 grouped[entry.date] = [];
             }
-            grouped[entry.date].push(entry.text);
+            grouped[entry.date].push(entry);
         });
         
         container.innerHTML = Object.entries(grouped)
@@ -367,9 +1238,17 @@ export function renderAllEntries(sortBy = 'date') {
                     <div class="date-header">${formatDateDisplay(date)}</div>
                     <ul class="gratitude-list">
                         ${items.map(item => `
-                            <li class="gratitude-item">${escapeHtml(item)}</li>
+                            <li class="gratitude-item" data-date="${date}" data-id="${item.id}">
+                                <div class="gratitude-item-content">
+                                    ${getEntryTextHtml(item.text)}
+                                    ${getTagChipsHtml(item.tags)}
+                                    ${getAttachmentThumbsHtml(getPhotosOf(photosByDate[date], item.id))}
+                                </div>
+                                ${getEntryActionsHtml({ edit: false, starred: item.starred })}
+                            </li>
                         `).join('')}
                     </ul>
+                    ${getAttachmentThumbsHtml(getPhotosOf(photosByDate[date]))}
                 </div>
             `).join('');
     } else {
@@ -377,9 +1256,14 @@ export function renderAllEntries(sortBy = 'date') {
         container.innerHTML = `
             <ul class="gratitude-list">
                 ${entriesList.map(entry => `
-                    <li class="gratitude-item">
-                        <div class="gratitude-item-text">${escapeHtml(entry.text)}</div>
-                        <div class="gratitude-item-date">${formatDateDisplay(entry.date)}</div>
+                    <li class="gratitude-item" data-date="${entry.date}" data-id="${entry.id}">
+                        <div class="gratitude-item-content">
+                            <div class="gratitude-item-text">${getEntryTextHtml(entry.text)}</div>
+                            <div class="gratitude-item-date">${formatDateDisplay(entry.date)}</div>
+                            ${getTagChipsHtml(entry.tags)}
+                            ${getAttachmentThumbsHtml(getPhotosOf(photosByDate[entry.date], entry.id))}
+                        </div>
+                        ${getEntryActionsHtml({ edit: false, starred: entry.starred })}
                     </li>
                 `).join('')}
             </ul>
@@ -387,22 +1271,50 @@ export function renderAllEntries(sortBy = 'date') {
     }
 }
 
+/**
+ * Picks the day shown as the random memory
+ * With the favorites preference on, only days with a starred entry are picked, if there are any.
+ * @param {Object} allEntries - Object with date keys and array of entries
+ * @returns {string|null} Date string in YYYY-MM-DD format, or null if there are no entries
+ */
+function pickRandomHighlightDate(allEntries) {
+    if (getSetting('randomHighlightFavorites')) {
+        const favoriteDays = Object.fromEntries(Object.entries(allEntries).filter(([, entries]) => entries.some(isStarred)));
+        const favoriteDate = getRandomDateFromEntries(favoriteDays);
+        if (favoriteDate) {
+            return favoriteDate;
+        }
+    }
+    return getRandomDateFromEntries(allEntries);
+}
+
+/**
+ * Builds the text of a highlighted entry, marking favorites with a star
+ * @param {Object} entry - Entry record
+ * @returns {string} HTML string for the text
+ */
+function getHighlightTextHtml(entry) {
+    return `${isStarred(entry) ? '<span class="highlight-star" aria-label="Favorite">★</span> ' : ''}${getEntryTextHtml(entry.text)}`;
+}
+
 /**
  * Renders random highlight at the top
+ * @returns {Promise<void>}
  */
-export function renderRandomHighlight() {
+export async function renderRandomHighlight() {
     const container = document.getElementById('randomHighlight');
     if (!container) return;
     
-    const allEntries = getAllEntries();
-    const randomDate = getRandomDateFromEntries(allEntries);
+    const [allEntries, attachments] = await Promise.all([getAllEntries(), getAllAttachments()]);
+    const photosByDate = groupAttachmentsByDate(attachments);
+    const randomDate = pickRandomHighlightDate(allEntries);
     
     if (!randomDate) {
         container.innerHTML = '<p class="empty-state">No entries yet. Start adding your gratitude entries!</p>';
         return;
     }
     
-    const entries = getEntriesByDate(randomDate);
+    const entries = allEntries[randomDate] || [];
     if (entries.length === 0) {
         container.innerHTML = '<p class="empty-state">No entries yet. Start adding your gratitude entries!</p>';
         return;
@@ -412,27 +1324,70 @@ export function renderRandomHighlight() {
         <div class="random-highlight-date">${formatDateDisplay(randomDate)}</div>
         <ul class="gratitude-list">
             ${entries.map(entry => `
-                <li class="gratitude-item">${escapeHtml(entry)}</li>
+                <li class="gratitude-item" data-date="${randomDate}" data-id="${entry.id}">${getHighlightTextHtml(entry)}</li>
             `).join('')}
         </ul>
+        ${getAttachmentThumbsHtml(photosByDate[randomDate] || [])}
+    `;
+}
+
+// Starred entries listed on the Favorites card before linking to the rest
+const FAVORITES_SHOWN = 5;
+
+/**
+ * Renders the Favorites card in the highlights view: the most recent starred entries
+ * @param {Object} allEntries - Object with date keys and array of entries
+ */
+function renderFavoritesHighlight(allEntries) {
+    const container = document.getElementById('favoritesHighlight');
+    if (!container) return;
+    
+    const favorites = Object.values(allEntries)
+        .flat()
+        .filter(isStarred)
+        .sort((a, b) => b.date.localeCompare(a.date) || a.createdAt.localeCompare(b.createdAt));
+    
+    if (favorites.length === 0) {
+        container.innerHTML = '<p class="empty-state-small">Star an entry to keep it here</p>';
+        return;
+    }
+    
+    const shown = favorites.slice(0, FAVORITES_SHOWN);
+    container.innerHTML = `
+        <ul class="highlight-list">
+            ${shown.map(entry => `
+                <li class="highlight-item" data-date="${entry.date}" data-id="${entry.id}">
+                    ${escapeHtml(entry.text)}
+                    <div class="gratitude-item-date">${formatDateDisplay(entry.date)}</div>
+                </li>
+            `).join('')}
+        </ul>
+        ${favorites.length > shown.length ? `<button type="button" class="show-favorites-btn">See all ${favorites.length} favorites</button>` : ''}
     `;
 }
 
 /**
  * Renders historical highlights
+ * @returns {Promise<void>}
  */
-export function renderHistoricalHighlights() {
-    const allEntries = getAllEntries();
+export async function renderHistoricalHighlights() {
+    const [allEntries, attachments] = await Promise.all([getAllEntries(), getAllAttachments()]);
+    const photosByDate = groupAttachmentsByDate(attachments);
     
     // Render random highlight
+    const randomFavoritesToggle = document.getElementById('randomFavoritesToggle');
+    if (randomFavoritesToggle) {
+        randomFavoritesToggle.checked = Boolean(getSetting('randomHighlightFavorites'));
+    }
+    
     const randomContainer = document.getElementById('randomHighlight');
     if (randomContainer) {
-        const randomDate = getRandomDateFromEntries(allEntries);
+        const randomDate = pickRandomHighlightDate(allEntries);
         
         if (!randomDate) {
             randomContainer.innerHTML = '<p class="empty-state-small">No entries</p>';
         } else {
-            const entries = getEntriesByDate(randomDate);
+            const entries = allEntries[randomDate] || [];
             if (entries.length === 0) {
                 randomContainer.innerHTML = '<p class="empty-state-small">No entries</p>';
             } else {
@@ -440,20 +1395,23 @@ export function renderHistoricalHighlights() {
                     <div class="highlight-date">${formatDateDisplay(randomDate)}</div>
                     <ul class="highlight-list">
                         ${entries.map(entry => `
-                            <li class="highlight-item">${escapeHtml(entry)}</li>
+                            <li class="highlight-item" data-date="${randomDate}" data-id="${entry.id}">${getHighlightTextHtml(entry)}</li>
                         `).join('')}
                     </ul>
+                    ${getAttachmentThumbsHtml(photosByDate[randomDate] || [])}
                 `;
             }
         }
     }
     
+    renderFavoritesHighlight(allEntries);
+    
     // Helper function to render a highlight
     const renderHighlight = (containerId, dateString, label) => {
         const container = document.getElementById(containerId);
         if (!container) return;
         
-        let entries = getEntriesByDate(dateString);
+        let entries = allEntries[dateString] || [];
         let displayDate = dateString;
         let isFallback = false;
         
@@ -462,7 +1420,7 @@ export function renderHistoricalHighlights() {
             const nearestDate = findNearestDateWithEntries(dateString, allEntries);
             if (nearestDate) {
                 displayDate = nearestDate;
-                entries = getEntriesByDate(nearestDate);
+                entries = allEntries[nearestDate];
                 isFallback = true;
             } else {
                 container.innerHTML = '<p class="empty-state-small">No entries</p>';
@@ -486,9 +1444,10 @@ export function renderHistoricalHighlights() {
             ${dateDisplay}
             <ul class="highlight-list">
                 ${entries.map(entry => `
-                    <li class="highlight-item">${escapeHtml(entry)}</li>
+                    <li class="highlight-item" data-date="${displayDate}" data-id="${entry.id}">${getHighlightTextHtml(entry)}</li>
                 `).join('')}
             </ul>
+            ${getAttachmentThumbsHtml(photosByDate[displayDate] || [])}
         `;
     };
     
@@ -502,11 +1461,14 @@ export function renderHistoricalHighlights() {
 
 /**
  * Renders insights statistics
+ * @returns {Promise<void>}
  */
-export function renderInsights() {
-    const totalEntries = getTotalEntryCount();
-    const daysCompleted = getDaysWithEntriesCount();
-    const longestStreak = calculateLongestStreak();
+export async function renderInsights() {
+    const [totalEntries, daysCompleted, longestStreak] = await Promise.all([
+        getTotalEntryCount(),
+        getCompleteDaysCount(),
+        calculateLongestStreak()
+    ]);
     
     const totalEntriesStat = document.getElementById('totalEntriesStat');
     const daysCompletedStat = document.getElementById('daysCompletedStat');
@@ -525,7 +1487,7 @@ export function renderInsights() {
     }
     
     // Render most frequent entries
-    const frequentEntries = getMostFrequentEntries(5);
+    const frequentEntries = await getMostFrequentEntries(5);
     const frequentEntriesList = document.getElementById('frequentEntriesList');
     if (frequentEntriesList) {
         if (frequentEntries.length === 0) {
@@ -544,8 +1506,10 @@ export function renderInsights() {
         }
     }
     
-    // Render most frequent words
-    const frequentWords = getMostFrequentWords(10);
+    await renderPromptInsights();
+    
+    // Render most frequent words and tags
+    const { words: frequentWords, tags: frequentTags, people: frequentPeople } = await getMostFrequentWords(10);
     const frequentWordsList = document.getElementById('frequentWordsList');
     if (frequentWordsList) {
         if (frequentWords.length === 0) {
@@ -563,15 +1527,449 @@ export function renderInsights() {
             `;
         }
     }
+    
+    const frequentPeopleList = document.getElementById('frequentPeopleList');
+    if (frequentPeopleList) {
+        if (frequentPeople.length === 0) {
+            frequentPeopleList.innerHTML = '<p class="empty-state-small">No one mentioned yet</p>';
+        } else {
+            frequentPeopleList.innerHTML = `
+                <ul class="frequent-list">
+                    ${frequentPeople.map(person => `
+                        <li class="frequent-item">
+                            <button type="button" class="mention-chip" data-person="${person.key}">@${escapeHtml(person.name)}</button>
+                            <span class="frequent-count">${person.count}x</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+    }
+    
+    await renderMoodInsights();
+    
+    const frequentTagsList = document.getElementById('frequentTagsList');
+    if (frequentTagsList) {
+        if (frequentTags.length === 0) {
+            frequentTagsList.innerHTML = '<p class="empty-state-small">No tags yet</p>';
+        } else {
+            frequentTagsList.innerHTML = `
+                <ul class="frequent-list">
+                    ${frequentTags.map(tag => `
+                        <li class="frequent-item">
+                            <span class="frequent-text">#${escapeHtml(tag.tag)}</span>
+                            <span class="frequent-count">${tag.count}x</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+    }
+}
+
+/**
+ * Renders which prompts led to the longest answers into the insights view
+ * @returns {Promise<void>}
+ */
+async function renderPromptInsights() {
+    const container = document.getElementById('promptInsights');
+    if (!container) return;
+    
+    const { prompts, unprompted } = getPromptRichness(Object.values(await getAllEntries()).flat());
+    if (prompts.length === 0) {
+        container.innerHTML = '<p class="empty-state-small">Answer the daily prompt on the Today screen a few times to compare prompts here</p>';
+        return;
+    }
+    
+    const formatAverage = (average) => `${average.toFixed(1)} words`;
+    container.innerHTML = `
+        <ul class="frequent-list">
+            ${prompts.slice(0, 10).map(prompt => `
+                <li class="frequent-item">
+                    <span class="frequent-text">${escapeHtml(prompt.text)}</span>
+                    <span class="frequent-count" title="${prompt.answers} answers">${formatAverage(prompt.averageWords)}</span>
+                </li>
+            `).join('')}
+        </ul>
+        ${unprompted ? `<p class="recovery-note">Entries written without a prompt average ${formatAverage(unprompted.averageWords)}.</p>` : ''}
+    `;
+}
+
+/**
+ * Builds a list of average moods drawn as bars
+ * @param {Array<import('../utils/moodUtils.js').MoodAverage>} averages - Averages to show
+ * @param {function(string): string} formatKey - Gives the label of a group
+ * @returns {string} HTML string for the list
+ */
+function getMoodBarsHtml(averages, formatKey) {
+    const lowest = MOOD_SCALE[0].value;
+    const range = MOOD_SCALE[MOOD_SCALE.length - 1].value - lowest;
+    return `
+        <ul class="mood-bars">
+            ${averages.map(({ key, average, days }) => `
+                <li class="mood-bar-row" title="${days} ${days === 1 ? 'day' : 'days'}">
+                    <span class="mood-bar-label">${escapeHtml(formatKey(key))}</span>
+                    <span class="mood-bar"><span class="mood-bar-fill" style="width: ${average === null ? 0 : Math.round(((average - lowest) / range) * 100)}%"></span></span>
+                    <span class="mood-bar-value">${average === null ? '–' : `${average.toFixed(1)} ${getMoodOption(Math.round(average)).emoji}`}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Describes a correlation between entry counts and mood in words
+ * @param {number|null} correlation - Correlation coefficient, or null if unknown
+ * @returns {string} Sentence for the insights view
+ */
+function describeMoodCorrelation(correlation) {
+    if (correlation === null) {
+        return 'Rate a few more days to see how your mood and your gratitude entries relate.';
+    }
+    const strength = Math.abs(correlation) >= 0.5 ? 'clearly' : 'slightly';
+    if (correlation >= 0.2) {
+        return `On days with more gratitude entries, your mood is ${strength} better (r = ${correlation.toFixed(2)}).`;
+    }
+    if (correlation <= -0.2) {
+        return `On days with more gratitude entries, your mood is ${strength} lower (r = ${correlation.toFixed(2)}).`;
+    }
+    return `Your mood doesn't follow how many gratitude entries you write (r = ${correlation.toFixed(2)}).`;
+}
+
+/**
+ * Renders mood averages by week, month and weekday, and how mood relates to the number of entries
+ * @returns {Promise<void>}
+ */
+async function renderMoodInsights() {
+    const container = document.getElementById('moodInsights');
+    if (!container) return;
+    
+    const [moods, allEntries] = await Promise.all([getMoods(), getAllEntries()]);
+    const ratings = Object.values(moods);
+    if (ratings.length === 0) {
+        container.innerHTML = '<p class="empty-state-small">Rate your mood on the Today screen to see trends here</p>';
+        return;
+    }
+    
+    const entryCounts = {};
+    Object.entries(allEntries).forEach(([date, entries]) => {
+        entryCounts[date] = entries.length;
+    });
+    const overall = ratings.reduce((sum, mood) => sum + mood, 0) / ratings.length;
+    const { groups, correlation } = getMoodByEntryCount(moods, entryCounts);
+    const formatMonth = key => new Date(key + '-01T00:00:00').toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    const formatWeek = key => `Week of ${new Date(key + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+    
+    container.innerHTML = `
+        <p class="mood-summary">
+            <span class="mood-summary-emoji">${getMoodOption(Math.round(overall)).emoji}</span>
+            Average ${overall.toFixed(1)} over ${ratings.length} ${ratings.length === 1 ? 'day' : 'days'}
+        </p>
+        <h4 class="mood-insights-title">By week</h4>
+        ${getMoodBarsHtml(getWeeklyMoodAverages(moods), formatWeek)}
+        <h4 class="mood-insights-title">By month</h4>
+        ${getMoodBarsHtml(getMonthlyMoodAverages(moods), formatMonth)}
+        <h4 class="mood-insights-title">By weekday</h4>
+        ${getMoodBarsHtml(getWeekdayMoodAverages(moods), key => key)}
+        <h4 class="mood-insights-title">Mood and gratitude entries</h4>
+        ${getMoodBarsHtml(groups, key => `${key} ${key === '1' ? 'entry' : 'entries'}`)}
+        <p class="recovery-note">${describeMoodCorrelation(correlation)}</p>
+    `;
+}
+
+/**
+ * Renders the trash view with deleted entries
+ * @returns {Promise<void>}
+ */
+export async function renderTrash() {
+    const container = document.getElementById('trashList');
+    if (!container) return;
+    
+    const retentionDays = getSetting('trashRetentionDays');
+    const retentionSelect = document.getElementById('trashRetentionSelect');
+    if (retentionSelect) {
+        retentionSelect.value = String(retentionDays);
+    }
+    
+    const trashed = await getTrashedEntries();
+    const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    if (emptyTrashBtn) {
+        emptyTrashBtn.disabled = trashed.length === 0;
+    }
+    
+    if (trashed.length === 0) {
+        container.innerHTML = '<p class="empty-state">The trash is empty</p>';
+        return;
+    }
+    
+    // Describe when an entry was deleted and when it will be purged
+    const describeDeletion = (deletedAt) => {
+        const daysAgo = Math.floor((Date.now() - new Date(deletedAt).getTime()) / (1000 * 60 * 60 * 24));
+        const deleted = daysAgo === 0 ? 'Deleted today' : `Deleted ${daysAgo} day${daysAgo === 1 ? '' : 's'} ago`;
+        if (!retentionDays) {
+            return deleted;
+        }
+        const daysLeft = Math.max(retentionDays - daysAgo, 0);
+        return `${deleted} · removed in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    };
+    
+    container.innerHTML = `
+        <ul class="gratitude-list">
+            ${trashed.map(entry => `
+                <li class="gratitude-item trash-item" data-date="${entry.date}" data-id="${entry.id}">
+                    <div class="gratitude-item-content">
+                        <div class="gratitude-item-text">${escapeHtml(entry.text)}</div>
+                        <div class="gratitude-item-date">${formatDateDisplay(entry.date)}</div>
+                        <div class="gratitude-item-date">${describeDeletion(entry.deletedAt)}</div>
+                    </div>
+                    <div class="gratitude-item-actions">
+                        <button type="button" class="restore-btn" aria-label="Restore entry">Restore</button>
+                        <button type="button" class="purge-btn" aria-label="Delete entry forever">Delete</button>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Renders the edit history of an entry into the history modal
+ * The current version is listed first, followed by earlier versions, newest first.
+ * @param {Object} entry - Entry record whose history to show
+ */
+export function renderEntryHistory(entry) {
+    const container = document.getElementById('entryHistoryList');
+    if (!container) return;
+    
+    const revisions = (entry.revisions || [])
+        .map((revision, index) => ({ ...revision, index }))
+        .reverse();
+    
+    // Say where the entry was written when that was away from the journal's time zone
+    const timeZone = entry.meta && entry.meta.timeZone;
+    const writtenElsewhere = isValidTimeZone(timeZone) && timeZone !== getJournalTimeZone();
+    
+    container.innerHTML = `
+        <ul class="gratitude-list">
+            <li class="gratitude-item history-item history-item-current">
+                <div class="gratitude-item-content">
+                    <div class="gratitude-item-text">${escapeHtml(entry.text)}</div>
+                    <div class="gratitude-item-date">Current version · ${formatTimestamp(entry.updatedAt)}</div>
+                    ${writtenElsewhere ? `<div class="gratitude-item-date">Written ${formatTimestamp(entry.createdAt, timeZone)} in ${escapeHtml(timeZone.replace(/_/g, ' '))}</div>` : ''}
+                </div>
+            </li>
+            ${revisions.map(revision => `
+                <li class="gratitude-item history-item" data-id="${entry.id}" data-revision-index="${revision.index}">
+                    <div class="gratitude-item-content">
+                        <div class="gratitude-item-text">${escapeHtml(revision.text)}</div>
+                        <div class="gratitude-item-date">${formatTimestamp(revision.updatedAt)}</div>
+                    </div>
+                    <div class="gratitude-item-actions">
+                        <button type="button" class="restore-revision-btn" aria-label="Restore this version">Restore</button>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+        ${revisions.length === 0 ? '<p class="empty-state">This entry has not been edited</p>' : ''}
+    `;
+}
+
+/**
+ * Renders the encryption settings for the current state
+ */
+export function renderEncryption() {
+    const enabled = isEncryptionEnabled();
+    
+    const status = document.getElementById('encryptionStatus');
+    if (status) {
+        status.textContent = enabled
+            ? 'Your journal is encrypted. It can only be opened with your passphrase.'
+            : 'Your journal is stored unencrypted on this device. Turn on encryption to protect it with a passphrase.';
+    }
+    
+    const buttonStates = {
+        enableEncryptionBtn: !enabled,
+        changePassphraseBtn: enabled,
+        disableEncryptionBtn: enabled
+    };
+    Object.entries(buttonStates).forEach(([buttonId, visible]) => {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.style.display = visible ? '' : 'none';
+        }
+    });
+}
+
+/**
+ * Renders the app lock settings
+ */
+export function renderAppLock() {
+    const enabled = isAppLockEnabled();
+    const supported = isCryptoSupported();
+    
+    const status = document.getElementById('appLockStatus');
+    if (status) {
+        if (!supported) {
+            status.textContent = 'App lock needs a secure (HTTPS) connection, which this page does not have.';
+        } else {
+            status.textContent = enabled
+                ? 'The app asks for your PIN before showing your journal.'
+                : 'Anyone using this device can open your journal. Set a PIN to lock the app.';
+        }
+    }
+    
+    const idleSelect = document.getElementById('appLockIdleSelect');
+    if (idleSelect) {
+        idleSelect.value = String(getSetting('appLockIdleMinutes'));
+        idleSelect.disabled = !enabled;
+    }
+    
+    const buttonStates = {
+        setAppLockBtn: !enabled && supported,
+        lockNowBtn: enabled,
+        changeAppLockBtn: enabled && supported,
+        removeAppLockBtn: enabled
+    };
+    Object.entries(buttonStates).forEach(([buttonId, visible]) => {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.style.display = visible ? '' : 'none';
+        }
+    });
+}
+
+// How each kind of snapshot is described in the list
+const SNAPSHOT_REASON_LABELS = {
+    daily: 'Daily snapshot',
+    manual: 'Taken manually',
+    import: 'Before import',
+    salvage: 'Before salvaging entries',
+    restore: 'Before restoring a snapshot',
+    migration: 'Before an app update'
+};
+
+/**
+ * Renders the list of automatic snapshots and the retention settings
+ * @returns {Promise<void>}
+ */
+export async function renderSnapshots() {
+    const container = document.getElementById('snapshotsList');
+    if (!container) return;
+    
+    const dailySelect = document.getElementById('snapshotDailySelect');
+    if (dailySelect) {
+        dailySelect.value = String(getSetting('snapshotDailyCount'));
+    }
+    const weeklySelect = document.getElementById('snapshotWeeklySelect');
+    if (weeklySelect) {
+        weeklySelect.value = String(getSetting('snapshotWeeklyCount'));
+    }
+    
+    const snapshots = await listSnapshots();
+    if (snapshots.length === 0) {
+        container.innerHTML = '<p class="empty-state">No snapshots yet. One is taken automatically each day you use the app.</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <ul class="gratitude-list">
+            ${snapshots.map(snapshot => `
+                <li class="gratitude-item snapshot-item">
+                    <div class="gratitude-item-content">
+                        <div class="gratitude-item-text">${formatTimestamp(snapshot.takenAt)}</div>
+                        <div class="gratitude-item-date">${SNAPSHOT_REASON_LABELS[snapshot.reason] || 'Snapshot'} · ${snapshot.entryCount} ${snapshot.entryCount === 1 ? 'entry' : 'entries'}</div>
+                    </div>
+                    <div class="gratitude-item-actions">
+                        <button type="button" class="preview-snapshot-btn" data-id="${snapshot.id}" aria-label="Preview snapshot">Preview</button>
+                        <button type="button" class="restore-snapshot-btn" data-id="${snapshot.id}" aria-label="Restore snapshot">Restore</button>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Renders a snapshot's entries into the preview modal, newest day first
+ * @param {Object} snapshot - Snapshot summary with its `entries` object
+ */
+export function renderSnapshotPreview(snapshot) {
+    const title = document.getElementById('snapshotPreviewTitle');
+    if (title) {
+        title.textContent = `Snapshot of ${formatTimestamp(snapshot.takenAt)}`;
+    }
+    
+    const container = document.getElementById('snapshotPreviewList');
+    if (!container) return;
+    
+    const dates = Object.keys(snapshot.entries).sort((a, b) => b.localeCompare(a));
+    container.innerHTML = `
+        <button type="button" class="restore-snapshot-btn snapshot-preview-restore" data-id="${snapshot.id}">Restore this snapshot</button>
+        ${dates.map(date => `
+            <div class="date-group">
+                <div class="date-header">${formatDateDisplay(date)}</div>
+                <ul class="gratitude-list">
+                    ${snapshot.entries[date].map(entry => `
+                        <li class="gratitude-item">
+                            ${getEntryContentHtml(entry)}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Renders the recovery screen for quarantined data
+ * @param {Array<Object>} quarantine - Quarantined data, oldest first
+ * @param {Object|null} snapshot - Summary of the most recent snapshot, if any
+ */
+export function renderRecovery(quarantine, snapshot) {
+    const problems = document.getElementById('recoveryProblems');
+    if (problems) {
+        problems.innerHTML = quarantine.map(data => `
+            <li class="recovery-problem">
+                <span>${escapeHtml(data.reason)}</span>
+                <span class="recovery-problem-date">Set aside ${formatTimestamp(data.quarantinedAt)}</span>
+            </li>
+        `).join('');
+    }
+    
+    const restoreSnapshotBtn = document.getElementById('restoreSnapshotBtn');
+    if (restoreSnapshotBtn) {
+        restoreSnapshotBtn.disabled = !snapshot;
+        restoreSnapshotBtn.setAttribute('data-id', snapshot ? snapshot.id : '');
+    }
+    
+    const snapshotInfo = document.getElementById('recoverySnapshotInfo');
+    if (snapshotInfo) {
+        snapshotInfo.textContent = snapshot
+            ? `Last snapshot: ${formatTimestamp(snapshot.takenAt)}, ${snapshot.entryCount} ${snapshot.entryCount === 1 ? 'entry' : 'entries'}`
+            : 'No automatic snapshot is available';
+    }
+    
+    const salvageBtn = document.getElementById('salvageBtn');
+    const downloadRawBtn = document.getElementById('downloadRawBtn');
+    const discardQuarantineBtn = document.getElementById('discardQuarantineBtn');
+    [salvageBtn, downloadRawBtn, discardQuarantineBtn].forEach(button => {
+        if (button) {
+            button.disabled = quarantine.length === 0;
+        }
+    });
 }
 
 /**
  * Renders all views (today entries, date display, and streak)
+ * @returns {Promise<void>}
  */
-export function renderAll() {
+export async function renderAll() {
     renderDateDisplay();
-    renderStreak();
-    renderTodayEntries();
+    renderJournalSwitcher();
+    await Promise.all([
+        renderStreak(),
+        renderTodayEntries()
+    ]);
     // Historical highlights are rendered when the modal opens
 }
 
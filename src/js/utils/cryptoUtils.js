@@ -0,0 +1,173 @@
+/**
+ * Encryption utility functions (WebCrypto)
+ * Keys are derived from passphrases with PBKDF2-SHA-256, and data is encrypted with AES-GCM.
+ */
+
+// OWASP's recommended minimum for PBKDF2-SHA-256
+export const PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const DATA_KEY_BYTES = 32;
+
+/**
+ * Data encrypted with AES-GCM
+ * @typedef {Object} EncryptedPayload
+ * @property {Uint8Array} iv - Initialization vector, unique per encryption
+ * @property {ArrayBuffer} data - Ciphertext including the authentication tag
+ */
+
+/**
+ * Checks that WebCrypto is available (it requires a secure context, e.g. HTTPS)
+ * @returns {boolean} True if encryption is supported
+ */
+export function isCryptoSupported() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * Generates cryptographically random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+export function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Generates a random salt for key derivation
+ * @returns {Uint8Array} Salt
+ */
+export function generateSalt() {
+    return randomBytes(SALT_BYTES);
+}
+
+/**
+ * Generates the raw bytes of a random AES-256 key
+ * @returns {Uint8Array} Key bytes
+ */
+export function generateKeyBytes() {
+    return randomBytes(DATA_KEY_BYTES);
+}
+
+/**
+ * Derives an AES-GCM key from a passphrase
+ * @param {string} passphrase - Passphrase typed by the user
+ * @param {Uint8Array} salt - Random salt stored alongside the encrypted data
+ * @param {number} [iterations] - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Promise resolving to the derived key
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Derives a hash of a secret with PBKDF2-SHA-256, e.g. to check a PIN without storing it
+ * @param {string} secret - Secret typed by the user
+ * @param {Uint8Array} salt - Random salt stored alongside the hash
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Uint8Array>} Promise resolving to 32 derived bytes
+ */
+export async function deriveBits(secret, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+    return new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, baseKey, 256));
+}
+
+/**
+ * Compares two byte arrays in time that does not depend on where they differ
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {boolean} True if the arrays are equal
+ */
+export function bytesEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a[i] ^ b[i];
+    }
+    return difference === 0;
+}
+
+/**
+ * Imports raw key bytes as a non-extractable AES-GCM key
+ * @param {Uint8Array} keyBytes - Raw key bytes
+ * @returns {Promise<CryptoKey>} Promise resolving to the key
+ */
+export function importKey(keyBytes) {
+    return crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypts bytes
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {BufferSource} bytes - Data to encrypt
+ * @returns {Promise<EncryptedPayload>} Promise resolving to the encrypted payload
+ */
+export async function encryptBytes(key, bytes) {
+    const iv = randomBytes(IV_BYTES);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv, data };
+}
+
+/**
+ * Decrypts bytes
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {EncryptedPayload} payload - Encrypted payload
+ * @returns {Promise<ArrayBuffer>} Promise resolving to the decrypted data
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+export function decryptBytes(key, payload) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: payload.iv }, key, payload.data);
+}
+
+/**
+ * Encrypts a JSON-serializable value
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<EncryptedPayload>} Promise resolving to the encrypted payload
+ */
+export function encryptJson(key, value) {
+    return encryptBytes(key, new TextEncoder().encode(JSON.stringify(value)));
+}
+
+/**
+ * Decrypts a value encrypted with encryptJson
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {EncryptedPayload} payload - Encrypted payload
+ * @returns {Promise<*>} Promise resolving to the decrypted value
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+export async function decryptJson(key, payload) {
+    return JSON.parse(new TextDecoder().decode(await decryptBytes(key, payload)));
+}
+
+/**
+ * Encodes bytes as base64, e.g. to put them in a JSON file
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+export function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function fromBase64(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
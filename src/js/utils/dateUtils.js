@@ -1,51 +1,91 @@
 /**
  * Date utility functions
+ * Date strings carry no time zone; the math on them works the same in any
+ * zone. Which day it is in the journal depends on the settings, so that is
+ * worked out in data/journalDay.js with the helpers here.
  */
 
 /**
- * Formats a date object to YYYY-MM-DD string
- * @param {Date} date - Date object to format
- * @returns {string} Formatted date string
+ * Gets the time zone the device is set to
+ * @returns {string} IANA time zone name, e.g. "Europe/Paris"
  */
-export function formatDate(date) {
-    const d = new Date(date);
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+export function getDeviceTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+        return 'UTC';
+    }
 }
 
 /**
- * Formats a date string for display (Today, Yesterday, or full date)
- * @param {string} dateString - Date string in YYYY-MM-DD format
- * @returns {string} Human-readable date string
+ * Checks whether a time zone name is known to the browser
+ * @param {*} timeZone - Time zone name to check
+ * @returns {boolean} True if dates can be shown in that time zone
  */
-export function formatDateDisplay(dateString) {
-    const date = new Date(dateString + 'T00:00:00');
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    
-    if (formatDate(date) === formatDate(today)) {
-        return 'Today';
-    } else if (formatDate(date) === formatDate(yesterday)) {
-        return 'Yesterday';
-    } else {
-        return date.toLocaleDateString('en-US', { 
-            weekday: 'long', 
-            year: 'numeric', 
-            month: 'long', 
-            day: 'numeric' 
-        });
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
     }
 }
 
 /**
- * Gets today's date as a formatted string
- * @returns {string} Today's date in YYYY-MM-DD format
+ * Gets what a clock in a time zone shows at a moment
+ * @param {Date} date - The moment
+ * @param {string} timeZone - Time zone name
+ * @returns {Date} Local date with the same year, month, day and time as that clock
  */
-export function getTodayDateString() {
-    return formatDate(new Date());
+export function getWallClockTime(date, timeZone) {
+    const fields = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        fields[type] = Number(value);
+    });
+    return new Date(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+}
+
+/**
+ * Gets a moment's time, on the date of the journal day it belongs to
+ * The time is read in the given time zone when there is one. Before the day
+ * start hour, the date is moved back to the day before; the date is moved
+ * rather than the time, so daylight saving changes cannot shift it.
+ * @param {Date} date - The moment
+ * @param {number} dayStartHour - Hour the journal day starts at
+ * @param {string|null} [timeZone=null] - Time zone to read the time in, or null for the device's
+ * @returns {Date} The moment's time, on the journal day's date
+ */
+export function getJournalTime(date, dayStartHour, timeZone = null) {
+    const time = timeZone ? getWallClockTime(date, timeZone) : new Date(date);
+    if (time.getHours() < dayStartHour) {
+        time.setDate(time.getDate() - 1);
+    }
+    return time;
+}
+
+/**
+ * Formats a date object to YYYY-MM-DD string
+ * @param {Date} date - Date object to format
+ * @returns {string} Formatted date string
+ */
+export function formatDate(date) {
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
 }
 
 /**
@@ -87,10 +127,10 @@ function getOrdinalSuffix(day) {
 
 /**
  * Formats a date for header display: "Tuesday 11th, November 2025"
- * @param {Date} date - Date object to format (defaults to today)
+ * @param {Date} date - Date object to format
  * @returns {string} Formatted date string
  */
-export function formatDateHeader(date = new Date()) {
+export function formatDateHeader(date) {
     const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     const months = ['January', 'February', 'March', 'April', 'May', 'June', 
                      'July', 'August', 'September', 'October', 'November', 'December'];
@@ -105,57 +145,6 @@ export function formatDateHeader(date = new Date()) {
     return `${dayOfWeek} ${day}${ordinalSuffix}, ${month} ${year}`;
 }
 
-/**
- * Gets a date string for a specific time period ago
- * @param {number} daysAgo - Number of days ago
- * @returns {string} Date string in YYYY-MM-DD format
- */
-export function getDateDaysAgo(daysAgo) {
-    const date = new Date();
-    date.setDate(date.getDate() - daysAgo);
-    return formatDate(date);
-}
-
-/**
- * Gets a date string for approximately a week ago (7 days)
- * @returns {string} Date string in YYYY-MM-DD format
- */
-export function getLastWeekDate() {
-    return getDateDaysAgo(7);
-}
-
-/**
- * Gets a date string for approximately a month ago (30 days)
- * @returns {string} Date string in YYYY-MM-DD format
- */
-export function getLastMonthDate() {
-    return getDateDaysAgo(30);
-}
-
-/**
- * Gets a date string for approximately 3 months ago (90 days)
- * @returns {string} Date string in YYYY-MM-DD format
- */
-export function getThreeMonthsAgoDate() {
-    return getDateDaysAgo(90);
-}
-
-/**
- * Gets a date string for approximately 6 months ago (180 days)
- * @returns {string} Date string in YYYY-MM-DD format
- */
-export function getSixMonthsAgoDate() {
-    return getDateDaysAgo(180);
-}
-
-/**
- * Gets a date string for approximately 1 year ago (365 days)
- * @returns {string} Date string in YYYY-MM-DD format
- */
-export function getOneYearAgoDate() {
-    return getDateDaysAgo(365);
-}
-
 /**
  * Gets a random date from all available entries
  * @param {Object} allEntries - Object with date keys and array of entries
@@ -237,6 +226,17 @@ export function getCalendarStartDate(date) {
     return startDate;
 }
 
+/**
+ * Gets the first day (Sunday) of the week containing a date
+ * @param {Date} date - Date object
+ * @returns {Date} Start of the week
+ */
+export function getWeekStartDate(date) {
+    const startDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    startDate.setDate(startDate.getDate() - startDate.getDay());
+    return startDate;
+}
+
 /**
  * Gets all dates for a calendar month grid (6 weeks = 42 days)
  * @param {Date} date - Date object for the month to display
@@ -0,0 +1,36 @@
+/**
+ * File download and upload utility functions
+ */
+
+/**
+ * Triggers a download of the given content as a file
+ * @param {string} content - File content
+ * @param {string} filename - Name to save the file as
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads a file selected by the user as text
+ * @param {File} file - File to read
+ * @returns {Promise<string>} Promise resolving to the file content
+ */
+export function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Error reading file'));
+        reader.readAsText(file);
+    });
+}
@@ -13,3 +13,20 @@ export function escapeHtml(text) {
     return div.innerHTML;
 }
 
+
+/**
+ * Escapes text and wraps the given ranges in <mark> elements
+ * @param {string} text - Text to highlight
+ * @param {Array<[number, number]>} ranges - Sorted, non-overlapping [start, end) ranges to mark
+ * @returns {string} Escaped HTML string with highlighted ranges
+ */
+export function highlightRanges(text, ranges) {
+    let html = '';
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        html += escapeHtml(text.slice(position, start));
+        html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(text.slice(position));
+}
@@ -0,0 +1,18 @@
+/**
+ * Identifier utility functions
+ */
+
+/**
+ * Generates a unique identifier for a record
+ * @returns {string} Unique identifier string
+ */
+export function generateId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    
+    // Fallback for browsers without crypto.randomUUID (e.g. insecure contexts)
+    const time = Date.now().toString(36);
+    const random = Math.random().toString(36).slice(2, 10);
+    return `${time}-${random}`;
+}
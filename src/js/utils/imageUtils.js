@@ -0,0 +1,193 @@
+/**
+ * Image utility functions
+ * Photos are re-encoded before they are stored: scaled down, turned upright
+ * according to their EXIF orientation, and so stripped of metadata such as
+ * where they were taken.
+ */
+
+// Stored photos and thumbnails are always JPEGs
+export const IMAGE_TYPE = 'image/jpeg';
+
+// Largest file accepted, before it is scaled down
+export const MAX_FILE_BYTES = 25 * 1024 * 1024;
+
+// Longest side of a stored photo and of its thumbnail, in pixels
+const MAX_IMAGE_SIZE = 2048;
+const THUMBNAIL_SIZE = 320;
+
+const IMAGE_QUALITY = 0.85;
+const THUMBNAIL_QUALITY = 0.75;
+
+// EXIF tag holding the orientation, and the JPEG markers read on the way to it
+const ORIENTATION_TAG = 0x0112;
+const JPEG_START = 0xFFD8;
+const APP1_MARKER = 0xFFE1;
+const START_OF_SCAN = 0xFFDA;
+
+/**
+ * A photo ready to be stored
+ * @typedef {Object} PreparedImage
+ * @property {Blob} image - Upright, scaled-down photo
+ * @property {Blob} thumbnail - Small copy for lists
+ * @property {number} width - Width of the photo in pixels
+ * @property {number} height - Height of the photo in pixels
+ */
+
+/**
+ * Checks that a file is an image
+ * @param {File} file - File picked by the user
+ * @returns {boolean} True if the file claims to be an image
+ */
+export function isImageFile(file) {
+    return Boolean(file && file.type && file.type.startsWith('image/'));
+}
+
+/**
+ * Reads the EXIF orientation of a JPEG
+ * @param {ArrayBuffer} buffer - Contents of the file
+ * @returns {number} Orientation from 1 (upright) to 8, or 1 if the file has none
+ */
+export function readExifOrientation(buffer) {
+    try {
+        const view = new DataView(buffer);
+        if (view.getUint16(0) !== JPEG_START) {
+            return 1;
+        }
+        
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === START_OF_SCAN) {
+                return 1;
+            }
+            // "Exif\0\0", then a TIFF header that says which byte order the tags use
+            if (marker === APP1_MARKER && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+                const tiff = offset + 10;
+                const littleEndian = view.getUint16(tiff) === 0x4949;
+                const firstDirectory = tiff + view.getUint32(tiff + 4, littleEndian);
+                const tagCount = view.getUint16(firstDirectory, littleEndian);
+                for (let i = 0; i < tagCount; i++) {
+                    const tag = firstDirectory + 2 + i * 12;
+                    if (view.getUint16(tag, littleEndian) === ORIENTATION_TAG) {
+                        const orientation = view.getUint16(tag + 8, littleEndian);
+                        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                    }
+                }
+                return 1;
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+        return 1;
+    } catch (error) {
+        // A truncated or unusual file is simply treated as upright
+        return 1;
+    }
+}
+
+/**
+ * Checks whether the browser already turns images upright when drawing them
+ * Browsers that support the image-orientation CSS property also apply it to
+ * canvas drawing, so the EXIF orientation must not be applied a second time.
+ * @returns {boolean} True if images are drawn upright already
+ */
+function browserAppliesOrientation() {
+    return typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports('image-orientation', 'from-image');
+}
+
+/**
+ * Decodes an image file
+ * @param {Blob} blob - Image file
+ * @returns {Promise<HTMLImageElement>} Promise resolving to the loaded image
+ */
+function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('This browser cannot open the image'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Sets up a canvas so an image drawn at the origin comes out upright
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {number} orientation - EXIF orientation from 1 to 8
+ * @param {number} width - Width the image is drawn at
+ * @param {number} height - Height the image is drawn at
+ */
+function applyOrientation(context, orientation, width, height) {
+    switch (orientation) {
+        case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: context.transform(-1, 0, 0, -1, width, height); break;
+        case 4: context.transform(1, 0, 0, -1, 0, height); break;
+        case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: context.transform(0, 1, -1, 0, height, 0); break;
+        case 7: context.transform(0, -1, -1, 0, height, width); break;
+        case 8: context.transform(0, -1, 1, 0, 0, width); break;
+        default: break;
+    }
+}
+
+/**
+ * Draws an image upright and scaled down, and encodes it as a JPEG
+ * @param {HTMLImageElement} img - Loaded image
+ * @param {number} orientation - EXIF orientation still to apply (1 if none)
+ * @param {number} maxSize - Longest side of the result, in pixels
+ * @param {number} quality - JPEG quality from 0 to 1
+ * @returns {Promise<{blob: Blob, width: number, height: number}>} Promise resolving to the encoded image
+ */
+function drawUpright(img, orientation, maxSize, quality) {
+    const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.max(1, Math.round(img.naturalWidth * scale));
+    const height = Math.max(1, Math.round(img.naturalHeight * scale));
+    // Orientations 5 to 8 turn the image on its side
+    const turned = orientation >= 5;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = turned ? height : width;
+    canvas.height = turned ? width : height;
+    const context = canvas.getContext('2d');
+    // JPEGs have no transparency; show see-through parts on white rather than black
+    context.fillStyle = '#FFFFFF';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    applyOrientation(context, orientation, width, height);
+    context.drawImage(img, 0, 0, width, height);
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve({ blob, width: canvas.width, height: canvas.height });
+            } else {
+                reject(new Error('Could not save the image'));
+            }
+        }, IMAGE_TYPE, quality);
+    });
+}
+
+/**
+ * Turns a picked file into a photo ready to be stored, with a thumbnail
+ * @param {File} file - Image file picked by the user
+ * @returns {Promise<PreparedImage>} Promise resolving to the prepared photo
+ * @throws {Error} If the file is not an image, is too large, or cannot be opened
+ */
+export async function prepareImage(file) {
+    if (!isImageFile(file)) {
+        throw new Error(`${file.name} is not an image`);
+    }
+    if (file.size > MAX_FILE_BYTES) {
+        throw new Error(`${file.name} is larger than ${MAX_FILE_BYTES / (1024 * 1024)} MB`);
+    }
+    
+    const orientation = browserAppliesOrientation() ? 1 : readExifOrientation(await file.arrayBuffer());
+    const img = await loadImage(file);
+    const image = await drawUpright(img, orientation, MAX_IMAGE_SIZE, IMAGE_QUALITY);
+    const thumbnail = await drawUpright(img, orientation, THUMBNAIL_SIZE, THUMBNAIL_QUALITY);
+    return { image: image.blob, thumbnail: thumbnail.blob, width: image.width, height: image.height };
+}
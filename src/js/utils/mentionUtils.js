@@ -0,0 +1,156 @@
+/**
+ * Mention utility functions
+ * People are mentioned in an entry's text as @Name. Each person is known by a
+ * key: the name lowercased with everything but letters and digits removed, so
+ * "@Mom", "@mom" and "@MOM" are the same person. Different names for the same
+ * person ("@Mother" and "@Mom") are joined by aliases, which map a key to the
+ * key of the person it was merged into.
+ */
+
+// A mention starts with a letter, and the "@" must not follow a word, so email addresses are not mentions
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_&/@.])@(\p{L}[\p{L}\p{N}_-]*)/gu;
+
+/**
+ * A person mentioned in the journal
+ * @typedef {Object} Person
+ * @property {string} key - Person key (see normalizePersonKey)
+ * @property {string} name - Name to show
+ * @property {number} count - Number of entries mentioning the person under any of their names
+ * @property {Array<string>} aliases - Keys of the other names merged into this person
+ */
+
+/**
+ * Gets the key a mentioned name is known by
+ * @param {string} name - Name with or without a leading "@"
+ * @returns {string} Person key, or an empty string if nothing usable remains
+ */
+export function normalizePersonKey(name) {
+    return String(name)
+        .trim()
+        .replace(/^@+/, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Turns a mention as written into a name to show, e.g. "Aunt_Jo" into "Aunt Jo"
+ * @param {string} mention - Mention without the "@"
+ * @returns {string} Display name
+ */
+function toDisplayName(mention) {
+    return mention.replace(/[_-]+$/, '').replace(/_/g, ' ');
+}
+
+/**
+ * Finds the @mentions in a piece of text
+ * @param {string} text - Entry text
+ * @returns {Array<{key: string, name: string}>} Mentioned people, each once, in the order they appear
+ */
+export function extractMentions(text) {
+    const mentions = new Map();
+    [...String(text).matchAll(MENTION_PATTERN)].forEach(match => {
+        const key = normalizePersonKey(match[2]);
+        if (key && !mentions.has(key)) {
+            mentions.set(key, { key, name: toDisplayName(match[2]) });
+        }
+    });
+    return [...mentions.values()];
+}
+
+/**
+ * Removes @mentions from a piece of text, e.g. to count the remaining plain words
+ * @param {string} text - Entry text
+ * @returns {string} Text with mentions replaced by spaces
+ */
+export function removeMentions(text) {
+    return String(text).replace(MENTION_PATTERN, '$1 ');
+}
+
+/**
+ * Writes @mentions as plain names, e.g. "lunch with @Aunt_Jo" as "lunch with Aunt Jo"
+ * @param {string} text - Entry text
+ * @returns {string} Text without "@" marks
+ */
+export function formatMentions(text) {
+    return String(text).replace(MENTION_PATTERN, (match, before, mention) => `${before}${toDisplayName(mention)}`);
+}
+
+/**
+ * Replaces @mentions in HTML-escaped text with links to each person's timeline
+ * @param {string} html - Escaped entry text
+ * @param {Object<string, string>} [aliases] - Merged keys mapped to the key they were merged into
+ * @returns {string} HTML with mention buttons
+ */
+export function linkMentions(html, aliases = {}) {
+    return String(html).replace(MENTION_PATTERN, (match, before, mention) => {
+        const key = resolvePersonKey(normalizePersonKey(mention), aliases);
+        return key ? `${before}<button type="button" class="mention-chip" data-person="${key}">@${mention}</button>` : match;
+    });
+}
+
+/**
+ * Follows aliases to the person a key now belongs to
+ * @param {string} key - Person key
+ * @param {Object<string, string>} [aliases] - Merged keys mapped to the key they were merged into
+ * @returns {string} Key of the person
+ */
+export function resolvePersonKey(key, aliases = {}) {
+    const seen = new Set();
+    let resolved = key;
+    // Guard against a loop left behind by merges made in two tabs at once
+    while (aliases[resolved] && !seen.has(resolved)) {
+        seen.add(resolved);
+        resolved = aliases[resolved];
+    }
+    return resolved;
+}
+
+/**
+ * Gets the people an entry mentions, after merging aliases
+ * @param {Object} entry - Entry record
+ * @param {Object<string, string>} [aliases] - Merged keys mapped to the key they were merged into
+ * @returns {Array<string>} Unique person keys
+ */
+export function getEntryPeople(entry, aliases = {}) {
+    return [...new Set(extractMentions(entry.text).map(({ key }) => resolvePersonKey(key, aliases)))];
+}
+
+/**
+ * Collects everyone mentioned in a set of entries
+ * A person is shown by the name chosen for them, or else by the first way their own
+ * name was written, or else by the first way one of their aliases was written.
+ * @param {Array<Object>} entries - Entry records
+ * @param {{aliases: Object<string, string>, names: Object<string, string>}} index - Aliases and chosen names
+ * @returns {Array<Person>} People, most mentioned first
+ */
+export function countPeople(entries, { aliases = {}, names = {} } = {}) {
+    const people = new Map();
+    entries.forEach(entry => {
+        const counted = new Set();
+        extractMentions(entry.text).forEach(({ key, name }) => {
+            const personKey = resolvePersonKey(key, aliases);
+            if (!people.has(personKey)) {
+                people.set(personKey, { key: personKey, count: 0, aliases: new Set(), ownName: '', aliasName: '' });
+            }
+            const person = people.get(personKey);
+            if (key === personKey) {
+                person.ownName = person.ownName || name;
+            } else {
+                person.aliasName = person.aliasName || name;
+                person.aliases.add(key);
+            }
+            if (!counted.has(personKey)) {
+                counted.add(personKey);
+                person.count++;
+            }
+        });
+    });
+    return [...people.values()]
+        .map(({ key, count, aliases: personAliases, ownName, aliasName }) => ({
+            key,
+            name: names[key] || ownName || aliasName,
+            count,
+            aliases: [...personAliases].sort()
+        }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,151 @@
+/**
+ * Mood utility functions
+ * A day's mood is rated from 1 (awful) to 5 (great). Moods are passed around
+ * as an object of date strings to ratings, e.g. { '2025-11-11': 4 }.
+ */
+
+import { formatDate, getWeekStartDate } from './dateUtils.js';
+
+// The rating scale, worst first
+export const MOOD_SCALE = [
+    { value: 1, emoji: '😞', label: 'Awful' },
+    { value: 2, emoji: '🙁', label: 'Bad' },
+    { value: 3, emoji: '😐', label: 'Okay' },
+    { value: 4, emoji: '🙂', label: 'Good' },
+    { value: 5, emoji: '😄', label: 'Great' }
+];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Days with this many entries or more share the last group of the entry count comparison
+const MAX_ENTRY_COUNT_GROUP = 5;
+
+// Fewer days than this say nothing useful about a correlation
+const MIN_CORRELATION_DAYS = 7;
+
+/**
+ * An average mood over a group of days
+ * @typedef {Object} MoodAverage
+ * @property {string} key - What the group is (week start date, YYYY-MM month, weekday name or entry count)
+ * @property {number|null} average - Average rating, or null if no day in the group has a mood
+ * @property {number} days - Number of days with a mood in the group
+ */
+
+/**
+ * Checks that a value is a mood rating
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a whole number on the scale
+ */
+export function isValidMood(value) {
+    return Number.isInteger(value) && value >= MOOD_SCALE[0].value && value <= MOOD_SCALE[MOOD_SCALE.length - 1].value;
+}
+
+/**
+ * Gets the emoji and label of a rating
+ * @param {number} value - Mood rating
+ * @returns {{value: number, emoji: string, label: string}|null} Scale entry, or null if not a rating
+ */
+export function getMoodOption(value) {
+    return MOOD_SCALE.find(option => option.value === value) || null;
+}
+
+/**
+ * Groups days' moods and averages each group
+ * @param {Object<string, number>} moods - Ratings by date
+ * @param {function(string): string} getKey - Gives the group of a date
+ * @returns {Map<string, MoodAverage>} Averages by group, in the order groups were first seen
+ */
+function averageBy(moods, getKey) {
+    const groups = new Map();
+    Object.entries(moods).forEach(([date, mood]) => {
+        const key = getKey(date);
+        const group = groups.get(key) || { key, total: 0, days: 0 };
+        group.total += mood;
+        group.days += 1;
+        groups.set(key, group);
+    });
+    const averages = new Map();
+    groups.forEach(({ key, total, days }) => averages.set(key, { key, average: total / days, days }));
+    return averages;
+}
+
+/**
+ * Averages moods by week, most recent weeks first
+ * @param {Object<string, number>} moods - Ratings by date
+ * @param {number} [limit=8] - Number of weeks to return
+ * @returns {Array<MoodAverage>} Averages keyed by the date the week starts (Sunday)
+ */
+export function getWeeklyMoodAverages(moods, limit = 8) {
+    const averages = averageBy(moods, date => formatDate(getWeekStartDate(new Date(date + 'T00:00:00'))));
+    return [...averages.values()].sort((a, b) => b.key.localeCompare(a.key)).slice(0, limit);
+}
+
+/**
+ * Averages moods by month, most recent months first
+ * @param {Object<string, number>} moods - Ratings by date
+ * @param {number} [limit=6] - Number of months to return
+ * @returns {Array<MoodAverage>} Averages keyed by month in YYYY-MM format
+ */
+export function getMonthlyMoodAverages(moods, limit = 6) {
+    const averages = averageBy(moods, date => date.slice(0, 7));
+    return [...averages.values()].sort((a, b) => b.key.localeCompare(a.key)).slice(0, limit);
+}
+
+/**
+ * Averages moods by day of the week
+ * @param {Object<string, number>} moods - Ratings by date
+ * @returns {Array<MoodAverage>} One average per weekday, Sunday first
+ */
+export function getWeekdayMoodAverages(moods) {
+    const averages = averageBy(moods, date => WEEKDAY_NAMES[new Date(date + 'T00:00:00').getDay()]);
+    return WEEKDAY_NAMES.map(name => averages.get(name) || { key: name, average: null, days: 0 });
+}
+
+/**
+ * Compares moods with how many gratitude entries were written on the same day
+ * Only days with a mood count; a day with a mood but no entries counts as 0 entries.
+ * @param {Object<string, number>} moods - Ratings by date
+ * @param {Object<string, number>} entryCounts - Number of entries by date
+ * @returns {{groups: Array<MoodAverage>, correlation: number|null}} Average mood for each number of
+ *     entries (0 up to MAX_ENTRY_COUNT_GROUP or more), and the correlation coefficient between the two
+ *     (null if there are too few days, or either never varies)
+ */
+export function getMoodByEntryCount(moods, entryCounts) {
+    const countOf = date => Math.min(entryCounts[date] || 0, MAX_ENTRY_COUNT_GROUP);
+    const averages = averageBy(moods, date => String(countOf(date)));
+    const groups = [];
+    for (let count = 0; count <= MAX_ENTRY_COUNT_GROUP; count++) {
+        const key = count === MAX_ENTRY_COUNT_GROUP ? `${count}+` : String(count);
+        groups.push({ ...(averages.get(String(count)) || { average: null, days: 0 }), key });
+    }
+    
+    const dates = Object.keys(moods);
+    const correlation = dates.length < MIN_CORRELATION_DAYS
+        ? null
+        : correlate(dates.map(date => entryCounts[date] || 0), dates.map(date => moods[date]));
+    return { groups, correlation };
+}
+
+/**
+ * Calculates the Pearson correlation coefficient of two equally long series
+ * @param {Array<number>} xs - First series
+ * @param {Array<number>} ys - Second series
+ * @returns {number|null} Coefficient from -1 to 1, or null if either series never varies
+ */
+function correlate(xs, ys) {
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanX = mean(xs);
+    const meanY = mean(ys);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    xs.forEach((x, i) => {
+        covariance += (x - meanX) * (ys[i] - meanY);
+        varianceX += (x - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    });
+    if (varianceX === 0 || varianceY === 0) {
+        return null;
+    }
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
@@ -0,0 +1,104 @@
+/**
+ * Prompt utility functions
+ * An entry written for a daily prompt keeps it in meta.prompt as { id, text },
+ * so answers can be compared even after a custom prompt is removed.
+ */
+
+// Prompts answered fewer times than this are left out of the comparison
+const MIN_ANSWERS = 2;
+
+/**
+ * How rich the answers to one prompt are
+ * @typedef {Object} PromptRichness
+ * @property {string|null} id - Id of the prompt (null for entries written without one)
+ * @property {string} text - Text of the prompt
+ * @property {number} answers - Number of entries written for the prompt
+ * @property {number} averageWords - Average number of words per answer
+ */
+
+/**
+ * Turns a string into a 32-bit seed
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash (FNV-1a)
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a random number generator that always gives the same numbers for a seed
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Generator of numbers from 0 (inclusive) to 1 (exclusive)
+ */
+function createSeededRandom(seed) {
+    let state = seed;
+    return () => {
+        // mulberry32
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffles items into an order that is always the same for a date
+ * @param {Array<*>} items - Items to shuffle (not changed)
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @returns {Array<*>} Shuffled copy of the items
+ */
+export function shuffleForDate(items, dateKey) {
+    const random = createSeededRandom(hashString(dateKey));
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Counts the words in an answer
+ * @param {string} text - Entry text
+ * @returns {number} Number of words
+ */
+export function countWords(text) {
+    return (String(text).match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+}
+
+/**
+ * Compares how much was written for each prompt
+ * @param {Array<Object>} entries - Entry records
+ * @returns {{prompts: Array<PromptRichness>, unprompted: PromptRichness|null}} Prompts answered
+ *     at least MIN_ANSWERS times, richest answers first, and the entries written without a prompt
+ */
+export function getPromptRichness(entries) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const prompt = entry.meta && entry.meta.prompt;
+        const id = prompt && typeof prompt.id === 'string' ? prompt.id : null;
+        if (!groups.has(id)) {
+            groups.set(id, { id, text: id ? String(prompt.text || '') : 'Without a prompt', answers: 0, words: 0 });
+        }
+        const group = groups.get(id);
+        group.answers++;
+        group.words += countWords(entry.text);
+    });
+    
+    const toRichness = ({ id, text, answers, words }) => ({ id, text, answers, averageWords: words / answers });
+    const unprompted = groups.get(null);
+    groups.delete(null);
+    return {
+        prompts: [...groups.values()]
+            .filter(group => group.answers >= MIN_ANSWERS)
+            .map(toRichness)
+            .sort((a, b) => b.averageWords - a.averageWords || b.answers - a.answers),
+        unprompted: unprompted ? toRichness(unprompted) : null
+    };
+}
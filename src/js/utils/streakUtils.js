@@ -0,0 +1,111 @@
+/**
+ * Streak utility functions
+ * A streak is a run of complete days. A missed day can be covered, without
+ * adding to the streak, in two ways: by a grace day (a number of misses
+ * allowed in each week, Sunday to Saturday) or by a streak freeze, earned by
+ * keeping a streak going. Everything is worked out again from the complete
+ * days each time, so every device agrees and nothing extra is stored.
+ */
+
+import { formatDate, getNextDay, getWeekStartDate } from './dateUtils.js';
+
+/**
+ * How missed days are forgiven
+ * @typedef {Object} StreakRules
+ * @property {number} graceDaysPerWeek - Missed days allowed in each week
+ * @property {number} freezeEvery - Complete days in a streak that earn a freeze (0 = freezes are never earned)
+ * @property {number} maxFreezes - Most freezes that can be saved up
+ */
+
+/**
+ * Streaks worked out from the complete days
+ * @typedef {Object} StreakSummary
+ * @property {number} current - Complete days in the streak still going
+ * @property {number} longest - Complete days in the longest streak ever
+ * @property {number} freezesLeft - Freezes saved up for the next missed day
+ * @property {Array<string>} frozenDates - Missed days covered by a freeze
+ * @property {Array<string>} graceDates - Missed days covered by a grace day
+ */
+
+/**
+ * Gets the week a day belongs to
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @returns {string} Date of the Sunday starting the week
+ */
+function getWeekKey(dateKey) {
+    return formatDate(getWeekStartDate(new Date(dateKey + 'T00:00:00')));
+}
+
+/**
+ * Walks through every day from the first complete one to today, working out streaks
+ * A missed day is covered by a grace day if the week has one left, otherwise by a
+ * freeze if one is saved up; if neither is left, the streak ends. Days covered in
+ * a gap the streak then ends in saved nothing, so their grace days and freezes are
+ * given back. Today is not missed until it is over. Days are compared as dates, so
+ * daylight saving does not matter.
+ * @param {Array<string>} completeDates - Complete days as YYYY-MM-DD strings, sorted ascending
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @param {StreakRules} rules - How missed days are forgiven
+ * @returns {StreakSummary} Streaks, freezes left and the days that were covered
+ */
+export function summarizeStreaks(completeDates, today, rules) {
+    const summary = { current: 0, longest: 0, freezesLeft: 0, frozenDates: [], graceDates: [] };
+    if (completeDates.length === 0) {
+        return summary;
+    }
+    
+    const complete = new Set(completeDates);
+    const graceUsed = new Map();
+    let streak = 0;
+    let freezes = 0;
+    let daysTowardFreeze = 0;
+    // Days covered since the last complete day, kept only once the streak gets past them
+    let gapFrozen = [];
+    let gapGrace = [];
+    
+    for (let date = completeDates[0]; date <= today; date = getNextDay(date)) {
+        if (complete.has(date)) {
+            summary.frozenDates.push(...gapFrozen);
+            summary.graceDates.push(...gapGrace);
+            gapFrozen = [];
+            gapGrace = [];
+            streak++;
+            summary.longest = Math.max(summary.longest, streak);
+            if (rules.freezeEvery > 0 && rules.maxFreezes > 0) {
+                daysTowardFreeze++;
+                if (daysTowardFreeze >= rules.freezeEvery) {
+                    daysTowardFreeze = 0;
+                    freezes = Math.min(freezes + 1, rules.maxFreezes);
+                }
+            }
+            continue;
+        }
+        // Nothing to protect, or today, which can still be completed
+        if (streak === 0 || date === today) {
+            continue;
+        }
+        
+        const week = getWeekKey(date);
+        if ((graceUsed.get(week) || 0) < rules.graceDaysPerWeek) {
+            graceUsed.set(week, (graceUsed.get(week) || 0) + 1);
+            gapGrace.push(date);
+        } else if (freezes > 0) {
+            freezes--;
+            gapFrozen.push(date);
+        } else {
+            gapGrace.forEach(graceDate => graceUsed.set(getWeekKey(graceDate), graceUsed.get(getWeekKey(graceDate)) - 1));
+            freezes += gapFrozen.length;
+            gapFrozen = [];
+            gapGrace = [];
+            streak = 0;
+            daysTowardFreeze = 0;
+        }
+    }
+    
+    // A gap still open at today is keeping the current streak going
+    summary.frozenDates.push(...gapFrozen);
+    summary.graceDates.push(...gapGrace);
+    summary.current = streak;
+    summary.freezesLeft = freezes;
+    return summary;
+}
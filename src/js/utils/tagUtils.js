@@ -0,0 +1,93 @@
+/**
+ * Tag utility functions
+ * Tags come from #hashtags in an entry's text and from tags added explicitly while editing.
+ */
+
+// A hashtag starts with a letter or underscore, so "#1" and URL fragments are not tags
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/])#([\p{L}_][\p{L}\p{N}_-]*)/gu;
+
+/**
+ * Normalizes a tag for storage and comparison
+ * Tags are lowercase and limited to letters, digits, "_" and "-", so they are safe in attributes.
+ * @param {string} tag - Tag with or without a leading "#"
+ * @returns {string} Normalized tag, or an empty string if nothing usable remains
+ */
+export function normalizeTag(tag) {
+    return String(tag)
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}_-]/gu, '');
+}
+
+/**
+ * Removes empty and duplicate tags, keeping first-seen order
+ * @param {Array<string>} tags - Tags to clean up
+ * @returns {Array<string>} Unique normalized tags
+ */
+function uniqueTags(tags) {
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Finds the #hashtags in a piece of text
+ * @param {string} text - Entry text
+ * @returns {Array<string>} Unique normalized tags, in the order they appear
+ */
+export function extractHashtags(text) {
+    return uniqueTags([...String(text).matchAll(HASHTAG_PATTERN)].map(match => match[2]));
+}
+
+/**
+ * Removes #hashtags from a piece of text, e.g. to count the remaining plain words
+ * @param {string} text - Entry text
+ * @returns {string} Text with hashtags replaced by spaces
+ */
+export function removeHashtags(text) {
+    return String(text).replace(HASHTAG_PATTERN, '$1 ');
+}
+
+/**
+ * Parses tags typed by the user, separated by commas or spaces
+ * @param {string} input - Raw tag input (e.g. "family, #outdoors")
+ * @returns {Array<string>} Unique normalized tags
+ */
+export function parseTagInput(input) {
+    return uniqueTags(String(input || '').split(/[\s,]+/));
+}
+
+/**
+ * Gets every tag of an entry: hashtags in its text plus explicit tags
+ * @param {Object} entry - Entry record
+ * @returns {Array<string>} Unique normalized tags
+ */
+export function getEntryTags(entry) {
+    return uniqueTags([...extractHashtags(entry.text), ...(entry.tags || [])]);
+}
+
+/**
+ * Gets the explicit tags of an entry that are not already hashtags in its text
+ * @param {Object} entry - Entry record
+ * @returns {Array<string>} Unique normalized tags
+ */
+export function getExplicitOnlyTags(entry) {
+    const hashtags = new Set(extractHashtags(entry.text));
+    return uniqueTags(entry.tags || []).filter(tag => !hashtags.has(tag));
+}
+
+/**
+ * Counts how many entries carry each tag
+ * @param {Array<Object>} entries - Entry records
+ * @returns {Array<{tag: string, count: number}>} Tags with counts, most used first
+ */
+export function countTags(entries) {
+    const tagCounts = {};
+    entries.forEach(entry => {
+        getEntryTags(entry).forEach(tag => {
+            tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+        });
+    });
+    return Object.entries(tagCounts)
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
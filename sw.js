@@ -1,4 +1,4 @@
-const CACHE_NAME = 'gratitude-pwa-v4';
+const CACHE_NAME = 'gratitude-pwa-v5';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -87,3 +87,130 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+
+// Daily reminders: the app keeps the schedule in its database (see
+// src/js/services/reminderService.js); these names must match it
+const DB_NAME = 'gratitudeJournal';
+const META_STORE = 'meta';
+const ENTRIES_STORE = 'entries';
+const REMINDER_KEY = 'reminder';
+const REMINDER_TAG = 'gratitude-reminder';
+
+// Run a request against the app's database, without ever creating or upgrading it
+const withDatabase = (work) => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    request.onupgradeneeded = () => {
+      // The app has not created its database yet, so there is nothing to read
+      request.transaction.abort();
+    };
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let the app upgrade the database whenever it needs to
+      db.onversionchange = () => db.close();
+      work(db).then(resolve, reject).finally(() => db.close());
+    };
+  });
+};
+
+const requestResult = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Format a date as YYYY-MM-DD
+const formatDate = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// The journal day a moment falls in, worked out like getJournalDateOf in src/js/data/journalDay.js
+const getJournalDate = (reminder, moment) => {
+  let time = new Date(moment);
+  if (reminder.timeZone) {
+    const fields = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: reminder.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric'
+    }).formatToParts(moment).forEach(({ type, value }) => {
+      fields[type] = Number(value);
+    });
+    time = new Date(fields.year, fields.month - 1, fields.day, fields.hour);
+  }
+  if (time.getHours() < (reminder.dayStartHour || 0)) {
+    time.setDate(time.getDate() - 1);
+  }
+  return formatDate(time);
+};
+
+// Show today's reminder if it is due, has not been shown yet, and is still needed
+const showDueReminder = () => {
+  return withDatabase(async (db) => {
+    const reminder = await requestResult(db.transaction(META_STORE).objectStore(META_STORE).get(REMINDER_KEY));
+    if (!reminder || !reminder.enabled || !Array.isArray(reminder.days)) {
+      return;
+    }
+    // Today's reminder is on the device's clock, today or the day before, and belongs to the journal day it falls in
+    const now = new Date();
+    const reminderDate = getJournalDate(reminder, now);
+    const dueAt = [0, 1]
+      .map((daysBack) => new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysBack, reminder.hour, reminder.minute))
+      .find((time) => time <= now && getJournalDate(reminder, time) === reminderDate);
+    if (!dueAt || !reminder.days.includes(new Date(`${reminderDate}T00:00:00`).getDay()) || reminder.lastShownDate === reminderDate) {
+      return;
+    }
+    if (reminder.onlyIfNotJournaled) {
+      const entryCount = await requestResult(db.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE).index('date').count(reminderDate));
+      if (entryCount > 0) {
+        return;
+      }
+    }
+
+    const transaction = db.transaction(META_STORE, 'readwrite');
+    transaction.objectStore(META_STORE).put({ ...reminder, lastShownDate: reminderDate }, REMINDER_KEY);
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+    await self.registration.showNotification('Time for gratitude', {
+      body: 'What are you grateful for today?',
+      tag: `${REMINDER_TAG}-${reminderDate}`,
+      icon: '/images/banner.svg',
+      data: { view: 'today' }
+    });
+  });
+};
+
+// Periodic background sync - check whether a reminder is due
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_TAG) {
+    event.waitUntil(showDueReminder().catch((error) => {
+      console.log('Reminder check failed:', error);
+    }));
+  }
+});
+
+// Notification click - open the Today view, in an open window if there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  if (!event.notification.tag || !event.notification.tag.startsWith(REMINDER_TAG)) {
+    return;
+  }
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((windowClients) => {
+        const client = windowClients[0];
+        if (client) {
+          client.postMessage({ type: 'open-today' });
+          return client.focus();
+        }
+        return self.clients.openWindow('/?view=today');
+      })
+  );
+});